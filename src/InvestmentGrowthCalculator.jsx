@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo } from "react";
+import React, { useState, useCallback, useMemo, useRef } from "react";
 import { Card, CardHeader, CardTitle, CardContent } from "./components/ui/card";
 import { Input } from "./components/ui/input";
 import { Label } from "./components/ui/label";
@@ -23,347 +23,651 @@ import {
   ResponsiveContainer,
 } from "recharts";
 import { Trash, HelpCircle, ChevronDown } from "lucide-react";
-
-const defaultAssets = {
-  "Baseline (No Scenario)": {
-    return: 0,
-    volatility: 0,
-    drawdownImpact: 0,
-    color: "#000000",
-    isBaseline: true,
-    crisisSensitivity: 0,
-  },
-  "BIL (Short-Term Treasuries)": {
-    return: 3,
-    volatility: 0.02,
-    drawdownImpact: 0.1,
-    color: "#8884d8",
-    isBaseline: false,
-    crisisSensitivity: 0.1,
-  },
-  "KMLM (Managed Futures)": {
-    return: 4,
-    volatility: 0.08,
-    drawdownImpact: 0.3,
-    color: "#82ca9d",
-    isBaseline: false,
-    crisisSensitivity: 0.5,
-  },
-  "SPHD (High-Dividend/Low-Vol)": {
-    return: 6,
-    volatility: 0.12,
-    drawdownImpact: 0.7,
-    color: "#ffc658",
-    isBaseline: false,
-    crisisSensitivity: 0.8,
-  },
-  "SWPPX/SPX (S&P 500)": {
-    return: 7,
-    volatility: 0.15,
-    drawdownImpact: 1.0,
-    color: "#ff7300",
-    isBaseline: false,
-    crisisSensitivity: 1.0,
-  },
-  "PFF (Preferred Stocks)": {
-    return: 4,
-    volatility: 0.1,
-    drawdownImpact: 0.8,
-    color: "#00C49F",
-    isBaseline: false,
-    crisisSensitivity: 0.9,
-  },
-  "VUG (Large-Cap Growth)": {
-    return: 7,
-    volatility: 0.18,
-    drawdownImpact: 1.2,
-    color: "#0088FE",
-    isBaseline: false,
-    crisisSensitivity: 1.2,
-  },
-};
+import { isMonteCarloScenario } from "./engine/results";
+import { useSimulationResults } from "./hooks/useSimulationResults";
+import {
+  defaultAssets,
+  defaultParameters,
+  scenarioPresets,
+} from "./engine/presets";
+import { FanChart } from "./components/FanChart";
+import { CashFlowControls } from "./components/CashFlowControls";
+import { TaxControls } from "./components/TaxControls";
+import { CrisisEventsEditor } from "./components/CrisisEventsEditor";
+import { CrisisTypesEditor } from "./components/CrisisTypesEditor";
+import { CrisisResponsesEditor } from "./components/CrisisResponsesEditor";
+import { ReturnModelEditor } from "./components/ReturnModelEditor";
+import { PortfolioBuilder } from "./components/PortfolioBuilder";
+import { AssetLibrary } from "./components/AssetLibrary";
+import { ValidatedInput } from "./components/ValidatedInput";
+import { CorrelationMatrixEditor } from "./components/CorrelationMatrixEditor";
+import { renameInCorrelations } from "./engine/correlation";
+import { assetClasses, crisisTypes } from "./engine/crisis";
+import { withPortfolioAssets } from "./engine/portfolio";
+import { clampBacktestStartYear } from "./engine/backtest";
+import { returnGenerators } from "./engine/bootstrap";
+import { isReturnModel } from "./engine/returnModels";
+import { randomGenerators } from "./engine/random";
+import { valueModes } from "./engine/inflation";
+import { timeSteps } from "./engine/timeline";
+import { createSnapshot, uniqueSnapshotName } from "./engine/comparison";
+import {
+  assetFieldLimits,
+  parameterLimits,
+  validateAssetName,
+  validateNumber,
+} from "./engine/validation";
+import {
+  HISTORY_FIRST_YEAR,
+  HISTORY_LAST_YEAR,
+  historicalEpisodes,
+} from "./engine/historicalReturns";
+import { ScenarioManager } from "./components/ScenarioManager";
+import { AnalysisCharts } from "./components/AnalysisCharts";
+import { ResultsExport } from "./components/ResultsExport";
+import { ScenarioComparison } from "./components/ScenarioComparison";
+import { RunStatus } from "./components/RunStatus";
+import { RetirementPlanner } from "./components/RetirementPlanner";
+import { GoalPlanner } from "./components/GoalPlanner";
+import { SensitivityAnalysis } from "./components/SensitivityAnalysis";
+import { RiskMetricsPanel } from "./components/RiskMetricsPanel";
+import { defaultScenario, readScenarioFromHash } from "./io/scenarioFile";
+import { loadSavedScenarios } from "./io/savedScenarios";
+import { formatCurrency, formatPercent } from "./utils/format";
 
 const metricDefinitions = {
   crisisImpact: {
     title: "Crisis Impact Calculation",
-    description: "How the model calculates an asset's behavior during a crisis scenario. Combines crisis sensitivity and drawdown impact to determine the total loss.",
-    formula: "Total Loss = Market Drawdown × Crisis Sensitivity × Drawdown Impact",
+    description: "How the model calculates an asset's behavior during a crisis scenario. Combines crisis sensitivity, drawdown impact and the crisis type's multiplier for the asset's class to determine the total loss. An asset can also have its own response per crisis type; a negative response turns the loss into a temporary gain.",
+    formula: "Total Loss = Market Drawdown × Drawdown Impact × (Crisis Response or Crisis Sensitivity × Class Multiplier)",
     variables: {
       "Market Drawdown": "The overall crisis severity (e.g., 40%)",
-      "Crisis Sensitivity": "How much of the crisis affects this asset (0-2)",
-      "Drawdown Impact": "Asset's vulnerability to the scaled crisis (0-2)"
+      "Crisis Sensitivity": "How much of the crisis affects this asset (-2 to 2; negative values gain in the crisis)",
+      "Drawdown Impact": "Asset's vulnerability to the scaled crisis (0-2)",
+      "Class Multiplier": "The crisis type's profile for the asset class, e.g. 1.5 for bonds and -2 (a gain) for managed futures in a stagflation; 1 for risk-off and rising-rates crises",
+      "Crisis Response": "Set per asset and crisis type in Crisis Responses; replaces Crisis Sensitivity × Class Multiplier (e.g. 0 for BIL and -1 for KMLM in a rising-rates crisis)"
     }
   },
   recoveryPath: {
     title: "Recovery & Permanent Damage",
     description: "After a crisis, assets recover towards a permanently reduced target based on their sensitivity and recovery pattern.",
-    formula: "Recovery Target = No-Crisis Value × (1 - Permanent Damage Ratio)",
+    formula: "Recovery Target = No-Crisis Value × (Recovery Potential - Total Loss × Permanent Damage × Crisis Sensitivity)",
     variables: {
       "No-Crisis Value": "What the asset would be worth without any crisis",
-      "Permanent Damage": "Lasting impact (40% of initial drawdown)",
-      "Recovery Pattern": "V-shaped (fast), U-shaped (medium), or L-shaped (slow)"
+      "Recovery Potential": "Set by the crisis type: 90% risk-off, 85% rising rates, 80% stagflation, 85% deflationary bust, 95% credit crunch, 85% currency crisis, or your own for custom types",
+      "Permanent Damage": "Share of the drawdown that never recovers (40% for risk-off and rising rates, 30–50% for the other types)",
+      "Recovery Pattern": "V-shaped (fast), U-shaped (medium), or L-shaped (slow)",
+      "Crisis Gains": "Assets with a negative response spike up instead, then give the gain back along the recovery pattern, keeping their Gain Kept share",
+      "Multiple Crises": "Each crisis starts in its own year and recovers towards the path left by earlier crises, so a second crisis during a recovery compounds the damage"
+    }
+  },
+  portfolios: {
+    title: "Portfolios & Rebalancing",
+    description: "A portfolio splits the investment across assets by target weight. Each holding follows its asset's simulated path (crises and volatility included), and the portfolio is reset to its target weights according to the rebalancing strategy.",
+    formula: "Portfolio Value(y) = Σ Holding(i, y-1) × Asset Value(i, y) / Asset Value(i, y-1)",
+    variables: {
+      "Target Weight": "Share of the portfolio in each asset (scaled to 100%)",
+      "None": "Buy and hold; weights drift with performance",
+      "Annual": "Holdings are reset to target weights at every year end",
+      "Threshold Band": "Holdings are reset only when a weight drifts more than the band (in percentage points) from its target"
+    }
+  },
+  cashFlows: {
+    title: "Contributions & Withdrawals",
+    description: "Contributions and withdrawals are replayed on top of each asset's simulated path, so crises and volatility hit the money actually invested. Amounts are entered in nominal dollars and converted to inflation-adjusted terms; monthly flows earn half a year of growth on average.",
+    formula: "Balance(y) = Balance(y-1) × Growth(y) + Contribution(y) - Withdrawal(y)",
+    variables: {
+      "Growth": "The asset's simulated value change for the year (crisis and volatility included)",
+      "Contribution": "Scheduled contribution, including any annual step-up",
+      "Withdrawal": "Fixed dollar, fixed percentage of the balance, or inflation-indexed amount (never more than the balance)",
+      "IRR": "Rate r solving Σ CashFlow(t) / (1 + r)^t = 0, ending value included"
+    }
+  },
+  taxes: {
+    title: "Taxes & Account Types",
+    description: "Each asset's return is split into a yield paid out as income and a price return. In a taxable account the income is taxed every year (qualified dividends or ordinary income) and the rest is reinvested; gains above the cost basis are taxed when everything is sold at the end. Tax-deferred accounts are taxed as ordinary income on withdrawals and on the final balance; tax-free accounts are never taxed. Taxes are worked out on nominal amounts, so gains that only keep up with inflation are taxed too, and then shown in the selected unit.",
+    formula: "Value(y) = Value(y-1) × (Growth(y) - Yield × Income Tax Rate);  After-Tax Ending Value = Ending Value - Liquidation Tax",
+    variables: {
+      "Yield": "Share of the asset's value paid out as income each year (the rest of the return is price return)",
+      "Income Tax Rate": "Qualified dividend rate or ordinary income rate, depending on the asset's income tax treatment",
+      "Annual Tax Drag": "Yield × Income Tax Rate: percentage points of return lost to tax each year",
+      "Cost Basis": "Initial amount + contributions + reinvested after-tax income, reduced in proportion to withdrawals",
+      "Liquidation Tax": "Taxable: (Ending Value - Cost Basis) × Capital Gains Rate (losses are not credited). Tax-deferred: Ending Value × Ordinary Income Rate"
+    }
+  },
+  correlations: {
+    title: "Correlated Volatility",
+    description: "Random yearly shocks are drawn jointly for all assets so that assets that tend to move together (like the S&P 500 and growth stocks) also do so in the simulation. Independent normal draws are mixed through the Cholesky factor of the correlation matrix.",
+    formula: "Shock(i, y) = Volatility(i) × Level × Σ L(i, j) × Z(j, y),  where L × Lᵀ = Correlation Matrix",
+    variables: {
+      "Z": "Independent standard normal draws per asset and year",
+      "L": "Lower-triangular Cholesky factor; only exists when the matrix is positive definite",
+      "Correlation": "How closely two assets' shocks move together, from -1 (opposite) to 1 (in lockstep)"
+    }
+  },
+  bootstrap: {
+    title: "Historical Bootstrap",
+    description: "Instead of normal draws, each simulated year borrows the shocks of a randomly picked historical year from the bundled dataset, for all assets at once. Fat tails, skew and the way assets moved together are kept; the block bootstrap draws runs of consecutive years so that streaks of good and bad years survive too. The shocks compound, so a run of bad years adds up to a deep drawdown.",
+    formula: "Multiplier(i, y) = Multiplier(i, y-1) × (1 + ((1 + Historical Return(i, Sampled Year(y))) / (1 + Mean Historical Return(i)) - 1) × Level)",
+    variables: {
+      "Sampled Year": "A random historical year (bootstrap) or the next year of a randomly started block (block bootstrap)",
+      "Block Length": "Number of consecutive historical years drawn together",
+      "Seed": "The Random Seed fixes which years are drawn, so runs are reproducible"
+    }
+  },
+  returnModels: {
+    title: "Return Models",
+    description: "Geometric Brownian motion, Student-t and regime switching shocks compound: each step's random return builds on the last, so the spread around the scenario path widens over time. The shocks are still correlated between assets and scaled by the volatility level. With the xoshiro128** or PCG32 generator each asset draws from its own seeded stream, so adding or removing an asset does not reshuffle the others' draws.",
+    formula: "Multiplier(i, t) = Multiplier(i, t-1) × exp(-σ²Δt / 2 + σ√Δt × Z(i, t)),  Value(i, t) = Scenario Path(i, t) × Multiplier(i, t)",
+    variables: {
+      "σ": "Asset volatility × Level (the bear volatility in a bear regime)",
+      "Z": "Correlated standard normal draw; a Student-t draw rescaled to unit variance for the Student-t model, which compounds simple returns instead",
+      "Degrees of Freedom": "Student-t tail weight: 3 is very fat-tailed, 30 is close to normal",
+      "Regimes": "Bull uses the asset's return; bear uses Bear Return and Bear Volatility, switching with the chances per year set per asset"
+    }
+  },
+  backtest: {
+    title: "Historical Backtest",
+    description: "Replays the actual calendar-year total returns of each asset's ticker from a dataset bundled with the app, instead of the expected return, crises and volatility. Real values are deflated by each year's actual inflation instead of the inflation rate.",
+    formula: "Real Value(y) = Real Value(y-1) × (1 - Fees) × (1 + Historical Return(y)) / (1 + CPI Inflation(y))",
+    variables: {
+      "Historical Return": "Total return of the asset's ticker (or its index proxy) in that calendar year",
+      "CPI Inflation": "US consumer price inflation in that calendar year",
+      "Assets Without History": "Custom assets without a bundled ticker grow at their expected return"
+    }
+  },
+  timeSteps: {
+    title: "Monthly Time Steps",
+    description: "With monthly steps every row of the chart is a month. Annual returns, fees and inflation are compounded month by month, crises hit in the middle of their year and recover over the same number of months, and contributions and withdrawals land in the month they are made. Summary metrics are computed on the monthly series, so drawdowns inside a year are no longer hidden between year-end values. Random shocks persist from month to month so their spread around the path matches the yearly model.",
+    formula: "Monthly Growth = (1 + Annual Return)^(1/12);  Volatility = σ(Monthly Returns) × √12",
+    variables: {
+      "Annual Return": "The asset's expected return (or reduced post-crisis return)",
+      "σ(Monthly Returns)": "Standard deviation of the month-over-month returns",
+      "Start Date": "Optional first month of the chart; rows are labelled with calendar months when set"
     }
   },
   realReturns: {
-    title: "Real Returns After Fees & Inflation",
-    description: "All returns are adjusted for the erosion of purchasing power and costs over time.",
-    formula: "Adjusted Value = Nominal Value / (1 + Fees + Inflation)^Year",
+    title: "Nominal vs. Real Values",
+    description: "Fees are charged as a percentage of assets each year. Nominal values are the dollars on your statement; real values are in today's dollars, deflated by the price index. The toggle above the chart switches every line and metric between the two. Inflation is either constant or stochastic, drawn each year around the inflation rate and spiking during rising-rates, currency and (most) stagflation crises and dropping in a deflationary bust.",
+    formula: "Real Value = Nominal Value × (1 - Fees)^Year / Price Index(Year);  Price Index(Year) = Π (1 + Inflation(y))",
+    variables: {
+      "Nominal Value": "Value compounding at the asset's expected return",
+      "Fees": "Annual investment costs in percent of assets",
+      "Inflation(y)": "Inflation in year y: the fixed rate, a random draw (stochastic), or actual CPI (backtest)",
+      "Rising Rates Link": "Extra inflation points per 1% of drawdown in a rising-rates crisis (half of it the following year), scaled by the inflation link of other crisis types"
+    }
+  },
+  retirement: {
+    title: "Retirement Success Rate",
+    description: "The retirement planner withdraws a fixed percentage of the initial investment every year, raised with inflation, and counts how many paths last the whole horizon: every Monte Carlo path with volatility on, every historical start year in a backtest, or the single scenario path otherwise. The safe withdrawal rate is the highest rate that still reaches the target success rate.",
+    formula: "Sustainable Rate = Steps per Year / Σ (G(0) / G(s));  Success Rate = Paths with Sustainable Rate ≥ Withdrawal Rate / Paths",
     variables: {
-      "Nominal Value": "Raw asset value before adjustments",
-      "Fees": "Annual investment costs (%)",
-      "Inflation": "Annual purchasing power loss (%)",
-      "Year": "Number of years from start"
+      "G(s)": "Real value of the asset at step s without withdrawals",
+      "Sustainable Rate": "Highest yearly withdrawal (in % of the initial amount) a path survives to its last year",
+      "Safe Withdrawal Rate": "Highest rate whose success rate meets the target"
+    }
+  },
+  goals: {
+    title: "Goal Probability and Required Inputs",
+    description: "The goal planner checks every asset and portfolio against a target amount at the end of a chosen year, in the dollars shown on the chart. The probability is the share of Monte Carlo paths (or historical start years in a backtest) that reach it. The required initial investment, expected return or contribution is solved on the scenario path with everything else unchanged, by narrowing a bracket until the goal is just reached.",
+    formula: "Probability = Paths with Value(Goal Year) ≥ Goal / Paths;  Required x = min { x : Value(Goal Year | x) ≥ Goal }",
+    variables: {
+      "Value(Goal Year)": "Value of the series at the end of the goal year, after contributions, withdrawals and taxes on distributions",
+      "x": "Initial investment, expected return (shifted equally for every asset; weighted for portfolios) or contribution per period"
+    }
+  },
+  sensitivity: {
+    title: "Sensitivity Analysis",
+    description: "Sweeps one parameter at a time across its range, keeping everything else as set, and records the ending value or CAGR of the chosen asset or portfolio. The tornado chart ranks the parameters by how far the outcome moves; the heatmap crosses two parameters, for example drawdown against recovery years.",
+    formula: "Swing = max Outcome(p) − min Outcome(p) over the values p of the parameter",
+    variables: {
+      "Outcome(p)": "Ending value or CAGR (IRR with cash flows) of the series with the parameter set to p",
+      "Crisis parameters": "Drawdown, recovery years and recovery pattern, set on every crisis event"
+    }
+  },
+  sharpeRatio: {
+    title: "Sharpe Ratio",
+    description: "Average return above the risk-free rate per unit of volatility, annualized. The risk-free return is the BIL row of the same run or a custom yearly rate (deflated by inflation in real mode). In Monte Carlo mode the median across paths is shown, as for all ratios and times in the risk metrics.",
+    formula: "Sharpe = Mean(R - Rf) / σ(R - Rf) × √(Steps per Year)",
+    variables: {
+      "R": "Return of the asset in each step (year or month), before contributions and withdrawals",
+      "Rf": "Risk-free return in the same step",
+      "σ": "Standard deviation of the excess returns"
+    }
+  },
+  sortinoRatio: {
+    title: "Sortino Ratio",
+    description: "Like the Sharpe ratio, but only returns below the risk-free rate count as risk.",
+    formula: "Sortino = Mean(R - Rf) / √Mean(min(R - Rf, 0)²) × √(Steps per Year)",
+    variables: {
+      "min(R - Rf, 0)": "Shortfall below the risk-free return (0 in steps that beat it)"
+    }
+  },
+  calmarRatio: {
+    title: "Calmar Ratio",
+    description: "Growth earned per point of the worst peak-to-trough loss.",
+    formula: "Calmar = CAGR / Max Drawdown",
+    variables: {
+      "CAGR": "Compound annual growth rate of the asset",
+      "Max Drawdown": "Largest drop from a peak, in percent"
+    }
+  },
+  valueAtRisk: {
+    title: "Value at Risk (VaR) & Conditional VaR",
+    description: "The one-year loss exceeded only in the worst (100 - confidence)% of years, and the average loss in those years. Historical figures sort the simulated yearly returns (all paths together in Monte Carlo mode); parametric figures assume a normal distribution with their mean and standard deviation.",
+    formula: "Historical VaR = -Percentile(R₁, 100 - c);  Parametric VaR = -(μ - z·σ);  Parametric CVaR = -(μ - σ·φ(z) / (1 - c))",
+    variables: {
+      "R₁": "Yearly returns",
+      "c": "Confidence level (90%, 95% or 99%)",
+      "z, φ": "Standard normal quantile at c and its density",
+      "CVaR": "Average of the yearly returns at or below the VaR cutoff, as a loss"
+    }
+  },
+  ulcerIndex: {
+    title: "Ulcer Index",
+    description: "Combines how deep and how long drawdowns are: the root mean square of the drawdown at every step, zero at new highs.",
+    formula: "Ulcer Index = √Mean(Drawdown(s)²)",
+    variables: {
+      "Drawdown(s)": "Percent below the highest value so far at step s"
+    }
+  },
+  drawdownDuration: {
+    title: "Longest Drawdown & Recovery Time",
+    description: "The longest time spent below a previous high (a drawdown still open at the end counts up to the last year), and the time the deepest drawdown took from its low back to the previous high. A drawdown that never gets back is shown as not recovered; in Monte Carlo mode such paths count as never recovering in the median.",
+    formula: "Longest Drawdown = max(Step Back at Peak - Step of Peak);  Recovery Time = Step Back at Peak - Step of Trough",
+    variables: {
+      "Step of Peak": "Last high before the drawdown",
+      "Step of Trough": "Lowest point of the deepest drawdown"
     }
   }
 };
 
+// A scenario opened from a share link replaces the defaults.
+const loadInitialScenario = () => {
+  if (typeof window === "undefined") {
+    return { scenario: defaultScenario, error: null };
+  }
+  try {
+    return {
+      scenario: readScenarioFromHash(window.location.hash) || defaultScenario,
+      error: null,
+    };
+  } catch (error) {
+    return { scenario: defaultScenario, error: error.message };
+  }
+};
+
+const SAVED_PRESET_PREFIX = "saved:";
+
 const InvestmentGrowthCalculator = () => {
-  const defaultInitialAmount = 100000;
-  const defaultYears = 5;
-  const defaultEnableRisk = false;
-  const defaultCrisisType = "NONE";
-  const defaultDrawdown = 0;
-  const defaultRecoveryYears = 1;
-  const defaultRecoveryType = "V_SHAPED";
-  const defaultVolatilityLevel = 1;
-  const defaultRandomSeedBase = 1;
-  const defaultEnableVolatility = false;
-  const [annualFees, setAnnualFees] = useState(0);
-  const [inflationRate, setInflationRate] = useState(2.5);
-
-  const [initialAmount, setInitialAmount] = useState(defaultInitialAmount);
-  const [years, setYears] = useState(defaultYears);
-  const [enableRisk, setEnableRisk] = useState(defaultEnableRisk);
-  const [crisisType, setCrisisType] = useState(defaultCrisisType);
-  const [drawdown, setDrawdown] = useState(defaultDrawdown);
-  const [recoveryYears, setRecoveryYears] = useState(defaultRecoveryYears);
-  const [recoveryType, setRecoveryType] = useState(defaultRecoveryType);
+  const [initialLoad] = useState(loadInitialScenario);
+  const initialScenario = initialLoad.scenario;
+
+  const [annualFees, setAnnualFees] = useState(initialScenario.annualFees);
+  const [inflationRate, setInflationRate] = useState(
+    initialScenario.inflationRate
+  );
+  const [inflationModel, setInflationModel] = useState(
+    initialScenario.inflationModel
+  );
+  const [inflationVolatility, setInflationVolatility] = useState(
+    initialScenario.inflationVolatility
+  );
+  const [inflationCrisisLink, setInflationCrisisLink] = useState(
+    initialScenario.inflationCrisisLink
+  );
+  const [valueMode, setValueMode] = useState(initialScenario.valueMode);
+
+  const [initialAmount, setInitialAmount] = useState(
+    initialScenario.initialAmount
+  );
+  const [years, setYears] = useState(initialScenario.years);
+  const [timeStep, setTimeStep] = useState(initialScenario.timeStep);
+  const [startDate, setStartDate] = useState(initialScenario.startDate);
+  const [enableRetirement, setEnableRetirement] = useState(
+    initialScenario.enableRetirement
+  );
+  const [retirementWithdrawalRate, setRetirementWithdrawalRate] = useState(
+    initialScenario.retirementWithdrawalRate
+  );
+  const [retirementTargetSuccess, setRetirementTargetSuccess] = useState(
+    initialScenario.retirementTargetSuccess
+  );
+  const [enableGoals, setEnableGoals] = useState(initialScenario.enableGoals);
+  const [goalAmount, setGoalAmount] = useState(initialScenario.goalAmount);
+  const [goalYear, setGoalYear] = useState(initialScenario.goalYear);
+  const [goalSolveFor, setGoalSolveFor] = useState(initialScenario.goalSolveFor);
+  const [enableSensitivity, setEnableSensitivity] = useState(
+    initialScenario.enableSensitivity
+  );
+  const [sensitivityMetric, setSensitivityMetric] = useState(
+    initialScenario.sensitivityMetric
+  );
+  const [sensitivitySeries, setSensitivitySeries] = useState(
+    initialScenario.sensitivitySeries
+  );
+  const [sensitivityX, setSensitivityX] = useState(initialScenario.sensitivityX);
+  const [sensitivityY, setSensitivityY] = useState(initialScenario.sensitivityY);
+  const [riskFreeSource, setRiskFreeSource] = useState(
+    initialScenario.riskFreeSource
+  );
+  const [riskFreeRate, setRiskFreeRate] = useState(initialScenario.riskFreeRate);
+  const [varConfidence, setVarConfidence] = useState(
+    initialScenario.varConfidence
+  );
+  const [enableRisk, setEnableRisk] = useState(initialScenario.enableRisk);
+  const [customCrisisTypes, setCustomCrisisTypes] = useState(
+    initialScenario.customCrisisTypes
+  );
+  const [crisisEvents, setCrisisEvents] = useState(
+    initialScenario.crisisEvents
+  );
   const [volatilityLevel, setVolatilityLevel] = useState(
-    defaultVolatilityLevel
+    initialScenario.volatilityLevel
+  );
+  const [randomSeedBase, setRandomSeedBase] = useState(
+    initialScenario.randomSeedBase
   );
-  const [randomSeedBase, setRandomSeedBase] = useState(defaultRandomSeedBase);
   const [enableVolatility, setEnableVolatility] = useState(
-    defaultEnableVolatility
+    initialScenario.enableVolatility
+  );
+  const [returnGenerator, setReturnGenerator] = useState(
+    initialScenario.returnGenerator
+  );
+  const [randomGenerator, setRandomGenerator] = useState(
+    initialScenario.randomGenerator
+  );
+  const [bootstrapBlockLength, setBootstrapBlockLength] = useState(
+    initialScenario.bootstrapBlockLength
+  );
+  const [enableMonteCarlo, setEnableMonteCarlo] = useState(
+    initialScenario.enableMonteCarlo
+  );
+  const [monteCarloPaths, setMonteCarloPaths] = useState(
+    initialScenario.monteCarloPaths
+  );
+  const [cashFlows, setCashFlows] = useState(initialScenario.cashFlows);
+  const [taxes, setTaxes] = useState(initialScenario.taxes);
+  const [assets, setAssets] = useState(initialScenario.assets);
+  const [portfolios, setPortfolios] = useState(initialScenario.portfolios);
+  const [correlations, setCorrelations] = useState(
+    initialScenario.correlations
+  );
+  const [enableBacktest, setEnableBacktest] = useState(
+    initialScenario.enableBacktest
+  );
+  const [backtestStartYear, setBacktestStartYear] = useState(
+    initialScenario.backtestStartYear
   );
-  const [assets, setAssets] = useState(defaultAssets);
   const [selectedPreset, setSelectedPreset] = useState("");
+  const [savedScenarios, setSavedScenarios] = useState(() =>
+    typeof window === "undefined" ? [] : loadSavedScenarios()
+  );
+  const [snapshots, setSnapshots] = useState([]);
   const [isMetricsExpanded, setIsMetricsExpanded] = useState(false);
+  const chartRef = useRef(null);
 
-  const randomFactors = useMemo(() => {
-    let seed = randomSeedBase;
-    const seededRandom = () => {
-      seed = (seed * 16807) % 2147483647;
-      return (seed - 1) / 2147483646;
-    };
-    const normalRandom = () => {
-      const u1 = seededRandom();
-      const u2 = seededRandom();
-      return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    };
-    const factors = {};
-    Object.entries(assets).forEach(([name, asset]) => {
-      if (asset.isBaseline) {
-        factors[name] = Array(years + 1).fill(0);
-      } else {
-        factors[name] = Array(years + 1)
-          .fill(0)
-          .map(() => normalRandom() * asset.volatility * volatilityLevel);
-      }
-    });
-    return factors;
-  }, [randomSeedBase, years, volatilityLevel, assets]);
-
-  const baselineData = useMemo(() => {
-    const data = [];
-    for (let yearIndex = 0; yearIndex <= years; yearIndex++) {
-      const dataPoint = { year: `Year ${yearIndex}` };
-      dataPoint["Baseline (No Scenario)"] = parseFloat(
-        initialAmount.toFixed(2)
-      );
-
-      Object.entries(assets).forEach(([name, asset]) => {
-        if (asset.isBaseline) return;
-        let value = initialAmount;
-        for (let y = 1; y <= yearIndex; y++) {
-          value *= 1 + asset.return / 100;
-        }
-        dataPoint[name] = parseFloat(value.toFixed(2));
-      });
-      data.push(dataPoint);
-    }
-    return data;
-  }, [initialAmount, years, assets]);
-
-  const scenarioData = useMemo(() => {
-    const scenario = JSON.parse(JSON.stringify(baselineData));
-    const combinedAnnualDrag = (annualFees + inflationRate) / 100;
-
-    // First apply inflation and fees to all scenarios
-    for (let yearIndex = 1; yearIndex <= years; yearIndex++) {
-      Object.entries(assets).forEach(([name, asset]) => {
-        if (asset.isBaseline) return;
-        scenario[yearIndex][name] = scenario[yearIndex][name] / Math.pow(1 + combinedAnnualDrag, yearIndex);
-      });
-    }
+  const scenario = useMemo(
+    () => ({
+      assets,
+      initialAmount,
+      years,
+      annualFees,
+      inflationRate,
+      inflationModel,
+      inflationVolatility,
+      inflationCrisisLink,
+      valueMode,
+      enableRisk,
+      crisisEvents,
+      customCrisisTypes,
+      enableVolatility,
+      volatilityLevel,
+      randomSeedBase,
+      correlations,
+      returnGenerator,
+      randomGenerator,
+      bootstrapBlockLength,
+      enableMonteCarlo,
+      monteCarloPaths,
+      cashFlows,
+      portfolios,
+      taxes,
+      enableBacktest,
+      backtestStartYear: clampBacktestStartYear(backtestStartYear, years),
+      timeStep,
+      startDate,
+      enableRetirement,
+      retirementWithdrawalRate,
+      retirementTargetSuccess,
+      enableGoals,
+      goalAmount,
+      goalYear,
+      goalSolveFor,
+      enableSensitivity,
+      sensitivityMetric,
+      sensitivitySeries,
+      sensitivityX,
+      sensitivityY,
+      riskFreeSource,
+      riskFreeRate,
+      varConfidence,
+    }),
+    [
+      assets,
+      initialAmount,
+      years,
+      annualFees,
+      inflationRate,
+      inflationModel,
+      inflationVolatility,
+      inflationCrisisLink,
+      valueMode,
+      enableRisk,
+      crisisEvents,
+      customCrisisTypes,
+      enableVolatility,
+      volatilityLevel,
+      randomSeedBase,
+      correlations,
+      returnGenerator,
+      randomGenerator,
+      bootstrapBlockLength,
+      enableMonteCarlo,
+      monteCarloPaths,
+      cashFlows,
+      portfolios,
+      taxes,
+      enableBacktest,
+      backtestStartYear,
+      timeStep,
+      startDate,
+      enableRetirement,
+      retirementWithdrawalRate,
+      retirementTargetSuccess,
+      enableGoals,
+      goalAmount,
+      goalYear,
+      goalSolveFor,
+      enableSensitivity,
+      sensitivityMetric,
+      sensitivitySeries,
+      sensitivityX,
+      sensitivityY,
+      riskFreeSource,
+      riskFreeRate,
+      varConfidence,
+    ]
+  );
 
-    if (enableRisk && crisisType !== "NONE") {
-      Object.entries(assets).forEach(([name, asset]) => {
-        if (asset.isBaseline) return;
-        
-        // Apply crisis sensitivity to drawdown impact
-        const crisisSensitivity = asset.crisisSensitivity || 1;
-        const drawdownImpactDecimal = (drawdown / 100) * asset.drawdownImpact * crisisSensitivity;
-
-        // More conservative permanent damage based on crisis severity and asset sensitivity
-        const permanentDamageRatio = (() => {
-          const baseDamage = drawdownImpactDecimal * 0.4; // 40% of drawdown becomes permanent
-          const sensitivityAdjustedDamage = baseDamage * crisisSensitivity;
-          
-          switch (crisisType) {
-            case "RISK_OFF":
-              return 0.90 - sensitivityAdjustedDamage; // Risk-off crises have 90% recovery potential
-            case "RISING_RATES":
-              // Adjust impact based on asset type (e.g., bonds are more sensitive to rates)
-              const ratesSensitivity = crisisType === "RISING_RATES" ? Math.min(1.5 * crisisSensitivity, 1) : crisisSensitivity;
-              return 0.85 - sensitivityAdjustedDamage * ratesSensitivity;
-            default:
-              return 0.95 - sensitivityAdjustedDamage;
-          }
-        })();
-
-        // Apply initial drawdown
-        if (years >= 1) {
-          const year1Value = scenario[1][name];
-          scenario[1][name] = year1Value * (1 - drawdownImpactDecimal);
-        }
-
-        // Calculate reduced growth rate for post-crisis years
-        const originalReturn = asset.return;
-        const reducedReturn = originalReturn * permanentDamageRatio;
-
-        for (let y = 2; y <= years; y++) {
-          const yearValueNoCrisisAdjusted = baselineData[y][name] / Math.pow(1 + combinedAnnualDrag, y);
-          const recoveryTarget = yearValueNoCrisisAdjusted * permanentDamageRatio;
-          const drawdownValue = scenario[1][name];
-
-          if (y <= recoveryYears + 1) {
-            // During recovery period
-            const progress = (y - 1) / recoveryYears;
-            const exponent = recoveryType === "V_SHAPED" 
-              ? 0.5  // Faster initial recovery
-              : recoveryType === "U_SHAPED" 
-                ? 1.5 // Slower initial recovery
-                : 3;  // Very slow initial recovery for L-shaped
-            const recoveryFactor = Math.pow(progress, exponent);
-            
-            // Calculate recovery value but ensure it doesn't exceed the damage-adjusted target
-            scenario[y][name] = Math.min(
-              drawdownValue + (recoveryTarget - drawdownValue) * recoveryFactor,
-              recoveryTarget
-            );
-          } else {
-            // Post-recovery period: grow at reduced rate
-            scenario[y][name] = scenario[y-1][name] * (1 + reducedReturn / 100);
-            // Cap growth to never exceed the permanent damage adjusted target
-            if (scenario[y][name] > recoveryTarget) {
-              scenario[y][name] = recoveryTarget;
-            }
-          }
-        }
-      });
-    }
+  // In backtest mode the parametric model runs alongside for comparison
+  // (`modelData`).
+  const {
+    scenarioData,
+    modelData,
+    monteCarloData,
+    riskData,
+    retirementData,
+    goalData,
+    sensitivityData,
+    resultScenario,
+    running,
+    progress,
+    error: runError,
+    cancelled,
+    cancel,
+  } = useSimulationResults(scenario);
 
-    // Apply volatility after all other calculations
-    if (enableVolatility) {
-      for (let yearIndex = 1; yearIndex <= years; yearIndex++) {
-        Object.entries(assets).forEach(([name, asset]) => {
-          if (asset.isBaseline) return;
-          scenario[yearIndex][name] = parseFloat(
-            (
-              scenario[yearIndex][name] *
-              (1 + randomFactors[name][yearIndex])
-            ).toFixed(2)
-          );
-        });
-      }
-    }
+  // Series of the results on screen, which may trail the controls while a
+  // new run is computing.
+  const chartSeries = useMemo(
+    () => withPortfolioAssets(resultScenario),
+    [resultScenario]
+  );
 
-    const summaryMetrics = {};
-    Object.entries(assets).forEach(([name, asset]) => {
-      if (asset.isBaseline) return;
-      const startValue = scenario[0][name];
-      const endValue = scenario[years][name];
-      const cagr = (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
-      
-      const returns = [];
-      for (let y = 1; y <= years; y++) {
-        const yearReturn = (scenario[y][name] - scenario[y-1][name]) / scenario[y-1][name];
-        returns.push(yearReturn);
-      }
-      const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
-      const variance = returns.reduce((a, b) => a + Math.pow(b - meanReturn, 2), 0) / returns.length;
-      const volatility = Math.sqrt(variance) * 100;
-
-      let maxDrawdown = 0;
-      let peak = startValue;
-      for (let y = 1; y <= years; y++) {
-        const currentValue = scenario[y][name];
-        if (currentValue > peak) {
-          peak = currentValue;
-        }
-        const drawdown = (peak - currentValue) / peak * 100;
-        maxDrawdown = Math.max(maxDrawdown, drawdown);
-      }
-
-      summaryMetrics[name] = {
-        cagr: parseFloat(cagr.toFixed(2)),
-        volatility: parseFloat(volatility.toFixed(2)),
-        maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
-      };
-    });
+  const isMonteCarlo = isMonteCarloScenario(scenario);
 
-    return { data: scenario, metrics: summaryMetrics };
-  }, [
-    baselineData,
-    enableRisk,
-    crisisType,
-    drawdown,
-    recoveryYears,
-    recoveryType,
-    enableVolatility,
-    randomFactors,
-    years,
-    assets,
-    annualFees,
-    inflationRate,
-    ...Object.values(assets).map(asset => asset.drawdownImpact),
-    ...Object.values(assets).map(asset => asset.return),
-    ...Object.values(assets).map(asset => asset.volatility),
-  ]);
-
-  const formatCurrency = (value) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-      maximumFractionDigits: 0,
-    }).format(value);
-  };
+  const applyScenario = useCallback((loaded) => {
+    setAnnualFees(loaded.annualFees);
+    setInflationRate(loaded.inflationRate);
+    setInflationModel(loaded.inflationModel);
+    setInflationVolatility(loaded.inflationVolatility);
+    setInflationCrisisLink(loaded.inflationCrisisLink);
+    setValueMode(loaded.valueMode);
+    setInitialAmount(loaded.initialAmount);
+    setYears(loaded.years);
+    setEnableRisk(loaded.enableRisk);
+    setCrisisEvents(loaded.crisisEvents);
+    setCustomCrisisTypes(loaded.customCrisisTypes);
+    setVolatilityLevel(loaded.volatilityLevel);
+    setRandomSeedBase(loaded.randomSeedBase);
+    setEnableVolatility(loaded.enableVolatility);
+    setReturnGenerator(loaded.returnGenerator);
+    setRandomGenerator(loaded.randomGenerator);
+    setBootstrapBlockLength(loaded.bootstrapBlockLength);
+    setEnableMonteCarlo(loaded.enableMonteCarlo);
+    setMonteCarloPaths(loaded.monteCarloPaths);
+    setCashFlows(loaded.cashFlows);
+    setTaxes(loaded.taxes);
+    setAssets(loaded.assets);
+    setPortfolios(loaded.portfolios);
+    setCorrelations(loaded.correlations);
+    setEnableBacktest(loaded.enableBacktest);
+    setBacktestStartYear(loaded.backtestStartYear);
+    setTimeStep(loaded.timeStep);
+    setStartDate(loaded.startDate);
+    setEnableRetirement(loaded.enableRetirement);
+    setRetirementWithdrawalRate(loaded.retirementWithdrawalRate);
+    setRetirementTargetSuccess(loaded.retirementTargetSuccess);
+    setEnableGoals(loaded.enableGoals);
+    setGoalAmount(loaded.goalAmount);
+    setGoalYear(loaded.goalYear);
+    setGoalSolveFor(loaded.goalSolveFor);
+    setEnableSensitivity(loaded.enableSensitivity);
+    setSensitivityMetric(loaded.sensitivityMetric);
+    setSensitivitySeries(loaded.sensitivitySeries);
+    setSensitivityX(loaded.sensitivityX);
+    setSensitivityY(loaded.sensitivityY);
+    setRiskFreeSource(loaded.riskFreeSource);
+    setRiskFreeRate(loaded.riskFreeRate);
+    setVarConfidence(loaded.varConfidence);
+    setSelectedPreset("");
+  }, []);
 
   const resetParameters = useCallback(() => {
-    setInitialAmount(defaultInitialAmount);
-    setYears(defaultYears);
-    setEnableRisk(defaultEnableRisk);
-    setCrisisType(defaultCrisisType);
-    setDrawdown(defaultDrawdown);
-    setRecoveryYears(defaultRecoveryYears);
-    setRecoveryType(defaultRecoveryType);
-    setVolatilityLevel(defaultVolatilityLevel);
-    setRandomSeedBase(defaultRandomSeedBase);
-    setEnableVolatility(defaultEnableVolatility);
+    setInitialAmount(defaultParameters.initialAmount);
+    setYears(defaultParameters.years);
+    setAnnualFees(defaultParameters.annualFees);
+    setInflationRate(defaultParameters.inflationRate);
+    setValueMode(defaultParameters.valueMode);
+    setInflationModel(defaultParameters.inflationModel);
+    setInflationVolatility(defaultParameters.inflationVolatility);
+    setInflationCrisisLink(defaultParameters.inflationCrisisLink);
+    setEnableRisk(defaultParameters.enableRisk);
+    setCrisisEvents(defaultParameters.crisisEvents);
+    setCustomCrisisTypes(defaultParameters.customCrisisTypes);
+    setVolatilityLevel(defaultParameters.volatilityLevel);
+    setRandomSeedBase(defaultParameters.randomSeedBase);
+    setEnableVolatility(defaultParameters.enableVolatility);
+    setReturnGenerator(defaultParameters.returnGenerator);
+    setRandomGenerator(defaultParameters.randomGenerator);
+    setBootstrapBlockLength(defaultParameters.bootstrapBlockLength);
+    setEnableMonteCarlo(defaultParameters.enableMonteCarlo);
+    setMonteCarloPaths(defaultParameters.monteCarloPaths);
+    setCashFlows(defaultParameters.cashFlows);
+    setTaxes(defaultParameters.taxes);
     setAssets(defaultAssets);
+    setPortfolios(defaultParameters.portfolios);
+    setCorrelations(defaultParameters.correlations);
+    setEnableBacktest(defaultParameters.enableBacktest);
+    setBacktestStartYear(defaultParameters.backtestStartYear);
+    setTimeStep(defaultParameters.timeStep);
+    setStartDate(defaultParameters.startDate);
+    setEnableRetirement(defaultParameters.enableRetirement);
+    setRetirementWithdrawalRate(defaultParameters.retirementWithdrawalRate);
+    setRetirementTargetSuccess(defaultParameters.retirementTargetSuccess);
+    setEnableGoals(defaultParameters.enableGoals);
+    setGoalAmount(defaultParameters.goalAmount);
+    setGoalYear(defaultParameters.goalYear);
+    setGoalSolveFor(defaultParameters.goalSolveFor);
+    setEnableSensitivity(defaultParameters.enableSensitivity);
+    setSensitivityMetric(defaultParameters.sensitivityMetric);
+    setSensitivitySeries(defaultParameters.sensitivitySeries);
+    setSensitivityX(defaultParameters.sensitivityX);
+    setSensitivityY(defaultParameters.sensitivityY);
+    setRiskFreeSource(defaultParameters.riskFreeSource);
+    setRiskFreeRate(defaultParameters.riskFreeRate);
+    setVarConfidence(defaultParameters.varConfidence);
     setSelectedPreset("");
   }, []);
 
+  const handleCashFlowChange = (field, value) => {
+    setCashFlows((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleTaxChange = (field, value) => {
+    setTaxes((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleRiskMetricsChange = (field, value) => {
+    if (field === "riskFreeSource") setRiskFreeSource(value);
+    if (field === "riskFreeRate") setRiskFreeRate(value);
+    if (field === "varConfidence") setVarConfidence(value);
+  };
+
+  const handleRetirementChange = (field, value) => {
+    if (field === "retirementWithdrawalRate") setRetirementWithdrawalRate(value);
+    if (field === "retirementTargetSuccess") setRetirementTargetSuccess(value);
+  };
+
+  const handleGoalChange = (field, value) => {
+    if (field === "goalAmount") setGoalAmount(value);
+    if (field === "goalYear") setGoalYear(value);
+    if (field === "goalSolveFor") setGoalSolveFor(value);
+  };
+
+  const handleSensitivityChange = (field, value) => {
+    if (field === "sensitivityMetric") setSensitivityMetric(value);
+    if (field === "sensitivitySeries") setSensitivitySeries(value);
+    if (field === "sensitivityX") setSensitivityX(value);
+    if (field === "sensitivityY") setSensitivityY(value);
+  };
+
+  // Events of a removed custom type are switched off rather than silently
+  // falling back to a generic crisis.
+  const handleCrisisTypesChange = (next) => {
+    setCustomCrisisTypes(next);
+    setCrisisEvents((prev) =>
+      prev.map((event) =>
+        event.crisisType in crisisTypes ||
+        event.crisisType === "NONE" ||
+        next.some((type) => type.id === event.crisisType)
+          ? event
+          : { ...event, crisisType: "NONE" }
+      )
+    );
+  };
+
   const handleAssetChange = (name, field, value) => {
     setAssets((prev) => {
       const updated = { ...prev };
@@ -372,8 +676,32 @@ const InvestmentGrowthCalculator = () => {
     });
   };
 
+  const handleRenameAsset = (name, newName) => {
+    // Own entries only, in their order: names may shadow object properties
+    setAssets((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([key, asset]) => [key === name ? newName : key, asset])
+      )
+    );
+    setCorrelations((prev) => renameInCorrelations(prev, name, newName));
+    setPortfolios((prev) =>
+      prev.map((portfolio) => {
+        if (!Object.hasOwn(portfolio.weights, name)) return portfolio;
+        const { [name]: weight, ...weights } = portfolio.weights;
+        return {
+          ...portfolio,
+          weights: { ...weights, [newName]: weight },
+        };
+      })
+    );
+  };
+
   const handleAddAsset = () => {
-    const newName = `New Asset ${Object.keys(assets).length}`;
+    let index = Object.keys(assets).length;
+    while (validateAssetName(`New Asset ${index}`, assets, null, portfolios)) {
+      index += 1;
+    }
+    const newName = `New Asset ${index}`;
     setAssets((prev) => ({
       ...prev,
       [newName]: {
@@ -383,10 +711,19 @@ const InvestmentGrowthCalculator = () => {
         color: "#999999",
         isBaseline: false,
         crisisSensitivity: 1.0,
+        yield: 0,
+        taxTreatment: "QUALIFIED",
+        assetClass: "EQUITY",
       },
     }));
   };
 
+  // Catalog entries and imported libraries, already checked against the
+  // asset and portfolio names by `AssetLibrary`.
+  const handleAddAssets = (added) => {
+    setAssets((prev) => ({ ...prev, ...added }));
+  };
+
   const handleRemoveAsset = (name) => {
     if (assets[name].isBaseline) return;
     const updated = { ...assets };
@@ -394,61 +731,38 @@ const InvestmentGrowthCalculator = () => {
     setAssets(updated);
   };
 
-  const scenarioPresets = {
-    "Nada": {
-      enableRisk: false,
-      crisisType: "NONE",
-      drawdown: 0,
-      recoveryYears: 1,
-      recoveryType: "V_SHAPED",
-      enableVolatility: false,
-      volatilityLevel: 1,
-    },
-    "Mild Recession": {
-      enableRisk: true,
-      crisisType: "RISK_OFF",
-      drawdown: 20,
-      recoveryYears: 2,
-      recoveryType: "V_SHAPED",
-      enableVolatility: true,
-      volatilityLevel: 1,
-    },
-    "Severe Crisis": {
-      enableRisk: true,
-      crisisType: "RISK_OFF",
-      drawdown: 40,
-      recoveryYears: 4,
-      recoveryType: "U_SHAPED",
-      enableVolatility: true,
-      volatilityLevel: 1.5,
-    },
-    "Rising Rates Shock": {
-      enableRisk: true,
-      crisisType: "RISING_RATES",
-      drawdown: 25,
-      recoveryYears: 3,
-      recoveryType: "L_SHAPED",
-      enableVolatility: true,
-      volatilityLevel: 1.2,
-    },
-    "Steady Growth": {
-      enableRisk: false,
-      crisisType: "NONE",
-      drawdown: 0,
-      recoveryYears: 1,
-      recoveryType: "V_SHAPED",
-      enableVolatility: false,
-      volatilityLevel: 1,
-    },
+  // Pinned runs keep the scenario and results they were computed with, so
+  // they survive switching presets.
+  const pinSnapshot = (name) => {
+    if (!scenarioData) return;
+    setSnapshots((current) => [
+      ...current,
+      createSnapshot(
+        uniqueSnapshotName(name, current),
+        resultScenario,
+        scenarioData,
+        chartSeries
+      ),
+    ]);
+  };
+
+  const removeSnapshot = (name) => {
+    setSnapshots((current) =>
+      current.filter((snapshot) => snapshot.name !== name)
+    );
   };
 
   const applyScenarioPreset = (presetName) => {
+    if (presetName.startsWith(SAVED_PRESET_PREFIX)) {
+      const name = presetName.slice(SAVED_PRESET_PREFIX.length);
+      const saved = savedScenarios.find((entry) => entry.name === name);
+      applyScenario(saved.scenario);
+      setSelectedPreset(presetName);
+      return;
+    }
     const preset = scenarioPresets[presetName];
     setEnableRisk(preset.enableRisk);
-    setCrisisType(preset.crisisType);
-    setDrawdown(preset.drawdown);
-    setRecoveryYears(preset.recoveryYears);
-    setRecoveryType(preset.recoveryType);
+    setCrisisEvents(preset.crisisEvents);
     setEnableVolatility(preset.enableVolatility);
     setVolatilityLevel(preset.volatilityLevel);
     setSelectedPreset(presetName);
@@ -461,53 +775,217 @@ const InvestmentGrowthCalculator = () => {
       </CardHeader>
       <CardContent>
         <div className="grid gap-6">
-          <div className="h-96">
-            <ResponsiveContainer>
-              <LineChart
-                data={scenarioData.data}
-                margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+          <div className="flex items-center justify-end gap-2">
+            <RunStatus
+              running={running}
+              progress={progress}
+              error={runError}
+              cancelled={cancelled}
+              hasResults={scenarioData !== null}
+              onCancel={cancel}
+            />
+            {Object.entries(valueModes).map(([mode, label]) => (
+              <Button
+                key={mode}
+                variant={valueMode === mode ? undefined : "outline"}
+                onClick={() => setValueMode(mode)}
               >
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis dataKey="year" />
-                <YAxis tickFormatter={formatCurrency} />
-                <Tooltip formatter={(value) => formatCurrency(value)} />
-                <Legend />
-                {Object.entries(assets).map(([name, asset]) => (
-                  <Line
-                    key={name}
-                    type="monotone"
-                    dataKey={name}
-                    stroke={asset.color}
-                    dot={false}
-                    strokeWidth={name === "Baseline (No Scenario)" ? 3 : 2}
-                    strokeDasharray={asset.isBaseline ? "5 5" : "0"}
-                  />
-                ))}
-              </LineChart>
-            </ResponsiveContainer>
+                {label}
+              </Button>
+            ))}
+          </div>
+
+          <div className="h-96" ref={chartRef}>
+            {!scenarioData ? (
+              <div className="h-full flex items-center justify-center text-sm text-gray-500">
+                {running ? "Calculating…" : "No results yet."}
+              </div>
+            ) : monteCarloData ? (
+              <FanChart data={monteCarloData.data} assets={chartSeries} />
+            ) : (
+              <ResponsiveContainer>
+                <LineChart
+                  data={scenarioData.data}
+                  margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="year" />
+                  <YAxis tickFormatter={formatCurrency} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  {Object.entries(chartSeries).map(([name, asset]) => (
+                    <Line
+                      key={name}
+                      type="monotone"
+                      dataKey={name}
+                      stroke={asset.color}
+                      dot={false}
+                      strokeWidth={
+                        name === "Baseline (No Scenario)" || asset.isPortfolio
+                          ? 3
+                          : 2
+                      }
+                      strokeDasharray={asset.isBaseline ? "5 5" : "0"}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          {scenarioData && (
+            <>
+              <ResultsExport
+                chartRef={chartRef}
+                data={(monteCarloData || scenarioData).data}
+                metrics={(monteCarloData || scenarioData).metrics}
+                series={chartSeries}
+                scenario={resultScenario}
+              />
+
+              <AnalysisCharts
+                data={scenarioData.investmentData || scenarioData.data}
+                metrics={scenarioData.metrics}
+                series={chartSeries}
+                years={resultScenario.years}
+              />
+            </>
+          )}
+          {monteCarloData && (
+            <p className="text-sm text-gray-600">
+              These charts show the single scenario path, not the Monte Carlo
+              paths.
+            </p>
+          )}
+
+          <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+            <Label className="font-semibold">Scenario Comparison</Label>
+            <ScenarioComparison
+              snapshots={snapshots}
+              defaultName={
+                (selectedPreset.startsWith(SAVED_PRESET_PREFIX)
+                  ? selectedPreset.slice(SAVED_PRESET_PREFIX.length)
+                  : selectedPreset) || `Snapshot ${snapshots.length + 1}`
+              }
+              onPin={pinSnapshot}
+              onRemove={removeSnapshot}
+            />
           </div>
 
           <div className="grid grid-cols-2 gap-4 items-end">
             <div>
               <Label>Initial Investment</Label>
-              <Input
+              <ValidatedInput
                 type="number"
                 value={initialAmount}
-                onChange={(e) =>
-                  setInitialAmount(Math.max(0, Number(e.target.value)))
+                validate={(value) =>
+                  validateNumber(value, parameterLimits.initialAmount)
                 }
+                onCommit={setInitialAmount}
               />
             </div>
             <div>
               <Label>Years</Label>
-              <Input
+              <ValidatedInput
                 type="number"
                 value={years}
-                onChange={(e) =>
-                  setYears(Math.max(1, Math.min(30, Number(e.target.value))))
-                }
+                validate={(value) => validateNumber(value, parameterLimits.years)}
+                onCommit={setYears}
+              />
+            </div>
+            <div>
+              <Label>Time Step</Label>
+              <Select value={timeStep} onValueChange={setTimeStep}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(timeSteps).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Start Date</Label>
+              <Input
+                type="month"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+              />
+            </div>
+          </div>
+          {timeStep === "MONTHLY" && (
+            <p className="text-sm text-gray-600">
+              {enableBacktest
+                ? "Backtests run yearly because the bundled history is annual."
+                : "Returns, fees and inflation are compounded monthly, crises hit in the middle of their year and metrics are computed on the monthly series."}
+            </p>
+          )}
+
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <CashFlowControls
+              cashFlows={cashFlows}
+              years={years}
+              onChange={handleCashFlowChange}
+            />
+          </div>
+
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <TaxControls taxes={taxes} onChange={handleTaxChange} />
+          </div>
+
+          <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+            <div className="flex items-center justify-between">
+              <Label className="font-semibold">Retirement Planner</Label>
+              <Switch
+                checked={enableRetirement}
+                onCheckedChange={setEnableRetirement}
+              />
+            </div>
+            {enableRetirement && (
+              <RetirementPlanner
+                analysis={retirementData}
+                series={chartSeries}
+                withdrawalRate={retirementWithdrawalRate}
+                targetSuccess={retirementTargetSuccess}
+                years={years}
+                onChange={handleRetirementChange}
+              />
+            )}
+          </div>
+
+          <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+            <div className="flex items-center justify-between">
+              <Label className="font-semibold">Goal Planner</Label>
+              <Switch checked={enableGoals} onCheckedChange={setEnableGoals} />
+            </div>
+            {enableGoals && (
+              <GoalPlanner
+                analysis={goalData}
+                scenario={scenario}
+                onChange={handleGoalChange}
+              />
+            )}
+          </div>
+
+          <div className="p-4 bg-gray-50 rounded-lg space-y-4">
+            <div className="flex items-center justify-between">
+              <Label className="font-semibold">Sensitivity Analysis</Label>
+              <Switch
+                checked={enableSensitivity}
+                onCheckedChange={setEnableSensitivity}
               />
             </div>
+            {enableSensitivity && (
+              <SensitivityAnalysis
+                analysis={sensitivityData}
+                scenario={scenario}
+                onChange={handleSensitivityChange}
+              />
+            )}
           </div>
 
           <div className="p-4 bg-gray-50 rounded-lg space-y-4">
@@ -526,13 +1004,37 @@ const InvestmentGrowthCalculator = () => {
                       {preset}
                     </SelectItem>
                   ))}
+                  {savedScenarios.map(({ name }) => (
+                    <SelectItem
+                      key={name}
+                      value={`${SAVED_PRESET_PREFIX}${name}`}
+                    >
+                      {`Saved: ${name}`}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
 
+            <ScenarioManager
+              scenario={scenario}
+              savedScenarios={savedScenarios}
+              selectedSavedName={
+                selectedPreset.startsWith(SAVED_PRESET_PREFIX)
+                  ? selectedPreset.slice(SAVED_PRESET_PREFIX.length)
+                  : null
+              }
+              onSavedScenariosChange={(updated) => {
+                setSavedScenarios(updated);
+                setSelectedPreset("");
+              }}
+              onLoad={applyScenario}
+              initialError={initialLoad.error}
+            />
+
             <div>
               <div className="flex justify-between">
-                <Label>Annual Fees</Label>
+                <Label>Annual Fees (% of assets)</Label>
                 <span>{annualFees.toFixed(2)}%</span>
               </div>
               <Slider
@@ -558,6 +1060,103 @@ const InvestmentGrowthCalculator = () => {
               />
             </div>
 
+            {!enableBacktest && (
+              <div className="flex items-center justify-between">
+                <Label>Stochastic Inflation</Label>
+                <Switch
+                  checked={inflationModel === "STOCHASTIC"}
+                  onCheckedChange={(checked) =>
+                    setInflationModel(checked ? "STOCHASTIC" : "CONSTANT")
+                  }
+                />
+              </div>
+            )}
+            {!enableBacktest && inflationModel === "STOCHASTIC" && (
+              <div className="space-y-4">
+                <div>
+                  <div className="flex justify-between">
+                    <Label>Inflation Volatility</Label>
+                    <span>{inflationVolatility.toFixed(1)}%</span>
+                  </div>
+                  <Slider
+                    value={[inflationVolatility]}
+                    min={0}
+                    max={5}
+                    step={0.5}
+                    onValueChange={(v) => setInflationVolatility(v[0])}
+                  />
+                </div>
+                <div>
+                  <div className="flex justify-between">
+                    <Label>Rising Rates Inflation Link</Label>
+                    <span>{inflationCrisisLink.toFixed(2)}</span>
+                  </div>
+                  <Slider
+                    value={[inflationCrisisLink]}
+                    min={0}
+                    max={0.5}
+                    step={0.05}
+                    onValueChange={(v) => setInflationCrisisLink(v[0])}
+                  />
+                </div>
+                <p className="text-sm text-gray-600">
+                  Inflation is drawn each year around the rate above with the
+                  same seed as the random shocks. Rising-rates crises add{" "}
+                  {inflationCrisisLink.toFixed(2)} points of inflation per 1%
+                  of drawdown in their year and half of that the year after.
+                </p>
+              </div>
+            )}
+
+            <div className="flex items-center justify-between">
+              <Label>Historical Backtest</Label>
+              <Switch
+                checked={enableBacktest}
+                onCheckedChange={setEnableBacktest}
+              />
+            </div>
+            {enableBacktest && (
+              <div className="space-y-2">
+                <div className="flex items-end gap-4">
+                  <div className="w-32">
+                    <Label>Start Year</Label>
+                    <Input
+                      type="number"
+                      value={scenario.backtestStartYear}
+                      min={HISTORY_FIRST_YEAR}
+                      max={HISTORY_LAST_YEAR - years + 1}
+                      onChange={(e) =>
+                        setBacktestStartYear(
+                          clampBacktestStartYear(Number(e.target.value), years)
+                        )
+                      }
+                    />
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {historicalEpisodes.map((episode) => (
+                      <Button
+                        key={episode.name}
+                        variant="outline"
+                        onClick={() => {
+                          setBacktestStartYear(episode.startYear);
+                          setYears(episode.years);
+                        }}
+                      >
+                        {episode.name} ({episode.startYear})
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+                <p className="text-sm text-gray-600">
+                  Replays actual annual returns from {HISTORY_FIRST_YEAR}–
+                  {HISTORY_LAST_YEAR} bundled with the app (rounded, with index
+                  proxies before each fund existed), net of actual inflation.
+                  The crisis and volatility settings below drive the model
+                  column of the History vs. Model comparison.
+                </p>
+              </div>
+            )}
+
             <div className="flex items-center justify-between">
               <Label>Enable Risk Scenario</Label>
               <Switch checked={enableRisk} onCheckedChange={setEnableRisk} />
@@ -566,29 +1165,13 @@ const InvestmentGrowthCalculator = () => {
             {enableRisk && (
               <div className="space-y-4">
                 <div className="flex justify-between items-center gap-4">
-                  <div className="flex-1">
-                    <Label>Crisis Type</Label>
-                    <Select value={crisisType} onValueChange={setCrisisType}>
-                      <SelectTrigger>
-                        <SelectValue />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="NONE">None</SelectItem>
-                        <SelectItem value="RISK_OFF">
-                          Risk-Off Crisis
-                        </SelectItem>
-                        <SelectItem value="RISING_RATES">
-                          Rising Rates Crisis
-                        </SelectItem>
-                      </SelectContent>
-                    </Select>
-                  </div>
+                  <Label className="flex-1">Crisis Events</Label>
                   <div className="relative group h-[40px] flex items-end">
                     <Button
                       variant="outline"
                       className="whitespace-nowrap"
                       onClick={() =>
-                        setRandomSeedBase(Math.floor(Math.random() * 1000000))
+                        setRandomSeedBase(1 + Math.floor(Math.random() * 1000000))
                       }
                     >
                       Random Seed
@@ -600,54 +1183,24 @@ const InvestmentGrowthCalculator = () => {
                   </div>
                 </div>
 
-                {crisisType !== "NONE" && (
-                  <div className="space-y-4">
-                    <div>
-                      <div className="flex justify-between">
-                        <Label>Market Drawdown</Label>
-                        <span>{drawdown}%</span>
-                      </div>
-                      <Slider
-                        value={[drawdown]}
-                        min={0}
-                        max={50}
-                        step={1}
-                        onValueChange={(v) => setDrawdown(v[0])}
-                      />
-                    </div>
+                <CrisisEventsEditor
+                  crisisEvents={crisisEvents}
+                  customCrisisTypes={customCrisisTypes}
+                  years={years}
+                  onChange={setCrisisEvents}
+                />
 
-                    <div>
-                      <Label>Recovery Pattern</Label>
-                      <Select
-                        value={recoveryType}
-                        onValueChange={setRecoveryType}
-                      >
-                        <SelectTrigger>
-                          <SelectValue />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="V_SHAPED">V-Shaped</SelectItem>
-                          <SelectItem value="U_SHAPED">U-Shaped</SelectItem>
-                          <SelectItem value="L_SHAPED">L-Shaped</SelectItem>
-                        </SelectContent>
-                      </Select>
-                    </div>
+                <Label>Custom Crisis Types</Label>
+                <CrisisTypesEditor
+                  customCrisisTypes={customCrisisTypes}
+                  onChange={handleCrisisTypesChange}
+                />
 
-                    <div>
-                      <div className="flex justify-between">
-                        <Label>Recovery Period</Label>
-                        <span>{recoveryYears} years</span>
-                      </div>
-                      <Slider
-                        value={[recoveryYears]}
-                        min={1}
-                        max={years}
-                        step={0.5}
-                        onValueChange={(v) => setRecoveryYears(v[0])}
-                      />
-                    </div>
-                  </div>
-                )}
+                <CrisisResponsesEditor
+                  assets={assets}
+                  customCrisisTypes={customCrisisTypes}
+                  onChange={handleAssetChange}
+                />
               </div>
             )}
 
@@ -673,6 +1226,92 @@ const InvestmentGrowthCalculator = () => {
                 />
               </div>
             )}
+            {enableVolatility && (
+              <div className="space-y-4">
+                <div className="flex justify-between items-center gap-4">
+                  <Label className="w-36">Random Shocks</Label>
+                  <Select
+                    value={returnGenerator}
+                    onValueChange={setReturnGenerator}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(returnGenerators).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="flex justify-between items-center gap-4">
+                  <Label className="w-36">Random Generator</Label>
+                  <Select
+                    value={randomGenerator}
+                    onValueChange={setRandomGenerator}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(randomGenerators).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>
+                          {label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {isReturnModel(returnGenerator) && (
+                  <ReturnModelEditor
+                    model={returnGenerator}
+                    assets={assets}
+                    onChange={handleAssetChange}
+                  />
+                )}
+                {returnGenerator === "BLOCK_BOOTSTRAP" && (
+                  <div>
+                    <div className="flex justify-between">
+                      <Label>Block Length</Label>
+                      <span>{bootstrapBlockLength} years</span>
+                    </div>
+                    <Slider
+                      value={[bootstrapBlockLength]}
+                      min={2}
+                      max={10}
+                      step={1}
+                      onValueChange={(v) => setBootstrapBlockLength(v[0])}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+            {enableVolatility && (
+              <div className="flex items-center justify-between">
+                <Label>Monte Carlo Mode</Label>
+                <Switch
+                  checked={enableMonteCarlo}
+                  onCheckedChange={setEnableMonteCarlo}
+                />
+              </div>
+            )}
+            {isMonteCarlo && (
+              <div>
+                <div className="flex justify-between">
+                  <Label>Simulated Paths</Label>
+                  <span>{monteCarloPaths}</span>
+                </div>
+                <Slider
+                  value={[monteCarloPaths]}
+                  min={100}
+                  max={5000}
+                  step={100}
+                  onValueChange={(v) => setMonteCarloPaths(v[0])}
+                />
+              </div>
+            )}
 
             <Button variant="outline" onClick={resetParameters}>
               Reset
@@ -730,20 +1369,159 @@ const InvestmentGrowthCalculator = () => {
                         It's crucial for understanding your true risk capacity.
                       </p>
                     </div>
+                    <div>
+                      <h4 className="font-medium">IRR (Money-Weighted Return)</h4>
+                      <p className="text-sm text-gray-600 mt-1">
+                        When contributions or withdrawals are set, CAGR is replaced by the internal rate of return:
+                        the single yearly rate at which every dollar you put in, every dollar you took out and the ending value balance out.
+                      </p>
+                      <p className="text-sm text-blue-600 mt-2">
+                        <strong>How does this help:</strong> With regular savings or withdrawals, the timing of returns matters.
+                        A crash just before a large contribution hurts less than one just after it, and IRR reflects that.
+                      </p>
+                    </div>
+                    <div>
+                      <h4 className="font-medium">Monte Carlo Distribution</h4>
+                      <p className="text-sm text-gray-600 mt-1">
+                        In Monte Carlo mode each asset is simulated along hundreds or thousands of seeded random paths.
+                        Metrics are reported as the median across paths, the CAGR range between the 5th and 95th percentile paths,
+                        and the share of paths that end below the initial investment.
+                      </p>
+                      <p className="text-sm text-blue-600 mt-2">
+                        <strong>How does this help:</strong> A single random path can be unusually lucky or unlucky.
+                        The distribution shows the range of plausible outcomes and how likely a loss really is.
+                      </p>
+                    </div>
                   </div>
                 </div>
               </div>
             </div>
-            {isMetricsExpanded && (
+            {isMetricsExpanded && modelData && (
+              <div className="overflow-auto mt-4">
+                <h4 className="font-medium mb-2">
+                  History vs. Model ({resultScenario.backtestStartYear}–
+                  {resultScenario.backtestStartYear + resultScenario.years - 1})
+                </h4>
+                <table className="w-full text-left border-collapse text-sm">
+                  <thead>
+                    <tr className="border-b">
+                      <th className="py-2 px-1">Asset</th>
+                      <th className="py-2 px-1">Historical Return</th>
+                      <th className="py-2 px-1">Model Return</th>
+                      <th className="py-2 px-1">Historical Max Drawdown</th>
+                      <th className="py-2 px-1">Model Max Drawdown</th>
+                      <th className="py-2 px-1">Historical Ending Value</th>
+                      <th className="py-2 px-1">Model Ending Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(scenarioData.metrics).map(([name, metrics]) => {
+                      const model = modelData.metrics[name];
+                      return (
+                        <tr key={name} className="border-b">
+                          <td className="py-1 px-1">{name}</td>
+                          <td className="py-1 px-1">
+                            {formatPercent(metrics.irr ?? metrics.cagr)}
+                          </td>
+                          <td className="py-1 px-1">
+                            {formatPercent(model.irr ?? model.cagr)}
+                          </td>
+                          <td className="py-1 px-1">
+                            {formatPercent(metrics.maxDrawdown)}
+                          </td>
+                          <td className="py-1 px-1">
+                            {formatPercent(model.maxDrawdown)}
+                          </td>
+                          <td className="py-1 px-1">
+                            {formatCurrency(
+                              scenarioData.data[scenarioData.data.length - 1][name]
+                            )}
+                          </td>
+                          <td className="py-1 px-1">
+                            {formatCurrency(
+                              modelData.data[modelData.data.length - 1][name]
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {isMetricsExpanded && monteCarloData && (
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-                {Object.entries(scenarioData.metrics).map(([name, metrics]) => (
+                {Object.entries(monteCarloData.metrics).map(([name, metrics]) => (
                   <div key={name} className="p-4 border rounded-lg">
                     <h4 className="font-medium mb-2">{name}</h4>
                     <div className="space-y-2">
                       <div className="flex justify-between">
-                        <span className="text-gray-600">CAGR:</span>
-                        <span>{metrics.cagr.toFixed(2)}%</span>
+                        <span className="text-gray-600">
+                          Median {metrics.irr ? "IRR" : "CAGR"}:
+                        </span>
+                        <span>
+                          {formatPercent(metrics.medianIrr ?? metrics.medianCagr)}
+                        </span>
                       </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">
+                          {metrics.irr ? "IRR" : "CAGR"} 5th–95th:
+                        </span>
+                        <span>
+                          {formatPercent((metrics.irr || metrics.cagr).p5)} to{" "}
+                          {formatPercent((metrics.irr || metrics.cagr).p95)}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Median Volatility:</span>
+                        <span>{metrics.medianVolatility.toFixed(2)}%</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Median Max Drawdown:</span>
+                        <span>{metrics.medianMaxDrawdown.toFixed(2)}%</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Median Ending Value:</span>
+                        <span>{formatCurrency(metrics.medianEndingValue)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">
+                          Chance of Ending Below Initial:
+                        </span>
+                        <span>{metrics.probabilityBelowInitial.toFixed(1)}%</span>
+                      </div>
+                      {metrics.medianAfterTaxEndingValue !== undefined && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">
+                            Median After-Tax Ending Value:
+                          </span>
+                          <span>
+                            {formatCurrency(metrics.medianAfterTaxEndingValue)}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+            {isMetricsExpanded && scenarioData && !monteCarloData && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                {Object.entries(scenarioData.metrics).map(([name, metrics]) => (
+                  <div key={name} className="p-4 border rounded-lg">
+                    <h4 className="font-medium mb-2">{name}</h4>
+                    <div className="space-y-2">
+                      {metrics.irr === undefined ? (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">CAGR:</span>
+                          <span>{metrics.cagr.toFixed(2)}%</span>
+                        </div>
+                      ) : (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">IRR (Money-Weighted):</span>
+                          <span>{formatPercent(metrics.irr)}</span>
+                        </div>
+                      )}
                       <div className="flex justify-between">
                         <span className="text-gray-600">Volatility:</span>
                         <span>{metrics.volatility.toFixed(2)}%</span>
@@ -752,6 +1530,48 @@ const InvestmentGrowthCalculator = () => {
                         <span className="text-gray-600">Max Drawdown:</span>
                         <span>{metrics.maxDrawdown.toFixed(2)}%</span>
                       </div>
+                      {metrics.irr !== undefined && (
+                        <>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Ending Value:</span>
+                            <span>{formatCurrency(metrics.endingValue)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Total Contributions:</span>
+                            <span>{formatCurrency(metrics.totalContributions)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Total Withdrawals:</span>
+                            <span>{formatCurrency(metrics.totalWithdrawals)}</span>
+                          </div>
+                          {metrics.depletedYear !== null && (
+                            <div className="flex justify-between text-red-600">
+                              <span>Ran Out of Money:</span>
+                              <span>Year {metrics.depletedYear}</span>
+                            </div>
+                          )}
+                        </>
+                      )}
+                      {metrics.afterTaxEndingValue !== undefined && (
+                        <>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Annual Tax Drag:</span>
+                            <span>{metrics.annualTaxDrag.toFixed(2)}%</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Taxes Paid:</span>
+                            <span>{formatCurrency(metrics.taxesPaid)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-600">Liquidation Tax:</span>
+                            <span>{formatCurrency(metrics.liquidationTax)}</span>
+                          </div>
+                          <div className="flex justify-between font-medium">
+                            <span>After-Tax Ending Value:</span>
+                            <span>{formatCurrency(metrics.afterTaxEndingValue)}</span>
+                          </div>
+                        </>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -759,6 +1579,16 @@ const InvestmentGrowthCalculator = () => {
             )}
           </div>
 
+          <div className="p-4 bg-gray-50 rounded-lg">
+            <RiskMetricsPanel
+              analysis={riskData}
+              riskFreeSource={riskFreeSource}
+              riskFreeRate={riskFreeRate}
+              varConfidence={varConfidence}
+              onChange={handleRiskMetricsChange}
+            />
+          </div>
+
           <div className="border-t pt-4">
             <div className="flex justify-between items-center">
               <Label className="font-semibold">Assets Configuration</Label>
@@ -772,9 +1602,12 @@ const InvestmentGrowthCalculator = () => {
                   <tr className="border-b">
                     <th className="py-2 px-1">Name</th>
                     <th className="py-2 px-1">Return (%)</th>
+                    <th className="py-2 px-1">Yield (%)</th>
+                    <th className="py-2 px-1">Income Tax</th>
                     <th className="py-2 px-1">Volatility</th>
                     <th className="py-2 px-1">Drawdown Impact</th>
                     <th className="py-2 px-1">Crisis Sensitivity</th>
+                    <th className="py-2 px-1">Asset Class</th>
                     <th className="py-2 px-1">Color (Hex)</th>
                     <th className="py-2 px-1">Actions</th>
                   </tr>
@@ -786,18 +1619,12 @@ const InvestmentGrowthCalculator = () => {
                         {asset.isBaseline ? (
                           <span>{name}</span>
                         ) : (
-                          <Input
+                          <ValidatedInput
                             value={name}
-                            onChange={(e) => {
-                              const newName = e.target.value;
-                              setAssets((prev) => {
-                                const updated = { ...prev };
-                                const oldAsset = updated[name];
-                                delete updated[name];
-                                updated[newName] = oldAsset;
-                                return updated;
-                              });
-                            }}
+                            validate={(newName) =>
+                              validateAssetName(newName, assets, name, portfolios)
+                            }
+                            onCommit={(newName) => handleRenameAsset(name, newName)}
                           />
                         )}
                       </td>
@@ -805,16 +1632,15 @@ const InvestmentGrowthCalculator = () => {
                         {asset.isBaseline ? (
                           <span>0 (Fixed)</span>
                         ) : (
-                          <Input
+                          <ValidatedInput
                             type="number"
                             value={asset.return}
                             step="0.1"
-                            onChange={(e) =>
-                              handleAssetChange(
-                                name,
-                                "return",
-                                Number(e.target.value)
-                              )
+                            validate={(value) =>
+                              validateNumber(value, assetFieldLimits.return)
+                            }
+                            onCommit={(value) =>
+                              handleAssetChange(name, "return", value)
                             }
                           />
                         )}
@@ -823,16 +1649,52 @@ const InvestmentGrowthCalculator = () => {
                         {asset.isBaseline ? (
                           <span>0 (Fixed)</span>
                         ) : (
-                          <Input
+                          <ValidatedInput
+                            type="number"
+                            value={asset.yield || 0}
+                            step="0.1"
+                            validate={(value) =>
+                              validateNumber(value, assetFieldLimits.yield)
+                            }
+                            onCommit={(value) =>
+                              handleAssetChange(name, "yield", value)
+                            }
+                          />
+                        )}
+                      </td>
+                      <td className="py-1 px-1">
+                        {asset.isBaseline ? (
+                          <span>-</span>
+                        ) : (
+                          <Select
+                            value={asset.taxTreatment || "QUALIFIED"}
+                            onValueChange={(v) =>
+                              handleAssetChange(name, "taxTreatment", v)
+                            }
+                          >
+                            <SelectTrigger>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value="QUALIFIED">Qualified</SelectItem>
+                              <SelectItem value="ORDINARY">Ordinary</SelectItem>
+                            </SelectContent>
+                          </Select>
+                        )}
+                      </td>
+                      <td className="py-1 px-1">
+                        {asset.isBaseline ? (
+                          <span>0 (Fixed)</span>
+                        ) : (
+                          <ValidatedInput
                             type="number"
                             value={asset.volatility}
                             step="0.01"
-                            onChange={(e) =>
-                              handleAssetChange(
-                                name,
-                                "volatility",
-                                Number(e.target.value)
-                              )
+                            validate={(value) =>
+                              validateNumber(value, assetFieldLimits.volatility)
+                            }
+                            onCommit={(value) =>
+                              handleAssetChange(name, "volatility", value)
                             }
                           />
                         )}
@@ -841,16 +1703,15 @@ const InvestmentGrowthCalculator = () => {
                         {asset.isBaseline ? (
                           <span>0 (Fixed)</span>
                         ) : (
-                          <Input
+                          <ValidatedInput
                             type="number"
                             value={asset.drawdownImpact}
                             step="0.1"
-                            onChange={(e) =>
-                              handleAssetChange(
-                                name,
-                                "drawdownImpact",
-                                Number(e.target.value)
-                              )
+                            validate={(value) =>
+                              validateNumber(value, assetFieldLimits.drawdownImpact)
+                            }
+                            onCommit={(value) =>
+                              handleAssetChange(name, "drawdownImpact", value)
                             }
                           />
                         )}
@@ -859,22 +1720,44 @@ const InvestmentGrowthCalculator = () => {
                         {asset.isBaseline ? (
                           <span>0 (Fixed)</span>
                         ) : (
-                          <Input
+                          <ValidatedInput
                             type="number"
                             value={asset.crisisSensitivity}
                             step="0.1"
-                            min="0"
-                            max="2"
-                            onChange={(e) =>
-                              handleAssetChange(
-                                name,
-                                "crisisSensitivity",
-                                Number(e.target.value)
-                              )
+                            validate={(value) =>
+                              validateNumber(value, assetFieldLimits.crisisSensitivity)
+                            }
+                            onCommit={(value) =>
+                              handleAssetChange(name, "crisisSensitivity", value)
                             }
                           />
                         )}
                       </td>
+                      <td className="py-1 px-1">
+                        {asset.isBaseline ? (
+                          <span>-</span>
+                        ) : (
+                          <Select
+                            value={asset.assetClass || "OTHER"}
+                            onValueChange={(v) =>
+                              handleAssetChange(name, "assetClass", v)
+                            }
+                          >
+                            <SelectTrigger>
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {Object.entries(assetClasses).map(
+                                ([value, label]) => (
+                                  <SelectItem key={value} value={value}>
+                                    {label}
+                                  </SelectItem>
+                                )
+                              )}
+                            </SelectContent>
+                          </Select>
+                        )}
+                      </td>
                       <td className="py-1 px-1">
                         {asset.isBaseline ? (
                           <span>#000000</span>
@@ -912,7 +1795,26 @@ const InvestmentGrowthCalculator = () => {
                 </tbody>
               </table>
             </div>
+            <div className="p-4 bg-gray-50 rounded-lg mt-4">
+              <AssetLibrary
+                assets={assets}
+                portfolios={portfolios}
+                onAdd={handleAddAssets}
+              />
+            </div>
           </div>
+
+          <CorrelationMatrixEditor
+            assets={assets}
+            correlations={correlations}
+            onChange={setCorrelations}
+          />
+
+          <PortfolioBuilder
+            portfolios={portfolios}
+            assets={assets}
+            onChange={setPortfolios}
+          />
         </div>
       </CardContent>
       <CardContent>
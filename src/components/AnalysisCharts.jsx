@@ -0,0 +1,145 @@
+import React, { useMemo, useState } from "react";
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { Button } from "./ui/button";
+import { computeAnnualReturns, computeDrawdownSeries } from "../engine/metrics";
+import { formatPercent } from "../utils/format";
+
+export const analysisCharts = {
+  UNDERWATER: "Underwater",
+  ANNUAL_RETURNS: "Annual Returns",
+  RISK_RETURN: "Risk vs. Return",
+};
+
+const margin = { top: 5, right: 30, left: 20, bottom: 5 };
+
+const formatAxisPercent = (value) => `${value}%`;
+
+// Tabs under the main chart: drawdown from the running peak, yearly returns
+// and CAGR against volatility for every asset and portfolio. `data` is the
+// single scenario run, before contributions and withdrawals.
+export const AnalysisCharts = ({ data, metrics, series, years }) => {
+  const [activeChart, setActiveChart] = useState("UNDERWATER");
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+
+  const drawdowns = useMemo(
+    () => computeDrawdownSeries(data, series),
+    [data, series]
+  );
+  const annualReturns = useMemo(
+    () => computeAnnualReturns(data, series, years),
+    [data, series, years]
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {Object.entries(analysisCharts).map(([chart, label]) => (
+          <Button
+            key={chart}
+            variant={activeChart === chart ? undefined : "outline"}
+            onClick={() => setActiveChart(chart)}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+
+      <div className="h-80">
+        <ResponsiveContainer>
+          {activeChart === "UNDERWATER" ? (
+            <AreaChart data={drawdowns} margin={margin}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis tickFormatter={formatAxisPercent} />
+              <Tooltip formatter={(value) => formatPercent(value)} />
+              <Legend />
+              {names.map((name) => (
+                <Area
+                  key={name}
+                  type="monotone"
+                  dataKey={name}
+                  stroke={series[name].color}
+                  fill={series[name].color}
+                  fillOpacity={0.1}
+                  strokeWidth={series[name].isPortfolio ? 3 : 2}
+                  isAnimationActive={false}
+                />
+              ))}
+            </AreaChart>
+          ) : activeChart === "ANNUAL_RETURNS" ? (
+            <BarChart data={annualReturns} margin={margin}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" />
+              <YAxis tickFormatter={formatAxisPercent} />
+              <Tooltip formatter={(value) => formatPercent(value)} />
+              <Legend />
+              <ReferenceLine y={0} stroke="#666666" />
+              {names.map((name) => (
+                <Bar
+                  key={name}
+                  dataKey={name}
+                  fill={series[name].color}
+                  isAnimationActive={false}
+                />
+              ))}
+            </BarChart>
+          ) : (
+            <ScatterChart margin={margin}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="volatility"
+                name="Volatility"
+                tickFormatter={formatAxisPercent}
+              />
+              <YAxis
+                type="number"
+                dataKey="return"
+                name={
+                  Object.values(metrics).some((m) => m.irr !== undefined)
+                    ? "IRR"
+                    : "CAGR"
+                }
+                tickFormatter={formatAxisPercent}
+              />
+              <ZAxis range={[120, 120]} />
+              <Tooltip formatter={(value) => formatPercent(value)} />
+              <Legend />
+              {names
+                .filter((name) => metrics[name])
+                .map((name) => (
+                  <Scatter
+                    key={name}
+                    name={name}
+                    data={[
+                      {
+                        volatility: metrics[name].volatility,
+                        return: metrics[name].cagr ?? metrics[name].irr,
+                      },
+                    ]}
+                    fill={series[name].color}
+                    isAnimationActive={false}
+                  />
+                ))}
+            </ScatterChart>
+          )}
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,168 @@
+import React, { useRef, useState } from "react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { assetClasses } from "../engine/crisis";
+import { catalogEntryToAsset, searchCatalog } from "../engine/assetCatalog";
+import {
+  assetLibraryToCsv,
+  parseAssetLibrary,
+  serializeAssetLibrary,
+} from "../io/assetLibrary";
+import { downloadFile } from "../io/download";
+import { checkAddedAssets } from "../engine/validation";
+
+const plural = (count) => `${count} asset${count === 1 ? "" : "s"}`;
+
+// Search the built-in catalog and add from it, and import/export the assets
+// as a JSON or CSV asset library. `onAdd` receives assets keyed by name.
+// Names taken by another asset or a portfolio are skipped and reported;
+// only the catalog's Reset replaces the asset of the same name.
+export const AssetLibrary = ({ assets, portfolios, onAdd }) => {
+  const [query, setQuery] = useState("");
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+  const results = searchCatalog(query);
+
+  const handleAddEntry = (entry) => {
+    const { accepted, rejected } = checkAddedAssets(
+      { [entry.name]: catalogEntryToAsset(entry) },
+      assets,
+      portfolios,
+      [entry.name]
+    );
+    if (rejected.length > 0) {
+      setMessage({ error: true, text: rejected[0] });
+      return;
+    }
+    onAdd(accepted);
+    setMessage(null);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseAssetLibrary(await file.text(), file.name);
+      const { accepted, rejected } = checkAddedAssets(imported, assets, portfolios);
+      const count = Object.keys(accepted).length;
+      if (count > 0) onAdd(accepted);
+      setMessage({
+        error: rejected.length > 0,
+        text: [
+          `Imported ${plural(count)} from ${file.name}` +
+            (rejected.length ? `; skipped ${plural(rejected.length)}:` : "."),
+          ...rejected,
+        ].join("\n"),
+      });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2 items-end">
+        <div className="flex-1">
+          <Label>Search the Asset Catalog</Label>
+          <Input
+            value={query}
+            placeholder="e.g. treasuries, gold, VWO, managed futures"
+            onChange={(e) => setQuery(e.target.value)}
+          />
+        </div>
+        <Button variant="outline" onClick={() => fileInput.current.click()}>
+          Import Library
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() =>
+            downloadFile(
+              "asset-library.json",
+              JSON.stringify(serializeAssetLibrary(assets), null, 2),
+              "application/json"
+            )
+          }
+        >
+          Export JSON
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() =>
+            downloadFile("asset-library.csv", assetLibraryToCsv(assets), "text/csv")
+          }
+        >
+          Export CSV
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          className="hidden"
+          onChange={handleImport}
+        />
+      </div>
+      {message && (
+        <p
+          className={`text-sm whitespace-pre-line ${
+            message.error ? "text-red-600" : "text-gray-600"
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+
+      <div className="max-h-64 overflow-auto">
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1">Asset</th>
+              <th className="py-2 px-1">Class</th>
+              <th className="py-2 px-1">Return</th>
+              <th className="py-2 px-1">Volatility</th>
+              <th className="py-2 px-1">Crisis Sensitivity</th>
+              <th className="py-2 px-1">About</th>
+              <th className="py-2 px-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map((entry) => (
+              <tr key={entry.name} className="border-b">
+                <td className="py-1 px-1">
+                  <span
+                    className="inline-block w-3 h-3 rounded-full mr-2"
+                    style={{ backgroundColor: entry.color }}
+                  />
+                  {entry.name}
+                </td>
+                <td className="py-1 px-1">{assetClasses[entry.assetClass]}</td>
+                <td className="py-1 px-1">{entry.return}%</td>
+                <td className="py-1 px-1">{(entry.volatility * 100).toFixed(0)}%</td>
+                <td className="py-1 px-1">{entry.crisisSensitivity}</td>
+                <td className="py-1 px-1 text-gray-600">{entry.description}</td>
+                <td className="py-1 px-1">
+                  <Button
+                    variant="outline"
+                    onClick={() => handleAddEntry(entry)}
+                  >
+                    {Object.hasOwn(assets, entry.name) ? "Reset" : "Add"}
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {results.length === 0 && (
+          <p className="text-sm text-gray-600 py-2">No catalog assets match.</p>
+        )}
+      </div>
+      <p className="text-sm text-gray-600">
+        Catalog figures are rounded long-run assumptions: nominal return per
+        year, annual volatility, and drawdown and crisis sensitivity relative
+        to the S&P 500. Imported libraries are checked field by field and every
+        bad row is listed.
+      </p>
+    </div>
+  );
+};
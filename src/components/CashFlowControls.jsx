@@ -0,0 +1,144 @@
+import React from "react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+
+const FrequencySelect = ({ value, onValueChange }) => (
+  <Select value={value} onValueChange={onValueChange}>
+    <SelectTrigger>
+      <SelectValue />
+    </SelectTrigger>
+    <SelectContent>
+      <SelectItem value="ANNUAL">Per Year</SelectItem>
+      <SelectItem value="MONTHLY">Per Month</SelectItem>
+    </SelectContent>
+  </Select>
+);
+
+export const CashFlowControls = ({ cashFlows, years, onChange }) => {
+  const usesAmount =
+    cashFlows.withdrawalRule === "FIXED_DOLLAR" ||
+    cashFlows.withdrawalRule === "INFLATION_INDEXED";
+
+  return (
+    <div className="space-y-4">
+      <Label className="font-semibold">Contributions & Withdrawals</Label>
+      <div className="grid grid-cols-2 gap-4 items-end">
+        <div>
+          <Label>Contribution</Label>
+          <Input
+            type="number"
+            value={cashFlows.contributionAmount}
+            onChange={(e) =>
+              onChange("contributionAmount", Math.max(0, Number(e.target.value)))
+            }
+          />
+        </div>
+        <div>
+          <Label>Contribution Frequency</Label>
+          <FrequencySelect
+            value={cashFlows.contributionFrequency}
+            onValueChange={(v) => onChange("contributionFrequency", v)}
+          />
+        </div>
+        <div>
+          <Label>Annual Step-Up (%)</Label>
+          <Input
+            type="number"
+            value={cashFlows.contributionStepUp}
+            step="0.5"
+            onChange={(e) =>
+              onChange("contributionStepUp", Number(e.target.value))
+            }
+          />
+        </div>
+        <div>
+          <Label>Contribute Through Year</Label>
+          <Input
+            type="number"
+            value={cashFlows.contributionEndYear ?? years}
+            onChange={(e) =>
+              onChange(
+                "contributionEndYear",
+                Math.max(0, Math.min(years, Number(e.target.value)))
+              )
+            }
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 items-end">
+        <div>
+          <Label>Withdrawal Rule</Label>
+          <Select
+            value={cashFlows.withdrawalRule}
+            onValueChange={(v) => onChange("withdrawalRule", v)}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="NONE">None</SelectItem>
+              <SelectItem value="FIXED_DOLLAR">Fixed Dollar</SelectItem>
+              <SelectItem value="FIXED_PERCENT">Fixed Percentage</SelectItem>
+              <SelectItem value="INFLATION_INDEXED">Inflation-Indexed</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label>Start Withdrawals in Year</Label>
+          <Input
+            type="number"
+            value={cashFlows.withdrawalStartYear}
+            onChange={(e) =>
+              onChange(
+                "withdrawalStartYear",
+                Math.max(1, Math.min(years, Number(e.target.value)))
+              )
+            }
+          />
+        </div>
+        {usesAmount && (
+          <>
+            <div>
+              <Label>Withdrawal</Label>
+              <Input
+                type="number"
+                value={cashFlows.withdrawalAmount}
+                onChange={(e) =>
+                  onChange("withdrawalAmount", Math.max(0, Number(e.target.value)))
+                }
+              />
+            </div>
+            <div>
+              <Label>Withdrawal Frequency</Label>
+              <FrequencySelect
+                value={cashFlows.withdrawalFrequency}
+                onValueChange={(v) => onChange("withdrawalFrequency", v)}
+              />
+            </div>
+          </>
+        )}
+        {cashFlows.withdrawalRule === "FIXED_PERCENT" && (
+          <div>
+            <Label>Withdrawal Rate (% per year)</Label>
+            <Input
+              type="number"
+              value={cashFlows.withdrawalPercent}
+              step="0.1"
+              onChange={(e) =>
+                onChange("withdrawalPercent", Math.max(0, Number(e.target.value)))
+              }
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { Label } from "./ui/label";
+import {
+  getCorrelation,
+  setCorrelation,
+  validateCorrelations,
+} from "../engine/correlation";
+
+// Edits the upper triangle of the correlation matrix; the lower triangle
+// mirrors it. Edits that would make the matrix unusable are rejected and the
+// reason is shown instead.
+export const CorrelationMatrixEditor = ({ assets, correlations, onChange }) => {
+  const [error, setError] = useState(null);
+  const names = Object.keys(assets).filter((name) => !assets[name].isBaseline);
+
+  const handleChange = (a, b, value) => {
+    const updated = setCorrelation(correlations, a, b, value);
+    const message = validateCorrelations(assets, updated);
+    setError(message);
+    if (!message) {
+      onChange(updated);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <Label className="font-semibold">Return Correlations</Label>
+      <p className="text-sm text-gray-600">
+        How strongly the random yearly shocks of each pair of assets move
+        together (-1 to 1). Used when volatility is enabled with normal random
+        shocks; the historical bootstrap keeps the co-movement of history.
+      </p>
+      {error && (
+        <div className="mt-2 p-2 text-sm border border-red-400 bg-red-100 text-red-700 rounded">
+          {error}
+        </div>
+      )}
+      <div className="overflow-auto mt-4">
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1"></th>
+              {names.map((name) => (
+                <th key={name} className="py-2 px-1 font-medium">
+                  {name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {names.map((a, row) => (
+              <tr key={a} className="border-b">
+                <td className="py-1 px-1 font-medium">{a}</td>
+                {names.map((b, column) => (
+                  <td key={b} className="py-1 px-1">
+                    {column > row ? (
+                      <input
+                        type="number"
+                        className="border p-1 rounded w-20"
+                        value={getCorrelation(correlations, a, b)}
+                        step="0.05"
+                        min="-1"
+                        max="1"
+                        onChange={(e) =>
+                          handleChange(a, b, Number(e.target.value))
+                        }
+                      />
+                    ) : (
+                      <span className="text-gray-500">
+                        {getCorrelation(correlations, a, b).toFixed(2)}
+                      </span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,153 @@
+import React from "react";
+import { Trash } from "lucide-react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Slider } from "./ui/slider";
+import { Button } from "./ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { crisisTypes, defaultCrisisEvent } from "../engine/crisis";
+
+export const CrisisEventsEditor = ({
+  crisisEvents,
+  customCrisisTypes = [],
+  years,
+  onChange,
+}) => {
+  const updateEvent = (index, field, value) => {
+    onChange(
+      crisisEvents.map((event, i) =>
+        i === index ? { ...event, [field]: value } : event
+      )
+    );
+  };
+
+  const addEvent = () => {
+    const lastYear = crisisEvents.reduce(
+      (latest, event) => Math.max(latest, event.year),
+      0
+    );
+    onChange([
+      ...crisisEvents,
+      { ...defaultCrisisEvent, year: Math.min(years, lastYear + 1) },
+    ]);
+  };
+
+  const removeEvent = (index) => {
+    onChange(crisisEvents.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-4">
+      {crisisEvents.map((event, index) => (
+        <div key={index} className="p-3 border rounded-lg bg-white space-y-4">
+          <div className="flex justify-between items-end gap-4">
+            <div className="w-24">
+              <Label>Year</Label>
+              <Input
+                type="number"
+                value={event.year}
+                min="1"
+                max={years}
+                onChange={(e) =>
+                  updateEvent(
+                    index,
+                    "year",
+                    Math.max(1, Math.min(years, Number(e.target.value)))
+                  )
+                }
+              />
+            </div>
+            <div className="flex-1">
+              <Label>Crisis Type</Label>
+              <Select
+                value={event.crisisType}
+                onValueChange={(v) => updateEvent(index, "crisisType", v)}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="NONE">None</SelectItem>
+                  {Object.entries(crisisTypes).map(([value, { label }]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                  {customCrisisTypes.map(({ id, label }) => (
+                    <SelectItem key={id} value={id}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button variant="destructive" onClick={() => removeEvent(index)}>
+              <Trash className="w-4 h-4" />
+            </Button>
+          </div>
+
+          {event.crisisType !== "NONE" && (
+            <div className="space-y-4">
+              <div>
+                <div className="flex justify-between">
+                  <Label>Market Drawdown</Label>
+                  <span>{event.drawdown}%</span>
+                </div>
+                <Slider
+                  value={[event.drawdown]}
+                  min={0}
+                  max={50}
+                  step={1}
+                  onValueChange={(v) => updateEvent(index, "drawdown", v[0])}
+                />
+              </div>
+
+              <div>
+                <Label>Recovery Pattern</Label>
+                <Select
+                  value={event.recoveryType}
+                  onValueChange={(v) => updateEvent(index, "recoveryType", v)}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="V_SHAPED">V-Shaped</SelectItem>
+                    <SelectItem value="U_SHAPED">U-Shaped</SelectItem>
+                    <SelectItem value="L_SHAPED">L-Shaped</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div>
+                <div className="flex justify-between">
+                  <Label>Recovery Period</Label>
+                  <span>{event.recoveryYears} years</span>
+                </div>
+                <Slider
+                  value={[event.recoveryYears]}
+                  min={1}
+                  max={years}
+                  step={0.5}
+                  onValueChange={(v) =>
+                    updateEvent(index, "recoveryYears", v[0])
+                  }
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      <Button variant="outline" onClick={addEvent}>
+        Add Crisis Event
+      </Button>
+    </div>
+  );
+};
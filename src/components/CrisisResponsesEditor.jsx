@@ -0,0 +1,106 @@
+import React from "react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { crisisTypes, getCrisisResponse } from "../engine/crisis";
+
+const clampResponse = (value) => Math.max(-2, Math.min(2, value));
+
+// Per-asset crisis responses for every crisis type. Empty cells use the
+// asset's crisis sensitivity scaled by the type's class profile (shown as the
+// placeholder); negative responses gain in that crisis.
+export const CrisisResponsesEditor = ({
+  assets,
+  customCrisisTypes = [],
+  onChange,
+}) => {
+  const types = [
+    ...Object.entries(crisisTypes).map(([id, type]) => ({ ...type, id })),
+    ...customCrisisTypes,
+  ];
+
+  const updateResponse = (name, typeId, text) => {
+    const { [typeId]: _previous, ...responses } =
+      assets[name].crisisResponses || {};
+    onChange(
+      name,
+      "crisisResponses",
+      text === ""
+        ? responses
+        : { ...responses, [typeId]: clampResponse(Number(text)) }
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label>Crisis Responses</Label>
+      <div className="overflow-auto">
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1">Asset</th>
+              {types.map((type) => (
+                <th key={type.id} className="py-2 px-1">
+                  {type.label}
+                </th>
+              ))}
+              <th className="py-2 px-1">Gain Kept (%)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(assets)
+              .filter(([, asset]) => !asset.isBaseline)
+              .map(([name, asset]) => (
+                <tr key={name} className="border-b">
+                  <td className="py-1 px-1">{name}</td>
+                  {types.map((type) => (
+                    <td key={type.id} className="py-1 px-1">
+                      <Input
+                        type="number"
+                        className="w-20"
+                        step="0.1"
+                        min="-2"
+                        max="2"
+                        value={asset.crisisResponses?.[type.id] ?? ""}
+                        placeholder={getCrisisResponse(
+                          { ...asset, crisisResponses: undefined },
+                          type.id,
+                          type
+                        ).toFixed(2)}
+                        onChange={(e) =>
+                          updateResponse(name, type.id, e.target.value)
+                        }
+                      />
+                    </td>
+                  ))}
+                  <td className="py-1 px-1">
+                    <Input
+                      type="number"
+                      className="w-20"
+                      step="5"
+                      min="0"
+                      max="100"
+                      value={asset.gainRetention ?? 0}
+                      onChange={(e) =>
+                        onChange(
+                          name,
+                          "gainRetention",
+                          Math.max(0, Math.min(100, Number(e.target.value)))
+                        )
+                      }
+                    />
+                  </td>
+                </tr>
+              ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-sm text-gray-600">
+        How strongly each asset takes the market drawdown in each kind of
+        crisis; empty cells use its crisis sensitivity times the crisis type's
+        multiplier for its asset class. 0 leaves the asset untouched and
+        negative values make it spike up instead. A spike reverts along the
+        recovery pattern, keeping the Gain Kept share.
+      </p>
+    </div>
+  );
+};
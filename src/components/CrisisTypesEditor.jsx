@@ -0,0 +1,146 @@
+import React from "react";
+import { Trash } from "lucide-react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Slider } from "./ui/slider";
+import { Button } from "./ui/button";
+import { assetClasses, defaultCustomCrisisType } from "../engine/crisis";
+
+// Custom crisis types: recovery potential, permanent damage, inflation link
+// and a drawdown multiplier per asset class. Crisis events pick them next to
+// the built-in types.
+export const CrisisTypesEditor = ({ customCrisisTypes, onChange }) => {
+  const updateType = (index, field, value) => {
+    onChange(
+      customCrisisTypes.map((type, i) =>
+        i === index ? { ...type, [field]: value } : type
+      )
+    );
+  };
+
+  const updateProfile = (index, assetClass, value) => {
+    const { profile } = customCrisisTypes[index];
+    updateType(index, "profile", { ...profile, [assetClass]: value });
+  };
+
+  const addType = () => {
+    const next =
+      customCrisisTypes.reduce(
+        (highest, type) =>
+          Math.max(highest, Number(type.id.replace("CUSTOM_", "")) || 0),
+        0
+      ) + 1;
+    onChange([
+      ...customCrisisTypes,
+      {
+        ...defaultCustomCrisisType,
+        id: `CUSTOM_${next}`,
+        label: `Custom Crisis ${next}`,
+      },
+    ]);
+  };
+
+  const removeType = (index) => {
+    onChange(customCrisisTypes.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-4">
+      {customCrisisTypes.map((type, index) => (
+        <div key={type.id} className="p-3 border rounded-lg bg-white space-y-4">
+          <div className="flex justify-between items-end gap-4">
+            <div className="flex-1">
+              <Label>Crisis Type Name</Label>
+              <Input
+                value={type.label}
+                onChange={(e) => updateType(index, "label", e.target.value)}
+              />
+            </div>
+            <Button variant="destructive" onClick={() => removeType(index)}>
+              <Trash className="w-4 h-4" />
+            </Button>
+          </div>
+
+          <div>
+            <div className="flex justify-between">
+              <Label>Recovery Potential</Label>
+              <span>{type.recoveryPotential}%</span>
+            </div>
+            <Slider
+              value={[type.recoveryPotential]}
+              min={50}
+              max={100}
+              step={1}
+              onValueChange={(v) => updateType(index, "recoveryPotential", v[0])}
+            />
+          </div>
+
+          <div>
+            <div className="flex justify-between">
+              <Label>Permanent Damage</Label>
+              <span>{type.permanentDamage}% of the drawdown</span>
+            </div>
+            <Slider
+              value={[type.permanentDamage]}
+              min={0}
+              max={100}
+              step={5}
+              onValueChange={(v) => updateType(index, "permanentDamage", v[0])}
+            />
+          </div>
+
+          <div>
+            <div className="flex justify-between">
+              <Label>Inflation Link</Label>
+              <span>{type.inflationLink}x</span>
+            </div>
+            <Slider
+              value={[type.inflationLink]}
+              min={-2}
+              max={2}
+              step={0.5}
+              onValueChange={(v) => updateType(index, "inflationLink", v[0])}
+            />
+          </div>
+
+          <div>
+            <Label>Drawdown Multiplier by Asset Class</Label>
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              {Object.entries(assetClasses).map(([assetClass, label]) => (
+                <div
+                  key={assetClass}
+                  className="flex items-center justify-between gap-2"
+                >
+                  <span className="text-sm">{label}</span>
+                  <Input
+                    type="number"
+                    className="w-24"
+                    value={type.profile[assetClass] ?? 1}
+                    step="0.1"
+                    min="-2"
+                    max="2"
+                    onChange={(e) =>
+                      updateProfile(
+                        index,
+                        assetClass,
+                        Math.max(-2, Math.min(2, Number(e.target.value)))
+                      )
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600 mt-2">
+              1 is the full drawdown, 0 leaves the class untouched and negative
+              values make it gain.
+            </p>
+          </div>
+        </div>
+      ))}
+
+      <Button variant="outline" onClick={addType}>
+        Add Crisis Type
+      </Button>
+    </div>
+  );
+};
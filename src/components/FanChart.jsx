@@ -0,0 +1,74 @@
+import React from "react";
+import {
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { formatCurrency } from "../utils/format";
+
+const formatTooltipValue = (value) =>
+  Array.isArray(value)
+    ? value.map(formatCurrency).join(" – ")
+    : formatCurrency(value);
+
+// Percentile fan chart for Monte Carlo results: a light 5th–95th band, a
+// darker 25th–75th band and the median line per asset.
+export const FanChart = ({ data, assets }) => (
+  <ResponsiveContainer>
+    <ComposedChart
+      data={data}
+      margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+    >
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="year" />
+      <YAxis tickFormatter={formatCurrency} />
+      <Tooltip formatter={formatTooltipValue} />
+      <Legend />
+      {Object.entries(assets).map(([name, asset]) =>
+        asset.isBaseline
+          ? null
+          : [
+              <Area
+                key={`${name}-outer`}
+                name={`${name} (5th–95th)`}
+                dataKey={(row) => [row[name].p5, row[name].p95]}
+                stroke="none"
+                fill={asset.color}
+                fillOpacity={0.1}
+                legendType="none"
+                isAnimationActive={false}
+              />,
+              <Area
+                key={`${name}-inner`}
+                name={`${name} (25th–75th)`}
+                dataKey={(row) => [row[name].p25, row[name].p75]}
+                stroke="none"
+                fill={asset.color}
+                fillOpacity={0.25}
+                legendType="none"
+                isAnimationActive={false}
+              />,
+            ]
+      )}
+      {Object.entries(assets).map(([name, asset]) => (
+        <Line
+          key={name}
+          name={asset.isBaseline ? name : `${name} (median)`}
+          type="monotone"
+          dataKey={asset.isBaseline ? name : (row) => row[name].p50}
+          stroke={asset.color}
+          dot={false}
+          strokeWidth={asset.isBaseline ? 3 : 2}
+          strokeDasharray={asset.isBaseline ? "5 5" : "0"}
+          isAnimationActive={false}
+        />
+      ))}
+    </ComposedChart>
+  </ResponsiveContainer>
+);
@@ -0,0 +1,153 @@
+import React from "react";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { ValidatedInput } from "./ValidatedInput";
+import { goalSolveTargets } from "../engine/goals";
+import { buildPeriodLabels, getStepsPerYear } from "../engine/timeline";
+import { parameterLimits, validateNumber } from "../engine/validation";
+import { formatCurrency, formatPercent } from "../utils/format";
+
+const describeSource = ({ source, pathCount }) => {
+  switch (source) {
+    case "MONTE_CARLO":
+      return `Probabilities are over ${pathCount} Monte Carlo paths.`;
+    case "HISTORY":
+      return `Probabilities are over ${pathCount} historical windows (every start year in the bundled data).`;
+    default:
+      return "Without volatility there is a single path, so the goal is either reached or not. Turn on volatility for probabilities.";
+  }
+};
+
+const formatRequired = (value, solveFor, frequency) => {
+  if (value === null) return "Out of reach";
+  if (solveFor === "RETURN") return `${formatPercent(value)} a year`;
+  if (solveFor === "CONTRIBUTION") {
+    return `${formatCurrency(value)} a ${frequency === "MONTHLY" ? "month" : "year"}`;
+  }
+  return formatCurrency(value);
+};
+
+// Target amount and date, and for every series whether the scenario reaches
+// it, the probability of reaching it and what it would take. `analysis` is
+// null until the first run with the planner on completes; the controls
+// follow `scenario`.
+export const GoalPlanner = ({ analysis, scenario, onChange }) => {
+  const { goalAmount, goalYear, goalSolveFor: solveFor, years, enableBacktest } = scenario;
+  const periodLabels = buildPeriodLabels(scenario);
+  const stepsPerYear = getStepsPerYear(scenario);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4 items-end">
+        <div>
+          <Label>Goal Amount</Label>
+          <ValidatedInput
+            type="number"
+            value={goalAmount}
+            validate={(value) => validateNumber(value, parameterLimits.goalAmount)}
+            onCommit={(value) => onChange("goalAmount", value)}
+          />
+        </div>
+        <div>
+          <Label>Goal Date</Label>
+          <Select
+            value={String(Math.min(goalYear, years))}
+            onValueChange={(v) => onChange("goalYear", Number(v))}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Array.from({ length: years }, (_, index) => index + 1).map((year) => {
+                const label = periodLabels[year * stepsPerYear];
+                return (
+                  <SelectItem key={year} value={String(year)}>
+                    {label === `Year ${year}` ? label : `Year ${year} (${label})`}
+                  </SelectItem>
+                );
+              })}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label>Solve For</Label>
+          <Select value={solveFor} onValueChange={(v) => onChange("goalSolveFor", v)}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(goalSolveTargets).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        The goal is checked in the same dollars as the chart, after
+        contributions, withdrawals and taxes, at the end of the chosen year.
+        What it takes is solved on the scenario path with everything else
+        unchanged
+        {solveFor === "RETURN" &&
+          "; returns move by the same points for every asset, so a portfolio's is the weighted return of its holdings"}
+        {solveFor === "CONTRIBUTION" && ", per period of the contribution schedule"}
+        .{" "}
+        {analysis && describeSource(analysis)}
+        {enableBacktest &&
+          solveFor === "RETURN" &&
+          " Backtests replay history, so there is no return to solve for."}
+      </p>
+
+      {analysis && (
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1">Asset</th>
+              <th className="py-2 px-1">Value at {analysis.label}</th>
+              <th className="py-2 px-1">Scenario</th>
+              <th className="py-2 px-1">Probability</th>
+              <th className="py-2 px-1">
+                Required {goalSolveTargets[analysis.solveFor]}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(analysis.assets).map(([name, result]) => (
+              <tr key={name} className="border-b">
+                <td className="py-1 px-1">{name}</td>
+                <td className="py-1 px-1">{formatCurrency(result.value)}</td>
+                <td
+                  className={`py-1 px-1 ${
+                    result.reached ? "text-green-700" : "text-red-600"
+                  }`}
+                >
+                  {result.reached ? "Reached" : "Missed"}
+                </td>
+                <td className="py-1 px-1">
+                  {analysis.source === "SCENARIO"
+                    ? "-"
+                    : formatPercent(result.probability)}
+                </td>
+                <td className="py-1 px-1">
+                  {formatRequired(
+                    result.required,
+                    analysis.solveFor,
+                    scenario.cashFlows.contributionFrequency
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,160 @@
+import React from "react";
+import { Trash } from "lucide-react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Button } from "./ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { ValidatedInput } from "./ValidatedInput";
+import { createPortfolio } from "../engine/portfolio";
+import { validatePortfolioName } from "../engine/validation";
+
+export const PortfolioBuilder = ({ portfolios, assets, onChange }) => {
+  const assetNames = Object.keys(assets).filter(
+    (name) => !assets[name].isBaseline
+  );
+
+  const updatePortfolio = (index, changes) => {
+    onChange(
+      portfolios.map((portfolio, i) =>
+        i === index ? { ...portfolio, ...changes } : portfolio
+      )
+    );
+  };
+
+  const handleAddPortfolio = () => {
+    onChange([...portfolios, createPortfolio(assets, portfolios)]);
+  };
+
+  const handleRemovePortfolio = (index) => {
+    onChange(portfolios.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <div className="flex justify-between items-center">
+        <Label className="font-semibold">Portfolios</Label>
+        <Button variant="outline" onClick={handleAddPortfolio}>
+          Add Portfolio
+        </Button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+        {portfolios.map((portfolio, index) => {
+          const totalWeight = assetNames.reduce(
+            (sum, name) => sum + (portfolio.weights[name] || 0),
+            0
+          );
+          return (
+            <div key={portfolio.id} className="p-4 border rounded-lg space-y-3">
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <Label>Name</Label>
+                  <ValidatedInput
+                    value={portfolio.name}
+                    validate={(name) =>
+                      validatePortfolioName(name, assets, portfolios, portfolio.name)
+                    }
+                    onCommit={(name) => updatePortfolio(index, { name })}
+                  />
+                </div>
+                <input
+                  type="color"
+                  value={portfolio.color}
+                  onChange={(e) =>
+                    updatePortfolio(index, { color: e.target.value })
+                  }
+                  className="w-12 h-8 p-0 cursor-pointer"
+                />
+                <Button
+                  variant="destructive"
+                  onClick={() => handleRemovePortfolio(index)}
+                >
+                  <Trash className="w-4 h-4" />
+                </Button>
+              </div>
+
+              <div className="flex items-end gap-2">
+                <div className="flex-1">
+                  <Label>Rebalancing</Label>
+                  <Select
+                    value={portfolio.rebalancing}
+                    onValueChange={(v) =>
+                      updatePortfolio(index, { rebalancing: v })
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="NONE">None (Buy & Hold)</SelectItem>
+                      <SelectItem value="ANNUAL">Annual</SelectItem>
+                      <SelectItem value="THRESHOLD">Threshold Band</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {portfolio.rebalancing === "THRESHOLD" && (
+                  <div className="w-28">
+                    <Label>Band (± pts)</Label>
+                    <Input
+                      type="number"
+                      value={portfolio.threshold}
+                      step="1"
+                      min="0"
+                      onChange={(e) =>
+                        updatePortfolio(index, {
+                          threshold: Math.max(0, Number(e.target.value)),
+                        })
+                      }
+                    />
+                  </div>
+                )}
+              </div>
+
+              <table className="w-full text-left border-collapse text-sm">
+                <tbody>
+                  {assetNames.map((name) => (
+                    <tr key={name} className="border-b">
+                      <td className="py-1 px-1">{name}</td>
+                      <td className="py-1 px-1 w-24">
+                        <Input
+                          type="number"
+                          value={portfolio.weights[name] || 0}
+                          step="5"
+                          min="0"
+                          onChange={(e) =>
+                            updatePortfolio(index, {
+                              weights: {
+                                ...portfolio.weights,
+                                [name]: Math.max(0, Number(e.target.value)),
+                              },
+                            })
+                          }
+                        />
+                      </td>
+                      <td className="py-1 px-1">%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div
+                className={`text-sm ${
+                  totalWeight === 100 ? "text-gray-600" : "text-amber-600"
+                }`}
+              >
+                Total: {totalWeight}%
+                {totalWeight !== 100 &&
+                  totalWeight > 0 &&
+                  " (weights are scaled to 100%)"}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { Download } from "lucide-react";
+import { Button } from "./ui/button";
+import { dataToCsv, metricsToCsv } from "../io/csv";
+import {
+  buildStampedSvg,
+  describeScenario,
+  svgToPngBlob,
+} from "../io/chartImage";
+import { downloadFile } from "../io/download";
+
+const CHART_TITLE = "Investment Growth Calculator";
+
+// CSV downloads of the results shown and PNG/SVG downloads of the chart
+// stamped with the title, scenario parameters and disclaimer.
+export const ResultsExport = ({ chartRef, data, metrics, series, scenario }) => {
+  const [error, setError] = useState(null);
+
+  const buildChartSvg = () => {
+    const chart = chartRef.current?.querySelector("svg.recharts-surface");
+    if (!chart) {
+      throw new Error("The chart is not ready yet.");
+    }
+    const { width, height } = chart.getBoundingClientRect();
+    return buildStampedSvg({
+      chartSvg: new XMLSerializer().serializeToString(chart),
+      width: Math.round(width),
+      height: Math.round(height),
+      title: CHART_TITLE,
+      parameters: describeScenario(scenario),
+      legend: Object.entries(series).map(([name, asset]) => ({
+        name,
+        color: asset.color,
+        dashed: asset.isBaseline,
+      })),
+    });
+  };
+
+  const handleSvg = () => {
+    try {
+      downloadFile("investment-growth.svg", buildChartSvg().svg, "image/svg+xml");
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handlePng = async () => {
+    try {
+      const { svg, width, height } = buildChartSvg();
+      downloadFile("investment-growth.png", await svgToPngBlob(svg, width, height));
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        <Button
+          variant="outline"
+          className="flex items-center"
+          onClick={() =>
+            downloadFile("investment-growth-data.csv", dataToCsv(data), "text/csv")
+          }
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Data CSV
+        </Button>
+        <Button
+          variant="outline"
+          className="flex items-center"
+          onClick={() =>
+            downloadFile(
+              "investment-growth-metrics.csv",
+              metricsToCsv(metrics),
+              "text/csv"
+            )
+          }
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Metrics CSV
+        </Button>
+        <Button variant="outline" className="flex items-center" onClick={handlePng}>
+          <Download className="w-4 h-4 mr-2" />
+          Chart PNG
+        </Button>
+        <Button variant="outline" className="flex items-center" onClick={handleSvg}>
+          <Download className="w-4 h-4 mr-2" />
+          Chart SVG
+        </Button>
+      </div>
+      {error && <div className="text-sm text-red-700">{error}</div>}
+    </div>
+  );
+};
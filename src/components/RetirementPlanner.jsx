@@ -0,0 +1,151 @@
+import React from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { Label } from "./ui/label";
+import { Slider } from "./ui/slider";
+import { formatPercent } from "../utils/format";
+
+const describeSource = ({ source, pathCount }) => {
+  switch (source) {
+    case "MONTE_CARLO":
+      return `Based on ${pathCount} Monte Carlo paths.`;
+    case "HISTORY":
+      return `Based on ${pathCount} historical windows (every start year in the bundled data).`;
+    default:
+      return "Based on the single scenario path, so every rate either fails or succeeds. Turn on volatility for probabilities.";
+  }
+};
+
+// Withdrawal rate and target success controls, the success rate of every
+// series against the withdrawal rate, and the safe withdrawal rate per series.
+// `analysis` is null until the first run with the planner on completes.
+export const RetirementPlanner = ({
+  analysis,
+  series,
+  withdrawalRate,
+  targetSuccess,
+  years,
+  onChange,
+}) => (
+  <div className="space-y-4">
+    <div className="grid grid-cols-2 gap-4">
+      <div>
+        <div className="flex justify-between">
+          <Label>Withdrawal Rate</Label>
+          <span>{withdrawalRate.toFixed(2)}%</span>
+        </div>
+        <Slider
+          value={[withdrawalRate]}
+          min={0}
+          max={10}
+          step={0.25}
+          onValueChange={(v) => onChange("retirementWithdrawalRate", v[0])}
+        />
+      </div>
+      <div>
+        <div className="flex justify-between">
+          <Label>Target Success Rate</Label>
+          <span>{targetSuccess}%</span>
+        </div>
+        <Slider
+          value={[targetSuccess]}
+          min={50}
+          max={99}
+          step={1}
+          onValueChange={(v) => onChange("retirementTargetSuccess", v[0])}
+        />
+      </div>
+    </div>
+    <p className="text-sm text-gray-600">
+      Withdraws the rate above as a share of the initial investment every
+      year, raised with inflation, for {years} years.{" "}
+      {analysis && describeSource(analysis)}
+    </p>
+
+    {analysis && (
+      <>
+        <div className="h-72">
+          <ResponsiveContainer>
+            <LineChart
+              data={analysis.curve}
+              margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                dataKey="rate"
+                type="number"
+                domain={[0, 10]}
+                tickFormatter={(value) => `${value}%`}
+              />
+              <YAxis domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+              <Tooltip
+                formatter={(value) => formatPercent(value)}
+                labelFormatter={(rate) => `Withdrawal rate ${rate}%`}
+              />
+              <Legend />
+              <ReferenceLine
+                x={analysis.withdrawalRate}
+                stroke="#666666"
+                strokeDasharray="5 5"
+              />
+              <ReferenceLine
+                y={analysis.targetSuccess}
+                stroke="#666666"
+                strokeDasharray="5 5"
+              />
+              {Object.keys(analysis.assets).map((name) => (
+                <Line
+                  key={name}
+                  type="monotone"
+                  dataKey={name}
+                  stroke={series[name]?.color}
+                  dot={false}
+                  strokeWidth={series[name]?.isPortfolio ? 3 : 2}
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1">Asset</th>
+              <th className="py-2 px-1">
+                Success at {analysis.withdrawalRate.toFixed(2)}%
+              </th>
+              <th className="py-2 px-1">
+                Safe Withdrawal Rate ({analysis.targetSuccess}% success)
+              </th>
+              <th className="py-2 px-1">Median Sustainable Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(analysis.assets).map(([name, result]) => (
+              <tr key={name} className="border-b">
+                <td className="py-1 px-1">{name}</td>
+                <td className="py-1 px-1">{formatPercent(result.successRate)}</td>
+                <td className="py-1 px-1">
+                  {formatPercent(result.safeWithdrawalRate)}
+                </td>
+                <td className="py-1 px-1">
+                  {formatPercent(result.medianSustainableRate)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </>
+    )}
+  </div>
+);
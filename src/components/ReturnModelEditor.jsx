@@ -0,0 +1,94 @@
+import React from "react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  getModelParameters,
+  returnModelParameters,
+  returnModels,
+} from "../engine/returnModels";
+
+const descriptions = {
+  GBM: "Shocks compound from step to step as lognormal returns around each asset's return and volatility. There is nothing else to set.",
+  STUDENT_T:
+    "Shocks are Student-t with each asset's volatility; fewer degrees of freedom give fatter tails (more crashes and booms). Empty cells use the default shown.",
+  REGIME_SWITCHING:
+    "Each asset switches between a bull regime (its return and volatility) and a bear regime with the chances per year below, starting in bull. Empty cells use the defaults shown, derived from the asset's return and volatility.",
+};
+
+// Per-asset parameters of the selected return model; edits are stored in
+// each asset's `modelParameters` and clearing a cell restores the default.
+export const ReturnModelEditor = ({ model, assets, onChange }) => {
+  const parameters = returnModelParameters[model] || {};
+
+  const updateParameter = (name, field, text) => {
+    const { [field]: _previous, ...modelParameters } =
+      assets[name].modelParameters || {};
+    const { min, max } = parameters[field];
+    onChange(
+      name,
+      "modelParameters",
+      text === ""
+        ? modelParameters
+        : {
+            ...modelParameters,
+            [field]: Math.max(min, Math.min(max, Number(text))),
+          }
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label>{returnModels[model]} Parameters</Label>
+      {Object.keys(parameters).length > 0 && (
+        <div className="overflow-auto">
+          <table className="w-full text-left border-collapse text-sm">
+            <thead>
+              <tr className="border-b">
+                <th className="py-2 px-1">Asset</th>
+                {Object.entries(parameters).map(([field, { label }]) => (
+                  <th key={field} className="py-2 px-1">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(assets)
+                .filter(([, asset]) => !asset.isBaseline)
+                .map(([name, asset]) => {
+                  const defaults = getModelParameters({
+                    ...asset,
+                    modelParameters: undefined,
+                  });
+                  return (
+                    <tr key={name} className="border-b">
+                      <td className="py-1 px-1">{name}</td>
+                      {Object.entries(parameters).map(
+                        ([field, { min, max, step }]) => (
+                          <td key={field} className="py-1 px-1">
+                            <Input
+                              type="number"
+                              className="w-24"
+                              min={min}
+                              max={max}
+                              step={step}
+                              value={asset.modelParameters?.[field] ?? ""}
+                              placeholder={String(defaults[field])}
+                              onChange={(e) =>
+                                updateParameter(name, field, e.target.value)
+                              }
+                            />
+                          </td>
+                        )
+                      )}
+                    </tr>
+                  );
+                })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="text-sm text-gray-600">{descriptions[model]}</p>
+    </div>
+  );
+};
@@ -0,0 +1,206 @@
+import React from "react";
+import { HelpCircle } from "lucide-react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { riskFreeSources, varConfidenceLevels } from "../engine/riskMetrics";
+
+const help = [
+  {
+    title: "Sharpe Ratio",
+    description:
+      "Return above the risk-free rate per unit of volatility, per year. Above 1 is strong; below 0 means cash did better.",
+    benefit:
+      "Compares assets with different risk levels: a lower-returning asset can still be the better deal if it gets there with far smaller swings.",
+  },
+  {
+    title: "Sortino Ratio",
+    description:
+      "Like Sharpe, but only counts swings below the risk-free rate as risk.",
+    benefit:
+      "Does not punish an asset for big upside moves, so it suits assets with skewed returns such as managed futures.",
+  },
+  {
+    title: "Calmar Ratio",
+    description: "CAGR divided by the max drawdown.",
+    benefit:
+      "Tells you how much yearly growth you get for each point of the worst loss you would have had to sit through.",
+  },
+  {
+    title: "VaR and CVaR",
+    description:
+      "Value at risk is the one-year loss that is only exceeded in the worst years at the chosen confidence (e.g. 1 in 20 at 95%); CVaR is the average loss in those worst years. Historical figures come from the simulated years, parametric ones from a normal distribution fitted to them.",
+    benefit:
+      "Puts a number on a bad year. When the historical figures are well above the parametric ones, the losses have fatter tails than a normal distribution suggests.",
+  },
+  {
+    title: "Ulcer Index",
+    description:
+      "Root mean square of the percentage drawdowns at every step, so it grows with both the depth and the length of drawdowns.",
+    benefit:
+      "Captures the stress of being under water for a long time, which max drawdown alone misses.",
+  },
+  {
+    title: "Longest Drawdown and Recovery Time",
+    description:
+      "The longest stretch spent below a previous high, and how long the deepest drawdown took to climb from its low back to the old high.",
+    benefit:
+      "Shows how long you might have to wait to be whole again, which matters most when you need the money at a given date.",
+  },
+];
+
+const formatRatio = (value) => (value === null ? "—" : value.toFixed(2));
+const formatLoss = (value) => (value === null ? "—" : `${value.toFixed(2)}%`);
+const formatYears = (value) =>
+  value === null ? "Not recovered" : `${value.toFixed(1)} yrs`;
+
+const describeSource = ({ source, pathCount }) => {
+  switch (source) {
+    case "MONTE_CARLO":
+      return `Medians across ${pathCount} Monte Carlo paths; VaR/CVaR pool the yearly returns of every path.`;
+    case "BACKTEST":
+      return "Measured on the historical backtest.";
+    default:
+      return "Measured on the single scenario path. Turn on Monte Carlo mode for metrics across many paths.";
+  }
+};
+
+// Risk-adjusted returns, tail risk and drawdown metrics per series, with the
+// risk-free rate and VaR confidence settings.
+export const RiskMetricsPanel = ({
+  analysis,
+  riskFreeSource,
+  riskFreeRate,
+  varConfidence,
+  onChange,
+}) => (
+  <div className="space-y-4">
+    <div className="flex items-center gap-2">
+      <Label className="font-semibold">Risk Metrics</Label>
+      <div className="relative group">
+        <HelpCircle className="h-5 w-5 text-gray-400 cursor-help" />
+        <div className="absolute left-0 top-full mt-2 hidden group-hover:block w-96 p-4 bg-white border rounded-lg shadow-lg z-50">
+          <div className="space-y-6">
+            {help.map(({ title, description, benefit }) => (
+              <div key={title}>
+                <h4 className="font-medium">{title}</h4>
+                <p className="text-sm text-gray-600 mt-1">{description}</p>
+                <p className="text-sm text-blue-600 mt-2">
+                  <strong>How does this help:</strong> {benefit}
+                </p>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <div className="grid grid-cols-3 gap-4 items-end">
+      <div>
+        <Label>Risk-Free Rate</Label>
+        <Select
+          value={riskFreeSource}
+          onValueChange={(v) => onChange("riskFreeSource", v)}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(riskFreeSources).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      <div>
+        <Label>Custom Rate (% per year, nominal)</Label>
+        <Input
+          type="number"
+          value={riskFreeRate}
+          step="0.1"
+          disabled={
+            riskFreeSource === "BIL" && analysis?.riskFreeSource === "BIL"
+          }
+          onChange={(e) =>
+            onChange("riskFreeRate", Math.max(0, Number(e.target.value)))
+          }
+        />
+      </div>
+      <div>
+        <Label>VaR Confidence</Label>
+        <Select
+          value={String(varConfidence)}
+          onValueChange={(v) => onChange("varConfidence", Number(v))}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.keys(varConfidenceLevels).map((level) => (
+              <SelectItem key={level} value={level}>
+                {level}%
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+    </div>
+    {analysis && (
+      <p className="text-sm text-gray-600">
+        {describeSource(analysis)}{" "}
+        {riskFreeSource === "BIL" && analysis.riskFreeSource !== "BIL"
+          ? "There is no BIL asset, so the custom rate is used."
+          : ""}
+      </p>
+    )}
+
+    {analysis && (
+      <div className="overflow-auto">
+        <table className="w-full text-left border-collapse text-sm">
+          <thead>
+            <tr className="border-b">
+              <th className="py-2 px-1">Asset</th>
+              <th className="py-2 px-1">Sharpe</th>
+              <th className="py-2 px-1">Sortino</th>
+              <th className="py-2 px-1">Calmar</th>
+              <th className="py-2 px-1">VaR {analysis.confidence}%</th>
+              <th className="py-2 px-1">CVaR {analysis.confidence}%</th>
+              <th className="py-2 px-1">Parametric VaR</th>
+              <th className="py-2 px-1">Parametric CVaR</th>
+              <th className="py-2 px-1">Ulcer Index</th>
+              <th className="py-2 px-1">Longest Drawdown</th>
+              <th className="py-2 px-1">Recovery Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(analysis.assets).map(([name, metrics]) => (
+              <tr key={name} className="border-b">
+                <td className="py-1 px-1">{name}</td>
+                <td className="py-1 px-1">{formatRatio(metrics.sharpe)}</td>
+                <td className="py-1 px-1">{formatRatio(metrics.sortino)}</td>
+                <td className="py-1 px-1">{formatRatio(metrics.calmar)}</td>
+                <td className="py-1 px-1">{formatLoss(metrics.historicalVar)}</td>
+                <td className="py-1 px-1">{formatLoss(metrics.historicalCvar)}</td>
+                <td className="py-1 px-1">{formatLoss(metrics.parametricVar)}</td>
+                <td className="py-1 px-1">{formatLoss(metrics.parametricCvar)}</td>
+                <td className="py-1 px-1">{formatRatio(metrics.ulcerIndex)}</td>
+                <td className="py-1 px-1">
+                  {formatYears(metrics.longestDrawdownYears)}
+                </td>
+                <td className="py-1 px-1">{formatYears(metrics.recoveryYears)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
@@ -0,0 +1,54 @@
+import React from "react";
+import { Loader2 } from "lucide-react";
+import { Button } from "./ui/button";
+
+// Progress of the background run. The chart keeps the last completed result
+// while this is showing; `hasResults` is false until the first run completes.
+export const RunStatus = ({
+  running,
+  progress,
+  error,
+  cancelled,
+  hasResults,
+  onCancel,
+}) => {
+  const fallback = hasResults ? " Showing the last completed result." : "";
+  if (running) {
+    return (
+      <div className="flex items-center gap-2 mr-auto text-sm text-gray-600">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        <span>
+          Calculating
+          {progress !== null ? ` ${Math.round(progress * 100)}%` : "…"}
+        </span>
+        {progress !== null && (
+          <div className="w-32 h-2 bg-gray-200 rounded">
+            <div
+              className="h-2 bg-blue-500 rounded"
+              style={{ width: `${progress * 100}%` }}
+            />
+          </div>
+        )}
+        <Button variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    );
+  }
+  if (error) {
+    return (
+      <p className="mr-auto text-sm text-red-600">
+        {error}
+        {fallback}
+      </p>
+    );
+  }
+  if (cancelled) {
+    return (
+      <p className="mr-auto text-sm text-gray-600">
+        Run cancelled.{fallback}
+      </p>
+    );
+  }
+  return null;
+};
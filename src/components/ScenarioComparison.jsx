@@ -0,0 +1,225 @@
+import React, { useMemo, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { Trash } from "lucide-react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  buildComparisonSeries,
+  compareSnapshots,
+  getSnapshotDash,
+} from "../engine/comparison";
+import { formatCurrency, formatPercent } from "../utils/format";
+
+const ALL_SERIES = "ALL";
+
+const formatDifference = (value, format) =>
+  value === null ? "—" : `${value > 0 ? "+" : ""}${format(value)}`;
+
+const formatPoints = (value) =>
+  Number.isFinite(value) ? `${value.toFixed(2)} pts` : "n/a";
+
+// Pin the current run as a named snapshot and compare the pinned snapshots:
+// one line style per snapshot (solid, dashed...) in the series' colors, and
+// the ending value, CAGR and max drawdown against the first snapshot.
+export const ScenarioComparison = ({
+  snapshots,
+  defaultName,
+  onPin,
+  onRemove,
+}) => {
+  const [name, setName] = useState("");
+  const [selectedSeries, setSelectedSeries] = useState(ALL_SERIES);
+
+  // Series of any snapshot, first seen first, with the color it had there.
+  const seriesColors = useMemo(() => {
+    const colors = {};
+    snapshots.forEach(({ series }) => {
+      Object.entries(series).forEach(([seriesName, { color, isBaseline }]) => {
+        if (!isBaseline && !colors[seriesName]) colors[seriesName] = color;
+      });
+    });
+    return colors;
+  }, [snapshots]);
+
+  const names =
+    selectedSeries === ALL_SERIES || !seriesColors[selectedSeries]
+      ? Object.keys(seriesColors)
+      : [selectedSeries];
+  const rows = buildComparisonSeries(snapshots, names);
+  const comparison = compareSnapshots(snapshots, names);
+
+  const handlePin = () => {
+    onPin(name.trim() || defaultName);
+    setName("");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-end gap-2">
+        <div className="flex-1">
+          <Label>Snapshot Name</Label>
+          <Input
+            value={name}
+            placeholder={defaultName}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <Button onClick={handlePin}>Pin Current Run</Button>
+      </div>
+
+      {snapshots.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          Pin runs to compare them here, e.g. pick "Mild Recession", pin it,
+          then pick "Severe Crisis" and pin that too.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {snapshots.map((snapshot, index) => (
+              <div
+                key={snapshot.name}
+                className="flex items-center gap-2 border rounded px-2 py-1 text-sm"
+              >
+                <svg width="32" height="8">
+                  <line
+                    x1="0"
+                    y1="4"
+                    x2="32"
+                    y2="4"
+                    stroke="#333333"
+                    strokeWidth="2"
+                    strokeDasharray={getSnapshotDash(index)}
+                  />
+                </svg>
+                <span>{snapshot.name}</span>
+                <Button
+                  variant="destructive"
+                  onClick={() => onRemove(snapshot.name)}
+                >
+                  <Trash className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+
+          <div className="w-64">
+            <Label>Series</Label>
+            <Select value={selectedSeries} onValueChange={setSelectedSeries}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_SERIES}>All series</SelectItem>
+                {Object.keys(seriesColors).map((seriesName) => (
+                  <SelectItem key={seriesName} value={seriesName}>
+                    {seriesName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="h-80">
+            <ResponsiveContainer>
+              <LineChart
+                data={rows}
+                margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  dataKey="years"
+                  domain={["dataMin", "dataMax"]}
+                  tickFormatter={(value) => `Year ${value}`}
+                />
+                <YAxis tickFormatter={formatCurrency} />
+                <Tooltip
+                  labelFormatter={(value) => `Year ${value}`}
+                  formatter={(value) => formatCurrency(value)}
+                />
+                <Legend />
+                {snapshots.flatMap((snapshot, index) =>
+                  names
+                    .filter((seriesName) => snapshot.metrics[seriesName])
+                    .map((seriesName) => (
+                      <Line
+                        key={`${snapshot.name}\n${seriesName}`}
+                        name={`${seriesName} — ${snapshot.name}`}
+                        type="monotone"
+                        dataKey={(row) => row.values[index]?.[seriesName]}
+                        stroke={seriesColors[seriesName]}
+                        strokeDasharray={getSnapshotDash(index)}
+                        strokeWidth={2}
+                        dot={false}
+                        connectNulls
+                        isAnimationActive={false}
+                      />
+                    ))
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="overflow-auto">
+            <table className="w-full text-left border-collapse text-sm">
+              <thead>
+                <tr className="border-b">
+                  <th className="py-2 px-1">Series</th>
+                  <th className="py-2 px-1">Snapshot</th>
+                  <th className="py-2 px-1">Ending Value</th>
+                  <th className="py-2 px-1">Difference</th>
+                  <th className="py-2 px-1">CAGR / IRR</th>
+                  <th className="py-2 px-1">Difference</th>
+                  <th className="py-2 px-1">Max Drawdown</th>
+                  <th className="py-2 px-1">Difference</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.map((row) => (
+                  <tr key={`${row.name}\n${row.snapshot}`} className="border-b">
+                    <td className="py-1 px-1">{row.name}</td>
+                    <td className="py-1 px-1">{row.snapshot}</td>
+                    <td className="py-1 px-1">{formatCurrency(row.endingValue)}</td>
+                    <td className="py-1 px-1">
+                      {formatDifference(row.endingValueDifference, formatCurrency)}
+                    </td>
+                    <td className="py-1 px-1">{formatPercent(row.cagr)}</td>
+                    <td className="py-1 px-1">
+                      {formatDifference(row.cagrDifference, formatPoints)}
+                    </td>
+                    <td className="py-1 px-1">{formatPercent(row.maxDrawdown)}</td>
+                    <td className="py-1 px-1">
+                      {formatDifference(row.maxDrawdownDifference, formatPoints)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-sm text-gray-600">
+            Differences are against the first snapshot with that series.
+            Snapshots keep the value mode they were pinned in; Monte Carlo runs
+            are pinned as their single scenario path.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,146 @@
+import React, { useRef, useState } from "react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Button } from "./ui/button";
+import {
+  buildShareUrl,
+  parseScenario,
+  serializeScenario,
+} from "../io/scenarioFile";
+import { deleteSavedScenario, saveScenario } from "../io/savedScenarios";
+import { downloadFile } from "../io/download";
+
+// Save/delete named scenarios in localStorage, copy a share link and
+// export/import scenario JSON files.
+export const ScenarioManager = ({
+  scenario,
+  savedScenarios,
+  selectedSavedName,
+  onSavedScenariosChange,
+  onLoad,
+  initialError,
+}) => {
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState(
+    initialError ? { error: true, text: initialError } : null
+  );
+  const [shareUrl, setShareUrl] = useState("");
+  const fileInput = useRef(null);
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      setMessage({ error: true, text: "Enter a name to save this scenario." });
+      return;
+    }
+    try {
+      onSavedScenariosChange(saveScenario(trimmed, scenario));
+      setMessage({ error: false, text: `Saved "${trimmed}".` });
+      setName("");
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const handleDelete = () => {
+    try {
+      onSavedScenariosChange(deleteSavedScenario(selectedSavedName));
+      setMessage({ error: false, text: `Deleted "${selectedSavedName}".` });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  const handleShare = () => {
+    const url = buildShareUrl(scenario, window.location.href);
+    window.history.replaceState(null, "", url);
+    setShareUrl(url);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => setMessage({ error: false, text: "Share link copied to the clipboard." }),
+        () => setMessage({ error: false, text: "Copy the share link below." })
+      );
+    }
+  };
+
+  const handleExport = () => {
+    const fileName = (name.trim() || "scenario").replace(/[^\w-]+/g, "-");
+    downloadFile(
+      `${fileName}.json`,
+      JSON.stringify(serializeScenario(scenario, name.trim() || undefined), null, 2),
+      "application/json"
+    );
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseScenario(await file.text());
+      onLoad(imported.scenario);
+      setMessage({
+        error: false,
+        text: `Loaded ${imported.name ? `"${imported.name}"` : file.name}.`,
+      });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-end gap-2">
+        <div className="flex-1">
+          <Label>Scenario Name</Label>
+          <Input
+            value={name}
+            placeholder="My scenario"
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <Button variant="outline" onClick={handleSave}>
+          Save
+        </Button>
+        {selectedSavedName && (
+          <Button variant="destructive" onClick={handleDelete}>
+            Delete "{selectedSavedName}"
+          </Button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button variant="outline" onClick={handleShare}>
+          Share Link
+        </Button>
+        <Button variant="outline" onClick={handleExport}>
+          Export JSON
+        </Button>
+        <Button variant="outline" onClick={() => fileInput.current.click()}>
+          Import JSON
+        </Button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleImport}
+        />
+      </div>
+      {shareUrl && (
+        <Input readOnly value={shareUrl} onFocus={(e) => e.target.select()} />
+      )}
+      {message && (
+        <div
+          className={`text-sm ${message.error ? "text-red-700" : "text-gray-600"}`}
+        >
+          {message.text}
+        </div>
+      )}
+      {savedScenarios.length === 0 && (
+        <div className="text-sm text-gray-500">
+          Saved scenarios appear in the Scenario Preset list.
+        </div>
+      )}
+    </div>
+  );
+};
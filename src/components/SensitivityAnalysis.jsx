@@ -0,0 +1,235 @@
+import React from "react";
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { withPortfolioAssets } from "../engine/portfolio";
+import {
+  getHeatmapAxes,
+  getSensitivityParameters,
+  sensitivityMetrics,
+} from "../engine/sensitivity";
+import { formatCurrency, formatPercent } from "../utils/format";
+
+const formatValue = (value, labels) => labels?.[value] ?? String(value);
+
+// Red for the worst cell of the heatmap through yellow to green for the best.
+const cellColor = (value, min, max) => {
+  const share = max > min ? (value - min) / (max - min) : 0.5;
+  return `hsl(${Math.round(share * 120)}, 70%, 80%)`;
+};
+
+const ParameterSelect = ({ label, value, parameters, onChange }) => (
+  <div>
+    <Label>{label}</Label>
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {parameters.map((parameter) => (
+          <SelectItem key={parameter.key} value={parameter.key}>
+            {parameter.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  </div>
+);
+
+// Series and outcome controls, a tornado chart of the outcome across each
+// parameter's sweep and a heatmap over two parameters. `analysis` is null
+// until the first run with the analysis on completes; the controls follow
+// `scenario`.
+export const SensitivityAnalysis = ({ analysis, scenario, onChange }) => {
+  const series = withPortfolioAssets(scenario);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+  const parameters = getSensitivityParameters(scenario);
+  const { x, y } = getHeatmapAxes(
+    parameters,
+    scenario.sensitivityX,
+    scenario.sensitivityY
+  );
+  const format = (value) =>
+    analysis?.metric === "CAGR" ? formatPercent(value) : formatCurrency(value);
+
+  const tornado = (analysis?.tornado || []).map((row) => {
+    const first = row.points[0];
+    const last = row.points[row.points.length - 1];
+    const outcomes = row.points.map((point) => point.outcome);
+    return {
+      ...row,
+      first,
+      last,
+      range: [Math.min(...outcomes), Math.max(...outcomes)],
+    };
+  });
+  const selectedSeries = names.includes(scenario.sensitivitySeries)
+    ? scenario.sensitivitySeries
+    : names[0];
+  const cells = analysis?.heatmap?.cells.flat() || [];
+  const cellMin = Math.min(...cells);
+  const cellMax = Math.max(...cells);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <Label>Series</Label>
+          <Select
+            value={selectedSeries}
+            onValueChange={(v) => onChange("sensitivitySeries", v)}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {names.map((name) => (
+                <SelectItem key={name} value={name}>
+                  {name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label>Outcome</Label>
+          <Select
+            value={scenario.sensitivityMetric}
+            onValueChange={(v) => onChange("sensitivityMetric", v)}
+          >
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(sensitivityMetrics).map(([value, label]) => (
+                <SelectItem key={value} value={value}>
+                  {label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600">
+        Each bar spans the outcomes as one parameter is swept across its range
+        (crisis drawdown 0-50%, recovery 1 year to the horizon, fees 0-2%,
+        inflation 0-6%, asset returns ±3 points, crisis response -2 to 2) with
+        everything else as set, including the random path when volatility is
+        on. Only parameters that can move the chosen series are offered: its
+        own asset or the assets its portfolio holds. Crisis parameters are set
+        on every crisis event and are offered while a crisis is active and
+        backtesting is off; the crisis response of an asset is set for every
+        active crisis type.
+        {scenario.sensitivityMetric === "CAGR" &&
+          " With contributions or withdrawals the money-weighted return is used."}
+      </p>
+
+      {analysis && (
+        <>
+          <Label>
+            {sensitivityMetrics[analysis.metric]} of {analysis.series}:{" "}
+            {format(analysis.base)} as set
+          </Label>
+          <div style={{ height: Math.max(160, tornado.length * 32 + 60) }}>
+            <ResponsiveContainer>
+              <BarChart
+                data={tornado}
+                layout="vertical"
+                margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  domain={["auto", "auto"]}
+                  tickFormatter={format}
+                />
+                <YAxis type="category" dataKey="label" width={220} />
+                <Tooltip
+                  formatter={(value, _, { payload }) => [
+                    `${format(payload.first.outcome)} at ${formatValue(
+                      payload.first.value,
+                      payload.labels
+                    )}, ${format(payload.last.outcome)} at ${formatValue(
+                      payload.last.value,
+                      payload.labels
+                    )}`,
+                    "Outcome",
+                  ]}
+                />
+                <ReferenceLine x={analysis.base} stroke="#666666" strokeDasharray="5 5" />
+                <Bar dataKey="range" fill="#3182bd" isAnimationActive={false} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      <div className="grid grid-cols-2 gap-4">
+        <ParameterSelect
+          label="Heatmap Columns"
+          value={x?.key}
+          parameters={parameters.filter((parameter) => parameter.key !== y?.key)}
+          onChange={(v) => onChange("sensitivityX", v)}
+        />
+        <ParameterSelect
+          label="Heatmap Rows"
+          value={y?.key}
+          parameters={parameters.filter((parameter) => parameter.key !== x?.key)}
+          onChange={(v) => onChange("sensitivityY", v)}
+        />
+      </div>
+
+      {analysis?.heatmap && (
+        <div className="overflow-auto">
+          <table className="w-full border-collapse text-sm text-center">
+            <thead>
+              <tr>
+                <th className="py-1 px-1 text-left">
+                  {analysis.heatmap.y.label} \ {analysis.heatmap.x.label}
+                </th>
+                {analysis.heatmap.x.values.map((value) => (
+                  <th key={value} className="py-1 px-1">
+                    {formatValue(value, analysis.heatmap.x.labels)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.heatmap.y.values.map((yValue, row) => (
+                <tr key={yValue}>
+                  <th className="py-1 px-1 text-left">
+                    {formatValue(yValue, analysis.heatmap.y.labels)}
+                  </th>
+                  {analysis.heatmap.cells[row].map((value, column) => (
+                    <td
+                      key={column}
+                      className="py-1 px-1 border border-white"
+                      style={{ backgroundColor: cellColor(value, cellMin, cellMax) }}
+                    >
+                      {format(value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
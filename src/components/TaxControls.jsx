@@ -0,0 +1,79 @@
+import React from "react";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { accountTypes } from "../engine/tax";
+
+const RateInput = ({ label, value, onChange }) => (
+  <div>
+    <Label>{label}</Label>
+    <Input
+      type="number"
+      value={value}
+      step="1"
+      min="0"
+      max="100"
+      onChange={(e) =>
+        onChange(Math.max(0, Math.min(100, Number(e.target.value))))
+      }
+    />
+  </div>
+);
+
+export const TaxControls = ({ taxes, onChange }) => (
+  <div className="space-y-4">
+    <Label className="font-semibold">Taxes</Label>
+    <div className="grid grid-cols-2 gap-4 items-end">
+      <div>
+        <Label>Account Type</Label>
+        <Select
+          value={taxes.accountType}
+          onValueChange={(v) => onChange("accountType", v)}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(accountTypes).map(([value, label]) => (
+              <SelectItem key={value} value={value}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      {taxes.accountType !== "TAX_FREE" && (
+        <RateInput
+          label="Ordinary Income Rate (%)"
+          value={taxes.ordinaryIncomeRate}
+          onChange={(v) => onChange("ordinaryIncomeRate", v)}
+        />
+      )}
+      {taxes.accountType === "TAXABLE" && (
+        <>
+          <RateInput
+            label="Qualified Dividend Rate (%)"
+            value={taxes.qualifiedDividendRate}
+            onChange={(v) => onChange("qualifiedDividendRate", v)}
+          />
+          <RateInput
+            label="Capital Gains Rate (%)"
+            value={taxes.capitalGainsRate}
+            onChange={(v) => onChange("capitalGainsRate", v)}
+          />
+        </>
+      )}
+    </div>
+    {taxes.accountType === "TAX_DEFERRED" && (
+      <p className="text-sm text-gray-600">
+        Withdrawals and the final balance are taxed as ordinary income.
+      </p>
+    )}
+  </div>
+);
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+import { Input } from "./ui/input";
+
+const parseNumber = (text) => (text.trim() === "" ? NaN : Number(text));
+
+// An input that keeps what is typed as a draft and only passes valid values
+// to `onCommit`; invalid drafts get a red border and `validate`'s message.
+// Number inputs commit while typing, text inputs on blur or Enter (Escape
+// goes back to `value`).
+export const ValidatedInput = ({
+  value,
+  validate,
+  onCommit,
+  type = "text",
+  className = "",
+  ...props
+}) => {
+  const isNumber = type === "number";
+  const parse = isNumber ? parseNumber : (text) => text.trim();
+  const [draft, setDraft] = useState(String(value));
+  const [error, setError] = useState(null);
+
+  // Follow outside changes (presets, imports), but leave a draft like "1."
+  // that already means the current value alone.
+  useEffect(() => {
+    setDraft((current) => (parse(current) === value ? current : String(value)));
+    setError(null);
+  }, [value]);
+
+  const check = (text) => {
+    const message = validate(parse(text));
+    setError(message);
+    return message === null;
+  };
+
+  const commit = () => {
+    if (parse(draft) !== value && check(draft)) onCommit(parse(draft));
+  };
+
+  return (
+    <div>
+      <Input
+        {...props}
+        type={type}
+        value={draft}
+        className={`border p-1 rounded w-full ${error ? "border-red-500" : ""} ${className}`}
+        aria-invalid={error !== null}
+        title={error ?? undefined}
+        onChange={(e) => {
+          setDraft(e.target.value);
+          if (isNumber) {
+            if (check(e.target.value)) onCommit(parse(e.target.value));
+          } else {
+            check(e.target.value);
+          }
+        }}
+        onBlur={isNumber ? undefined : commit}
+        onKeyDown={
+          isNumber
+            ? undefined
+            : (e) => {
+                if (e.key === "Enter") commit();
+                if (e.key === "Escape") {
+                  setDraft(String(value));
+                  setError(null);
+                }
+              }
+        }
+      />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
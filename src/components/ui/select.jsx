@@ -6,9 +6,14 @@ export const Select = ({ value, onValueChange, children }) => {
   const ref = useRef(null);
 
   // Find the selected item's label
-  const selectedItem = React.Children.toArray(children).find(
+  const content = React.Children.toArray(children).find(
     (child) => child.type === SelectContent
-  )?.props.children.find((child) => child.props.value === value);
+  );
+  const selectedItem = content
+    ? React.Children.toArray(content.props.children).find(
+        (child) => child.props.value === value
+      )
+    : undefined;
 
   useEffect(() => {
     const handleClickOutside = (event) => {
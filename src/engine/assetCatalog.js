@@ -0,0 +1,313 @@
+import { assetClasses } from "./crisis";
+import { defaultAssets } from "./presets";
+
+/**
+ * Built-in catalog of common asset classes and ETFs to add from.
+ *
+ * Figures are rounded long-run assumptions for illustration, in the units of
+ * `Asset`: `return` is the expected nominal total return in percent a year,
+ * `volatility` the annual standard deviation as a decimal, and
+ * `drawdownImpact`/`crisisSensitivity` are relative to the S&P 500 (1).
+ * `yield` is the part of the return paid out as income. Each entry's
+ * `description` says what it holds and where its numbers come from. Tickers
+ * without bundled history grow at their expected return in backtests.
+ *
+ * @type {Array<import("./simulation").Asset & { name: string, description: string }>}
+ */
+export const assetCatalog = [
+  {
+    name: "VTI (US Total Market)",
+    description: "Every listed US stock. Return and volatility close to the S&P 500's long-run record, slightly more small-cap risk.",
+    ticker: "VTI",
+    assetClass: "EQUITY",
+    return: 7,
+    volatility: 0.16,
+    drawdownImpact: 1.0,
+    crisisSensitivity: 1.0,
+    yield: 1.4,
+    taxTreatment: "QUALIFIED",
+    color: "#e6550d",
+  },
+  {
+    name: "SWPPX/SPX (S&P 500)",
+    description: "US large caps; the reference asset that drawdown and crisis figures are measured against.",
+    ...defaultAssets["SWPPX/SPX (S&P 500)"],
+  },
+  {
+    name: "QQQ (Nasdaq-100)",
+    description: "Largest non-financial Nasdaq stocks, tech heavy. Higher expected return with about 1.4x the S&P 500's volatility; fell over 80% in 2000-2002.",
+    ticker: "QQQ",
+    assetClass: "GROWTH_EQUITY",
+    return: 8,
+    volatility: 0.22,
+    drawdownImpact: 1.3,
+    crisisSensitivity: 1.3,
+    yield: 0.6,
+    taxTreatment: "QUALIFIED",
+    color: "#3182bd",
+  },
+  {
+    name: "VUG (Large-Cap Growth)",
+    description: "US large-cap growth stocks.",
+    ...defaultAssets["VUG (Large-Cap Growth)"],
+  },
+  {
+    name: "VTV (Large-Cap Value)",
+    description: "US large-cap value stocks: cheaper, more dividends, a little less volatile than the market.",
+    ticker: "VTV",
+    assetClass: "EQUITY",
+    return: 6.5,
+    volatility: 0.15,
+    drawdownImpact: 0.9,
+    crisisSensitivity: 0.9,
+    yield: 2.4,
+    taxTreatment: "QUALIFIED",
+    color: "#756bb1",
+  },
+  {
+    name: "AVUV (US Small-Cap Value)",
+    description: "US small-cap value stocks. Historically a value and size premium over the market, with deeper drawdowns.",
+    ticker: "AVUV",
+    assetClass: "EQUITY",
+    return: 8,
+    volatility: 0.22,
+    drawdownImpact: 1.2,
+    crisisSensitivity: 1.2,
+    yield: 1.6,
+    taxTreatment: "QUALIFIED",
+    color: "#636363",
+  },
+  {
+    name: "VEA (Developed ex-US)",
+    description: "Large and mid caps in Europe, Japan, Australia and Canada. Similar risk to US stocks with higher dividends.",
+    ticker: "VEA",
+    assetClass: "EQUITY",
+    return: 6.5,
+    volatility: 0.17,
+    drawdownImpact: 1.0,
+    crisisSensitivity: 1.0,
+    yield: 3,
+    taxTreatment: "QUALIFIED",
+    color: "#31a354",
+  },
+  {
+    name: "VWO (Emerging Markets)",
+    description: "Stocks in China, India, Taiwan, Brazil and other emerging markets. Higher volatility and currency risk.",
+    ticker: "VWO",
+    assetClass: "EQUITY",
+    return: 7,
+    volatility: 0.22,
+    drawdownImpact: 1.2,
+    crisisSensitivity: 1.2,
+    yield: 3,
+    taxTreatment: "QUALIFIED",
+    color: "#a1d99b",
+  },
+  {
+    name: "SCHD (US Dividend)",
+    description: "US dividend payers screened for quality. Less volatile than the market, with most of the return as dividends.",
+    ticker: "SCHD",
+    assetClass: "DIVIDEND_EQUITY",
+    return: 6.5,
+    volatility: 0.14,
+    drawdownImpact: 0.8,
+    crisisSensitivity: 0.8,
+    yield: 3.5,
+    taxTreatment: "QUALIFIED",
+    color: "#fdae6b",
+  },
+  {
+    name: "SPHD (High-Dividend/Low-Vol)",
+    description: "US high-dividend, low-volatility stocks.",
+    ...defaultAssets["SPHD (High-Dividend/Low-Vol)"],
+  },
+  {
+    name: "VNQ (US REITs)",
+    description: "US real estate investment trusts. Equity-like volatility, high ordinary-income dividends, hit hard by credit and property busts.",
+    ticker: "VNQ",
+    assetClass: "REAL_ESTATE",
+    return: 6,
+    volatility: 0.2,
+    drawdownImpact: 1.1,
+    crisisSensitivity: 1.1,
+    yield: 4,
+    taxTreatment: "ORDINARY",
+    color: "#8c6d31",
+  },
+  {
+    name: "BND (US Aggregate Bonds)",
+    description: "Investment-grade US bonds (Treasuries, mortgages, corporates), about 6 years of duration. Returns track the starting yield.",
+    ticker: "BND",
+    assetClass: "BONDS",
+    return: 4,
+    volatility: 0.05,
+    drawdownImpact: 0.2,
+    crisisSensitivity: 0.3,
+    yield: 3.5,
+    taxTreatment: "ORDINARY",
+    color: "#6baed6",
+  },
+  {
+    name: "IEF (7-10 Year Treasuries)",
+    description: "Intermediate US Treasuries. Usually rises in risk-off crises and falls when rates rise.",
+    ticker: "IEF",
+    assetClass: "BONDS",
+    return: 3.8,
+    volatility: 0.07,
+    drawdownImpact: 0.1,
+    crisisSensitivity: 0.2,
+    yield: 3,
+    taxTreatment: "ORDINARY",
+    color: "#9ecae1",
+  },
+  {
+    name: "TLT (20+ Year Treasuries)",
+    description: "Long US Treasuries, about 17 years of duration. Stock-like volatility; lost about 30% in 2022 when rates rose.",
+    ticker: "TLT",
+    assetClass: "BONDS",
+    return: 4,
+    volatility: 0.14,
+    drawdownImpact: 0.3,
+    crisisSensitivity: 0.4,
+    yield: 4,
+    taxTreatment: "ORDINARY",
+    color: "#08519c",
+  },
+  {
+    name: "TIP (TIPS)",
+    description: "Inflation-protected US Treasuries. Principal rises with CPI, so they hold up better than nominal bonds in inflation.",
+    ticker: "TIP",
+    assetClass: "BONDS",
+    return: 3.5,
+    volatility: 0.06,
+    drawdownImpact: 0.2,
+    crisisSensitivity: 0.3,
+    yield: 3,
+    taxTreatment: "ORDINARY",
+    color: "#c6dbef",
+  },
+  {
+    name: "BIL (Short-Term Treasuries)",
+    description: "1-3 month US Treasury bills; the risk-free reference.",
+    ...defaultAssets["BIL (Short-Term Treasuries)"],
+  },
+  {
+    name: "SGOV (0-3 Month T-Bills)",
+    description: "Ultra-short US Treasury bills, a money market substitute. Untouched by risk-off and rising-rates crises.",
+    ticker: "SGOV",
+    assetClass: "CASH",
+    return: 3,
+    volatility: 0.01,
+    drawdownImpact: 0.05,
+    crisisSensitivity: 0.05,
+    crisisResponses: { RISK_OFF: 0, RISING_RATES: 0 },
+    yield: 3,
+    taxTreatment: "ORDINARY",
+    color: "#bcbddc",
+  },
+  {
+    name: "LQD (Investment-Grade Corporates)",
+    description: "Investment-grade US corporate bonds. A credit spread over Treasuries, with losses when spreads widen.",
+    ticker: "LQD",
+    assetClass: "CREDIT",
+    return: 4.5,
+    volatility: 0.08,
+    drawdownImpact: 0.5,
+    crisisSensitivity: 0.6,
+    yield: 4.5,
+    taxTreatment: "ORDINARY",
+    color: "#9e9ac8",
+  },
+  {
+    name: "HYG (High-Yield Bonds)",
+    description: "Below-investment-grade US corporate bonds. High income, but defaults make them behave like stocks in a crisis.",
+    ticker: "HYG",
+    assetClass: "CREDIT",
+    return: 5.5,
+    volatility: 0.1,
+    drawdownImpact: 0.8,
+    crisisSensitivity: 0.9,
+    yield: 6,
+    taxTreatment: "ORDINARY",
+    color: "#dd1c77",
+  },
+  {
+    name: "PFF (Preferred Stocks)",
+    description: "US preferred stocks, mostly issued by banks.",
+    ...defaultAssets["PFF (Preferred Stocks)"],
+  },
+  {
+    name: "GLD (Gold)",
+    description: "Physical gold. No income and long flat stretches, but it tends to rise in inflationary crises. Taxed as a collectible, modelled as ordinary income.",
+    ticker: "GLD",
+    assetClass: "COMMODITIES",
+    return: 4,
+    volatility: 0.15,
+    drawdownImpact: 0.2,
+    crisisSensitivity: 0.2,
+    yield: 0,
+    taxTreatment: "ORDINARY",
+    color: "#d4af37",
+  },
+  {
+    name: "PDBC (Broad Commodities)",
+    description: "Futures on energy, metals and agriculture. Volatile, with its best years during inflation shocks.",
+    ticker: "PDBC",
+    assetClass: "COMMODITIES",
+    return: 4,
+    volatility: 0.18,
+    drawdownImpact: 0.6,
+    crisisSensitivity: 0.7,
+    yield: 0,
+    taxTreatment: "ORDINARY",
+    color: "#a63603",
+  },
+  {
+    name: "KMLM (Managed Futures)",
+    description: "Trend following on commodity, currency and bond futures.",
+    ...defaultAssets["KMLM (Managed Futures)"],
+  },
+  {
+    name: "DBMF (Managed Futures Replication)",
+    description: "Replicates the positions of large managed futures funds. Tends to gain in long crises, less sharply than pure trend followers.",
+    ticker: "DBMF",
+    assetClass: "MANAGED_FUTURES",
+    return: 5,
+    volatility: 0.1,
+    drawdownImpact: 0.3,
+    crisisSensitivity: 0.5,
+    crisisResponses: { RISK_OFF: -0.3, RISING_RATES: -0.8 },
+    gainRetention: 50,
+    yield: 1,
+    taxTreatment: "ORDINARY",
+    color: "#74c476",
+  },
+];
+
+/**
+ * Catalog entries matching every word of `query` in their name, ticker,
+ * asset class or description (case-insensitive). An empty query matches
+ * everything.
+ */
+export const searchCatalog = (query, catalog = assetCatalog) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return catalog.filter((entry) => {
+    const text = [
+      entry.name,
+      entry.ticker,
+      assetClasses[entry.assetClass],
+      entry.description,
+    ]
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+};
+
+/**
+ * The asset to add for a catalog entry, without its name and description.
+ */
+export const catalogEntryToAsset = ({ name, description, ...asset }) => ({
+  ...asset,
+  isBaseline: false,
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect } from "vitest";
+import { assetCatalog, catalogEntryToAsset, searchCatalog } from "./assetCatalog";
+
+describe("searchCatalog", () => {
+  it("matches every word in names, tickers, classes and descriptions", () => {
+    expect(searchCatalog("")).toHaveLength(assetCatalog.length);
+    expect(searchCatalog("tlt").map((entry) => entry.name)).toEqual(["TLT (20+ Year Treasuries)"]);
+    expect(searchCatalog("gold").map((entry) => entry.ticker)).toContain("GLD");
+    expect(searchCatalog("managed futures").map((entry) => entry.ticker)).toEqual(["KMLM", "DBMF"]);
+    expect(searchCatalog("treasuries long")).toHaveLength(1);
+  });
+});
+
+describe("catalogEntryToAsset", () => {
+  it("drops the catalog-only fields", () => {
+    const asset = catalogEntryToAsset(searchCatalog("VNQ")[0]);
+    expect(asset).not.toHaveProperty("name");
+    expect(asset).not.toHaveProperty("description");
+    expect(asset).toMatchObject({ assetClass: "REAL_ESTATE", isBaseline: false });
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  HISTORY_FIRST_YEAR,
+  HISTORY_LAST_YEAR,
+  getAssetTicker,
+  getHistoricalWindow,
+} from "./historicalReturns";
+import { buildPriceIndex } from "./inflation";
+
+/**
+ * Latest start year for which `years` of history are available, and never
+ * before the first bundled year.
+ */
+export const clampBacktestStartYear = (startYear, years) =>
+  Math.max(HISTORY_FIRST_YEAR, Math.min(startYear, HISTORY_LAST_YEAR - years + 1));
+
+/**
+ * Replays the bundled historical returns from `backtestStartYear` for
+ * `years` years. Row N is labelled with the calendar year it starts, so the
+ * last row holds the value after the final year.
+ *
+ * Values are real like the parametric model, but deflated by the actual
+ * inflation of each year (see `buildPriceIndex`) after fees.
+ * Assets without bundled history grow at their expected `return`. Crisis
+ * events and volatility are not applied: history already contains them.
+ *
+ * @param {import("./simulation").SimulationInput & { backtestStartYear: number }} input
+ */
+export const buildBacktestPath = (input) => {
+  const { assets, initialAmount, years, annualFees, backtestStartYear } = input;
+  const priceIndex = buildPriceIndex({ ...input, enableBacktest: true });
+  const feeFactor = 1 - annualFees / 100;
+  const returns = {};
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) return;
+    const ticker = getAssetTicker(asset);
+    returns[name] = ticker
+      ? getHistoricalWindow(ticker, backtestStartYear, years)
+      : Array(years).fill(asset.return);
+  });
+
+  // Nominal balances after fees; each row is deflated when it is written.
+  const values = {};
+  Object.keys(returns).forEach((name) => {
+    values[name] = initialAmount;
+  });
+
+  const data = [];
+  for (let yearIndex = 0; yearIndex <= years; yearIndex++) {
+    const dataPoint = { year: String(backtestStartYear + yearIndex) };
+    const priceLevel = priceIndex[yearIndex];
+    dataPoint["Baseline (No Scenario)"] = parseFloat(
+      (initialAmount / priceLevel).toFixed(2)
+    );
+    Object.entries(returns).forEach(([name, series]) => {
+      if (yearIndex > 0) {
+        values[name] *= feeFactor * (1 + series[yearIndex - 1] / 100);
+      }
+      dataPoint[name] = parseFloat((values[name] / priceLevel).toFixed(2));
+    });
+    data.push(dataPoint);
+  }
+  return data;
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import { buildBacktestPath, clampBacktestStartYear } from "./backtest";
+import {
+  HISTORY_FIRST_YEAR,
+  HISTORY_LAST_YEAR,
+  historicalInflation,
+  historicalReturns,
+} from "./historicalReturns";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters } from "./presets";
+import { defaultPortfolio } from "./portfolio";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const input = {
+  ...defaultParameters,
+  assets: defaultAssets,
+  enableBacktest: true,
+  backtestStartYear: 2008,
+  years: 2,
+};
+
+describe("historical data", () => {
+  it("has one value per year for every series", () => {
+    const length = HISTORY_LAST_YEAR - HISTORY_FIRST_YEAR + 1;
+    Object.values(historicalReturns).forEach((series) =>
+      expect(series).toHaveLength(length)
+    );
+    expect(historicalInflation).toHaveLength(length);
+  });
+});
+
+describe("buildBacktestPath", () => {
+  it("replays the historical returns net of actual inflation and fees", () => {
+    const path = buildBacktestPath({ ...input, annualFees: 0.5 });
+    const index = 2008 - HISTORY_FIRST_YEAR;
+    const expected =
+      (100000 * 0.995 * (1 + historicalReturns.SWPPX[index] / 100)) /
+      (1 + historicalInflation[index] / 100);
+    expect(path.map((row) => row.year)).toEqual(["2008", "2009", "2010"]);
+    expect(path[0][SPX]).toBe(100000);
+    expect(path[1][SPX]).toBeCloseTo(expected, 1);
+    expect(path[1][SPX]).toBeLessThan(65000);
+  });
+
+  it("grows assets without bundled history at their expected return", () => {
+    const assets = {
+      ...defaultAssets,
+      Custom: { ...defaultAssets[SPX], ticker: undefined, return: 10 },
+    };
+    const path = buildBacktestPath({ ...input, assets, years: 1 });
+    const inflation = historicalInflation[2008 - HISTORY_FIRST_YEAR];
+    expect(path[1].Custom).toBeCloseTo(110000 / (1 + inflation / 100), 1);
+  });
+
+  it("rejects windows outside the bundled data", () => {
+    expect(() =>
+      buildBacktestPath({ ...input, backtestStartYear: HISTORY_LAST_YEAR })
+    ).toThrow(RangeError);
+  });
+
+  it("clamps start years so the whole horizon is covered", () => {
+    expect(clampBacktestStartYear(2022, 5)).toBe(HISTORY_LAST_YEAR - 4);
+    expect(clampBacktestStartYear(1980, 5)).toBe(HISTORY_FIRST_YEAR);
+    expect(clampBacktestStartYear(2008, 5)).toBe(2008);
+  });
+});
+
+describe("runSimulation in backtest mode", () => {
+  it("ignores crises and volatility and still builds portfolios", () => {
+    const plain = runSimulation({ ...input, portfolios: [defaultPortfolio] });
+    const stressed = runSimulation({
+      ...input,
+      portfolios: [defaultPortfolio],
+      enableRisk: true,
+      crisisEvents: [
+        { year: 1, crisisType: "RISK_OFF", drawdown: 40, recoveryType: "L_SHAPED", recoveryYears: 2 },
+      ],
+      enableVolatility: true,
+    });
+    expect(stressed).toEqual(plain);
+    expect(plain.data[2][defaultPortfolio.name]).toBeGreaterThan(0);
+    expect(plain.metrics[SPX].maxDrawdown).toBeGreaterThan(30);
+  });
+});
@@ -0,0 +1,120 @@
+import { createNormalRandom, createRandomStream } from "./random";
+import { returnModels } from "./returnModels";
+import {
+  getAssetTicker,
+  historicalReturns,
+  HISTORY_FIRST_YEAR,
+  HISTORY_LAST_YEAR,
+} from "./historicalReturns";
+import { getStepsPerYear } from "./timeline";
+
+export const returnGenerators = {
+  NORMAL: "Normal (correlated)",
+  IID_BOOTSTRAP: "Historical bootstrap",
+  BLOCK_BOOTSTRAP: "Historical block bootstrap",
+  ...returnModels,
+};
+
+export const isBootstrapGenerator = (returnGenerator) =>
+  returnGenerator === "IID_BOOTSTRAP" || returnGenerator === "BLOCK_BOOTSTRAP";
+
+const historyLength = HISTORY_LAST_YEAR - HISTORY_FIRST_YEAR + 1;
+
+const historicalMeans = {};
+Object.entries(historicalReturns).forEach(([ticker, series]) => {
+  historicalMeans[ticker] =
+    series.reduce((sum, value) => sum + value, 0) / series.length;
+});
+
+/**
+ * `count` indices into a series of `poolSize` years, drawn as blocks of
+ * `blockLength` consecutive years from random starting points. Blocks wrap
+ * around the end of the series (circular block bootstrap), so every year is
+ * equally likely. A block length of 1 is the plain iid bootstrap.
+ */
+export const sampleBootstrapIndices = (random, count, blockLength, poolSize) => {
+  const indices = [];
+  while (indices.length < count) {
+    const start = Math.floor(random() * poolSize);
+    for (let offset = 0; offset < blockLength && indices.length < count; offset++) {
+      indices.push((start + offset) % poolSize);
+    }
+  }
+  return indices;
+};
+
+// Spreads yearly shocks over monthly steps by interpolating linearly between
+// consecutive year ends.
+const interpolateYearly = (yearly, stepsPerYear) => {
+  if (stepsPerYear === 1) return yearly;
+  const steps = [];
+  for (let step = 0; step <= (yearly.length - 1) * stepsPerYear; step++) {
+    const year = Math.floor(step / stepsPerYear);
+    const fraction = step / stepsPerYear - year;
+    steps.push(
+      fraction === 0
+        ? yearly[year]
+        : yearly[year] + (yearly[year + 1] - yearly[year]) * fraction
+    );
+  }
+  return steps;
+};
+
+// A year's return may not wipe out more than this share of the value.
+const MAX_YEAR_LOSS = 0.99;
+
+/**
+ * Random factors (multiplier - 1, as `applyVolatility` expects) resampled
+ * from the bundled historical returns instead of normal draws. All assets
+ * share the sampled calendar years, so their co-movement (and within blocks,
+ * serial correlation) comes from history rather than the correlation matrix.
+ *
+ * Like the return models, the factors compound along the path: each sampled
+ * year grows the multiplier by its return relative to the ticker's long-run
+ * mean (the deviation scaled by `volatilityLevel`), so a block of bad years
+ * such as 2000-2002 accumulates into a deep drawdown. Assets without bundled
+ * history compound independent normal shocks instead. Monthly runs move
+ * between the year-end factors in straight lines.
+ */
+export const generateBootstrapFactors = (input) => {
+  const {
+    assets,
+    years,
+    volatilityLevel,
+    randomSeedBase,
+    randomGenerator,
+    returnGenerator,
+    bootstrapBlockLength,
+  } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const random = createRandomStream(randomGenerator, randomSeedBase, "bootstrap");
+  const blockLength =
+    returnGenerator === "BLOCK_BOOTSTRAP" ? Math.max(1, bootstrapBlockLength) : 1;
+  const indices = sampleBootstrapIndices(random, years, blockLength, historyLength);
+  const normalRandom = createNormalRandom(random);
+
+  const factors = {};
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) {
+      factors[name] = Array(years * stepsPerYear + 1).fill(0);
+      return;
+    }
+    const ticker = getAssetTicker(asset);
+    let multiplier = 1;
+    const yearly = [
+      0,
+      ...indices.map((index) => {
+        const shock = ticker
+          ? ((1 + historicalReturns[ticker][index] / 100) /
+              (1 + historicalMeans[ticker] / 100) -
+              1) *
+            volatilityLevel
+          : normalRandom() * asset.volatility * volatilityLevel;
+        multiplier *= Math.max(1 - MAX_YEAR_LOSS, 1 + shock);
+        return multiplier - 1;
+      }),
+    ];
+    factors[name] = interpolateYearly(yearly, stepsPerYear);
+  });
+  return factors;
+};
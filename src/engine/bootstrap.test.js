@@ -0,0 +1,100 @@
+import { describe, it, expect } from "vitest";
+import { generateBootstrapFactors, sampleBootstrapIndices } from "./bootstrap";
+import { historicalReturns } from "./historicalReturns";
+import { createSeededRandom } from "./random";
+import { runSimulation } from "./simulation";
+import { runMonteCarlo } from "./monteCarlo";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const VUG = "VUG (Large-Cap Growth)";
+const input = {
+  ...defaultParameters,
+  assets: defaultAssets,
+  years: 20,
+  enableVolatility: true,
+  returnGenerator: "BLOCK_BOOTSTRAP",
+  bootstrapBlockLength: 4,
+};
+
+const mean = (series) => series.reduce((sum, v) => sum + v, 0) / series.length;
+
+describe("sampleBootstrapIndices", () => {
+  it("draws consecutive runs of the block length, wrapping around", () => {
+    const indices = sampleBootstrapIndices(createSeededRandom(7), 12, 4, 30);
+    expect(indices).toHaveLength(12);
+    for (let block = 0; block < 3; block++) {
+      const [first, ...rest] = indices.slice(block * 4, block * 4 + 4);
+      rest.forEach((index, offset) => expect(index).toBe((first + offset + 1) % 30));
+    }
+  });
+
+  it("stays within the pool", () => {
+    const indices = sampleBootstrapIndices(createSeededRandom(3), 500, 1, 30);
+    expect(Math.min(...indices)).toBe(0);
+    expect(Math.max(...indices)).toBe(29);
+  });
+});
+
+describe("generateBootstrapFactors", () => {
+  it("compounds each sampled year's return relative to the mean for every asset", () => {
+    const factors = generateBootstrapFactors(input);
+    expect(factors[SPX]).toHaveLength(21);
+    expect(factors[SPX][0]).toBe(0);
+    const spxMean = mean(historicalReturns.SWPPX);
+    const vugMean = mean(historicalReturns.VUG);
+    const growth = (series, step) => (1 + series[step]) / (1 + series[step - 1]);
+    for (let step = 1; step <= 20; step++) {
+      const index = historicalReturns.SWPPX.findIndex(
+        (value) => Math.abs((1 + value / 100) / (1 + spxMean / 100) - growth(factors[SPX], step)) < 1e-12
+      );
+      expect(index).toBeGreaterThanOrEqual(0);
+      expect(growth(factors[VUG], step)).toBeCloseTo(
+        (1 + historicalReturns.VUG[index] / 100) / (1 + vugMean / 100),
+        10
+      );
+    }
+  });
+
+  it("accumulates a block of consecutive losses into a deep drawdown", () => {
+    // Seed 20 samples 2000-2003 as years 13-16
+    const factors = generateBootstrapFactors({ ...input, randomSeedBase: 20 });
+    const spxMean = mean(historicalReturns.SWPPX);
+    const [y2000, y2001, y2002] = historicalReturns.SWPPX.slice(5, 8).map(
+      (value) => (1 + value / 100) / (1 + spxMean / 100)
+    );
+    const drawdown = (1 + factors[SPX][15]) / (1 + factors[SPX][12]);
+    expect(drawdown).toBeCloseTo(y2000 * y2001 * y2002, 10);
+    // Deeper than any single year's shock, and more than the -37% of 2008
+    expect(drawdown).toBeLessThan(0.55);
+  });
+
+  it("is reproducible for a seed and scales with the volatility level", () => {
+    const once = generateBootstrapFactors(input);
+    expect(generateBootstrapFactors(input)).toEqual(once);
+    const double = generateBootstrapFactors({ ...input, volatilityLevel: 2 });
+    // The first year's deviation doubles; later ones compound on top
+    expect(double[SPX][1]).toBeCloseTo(once[SPX][1] * 2, 10);
+    expect(generateBootstrapFactors({ ...input, randomSeedBase: 2 })).not.toEqual(once);
+  });
+
+  it("falls back to normal shocks for assets without history", () => {
+    const assets = {
+      ...defaultAssets,
+      Custom: { ...defaultAssets[SPX], ticker: undefined },
+    };
+    const factors = generateBootstrapFactors({ ...input, assets });
+    expect(factors.Custom.slice(1).every(Number.isFinite)).toBe(true);
+    expect(new Set(factors.Custom.slice(1)).size).toBe(20);
+  });
+});
+
+describe("bootstrap generators in the simulation", () => {
+  it("drive single runs and Monte Carlo", () => {
+    const normal = runSimulation({ ...input, returnGenerator: "NORMAL" });
+    const bootstrap = runSimulation(input);
+    expect(bootstrap.data[20][SPX]).not.toBe(normal.data[20][SPX]);
+    const { metrics } = runMonteCarlo({ ...input, monteCarloPaths: 50 });
+    expect(metrics[SPX].cagr.p5).toBeLessThan(metrics[SPX].cagr.p95);
+  });
+});
@@ -0,0 +1,237 @@
+import { computeIrr, computeSummaryMetrics } from "./metrics";
+import { buildPriceIndex, priceLevelAt } from "./inflation";
+import { getStepsPerYear } from "./timeline";
+
+/**
+ * @typedef {Object} CashFlows
+ * @property {number} contributionAmount    Nominal contribution per period.
+ * @property {string} contributionFrequency "ANNUAL" or "MONTHLY".
+ * @property {number} contributionStepUp    Annual increase of the contribution in percent.
+ * @property {?number} contributionEndYear  Last contribution year (null = every year).
+ * @property {string} withdrawalRule        "NONE", "FIXED_DOLLAR", "FIXED_PERCENT" or "INFLATION_INDEXED".
+ * @property {number} withdrawalAmount      Nominal withdrawal per period (dollar rules).
+ * @property {number} withdrawalPercent     Annual withdrawal in percent of the balance.
+ * @property {string} withdrawalFrequency   "ANNUAL" or "MONTHLY".
+ * @property {number} withdrawalStartYear   First withdrawal year.
+ */
+
+/**
+ * Contribution and withdrawal schedule. Amounts are per period (per year for
+ * "ANNUAL", per month for "MONTHLY") in nominal dollars; they are converted to
+ * the same inflation-adjusted terms as the simulated values.
+ *
+ * Withdrawal rules:
+ * - "FIXED_DOLLAR": the same nominal amount every period, so it shrinks in
+ *   real terms.
+ * - "INFLATION_INDEXED": the amount rises with inflation, constant in real
+ *   terms.
+ * - "FIXED_PERCENT": `withdrawalPercent` of the balance at the start of each
+ *   year.
+ */
+export const defaultCashFlows = {
+  contributionAmount: 0,
+  contributionFrequency: "ANNUAL",
+  contributionStepUp: 0,
+  contributionEndYear: null,
+  withdrawalRule: "NONE",
+  withdrawalAmount: 0,
+  withdrawalPercent: 4,
+  withdrawalFrequency: "ANNUAL",
+  withdrawalStartYear: 1,
+};
+
+const periodsPerYear = (frequency) => (frequency === "MONTHLY" ? 12 : 1);
+
+// When a flow is due in a step, how many of its periods it covers and when it
+// lands (in years). Several periods within one step land mid-step on average.
+const flowTiming = (frequency, step, stepsPerYear) => {
+  const periods = periodsPerYear(frequency);
+  if (periods > stepsPerYear) {
+    return {
+      due: true,
+      periods: periods / stepsPerYear,
+      time: (step - 0.5) / stepsPerYear,
+    };
+  }
+  return {
+    due: (step * periods) % stepsPerYear === 0,
+    periods: 1,
+    time: step / stepsPerYear,
+  };
+};
+
+export const hasCashFlows = (cashFlows) =>
+  Boolean(cashFlows) &&
+  (cashFlows.contributionAmount > 0 ||
+    (cashFlows.withdrawalRule === "FIXED_PERCENT" &&
+      cashFlows.withdrawalPercent > 0) ||
+    (cashFlows.withdrawalRule !== "NONE" &&
+      cashFlows.withdrawalRule !== "FIXED_PERCENT" &&
+      cashFlows.withdrawalAmount > 0));
+
+/**
+ * Contribution and requested withdrawal for each step 1..years ×
+ * `stepsPerYear` in real dollars. Flows land at the end of the step they are
+ * due in; monthly flows in yearly steps are treated as arriving mid-year on
+ * average (`time = year - 0.5`). `withdrawalRate` is set instead of
+ * `withdrawal` for percentage rules because it depends on the balance.
+ * Nominal amounts are deflated with `priceIndex` (price level per year, see
+ * `buildPriceIndex`).
+ */
+export const buildCashFlowSchedule = (cashFlows, years, priceIndex, stepsPerYear = 1) => {
+  const flows = { ...defaultCashFlows, ...cashFlows };
+  const contributionEndYear = flows.contributionEndYear ?? years;
+  const schedule = [];
+
+  for (let step = 1; step <= years * stepsPerYear; step++) {
+    const year = Math.ceil(step / stepsPerYear);
+    const contributionTiming = flowTiming(flows.contributionFrequency, step, stepsPerYear);
+    const withdrawalTiming = flowTiming(flows.withdrawalFrequency, step, stepsPerYear);
+    const contributionTime = contributionTiming.time;
+    const withdrawalTime = withdrawalTiming.time;
+
+    let contribution = 0;
+    if (year <= contributionEndYear && contributionTiming.due) {
+      const nominal =
+        flows.contributionAmount *
+        contributionTiming.periods *
+        Math.pow(1 + flows.contributionStepUp / 100, year - 1);
+      contribution = nominal / priceLevelAt(priceIndex, contributionTime);
+    }
+
+    let withdrawal = 0;
+    let withdrawalRate = 0;
+    if (year >= flows.withdrawalStartYear && withdrawalTiming.due) {
+      const amount = flows.withdrawalAmount * withdrawalTiming.periods;
+      switch (flows.withdrawalRule) {
+        case "FIXED_DOLLAR":
+          withdrawal = amount / priceLevelAt(priceIndex, withdrawalTime);
+          break;
+        case "INFLATION_INDEXED":
+          withdrawal = amount;
+          break;
+        case "FIXED_PERCENT":
+          withdrawalRate =
+            (flows.withdrawalPercent / 100) *
+            (withdrawalTiming.periods / periodsPerYear(flows.withdrawalFrequency));
+          break;
+        default:
+          break;
+      }
+    }
+
+    schedule.push({
+      year,
+      step,
+      contribution,
+      contributionTime,
+      withdrawal,
+      withdrawalRate,
+      withdrawalTime,
+    });
+  }
+  return schedule;
+};
+
+/**
+ * Replays a simulated path with the cash flow schedule. Each step's growth
+ * comes from the path itself (`path[s] / path[s - 1]`), so crisis and
+ * volatility shocks apply to the money actually invested. Flows arriving
+ * mid-step get half a step of growth. Balances never go below zero; once an
+ * asset runs dry the withdrawal is cut to what is left.
+ *
+ * Returns the new rows and, per asset, the actual flows taken (one ledger
+ * entry per step).
+ */
+export const applyCashFlows = (path, input) => {
+  const { assets, years, cashFlows } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const schedule = buildCashFlowSchedule(
+    cashFlows,
+    years,
+    buildPriceIndex(input),
+    stepsPerYear
+  );
+  const data = path.map((row) => ({ ...row }));
+  const ledger = {};
+
+  Object.keys(assets).forEach((name) => {
+    let balance = path[0][name];
+    ledger[name] = [];
+    schedule.forEach((flow) => {
+      const { year, step } = flow;
+      const stepEnd = step / stepsPerYear;
+      const growth = path[step - 1][name] > 0
+        ? path[step][name] / path[step - 1][name]
+        : 0;
+      const contributionGrowth = flow.contributionTime < stepEnd ? Math.sqrt(growth) : 1;
+      const withdrawalGrowth = flow.withdrawalTime < stepEnd ? Math.sqrt(growth) : 1;
+      const requested = flow.withdrawal + flow.withdrawalRate * balance;
+
+      const beforeWithdrawal =
+        balance * growth + flow.contribution * contributionGrowth;
+      let withdrawal = requested;
+      if (requested * withdrawalGrowth > beforeWithdrawal) {
+        withdrawal = withdrawalGrowth > 0 ? beforeWithdrawal / withdrawalGrowth : 0;
+      }
+      balance = Math.max(0, beforeWithdrawal - withdrawal * withdrawalGrowth);
+
+      data[step][name] = parseFloat(balance.toFixed(2));
+      ledger[name].push({
+        year,
+        step,
+        contribution: flow.contribution,
+        contributionTime: flow.contributionTime,
+        withdrawal,
+        withdrawalTime: flow.withdrawalTime,
+        depleted: requested > 0 && withdrawal < requested,
+      });
+    });
+  });
+
+  return { data, ledger };
+};
+
+/**
+ * Summary metrics for a run with cash flows. Volatility and max drawdown
+ * describe the investment itself (time-weighted, from the path without
+ * flows) while CAGR is replaced by the money-weighted return (IRR) of the
+ * actual flows and the ending balance.
+ */
+export const computeCashFlowMetrics = (path, data, ledger, input) => {
+  const { assets, years, initialAmount } = input;
+  const pathMetrics = computeSummaryMetrics(path, assets, years);
+  const metrics = {};
+
+  Object.entries(pathMetrics).forEach(([name, { cagr, ...risk }]) => {
+    const endingValue = data[data.length - 1][name];
+    const flows = [{ time: 0, amount: -initialAmount }];
+    let totalContributions = 0;
+    let totalWithdrawals = 0;
+    let depletedYear = null;
+    ledger[name].forEach((entry) => {
+      totalContributions += entry.contribution;
+      totalWithdrawals += entry.withdrawal;
+      if (entry.contribution) {
+        flows.push({ time: entry.contributionTime, amount: -entry.contribution });
+      }
+      if (entry.withdrawal) {
+        flows.push({ time: entry.withdrawalTime, amount: entry.withdrawal });
+      }
+      if (entry.depleted && depletedYear === null) {
+        depletedYear = entry.year;
+      }
+    });
+    flows.push({ time: years, amount: endingValue });
+
+    metrics[name] = {
+      irr: parseFloat(computeIrr(flows).toFixed(2)),
+      ...risk,
+      endingValue,
+      totalContributions: parseFloat(totalContributions.toFixed(2)),
+      totalWithdrawals: parseFloat(totalWithdrawals.toFixed(2)),
+      depletedYear,
+    };
+  });
+  return metrics;
+};
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyCashFlows,
+  buildCashFlowSchedule,
+  defaultCashFlows,
+  hasCashFlows,
+} from "./cashFlows";
+import { runSimulation } from "./simulation";
+import { runMonteCarlo } from "./monteCarlo";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+
+const baseInput = {
+  ...defaultParameters,
+  assets: defaultAssets,
+  inflationRate: 0,
+};
+const SPX = "SWPPX/SPX (S&P 500)";
+
+describe("hasCashFlows", () => {
+  it("is false for the defaults and true once an amount is set", () => {
+    expect(hasCashFlows(undefined)).toBe(false);
+    expect(hasCashFlows(defaultCashFlows)).toBe(false);
+    expect(hasCashFlows({ ...defaultCashFlows, contributionAmount: 100 })).toBe(true);
+    expect(
+      hasCashFlows({ ...defaultCashFlows, withdrawalRule: "FIXED_PERCENT" })
+    ).toBe(true);
+    expect(
+      hasCashFlows({ ...defaultCashFlows, withdrawalRule: "FIXED_DOLLAR" })
+    ).toBe(false);
+  });
+});
+
+describe("buildCashFlowSchedule", () => {
+  it("annualizes monthly contributions, steps them up and deflates them", () => {
+    const schedule = buildCashFlowSchedule(
+      {
+        contributionAmount: 500,
+        contributionFrequency: "MONTHLY",
+        contributionStepUp: 10,
+        contributionEndYear: 2,
+      },
+      3,
+      [1, 1.02, 1.02 ** 2, 1.02 ** 3]
+    );
+    expect(schedule[0].contributionTime).toBe(0.5);
+    expect(schedule[0].contribution).toBeCloseTo(6000 / Math.pow(1.02, 0.5), 6);
+    expect(schedule[1].contribution).toBeCloseTo(6600 / Math.pow(1.02, 1.5), 6);
+    expect(schedule[2].contribution).toBe(0);
+  });
+
+  it("applies each withdrawal rule from the start year", () => {
+    const base = { withdrawalAmount: 1000, withdrawalStartYear: 2 };
+    const fixed = buildCashFlowSchedule(
+      { ...base, withdrawalRule: "FIXED_DOLLAR" },
+      3,
+      [1, 1.03, 1.03 ** 2, 1.03 ** 3]
+    );
+    expect(fixed[0].withdrawal).toBe(0);
+    expect(fixed[1].withdrawal).toBeCloseTo(1000 / Math.pow(1.03, 2), 6);
+
+    const indexed = buildCashFlowSchedule(
+      { ...base, withdrawalRule: "INFLATION_INDEXED" },
+      3,
+      [1, 1.03, 1.03 ** 2, 1.03 ** 3]
+    );
+    expect(indexed[2].withdrawal).toBe(1000);
+
+    const percent = buildCashFlowSchedule(
+      { ...base, withdrawalRule: "FIXED_PERCENT", withdrawalPercent: 5 },
+      3,
+      [1, 1.03, 1.03 ** 2, 1.03 ** 3]
+    );
+    expect(percent[1].withdrawal).toBe(0);
+    expect(percent[1].withdrawalRate).toBe(0.05);
+  });
+});
+
+describe("buildCashFlowSchedule with monthly steps", () => {
+  it("books each flow in the step it is due", () => {
+    const schedule = buildCashFlowSchedule(
+      {
+        contributionAmount: 1200,
+        withdrawalRule: "FIXED_PERCENT",
+        withdrawalPercent: 6,
+        withdrawalFrequency: "MONTHLY",
+      },
+      1,
+      [1, 1],
+      12
+    );
+    expect(schedule).toHaveLength(12);
+    expect(schedule[0].contribution).toBe(0);
+    expect(schedule[11].contribution).toBe(1200);
+    expect(schedule[11].contributionTime).toBe(1);
+    schedule.forEach((flow) => expect(flow.withdrawalRate).toBeCloseTo(0.005, 10));
+  });
+});
+
+describe("applyCashFlows", () => {
+  const assets = { A: { isBaseline: false } };
+  const flatPath = [{ A: 1000 }, { A: 1000 }, { A: 1000 }, { A: 1000 }];
+
+  it("adds contributions and withdrawals on top of the path growth", () => {
+    const grownPath = [{ A: 1000 }, { A: 1100 }, { A: 1210 }];
+    const { data } = applyCashFlows(grownPath, {
+      assets,
+      years: 2,
+      inflationRate: 0,
+      cashFlows: { contributionAmount: 100 },
+    });
+    expect(data[1].A).toBe(1200);
+    expect(data[2].A).toBe(1420);
+  });
+
+  it("never goes below zero and cuts the last withdrawal", () => {
+    const { data, ledger } = applyCashFlows(flatPath, {
+      assets,
+      years: 3,
+      inflationRate: 0,
+      cashFlows: { withdrawalRule: "INFLATION_INDEXED", withdrawalAmount: 400 },
+    });
+    expect(data.map((row) => row.A)).toEqual([1000, 600, 200, 0]);
+    expect(ledger.A[2].withdrawal).toBe(200);
+    expect(ledger.A[2].depleted).toBe(true);
+  });
+});
+
+describe("runSimulation with cash flows", () => {
+  it("reports IRR instead of CAGR", () => {
+    const { metrics } = runSimulation({
+      ...baseInput,
+      cashFlows: { contributionAmount: 10000 },
+    });
+    expect(metrics[SPX]).not.toHaveProperty("cagr");
+    expect(metrics[SPX].irr).toBeCloseTo(7, 1);
+    expect(metrics[SPX].totalContributions).toBe(50000);
+  });
+
+  it("keeps the no-cash-flow output unchanged", () => {
+    const input = { ...baseInput, ...scenarioPresets["Severe Crisis"] };
+    expect(runSimulation({ ...input, cashFlows: defaultCashFlows })).toEqual(
+      runSimulation(input)
+    );
+  });
+
+  it("applies withdrawals to crisis and volatility paths", () => {
+    const input = {
+      ...baseInput,
+      ...scenarioPresets["Severe Crisis"],
+      years: 10,
+      cashFlows: { withdrawalRule: "INFLATION_INDEXED", withdrawalAmount: 15000 },
+    };
+    const { data, metrics } = runSimulation(input);
+    const withoutFlows = runSimulation({ ...input, cashFlows: undefined });
+    expect(data[10][SPX]).toBeLessThan(withoutFlows.data[10][SPX]);
+    expect(data[10]["Baseline (No Scenario)"]).toBe(0);
+    expect(metrics["VUG (Large-Cap Growth)"].depletedYear).not.toBeNull();
+  });
+
+  it("reports the IRR distribution in Monte Carlo mode", () => {
+    const { metrics } = runMonteCarlo({
+      ...baseInput,
+      ...scenarioPresets["Mild Recession"],
+      monteCarloPaths: 50,
+      cashFlows: { contributionAmount: 1000, contributionFrequency: "MONTHLY" },
+    });
+    expect(metrics[SPX]).toHaveProperty("medianIrr");
+    expect(metrics[SPX].irr.p5).toBeLessThanOrEqual(metrics[SPX].irr.p95);
+  });
+});
@@ -0,0 +1,98 @@
+import { getStepsPerYear } from "./timeline";
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} name
+ * @property {Object} scenario          The scenario the run was computed for.
+ * @property {Array<Object>} data       Rows of the run, in its value mode.
+ * @property {Object<string, Object>} metrics Summary metrics per series.
+ * @property {Object<string, Object>} series  Chart series (for colors).
+ */
+
+// Dash patterns of the snapshots' lines, in pin order.
+export const snapshotDashes = ["0", "8 4", "2 3", "12 4 2 4", "4 8"];
+
+export const getSnapshotDash = (index) =>
+  snapshotDashes[index % snapshotDashes.length];
+
+/**
+ * `name`, or `name (2)`, `name (3)`... when a snapshot already uses it.
+ */
+export const uniqueSnapshotName = (name, snapshots) => {
+  const taken = new Set(snapshots.map((snapshot) => snapshot.name));
+  if (!taken.has(name)) return name;
+  let copy = 2;
+  while (taken.has(`${name} (${copy})`)) copy++;
+  return `${name} (${copy})`;
+};
+
+/**
+ * Pins a finished run as a named snapshot.
+ *
+ * @returns {Snapshot}
+ */
+export const createSnapshot = (name, scenario, { data, metrics }, series) => ({
+  name,
+  scenario,
+  data,
+  metrics,
+  series,
+});
+
+/**
+ * Rows for overlaying the snapshots on one chart. Snapshots may differ in
+ * horizon and time step, so rows are keyed by elapsed `years` (a number)
+ * and `values[i]` holds snapshot i's values of the series in `names` at that
+ * time, or is missing when snapshot i has no row there.
+ */
+export const buildComparisonSeries = (snapshots, names) => {
+  const rows = new Map();
+  snapshots.forEach((snapshot, index) => {
+    const stepsPerYear = getStepsPerYear(snapshot.scenario);
+    snapshot.data.forEach((row, step) => {
+      const years = parseFloat((step / stepsPerYear).toFixed(4));
+      if (!rows.has(years)) rows.set(years, { years, values: [] });
+      const values = {};
+      names.forEach((name) => {
+        if (row[name] !== undefined) values[name] = row[name];
+      });
+      rows.get(years).values[index] = values;
+    });
+  });
+  return [...rows.values()].sort((a, b) => a.years - b.years);
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Ending value, CAGR (IRR with cash flows) and max drawdown of every series
+ * in `names` for every snapshot that has it, with the differences from the
+ * first snapshot holding that series (null for the first itself).
+ */
+export const compareSnapshots = (snapshots, names) => {
+  const rows = [];
+  names.forEach((name) => {
+    let reference = null;
+    snapshots.forEach((snapshot) => {
+      const metrics = snapshot.metrics[name];
+      if (!metrics) return;
+      const row = {
+        snapshot: snapshot.name,
+        name,
+        endingValue: snapshot.data[snapshot.data.length - 1][name],
+        cagr: metrics.cagr ?? metrics.irr ?? null,
+        maxDrawdown: metrics.maxDrawdown,
+      };
+      const difference = (field) =>
+        reference && row[field] !== null && reference[field] !== null
+          ? round2(row[field] - reference[field])
+          : null;
+      row.endingValueDifference = difference("endingValue");
+      row.cagrDifference = difference("cagr");
+      row.maxDrawdownDifference = difference("maxDrawdown");
+      reference = reference || row;
+      rows.push(row);
+    });
+  });
+  return rows;
+};
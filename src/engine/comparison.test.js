@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildComparisonSeries,
+  compareSnapshots,
+  createSnapshot,
+  uniqueSnapshotName,
+} from "./comparison";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+
+const pin = (name, overrides) => {
+  const scenario = { ...defaultParameters, assets: defaultAssets, ...overrides };
+  return createSnapshot(name, scenario, runSimulation(scenario), {});
+};
+
+const { enableRisk, crisisEvents } = scenarioPresets["Mild Recession"];
+const mild = pin("Mild Recession", { enableRisk, crisisEvents });
+const severe = pin("Severe Crisis", {
+  enableRisk: scenarioPresets["Severe Crisis"].enableRisk,
+  crisisEvents: scenarioPresets["Severe Crisis"].crisisEvents,
+});
+
+describe("uniqueSnapshotName", () => {
+  it("numbers repeated names", () => {
+    expect(uniqueSnapshotName("Run", [])).toBe("Run");
+    expect(uniqueSnapshotName("Run", [{ name: "Run" }, { name: "Run (2)" }])).toBe("Run (3)");
+  });
+});
+
+describe("buildComparisonSeries", () => {
+  it("aligns annual and monthly snapshots by elapsed years", () => {
+    const monthly = pin("Monthly", { timeStep: "MONTHLY", years: 2 });
+    const rows = buildComparisonSeries([mild, monthly], [SPX]);
+    expect(rows[0].values[0][SPX]).toBe(mild.data[0][SPX]);
+    expect(rows[0].values[1][SPX]).toBe(monthly.data[0][SPX]);
+    const halfYear = rows.find((row) => row.years === 0.5);
+    expect(halfYear.values[0]).toBeUndefined();
+    expect(halfYear.values[1][SPX]).toBe(monthly.data[6][SPX]);
+    expect(rows[rows.length - 1].years).toBe(defaultParameters.years);
+  });
+});
+
+describe("compareSnapshots", () => {
+  it("reports differences from the first snapshot", () => {
+    const [reference, other] = compareSnapshots([mild, severe], [SPX]);
+    expect(reference.endingValueDifference).toBeNull();
+    expect(other.snapshot).toBe("Severe Crisis");
+    expect(other.endingValue).toBe(severe.data[severe.data.length - 1][SPX]);
+    expect(other.endingValueDifference).toBeCloseTo(other.endingValue - reference.endingValue, 2);
+    expect(other.cagrDifference).toBeLessThan(0);
+    expect(other.maxDrawdownDifference).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,111 @@
+// Only own entries count: an asset may be named "constructor" or "toString".
+const ownCorrelation = (correlations, a, b) =>
+  correlations && Object.hasOwn(correlations, a) && Object.hasOwn(correlations[a], b)
+    ? correlations[a][b]
+    : undefined;
+
+/**
+ * Correlations are stored as a nested map keyed by asset name,
+ * `{ [a]: { [b]: rho } }`. Either direction may be present; missing pairs
+ * are uncorrelated and every asset is perfectly correlated with itself.
+ */
+export const getCorrelation = (correlations, a, b) => {
+  if (a === b) return 1;
+  return ownCorrelation(correlations, a, b) ?? ownCorrelation(correlations, b, a) ?? 0;
+};
+
+/**
+ * Returns a copy of `correlations` with the pair set in both directions.
+ */
+export const setCorrelation = (correlations, a, b, value) => ({
+  ...correlations,
+  [a]: { ...correlations?.[a], [b]: value },
+  [b]: { ...correlations?.[b], [a]: value },
+});
+
+/**
+ * Returns a copy of `correlations` with every entry for `oldName` moved to
+ * `newName`, so renaming an asset keeps its correlations.
+ */
+export const renameInCorrelations = (correlations, oldName, newName) => {
+  const rename = (name) => (name === oldName ? newName : name);
+  return Object.fromEntries(
+    Object.entries(correlations || {}).map(([a, row]) => [
+      rename(a),
+      Object.fromEntries(Object.entries(row).map(([b, value]) => [rename(b), value])),
+    ])
+  );
+};
+
+export const buildCorrelationMatrix = (names, correlations) =>
+  names.map((a) => names.map((b) => getCorrelation(correlations, a, b)));
+
+/**
+ * Lower-triangular L with L·Lᵀ = matrix. Throws when the matrix is not
+ * positive definite; the error's `index` is the first row that failed.
+ */
+export const choleskyDecompose = (matrix) => {
+  const n = matrix.length;
+  const lower = matrix.map(() => Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        if (sum <= 1e-10) {
+          const error = new Error("Matrix is not positive definite");
+          error.index = i;
+          throw error;
+        }
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+};
+
+const assetNamesWithVolatility = (assets) =>
+  Object.keys(assets).filter((name) => !assets[name].isBaseline);
+
+/**
+ * Checks the correlations between the (non-baseline) assets. Returns `null`
+ * when they can be used, otherwise a message for the user.
+ */
+export const validateCorrelations = (assets, correlations) => {
+  const names = assetNamesWithVolatility(assets);
+  for (const a of names) {
+    for (const b of names) {
+      const value = getCorrelation(correlations, a, b);
+      if (!Number.isFinite(value) || value < -1 || value > 1) {
+        return `The correlation between "${a}" and "${b}" must be between -1 and 1.`;
+      }
+    }
+  }
+  try {
+    choleskyDecompose(buildCorrelationMatrix(names, correlations));
+  } catch (error) {
+    return (
+      `These correlations are inconsistent (the matrix is not positive definite): ` +
+      `the correlations of "${names[error.index]}" with the assets above it cannot all hold at once. ` +
+      `For example, if A and B both move closely with C, A and B cannot move opposite to each other.`
+    );
+  }
+  return null;
+};
+
+/**
+ * Cholesky factor for the non-baseline assets, in `assets` order. Throws an
+ * error carrying the validation message for invalid correlations.
+ */
+export const getCorrelationFactor = (assets, correlations) => {
+  const message = validateCorrelations(assets, correlations);
+  if (message) {
+    throw new Error(message);
+  }
+  const names = assetNamesWithVolatility(assets);
+  return { names, lower: choleskyDecompose(buildCorrelationMatrix(names, correlations)) };
+};
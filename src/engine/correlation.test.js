@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildCorrelationMatrix,
+  choleskyDecompose,
+  getCorrelation,
+  renameInCorrelations,
+  setCorrelation,
+  validateCorrelations,
+} from "./correlation";
+import { generateRandomFactors } from "./simulation";
+import { defaultAssets, defaultCorrelations, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const VUG = "VUG (Large-Cap Growth)";
+const KMLM = "KMLM (Managed Futures)";
+
+const sampleCorrelation = (xs, ys) => {
+  const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    cov += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return cov / Math.sqrt(vx * vy);
+};
+
+describe("correlation map helpers", () => {
+  it("reads pairs in either direction with 1 on the diagonal", () => {
+    const correlations = setCorrelation({}, "A", "B", 0.4);
+    expect(getCorrelation(correlations, "B", "A")).toBe(0.4);
+    expect(getCorrelation(correlations, "A", "A")).toBe(1);
+    expect(getCorrelation(correlations, "A", "C")).toBe(0);
+  });
+
+  it("moves entries when an asset is renamed", () => {
+    const renamed = renameInCorrelations(defaultCorrelations, SPX, "S&P");
+    expect(getCorrelation(renamed, "S&P", VUG)).toBe(0.9);
+    expect(getCorrelation(renamed, KMLM, "S&P")).toBe(-0.3);
+    expect(getCorrelation(renamed, SPX, VUG)).toBe(0);
+  });
+
+  it("ignores inherited properties of the map", () => {
+    const renamed = renameInCorrelations(defaultCorrelations, SPX, "constructor");
+    expect(getCorrelation(renamed, "constructor", VUG)).toBe(0.9);
+    expect(getCorrelation(renamed, KMLM, "toString")).toBe(0);
+    expect(validateCorrelations({ ...defaultAssets, toString: {} }, defaultCorrelations)).toBeNull();
+  });
+});
+
+describe("choleskyDecompose", () => {
+  it("factors a positive definite matrix", () => {
+    const matrix = [
+      [1, 0.5],
+      [0.5, 1],
+    ];
+    const lower = choleskyDecompose(matrix);
+    expect(lower[0]).toEqual([1, 0]);
+    expect(lower[1][0]).toBe(0.5);
+    expect(lower[1][1]).toBeCloseTo(Math.sqrt(0.75), 12);
+  });
+
+  it("throws for a matrix that is not positive definite", () => {
+    expect(() =>
+      choleskyDecompose(
+        buildCorrelationMatrix(
+          ["A", "B", "C"],
+          { A: { B: 0.9, C: 0.9 }, B: { C: -0.9 } }
+        )
+      )
+    ).toThrow("not positive definite");
+  });
+});
+
+describe("validateCorrelations", () => {
+  it("accepts the default correlations", () => {
+    expect(validateCorrelations(defaultAssets, defaultCorrelations)).toBeNull();
+  });
+
+  it("rejects out-of-range and inconsistent correlations with a message", () => {
+    expect(
+      validateCorrelations(defaultAssets, setCorrelation({}, SPX, VUG, 1.2))
+    ).toMatch(/between -1 and 1/);
+    const inconsistent = setCorrelation(defaultCorrelations, KMLM, SPX, 0.95);
+    expect(validateCorrelations(defaultAssets, inconsistent)).toMatch(
+      /not positive definite/
+    );
+  });
+});
+
+describe("correlated random factors", () => {
+  const input = {
+    ...defaultParameters,
+    assets: defaultAssets,
+    years: 4000,
+  };
+
+  it("is unchanged without correlations", () => {
+    const independent = generateRandomFactors({ ...input, years: 5, correlations: {} });
+    const omitted = generateRandomFactors({ ...input, years: 5, correlations: undefined });
+    expect(independent).toEqual(omitted);
+  });
+
+  it("reproduces the requested correlations", () => {
+    const factors = generateRandomFactors(input);
+    expect(sampleCorrelation(factors[SPX], factors[VUG])).toBeCloseTo(0.9, 1);
+    expect(sampleCorrelation(factors[KMLM], factors[SPX])).toBeCloseTo(-0.3, 1);
+  });
+
+  it("throws on invalid correlations", () => {
+    expect(() =>
+      generateRandomFactors({
+        ...input,
+        correlations: setCorrelation(defaultCorrelations, KMLM, SPX, 0.95),
+      })
+    ).toThrow(/not positive definite/);
+  });
+});
@@ -0,0 +1,323 @@
+import { getStepsPerYear } from "./timeline";
+
+/**
+ * @typedef {Object} CrisisEvent
+ * @property {number} year          Year the drawdown hits (1..years); monthly runs place it mid-year.
+ * @property {string} crisisType    A key of `crisisTypes` or the id of a custom crisis type ("NONE" is ignored).
+ * @property {number} drawdown      Market drawdown in percent.
+ * @property {string} recoveryType  "V_SHAPED", "U_SHAPED" or "L_SHAPED".
+ * @property {number} recoveryYears Length of the recovery period in years.
+ */
+
+export const defaultCrisisEvent = {
+  year: 1,
+  crisisType: "RISK_OFF",
+  drawdown: 20,
+  recoveryType: "V_SHAPED",
+  recoveryYears: 2,
+};
+
+export const recoveryExponents = {
+  V_SHAPED: 0.5, // Faster initial recovery
+  U_SHAPED: 1.5, // Slower initial recovery
+  L_SHAPED: 3, // Very slow initial recovery for L-shaped
+};
+
+// Asset classes the crisis profiles are keyed by.
+export const assetClasses = {
+  EQUITY: "Equities",
+  GROWTH_EQUITY: "Growth Equities",
+  DIVIDEND_EQUITY: "Dividend/Low-Vol Equities",
+  CREDIT: "Credit & Preferreds",
+  BONDS: "Bonds",
+  CASH: "Cash & T-Bills",
+  MANAGED_FUTURES: "Managed Futures",
+  REAL_ESTATE: "Real Estate",
+  COMMODITIES: "Commodities & Gold",
+  OTHER: "Other",
+};
+
+/**
+ * @typedef {Object} CrisisType
+ * @property {string} label              Name shown in the crisis event editor.
+ * @property {number} recoveryPotential  Percent of the pre-crisis path assets can get back to.
+ * @property {number} permanentDamage    Percent of an asset's drawdown that never recovers.
+ * @property {number} inflationLink      Scales the inflation spike of stochastic inflation (0 for none, negative for a drop).
+ * @property {Object<string, number>} profile Drawdown multiplier per asset class (1 when missing,
+ *   0 leaves the class untouched, negative means the class gains).
+ * @property {boolean} [ratesSensitive]  Scales permanent damage down for assets with crisis sensitivity below 2/3.
+ */
+
+/** @type {Object<string, CrisisType>} */
+export const crisisTypes = {
+  RISK_OFF: {
+    label: "Risk-Off Crisis",
+    recoveryPotential: 90,
+    permanentDamage: 40,
+    inflationLink: 0,
+    profile: {},
+  },
+  RISING_RATES: {
+    label: "Rising Rates Crisis",
+    recoveryPotential: 85,
+    permanentDamage: 40,
+    inflationLink: 1,
+    ratesSensitive: true,
+    profile: {},
+  },
+  // 1970s: inflation erodes bonds and long-duration growth stocks while
+  // commodities rise and trend followers ride them and falling bond prices.
+  STAGFLATION: {
+    label: "Stagflation",
+    recoveryPotential: 80,
+    permanentDamage: 50,
+    inflationLink: 1.5,
+    profile: {
+      EQUITY: 1,
+      GROWTH_EQUITY: 1.3,
+      DIVIDEND_EQUITY: 0.8,
+      CREDIT: 1.2,
+      BONDS: 1.5,
+      CASH: 0,
+      MANAGED_FUTURES: -2,
+      REAL_ESTATE: 1,
+      COMMODITIES: -1,
+    },
+  },
+  // 1930s/2008: falling prices and defaults; government bonds and cash hold
+  // up and the long slide gives trend followers time to go short.
+  DEFLATIONARY_BUST: {
+    label: "Deflationary Bust",
+    recoveryPotential: 85,
+    permanentDamage: 50,
+    inflationLink: -1,
+    profile: {
+      EQUITY: 1.2,
+      GROWTH_EQUITY: 1.2,
+      DIVIDEND_EQUITY: 1.1,
+      CREDIT: 1.5,
+      BONDS: 0,
+      CASH: 0,
+      MANAGED_FUTURES: -1,
+      REAL_ESTATE: 1.4,
+      COMMODITIES: 1.3,
+    },
+  },
+  // 2008 Q4/March 2020: a sudden dash for cash hits credit hardest; the
+  // reversal is too fast for trend signals, so managed futures lose too.
+  CREDIT_CRUNCH: {
+    label: "Liquidity/Credit Crunch",
+    recoveryPotential: 95,
+    permanentDamage: 30,
+    inflationLink: 0,
+    profile: {
+      EQUITY: 1,
+      GROWTH_EQUITY: 1.1,
+      DIVIDEND_EQUITY: 1.1,
+      CREDIT: 1.6,
+      BONDS: 0.5,
+      CASH: 0,
+      MANAGED_FUTURES: 0.5,
+      REAL_ESTATE: 1.4,
+      COMMODITIES: 0.8,
+    },
+  },
+  // 1976 UK/1997 Asia: the home currency collapses, imported inflation
+  // spikes and rates are hiked to defend it. Home bonds and credit fall with
+  // the currency, while real assets priced abroad and trend followers riding
+  // the currency move gain.
+  CURRENCY_CRISIS: {
+    label: "Currency Crisis",
+    recoveryPotential: 85,
+    permanentDamage: 45,
+    inflationLink: 1.2,
+    ratesSensitive: true,
+    profile: {
+      EQUITY: 0.9,
+      GROWTH_EQUITY: 1.1,
+      DIVIDEND_EQUITY: 0.8,
+      CREDIT: 1.3,
+      BONDS: 1.4,
+      CASH: 0,
+      MANAGED_FUTURES: -1.5,
+      REAL_ESTATE: 0.9,
+      COMMODITIES: -1.5,
+    },
+  },
+};
+
+const fallbackCrisisType = {
+  label: "Crisis",
+  recoveryPotential: 95,
+  permanentDamage: 40,
+  inflationLink: 0,
+  profile: {},
+};
+
+// Starting point for a crisis type defined in the editor.
+export const defaultCustomCrisisType = {
+  id: "",
+  label: "",
+  recoveryPotential: 90,
+  permanentDamage: 40,
+  inflationLink: 0,
+  profile: {},
+};
+
+/**
+ * Definition of a built-in crisis type or of the custom type with that id.
+ */
+export const getCrisisType = (crisisType, customCrisisTypes = []) =>
+  crisisTypes[crisisType] ||
+  customCrisisTypes.find((type) => type.id === crisisType) ||
+  fallbackCrisisType;
+
+/**
+ * How strongly `asset` responds to a crisis of type `crisisTypeId`: its own
+ * response for that type when set, otherwise its crisis sensitivity scaled by
+ * the type's profile for its asset class. Negative responses gain in the
+ * crisis (crisis alpha).
+ */
+export const getCrisisResponse = (asset, crisisTypeId, crisisType) =>
+  asset.crisisResponses?.[crisisTypeId] ??
+  (asset.crisisSensitivity ?? 1) * (crisisType.profile[asset.assetClass] ?? 1);
+
+// More conservative permanent damage based on crisis severity and asset sensitivity
+export const getPermanentDamageRatio = (
+  crisisType,
+  drawdownImpactDecimal,
+  crisisSensitivity
+) => {
+  // Share of the drawdown that becomes permanent
+  const baseDamage = drawdownImpactDecimal * (crisisType.permanentDamage / 100);
+  const sensitivityAdjustedDamage = baseDamage * crisisSensitivity;
+  // Adjust impact based on asset type (e.g., bonds are more sensitive to rates)
+  const ratesSensitivity = crisisType.ratesSensitive
+    ? Math.min(1.5 * crisisSensitivity, 1)
+    : 1;
+  return crisisType.recoveryPotential / 100 - sensitivityAdjustedDamage * ratesSensitivity;
+};
+
+/**
+ * Events that apply to this run, in chronological order. Events with type
+ * "NONE" or outside the horizon are dropped.
+ */
+export const getActiveCrisisEvents = ({ enableRisk, crisisEvents, years }) =>
+  enableRisk && crisisEvents
+    ? crisisEvents
+        .filter(
+          (event) =>
+            event.crisisType !== "NONE" && event.year >= 1 && event.year <= years
+        )
+        .sort((a, b) => a.year - b.year)
+    : [];
+
+/**
+ * Applies one crisis to `scenario` in place. The path as it stands before
+ * this event (earlier crises included) is the reference the asset recovers
+ * towards, so a crisis that lands while an earlier one is still recovering
+ * knocks the value down from wherever the recovery had reached and then
+ * recovers towards the earlier recovery curve, reduced by its own permanent
+ * damage.
+ *
+ * With `stepsPerYear` above 1 the drawdown hits in the middle of its year
+ * and the recovery runs over `recoveryYears` worth of steps.
+ *
+ * Each asset responds according to `getCrisisResponse`. A response of 0
+ * leaves the asset untouched. A negative response spikes the asset up
+ * instead; the gain then reverts along the recovery pattern, and the
+ * asset's `gainRetention` percent of it is kept.
+ */
+export const applyCrisisEvent = (
+  scenario,
+  assets,
+  event,
+  years,
+  stepsPerYear = 1,
+  customCrisisTypes = []
+) => {
+  const { drawdown, recoveryType } = event;
+  const crisisType = getCrisisType(event.crisisType, customCrisisTypes);
+  const start =
+    stepsPerYear === 1
+      ? event.year
+      : (event.year - 1) * stepsPerYear + stepsPerYear / 2;
+  const recoverySteps = event.recoveryYears * stepsPerYear;
+  const lastStep = years * stepsPerYear;
+
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) return;
+    const reference = scenario.map((row) => row[name]);
+
+    // Apply crisis sensitivity to drawdown impact
+    const crisisSensitivity = getCrisisResponse(asset, event.crisisType, crisisType);
+    // A crisis can take at most the whole value, never push it below zero
+    const drawdownImpactDecimal = Math.min(
+      (drawdown / 100) * asset.drawdownImpact * crisisSensitivity,
+      1
+    );
+    const exponent = recoveryExponents[recoveryType] ?? recoveryExponents.L_SHAPED;
+
+    if (drawdownImpactDecimal <= 0) {
+      // Spike and revert towards the reference path, less the kept gain
+      const gain = -drawdownImpactDecimal;
+      const givenBack = 1 - (asset.gainRetention ?? 0) / 100;
+      for (let y = start; y <= lastStep; y++) {
+        const progress =
+          y === start ? 0 : Math.min((y - start) / recoverySteps, 1);
+        const reversion = Math.pow(progress, exponent) * givenBack;
+        scenario[y][name] = reference[y] * (1 + gain * (1 - reversion));
+      }
+      return;
+    }
+
+    const permanentDamageRatio = Math.max(
+      getPermanentDamageRatio(crisisType, drawdownImpactDecimal, crisisSensitivity),
+      0
+    );
+
+    // Apply initial drawdown
+    scenario[start][name] = reference[start] * (1 - drawdownImpactDecimal);
+
+    // Calculate reduced growth rate for post-crisis years
+    const reducedReturn = asset.return * permanentDamageRatio;
+    const reducedGrowth = Math.pow(Math.max(1 + reducedReturn / 100, 0), 1 / stepsPerYear);
+    const drawdownValue = scenario[start][name];
+
+    for (let y = start + 1; y <= lastStep; y++) {
+      const recoveryTarget = reference[y] * permanentDamageRatio;
+
+      if (y <= start + recoverySteps) {
+        // During recovery period
+        const progress = (y - start) / recoverySteps;
+        const recoveryFactor = Math.pow(progress, exponent);
+
+        // Calculate recovery value but ensure it doesn't exceed the damage-adjusted target
+        scenario[y][name] = Math.min(
+          drawdownValue + (recoveryTarget - drawdownValue) * recoveryFactor,
+          recoveryTarget
+        );
+      } else {
+        // Post-recovery period: grow at reduced rate
+        scenario[y][name] = scenario[y - 1][name] * reducedGrowth;
+        // Cap growth to never exceed the permanent damage adjusted target
+        if (scenario[y][name] > recoveryTarget) {
+          scenario[y][name] = recoveryTarget;
+        }
+      }
+    }
+  });
+};
+
+export const applyCrisisEvents = (scenario, input) => {
+  getActiveCrisisEvents(input).forEach((event) => {
+    applyCrisisEvent(
+      scenario,
+      input.assets,
+      event,
+      input.years,
+      getStepsPerYear(input),
+      input.customCrisisTypes
+    );
+  });
+};
@@ -0,0 +1,221 @@
+import { describe, it, expect } from "vitest";
+import {
+  applyCrisisEvent,
+  crisisTypes,
+  getActiveCrisisEvents,
+  getCrisisResponse,
+  getCrisisType,
+  getPermanentDamageRatio,
+} from "./crisis";
+import { generateInflationRates } from "./inflation";
+import { buildScenarioPath } from "./simulation";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const baseInput = { ...defaultParameters, assets: defaultAssets, years: 10 };
+const riskOff = {
+  year: 1,
+  crisisType: "RISK_OFF",
+  drawdown: 30,
+  recoveryType: "U_SHAPED",
+  recoveryYears: 3,
+};
+const pathWith = (crisisEvents) =>
+  buildScenarioPath({ ...baseInput, enableRisk: true, crisisEvents });
+
+describe("getActiveCrisisEvents", () => {
+  it("sorts events and drops disabled or out-of-horizon ones", () => {
+    const events = [
+      { ...riskOff, year: 6 },
+      { ...riskOff, year: 2 },
+      { ...riskOff, year: 11 },
+      { ...riskOff, year: 4, crisisType: "NONE" },
+    ];
+    expect(
+      getActiveCrisisEvents({ enableRisk: true, crisisEvents: events, years: 10 })
+        .map((event) => event.year)
+    ).toEqual([2, 6]);
+    expect(
+      getActiveCrisisEvents({ enableRisk: false, crisisEvents: events, years: 10 })
+    ).toEqual([]);
+  });
+});
+
+describe("getPermanentDamageRatio", () => {
+  it("leaves more lasting damage after rising-rate crises", () => {
+    expect(getPermanentDamageRatio(crisisTypes.RISK_OFF, 0.2, 1)).toBeCloseTo(0.82, 10);
+    expect(getPermanentDamageRatio(crisisTypes.RISING_RATES, 0.2, 1)).toBeCloseTo(0.77, 10);
+  });
+
+  it("uses the recovery potential and permanent damage of custom types", () => {
+    const custom = { id: "CUSTOM_1", label: "Mine", recoveryPotential: 70, permanentDamage: 100, inflationLink: 0, profile: {} };
+    expect(getCrisisType("CUSTOM_1", [custom])).toBe(custom);
+    expect(getPermanentDamageRatio(custom, 0.2, 1)).toBeCloseTo(0.5, 10);
+  });
+});
+
+describe("getCrisisResponse", () => {
+  it("prefers the asset's own response, keeping an explicit 0", () => {
+    const asset = { crisisSensitivity: 0.5, assetClass: "MANAGED_FUTURES", crisisResponses: { RISK_OFF: 0 } };
+    expect(getCrisisResponse(asset, "RISK_OFF", crisisTypes.RISK_OFF)).toBe(0);
+    expect(getCrisisResponse(asset, "STAGFLATION", crisisTypes.STAGFLATION)).toBe(-1);
+    expect(getCrisisResponse({ crisisSensitivity: 0 }, "RISK_OFF", crisisTypes.RISK_OFF)).toBe(0);
+  });
+});
+
+describe("crisis gains", () => {
+  const hedge = { return: 0, drawdownImpact: 1, crisisSensitivity: -1, gainRetention: 25 };
+  const flatPath = () => Array.from({ length: 6 }, () => ({ hedge: 100 }));
+
+  it("spikes and then reverts to the kept share of the gain", () => {
+    const scenario = flatPath();
+    applyCrisisEvent(
+      scenario,
+      { hedge },
+      { ...riskOff, drawdown: 20, recoveryType: "U_SHAPED", recoveryYears: 2 },
+      5
+    );
+    expect(scenario[0].hedge).toBe(100);
+    expect(scenario[1].hedge).toBeCloseTo(120, 10);
+    // Halfway through the reversion along the U-shaped curve
+    expect(scenario[2].hedge).toBeCloseTo(100 * (1 + 0.2 * (1 - Math.pow(0.5, 1.5) * 0.75)), 10);
+    expect(scenario[3].hedge).toBeCloseTo(105, 10);
+    expect(scenario[5].hedge).toBeCloseTo(105, 10);
+  });
+
+  it("leaves assets with a zero response untouched", () => {
+    const scenario = flatPath();
+    applyCrisisEvent(scenario, { hedge: { ...hedge, crisisSensitivity: 0 } }, riskOff, 5);
+    expect(scenario).toEqual(flatPath());
+  });
+
+  it("protects the default BIL and KMLM in a risk-off crisis", () => {
+    const noCrisis = pathWith([]);
+    const crisis = pathWith([riskOff]);
+    const BIL = "BIL (Short-Term Treasuries)";
+    const KMLM = "KMLM (Managed Futures)";
+    expect(crisis[10][BIL]).toBe(noCrisis[10][BIL]);
+    expect(crisis[1][KMLM]).toBeGreaterThan(noCrisis[1][KMLM]);
+    expect(crisis[10][KMLM]).toBeGreaterThan(noCrisis[10][KMLM]);
+  });
+});
+
+describe("crisis type profiles", () => {
+  const KMLM = "KMLM (Managed Futures)";
+  const BIL = "BIL (Short-Term Treasuries)";
+  const PFF = "PFF (Preferred Stocks)";
+  const stagflation = { ...riskOff, crisisType: "STAGFLATION" };
+
+  it("lets managed futures gain and leaves cash alone in a stagflation", () => {
+    const noCrisis = pathWith([]);
+    const crisis = pathWith([stagflation]);
+    const kmlm = defaultAssets[KMLM];
+    const gain = 0.3 * kmlm.drawdownImpact * kmlm.crisisSensitivity * 2;
+    expect(crisis[1][KMLM]).toBeCloseTo(noCrisis[1][KMLM] * (1 + gain), 6);
+    for (let y = 1; y <= 10; y++) {
+      expect(crisis[y][BIL]).toBe(noCrisis[y][BIL]);
+    }
+    expect(crisis[1][SPX]).toBeCloseTo(noCrisis[1][SPX] * (1 - 0.3), 6);
+  });
+
+  it("hits credit harder than equities in a credit crunch", () => {
+    const noCrisis = pathWith([]);
+    const crunch = pathWith([{ ...riskOff, crisisType: "CREDIT_CRUNCH" }]);
+    const plain = pathWith([riskOff]);
+    expect(crunch[1][PFF] / noCrisis[1][PFF]).toBeLessThan(plain[1][PFF] / noCrisis[1][PFF]);
+  });
+
+  it("lets managed futures gain and hits bonds harder in a currency crisis", () => {
+    const noCrisis = pathWith([]);
+    const crisis = pathWith([{ ...riskOff, crisisType: "CURRENCY_CRISIS" }]);
+    const plain = pathWith([riskOff]);
+    expect(crisis[1][KMLM]).toBeGreaterThan(noCrisis[1][KMLM]);
+    expect(crisis[1][BIL]).toBe(noCrisis[1][BIL]);
+    expect(crisis[1][PFF] / noCrisis[1][PFF]).toBeLessThan(plain[1][PFF] / noCrisis[1][PFF]);
+  });
+
+  it("falls back to a multiplier of 1 for assets without a class", () => {
+    const scenario = [{ a: 100 }, { a: 110 }];
+    applyCrisisEvent(
+      scenario,
+      { a: { return: 10, drawdownImpact: 1, crisisSensitivity: 1 } },
+      { ...stagflation, drawdown: 50 },
+      1
+    );
+    expect(scenario[1].a).toBeCloseTo(55, 10);
+  });
+
+  it("scales the inflation spike by the type's inflation link", () => {
+    const input = {
+      ...baseInput,
+      enableRisk: true,
+      inflationModel: "STOCHASTIC",
+      inflationVolatility: 0,
+      inflationCrisisLink: 0.2,
+    };
+    const ratesFor = (crisisType) =>
+      generateInflationRates({ ...input, crisisEvents: [{ ...riskOff, crisisType }] });
+    expect(ratesFor("RISK_OFF")[0]).toBeCloseTo(2.5, 10);
+    expect(ratesFor("RISING_RATES")[0]).toBeCloseTo(2.5 + 6, 10);
+    expect(ratesFor("STAGFLATION")[0]).toBeCloseTo(2.5 + 9, 10);
+    expect(ratesFor("DEFLATIONARY_BUST")[0]).toBeCloseTo(2.5 - 6, 10);
+    expect(ratesFor("CURRENCY_CRISIS")[0]).toBeCloseTo(2.5 + 7.2, 10);
+  });
+});
+
+describe("crisis events", () => {
+  it("leaves the years before a late crisis untouched", () => {
+    const noCrisis = pathWith([]);
+    const late = pathWith([{ ...riskOff, year: 4 }]);
+    for (let y = 0; y < 4; y++) {
+      expect(late[y][SPX]).toBe(noCrisis[y][SPX]);
+    }
+    expect(late[4][SPX]).toBeCloseTo(noCrisis[4][SPX] * (1 - 0.3), 6);
+  });
+
+  it("matches a year-1 crisis shifted in time", () => {
+    const early = pathWith([riskOff]);
+    const late = pathWith([{ ...riskOff, year: 3 }]);
+    const noCrisis = pathWith([]);
+    // Same drawdown and recovery shape relative to the no-crisis path
+    expect(late[4][SPX] / noCrisis[4][SPX]).toBeCloseTo(
+      early[2][SPX] / noCrisis[2][SPX],
+      6
+    );
+  });
+
+  it("chains a second crisis that lands during the first recovery", () => {
+    const first = pathWith([riskOff]);
+    const both = pathWith([
+      riskOff,
+      { ...riskOff, year: 3, drawdown: 20, recoveryType: "V_SHAPED", recoveryYears: 2 },
+    ]);
+    expect(both[2][SPX]).toBe(first[2][SPX]);
+    expect(both[3][SPX]).toBeCloseTo(first[3][SPX] * 0.8, 6);
+    for (let y = 3; y <= 10; y++) {
+      expect(both[y][SPX]).toBeLessThan(first[y][SPX]);
+    }
+    // The second recovery heads for the first crisis' path, less its own damage
+    const damage = getPermanentDamageRatio(crisisTypes.RISK_OFF, 0.2, 1);
+    expect(both[5][SPX]).toBeCloseTo(first[5][SPX] * damage, 6);
+  });
+
+  it("applies overlapping events in chronological order", () => {
+    const second = { ...riskOff, year: 2, drawdown: 10 };
+    expect(pathWith([second, riskOff])).toEqual(pathWith([riskOff, second]));
+  });
+
+  it("only touches non-baseline assets", () => {
+    const scenario = [{ a: 100, base: 100 }, { a: 110, base: 100 }];
+    applyCrisisEvent(
+      scenario,
+      {
+        a: { return: 10, drawdownImpact: 1, crisisSensitivity: 1 },
+        base: { isBaseline: true },
+      },
+      { ...riskOff, drawdown: 50 },
+      1
+    );
+    expect(scenario[1]).toEqual({ a: 55, base: 100 });
+  });
+});
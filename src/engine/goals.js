@@ -0,0 +1,205 @@
+import { HISTORY_FIRST_YEAR, HISTORY_LAST_YEAR } from "./historicalReturns";
+import { buildSeedPaths } from "./monteCarlo";
+import { normalizeWeights, withPortfolioAssets } from "./portfolio";
+import { runSimulation, summarizePath } from "./simulation";
+import { buildPeriodLabels, getStepsPerYear } from "./timeline";
+import { assetFieldLimits, parameterLimits } from "./validation";
+
+/**
+ * What the goal planner can solve for, with everything else kept as set.
+ */
+export const goalSolveTargets = {
+  INITIAL_AMOUNT: "Initial Investment",
+  RETURN: "Expected Return",
+  CONTRIBUTION: "Contribution",
+};
+
+/**
+ * Smallest `x` in [low, high] with `valueAt(x) >= target` for a
+ * non-decreasing `valueAt`, to within `tolerance`: `low` when it already
+ * reaches the target, null when even `high` does not. Uses regula falsi with
+ * the Illinois fix, which lands on (nearly) linear functions in a step or
+ * two.
+ */
+export const solveIncreasing = (valueAt, target, low, high, tolerance) => {
+  let fLow = valueAt(low) - target;
+  if (fLow >= 0) return low;
+  let fHigh = valueAt(high) - target;
+  if (fHigh < 0) return null;
+  let side = 0;
+  for (let i = 0; i < 60 && high - low > tolerance; i++) {
+    // Stay at least half a tolerance inside the bracket so it always shrinks
+    const secant = high - (fHigh * (high - low)) / (fHigh - fLow);
+    const x = Math.min(Math.max(secant, low + tolerance / 2), high - tolerance / 2);
+    const fx = valueAt(x) - target;
+    if (fx >= 0) {
+      high = x;
+      fHigh = fx;
+      if (side === 1) fLow /= 2;
+      side = 1;
+    } else {
+      low = x;
+      fLow = fx;
+      if (side === -1) fHigh /= 2;
+      side = -1;
+    }
+  }
+  return high;
+};
+
+// Expected return of a series: the asset's own, or the weighted return of a
+// portfolio's holdings.
+const seriesReturn = (name, input) => {
+  if (input.assets[name]) return input.assets[name].return;
+  const portfolio = input.portfolios.find((entry) => entry.name === name);
+  return Object.entries(normalizeWeights(portfolio.weights, input.assets)).reduce(
+    (sum, [asset, weight]) => sum + weight * input.assets[asset].return,
+    0
+  );
+};
+
+const shiftReturns = (assets, shift) => {
+  const shifted = {};
+  Object.entries(assets).forEach(([name, asset]) => {
+    shifted[name] = asset.isBaseline ? asset : { ...asset, return: asset.return + shift };
+  });
+  return shifted;
+};
+
+// The input with the solved-for quantity set to `x`. Returns are shifted by
+// the same number of points for every asset, which moves each asset (and
+// portfolio) return by exactly that much.
+const inputFor = (solveFor, input, x) => {
+  switch (solveFor) {
+    case "INITIAL_AMOUNT":
+      return { ...input, initialAmount: x };
+    case "RETURN":
+      return { ...input, assets: shiftReturns(input.assets, x) };
+    default:
+      return { ...input, cashFlows: { ...input.cashFlows, contributionAmount: x } };
+  }
+};
+
+/**
+ * The value of `solveFor` each series needs for its scenario path to reach
+ * `goalAmount` at `step`, keyed by series name: the initial investment, the
+ * expected return in percent a year (the weighted return of the holdings for
+ * portfolios) or the contribution per period of the cash flow schedule.
+ * Null when it is out of range, and for returns in backtests, which replay
+ * history instead. `onProgress` gets the share of series solved.
+ */
+const solveRequired = (input, names, step, onProgress) => {
+  const { solveFor, goalAmount } = input;
+  if (solveFor === "RETURN" && input.enableBacktest) {
+    return Object.fromEntries(names.map((name) => [name, null]));
+  }
+  // Runs are shared between series, which bracket the same values
+  const rows = new Map();
+  const rowAt = (x) => {
+    if (!rows.has(x)) rows.set(x, runSimulation(inputFor(solveFor, input, x)).data[step]);
+    return rows.get(x);
+  };
+  const required = {};
+  names.forEach((name, index) => {
+    const valueAt = (x) => rowAt(x)[name];
+    if (solveFor === "INITIAL_AMOUNT") {
+      const { min, max } = parameterLimits.initialAmount;
+      const amount = solveIncreasing(valueAt, goalAmount, min, max, 1);
+      required[name] = amount === null ? null : Math.ceil(amount);
+    } else if (solveFor === "RETURN") {
+      const base = seriesReturn(name, input);
+      const { min, max } = assetFieldLimits.return;
+      const shift = solveIncreasing(valueAt, goalAmount, min - base, max - base, 0.01);
+      required[name] = shift === null ? null : Math.ceil((base + shift) * 100) / 100;
+    } else {
+      const amount = solveIncreasing(valueAt, goalAmount, 0, parameterLimits.initialAmount.max, 1);
+      required[name] = amount === null ? null : Math.ceil(amount);
+    }
+    if (onProgress) onProgress((index + 1) / names.length);
+  });
+  return required;
+};
+
+/**
+ * Rows at the goal step of every path the probability is taken over:
+ * the Monte Carlo paths with volatility on (`seedPaths` when they are
+ * already built), every historical window of `years` years in a backtest,
+ * or just `scenarioRow` otherwise.
+ */
+const buildGoalRows = (input, step, scenarioRow, seedPaths) => {
+  if (input.enableBacktest) {
+    const rows = [];
+    for (let start = HISTORY_FIRST_YEAR; start <= HISTORY_LAST_YEAR - input.years + 1; start++) {
+      rows.push(runSimulation({ ...input, backtestStartYear: start }).data[step]);
+    }
+    return { source: "HISTORY", rows };
+  }
+  if (!input.enableVolatility) {
+    return { source: "SCENARIO", rows: [scenarioRow] };
+  }
+  return {
+    source: "MONTE_CARLO",
+    rows: (seedPaths || buildSeedPaths(input)).map(
+      ({ path, pathInput }) => summarizePath(path, pathInput).data[step]
+    ),
+  };
+};
+
+/**
+ * Goal planner: whether each asset and portfolio is worth `goalAmount` at the
+ * end of year `goalYear` (capped at `years`), in the same dollars as the
+ * chart (real or nominal, after contributions, withdrawals and taxes on
+ * distributions).
+ *
+ * Per series: `value` and `reached` on the scenario path (the single run the
+ * chart shows, with the current seed when volatility is on), `probability`
+ * in percent over the paths of `source` ("MONTE_CARLO", "HISTORY" or
+ * "SCENARIO", where it is 0 or 100) and `required`, the value of
+ * `goalSolveFor` (a key of `goalSolveTargets`) that makes the scenario path
+ * just reach the goal (see `solveRequired`). `label` is the goal's row label.
+ * `seedPaths` are the paths of `buildSeedPaths` when they are already built.
+ * `onProgress` is called with the share done (0-1): half once the
+ * probability paths are in, the rest as each series is solved.
+ *
+ * @param {import("./simulation").SimulationInput & {
+ *   goalAmount: number, goalYear: number, goalSolveFor: string }} input
+ * @param {{ onProgress?: function(number): void, seedPaths?: Array<Object> }} [options]
+ */
+export const runGoalAnalysis = (input, { onProgress, seedPaths } = {}) => {
+  const { goalAmount, goalSolveFor } = input;
+  const goalYear = Math.min(input.goalYear, input.years);
+  const step = goalYear * getStepsPerYear(input);
+  const series = withPortfolioAssets(input);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+
+  const scenarioRow = runSimulation(input).data[step];
+  const { source, rows } = buildGoalRows(input, step, scenarioRow, seedPaths);
+  if (onProgress) onProgress(0.5);
+  const required = solveRequired(
+    { ...input, portfolios: input.portfolios || [], solveFor: goalSolveFor },
+    names,
+    step,
+    onProgress && ((share) => onProgress(0.5 + share / 2))
+  );
+
+  const assets = {};
+  names.forEach((name) => {
+    const hits = rows.filter((row) => row[name] >= goalAmount).length;
+    assets[name] = {
+      value: scenarioRow[name],
+      reached: scenarioRow[name] >= goalAmount,
+      probability: parseFloat(((hits / rows.length) * 100).toFixed(2)),
+      required: required[name],
+    };
+  });
+
+  return {
+    goalAmount,
+    goalYear,
+    label: buildPeriodLabels(input)[step],
+    solveFor: goalSolveFor,
+    source,
+    pathCount: rows.length,
+    assets,
+  };
+};
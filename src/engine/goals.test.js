@@ -0,0 +1,146 @@
+import { describe, it, expect } from "vitest";
+import { runGoalAnalysis, solveIncreasing } from "./goals";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+import { defaultPortfolio, normalizeWeights } from "./portfolio";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const BIL = "BIL (Short-Term Treasuries)";
+const baseInput = {
+  ...defaultParameters,
+  ...scenarioPresets["Severe Crisis"],
+  assets: defaultAssets,
+  portfolios: [defaultPortfolio],
+  years: 10,
+  enableVolatility: false,
+  enableGoals: true,
+  goalAmount: 200000,
+  goalYear: 8,
+};
+
+const valueAt = (input, name) => runSimulation(input).data[8][name];
+
+describe("solveIncreasing", () => {
+  it("finds the smallest value that reaches the target", () => {
+    expect(solveIncreasing((x) => 3 * x + 1, 100, 0, 1000, 0.01)).toBeCloseTo(33, 1);
+    const root = solveIncreasing((x) => Math.pow(1.07, x), 2, 0, 50, 0.001);
+    expect(Math.pow(1.07, root)).toBeGreaterThanOrEqual(2);
+    expect(Math.pow(1.07, root - 0.001)).toBeLessThan(2);
+  });
+
+  it("returns the lower bound when it reaches and null when nothing does", () => {
+    expect(solveIncreasing((x) => x, 5, 10, 20, 1)).toBe(10);
+    expect(solveIncreasing((x) => x, 50, 10, 20, 1)).toBeNull();
+  });
+});
+
+describe("runGoalAnalysis", () => {
+  it("checks the scenario path at the end of the goal year", () => {
+    const analysis = runGoalAnalysis({ ...baseInput, goalSolveFor: "INITIAL_AMOUNT" });
+    expect(analysis.label).toBe("Year 8");
+    expect(analysis.source).toBe("SCENARIO");
+    expect(analysis.assets[SPX].value).toBe(valueAt(baseInput, SPX));
+    Object.values(analysis.assets).forEach((result) => {
+      expect(result.reached).toBe(result.value >= 200000);
+      expect(result.probability).toBe(result.reached ? 100 : 0);
+    });
+    expect(Object.keys(analysis.assets)).toContain(defaultPortfolio.name);
+  });
+
+  it("caps the goal year at the horizon and labels it with the date", () => {
+    const analysis = runGoalAnalysis({
+      ...baseInput,
+      goalYear: 20,
+      timeStep: "MONTHLY",
+      startDate: "2025-01",
+    });
+    expect(analysis.goalYear).toBe(10);
+    expect(analysis.label).toBe("2035-01");
+  });
+
+  it("solves for the initial investment that just reaches the goal", () => {
+    const { assets } = runGoalAnalysis({ ...baseInput, goalSolveFor: "INITIAL_AMOUNT" });
+    [SPX, BIL, defaultPortfolio.name].forEach((name) => {
+      const { required } = assets[name];
+      expect(valueAt({ ...baseInput, initialAmount: required }, name)).toBeGreaterThanOrEqual(200000);
+      expect(valueAt({ ...baseInput, initialAmount: required - 2 }, name)).toBeLessThan(200000);
+    });
+  });
+
+  it("solves for the contribution per period of the schedule", () => {
+    const input = {
+      ...baseInput,
+      goalSolveFor: "CONTRIBUTION",
+      goalAmount: 400000,
+      cashFlows: { ...baseInput.cashFlows, contributionFrequency: "MONTHLY" },
+    };
+    const { required } = runGoalAnalysis(input).assets[SPX];
+    const withContribution = (amount) => ({
+      ...input,
+      cashFlows: { ...input.cashFlows, contributionAmount: amount },
+    });
+    expect(required).toBeGreaterThan(0);
+    expect(valueAt(withContribution(required), SPX)).toBeGreaterThanOrEqual(400000);
+    expect(valueAt(withContribution(required - 2), SPX)).toBeLessThan(400000);
+  });
+
+  it("solves for the expected return of assets and portfolios", () => {
+    const { assets } = runGoalAnalysis({ ...baseInput, goalSolveFor: "RETURN" });
+    const required = assets[SPX].required;
+    const withReturn = (value) => ({
+      ...baseInput,
+      assets: { ...defaultAssets, [SPX]: { ...defaultAssets[SPX], return: value } },
+    });
+    expect(valueAt(withReturn(required), SPX)).toBeGreaterThanOrEqual(200000);
+    expect(valueAt(withReturn(required - 0.02), SPX)).toBeLessThan(200000);
+
+    // Portfolios report the weighted return of their holdings
+    const weights = normalizeWeights(defaultPortfolio.weights, defaultAssets);
+    const weightedReturn = Object.entries(weights).reduce(
+      (sum, [name, weight]) => sum + weight * defaultAssets[name].return,
+      0
+    );
+    const shifted = (shift) => {
+      const shiftedAssets = {};
+      Object.entries(defaultAssets).forEach(([name, asset]) => {
+        shiftedAssets[name] = asset.isBaseline ? asset : { ...asset, return: asset.return + shift };
+      });
+      return { ...baseInput, assets: shiftedAssets };
+    };
+    const shift = assets[defaultPortfolio.name].required - weightedReturn;
+    expect(valueAt(shifted(shift), defaultPortfolio.name)).toBeGreaterThanOrEqual(200000);
+    expect(valueAt(shifted(shift - 0.02), defaultPortfolio.name)).toBeLessThan(200000);
+  });
+
+  it("reports unreachable goals as null", () => {
+    const { assets } = runGoalAnalysis({
+      ...baseInput,
+      goalAmount: 1e12,
+      goalSolveFor: "RETURN",
+    });
+    expect(assets[BIL].required).toBeNull();
+    expect(assets[BIL].reached).toBe(false);
+  });
+
+  it("takes the probability over the Monte Carlo paths with volatility on", () => {
+    const analysis = runGoalAnalysis({
+      ...baseInput,
+      enableVolatility: true,
+      monteCarloPaths: 50,
+      goalAmount: 150000,
+    });
+    expect(analysis.source).toBe("MONTE_CARLO");
+    expect(analysis.pathCount).toBe(50);
+    const { probability } = analysis.assets[SPX];
+    expect(probability).toBeGreaterThan(0);
+    expect(probability).toBeLessThan(100);
+    expect(analysis.assets[BIL].probability).toBeGreaterThanOrEqual(0);
+  });
+
+  it("takes the probability over the historical windows in a backtest", () => {
+    const analysis = runGoalAnalysis({ ...baseInput, enableBacktest: true, goalSolveFor: "RETURN" });
+    expect(analysis.source).toBe("HISTORY");
+    expect(analysis.pathCount).toBeGreaterThan(1);
+    expect(analysis.assets[SPX].required).toBeNull();
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Bundled calendar-year total returns (in percent, dividends reinvested) for
+ * the tickers of the default assets, plus US CPI inflation, so historical
+ * modes work offline.
+ *
+ * Figures are rounded approximations meant for illustration. Years before a
+ * fund existed use its index or a close proxy:
+ *   - BIL:   3-month US Treasury bill returns before 2008.
+ *   - KMLM:  a trend-following managed futures index before 2021.
+ *   - SPHD:  dividend-weighted US large caps before 2013 (index backtest).
+ *   - SWPPX: the S&P 500 total return index.
+ *   - PFF:   a US preferred stock index before 2008.
+ *   - VUG:   a US large-cap growth index before 2005.
+ */
+export const HISTORY_FIRST_YEAR = 1995;
+export const HISTORY_LAST_YEAR = 2024;
+
+// One value per year from HISTORY_FIRST_YEAR to HISTORY_LAST_YEAR.
+export const historicalReturns = {
+  BIL: [
+    5.6, 5.2, 5.3, 4.9, 4.7, 5.9, 3.8, 1.7, 1.0, 1.2,
+    3.0, 4.8, 4.7, 1.6, 0.1, 0.1, 0.0, 0.1, 0.0, 0.0,
+    0.1, 0.3, 0.9, 1.9, 2.2, 0.5, 0.0, 1.5, 5.0, 5.2,
+  ],
+  KMLM: [
+    15.0, 10.0, 8.0, 12.0, 1.0, 12.0, 3.0, 22.0, 9.0, 4.0,
+    2.0, 6.0, 7.0, 21.0, -5.0, 15.0, -8.0, -4.0, 1.0, 19.0,
+    0.0, -6.0, 2.0, -8.0, 9.0, 6.0, 19.0, 30.0, -12.5, -2.0,
+  ],
+  SPHD: [
+    34.0, 18.0, 30.0, 6.0, -6.0, 18.0, 5.0, -8.0, 28.0, 17.0,
+    4.0, 19.0, -4.0, -32.0, 12.0, 18.0, 12.0, 11.0, 21.6, 15.5,
+    -0.9, 21.0, 12.1, -6.2, 20.0, -9.9, 28.5, -0.8, -1.8, 17.0,
+  ],
+  SWPPX: [
+    37.6, 23.0, 33.4, 28.6, 21.0, -9.1, -11.9, -22.1, 28.7, 10.9,
+    4.9, 15.8, 5.5, -37.0, 26.5, 15.1, 2.1, 16.0, 32.4, 13.7,
+    1.4, 12.0, 21.8, -4.4, 31.5, 18.4, 28.7, -18.1, 26.3, 25.0,
+  ],
+  PFF: [
+    24.0, 8.0, 12.0, 5.0, -6.0, 14.0, 8.0, 7.5, 7.0, 5.0,
+    2.0, 8.0, -5.4, -24.9, 16.9, 13.6, -1.9, 17.7, -1.6, 13.8,
+    4.3, 1.3, 8.1, -4.7, 15.9, 7.9, 7.2, -18.2, 9.1, 6.9,
+  ],
+  VUG: [
+    38.1, 23.7, 36.3, 42.2, 28.8, -22.2, -12.9, -23.7, 25.9, 7.2,
+    5.1, 9.0, 12.6, -38.3, 36.3, 17.1, 2.0, 17.0, 32.4, 13.6,
+    3.3, 6.1, 27.8, -3.3, 37.3, 40.2, 27.3, -33.1, 46.9, 32.7,
+  ],
+};
+
+// US CPI-U, December to December, in percent.
+export const historicalInflation = [
+  2.5, 3.3, 1.7, 1.6, 2.7, 3.4, 1.6, 2.4, 1.9, 3.3,
+  3.4, 2.5, 4.1, 0.1, 2.7, 1.5, 3.0, 1.7, 1.5, 0.8,
+  0.7, 2.1, 2.1, 1.9, 2.3, 1.4, 7.0, 6.5, 3.4, 2.9,
+];
+
+export const historicalTickers = Object.keys(historicalReturns);
+
+// Well-known stress periods for comparing the crisis model with history.
+export const historicalEpisodes = [
+  { name: "Dot-com bust", startYear: 2000, years: 5 },
+  { name: "Global financial crisis", startYear: 2008, years: 5 },
+  { name: "COVID crash", startYear: 2020, years: 5 },
+  { name: "2022 inflation and rate shock", startYear: 2022, years: 3 },
+];
+
+/**
+ * The bundled ticker an asset follows: its `ticker` field, or null when it
+ * has none or there is no data for it.
+ */
+export const getAssetTicker = (asset) =>
+  asset.ticker && historicalReturns[asset.ticker] ? asset.ticker : null;
+
+/**
+ * Returns for `ticker` (or inflation when `ticker` is null) over
+ * `startYear .. startYear + years - 1`. Throws a RangeError when the window
+ * falls outside the bundled data.
+ */
+export const getHistoricalWindow = (ticker, startYear, years) => {
+  const first = startYear - HISTORY_FIRST_YEAR;
+  if (first < 0 || startYear + years - 1 > HISTORY_LAST_YEAR) {
+    throw new RangeError(
+      `Historical data covers ${HISTORY_FIRST_YEAR}–${HISTORY_LAST_YEAR}; ` +
+        `${startYear}–${startYear + years - 1} is out of range.`
+    );
+  }
+  const series = ticker === null ? historicalInflation : historicalReturns[ticker];
+  return series.slice(first, first + years);
+};
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildPriceIndex,
+  generateInflationRates,
+  priceLevelAt,
+} from "./inflation";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const input = { ...defaultParameters, assets: defaultAssets };
+const stochastic = { ...input, inflationModel: "STOCHASTIC" };
+
+describe("generateInflationRates", () => {
+  it("repeats the inflation rate for the constant model", () => {
+    expect(generateInflationRates(input)).toEqual([2.5, 2.5, 2.5, 2.5, 2.5]);
+  });
+
+  it("draws reproducible stochastic inflation around the rate", () => {
+    const rates = generateInflationRates(stochastic);
+    expect(rates).toEqual(generateInflationRates(stochastic));
+    expect(rates).not.toEqual(
+      generateInflationRates({ ...stochastic, randomSeedBase: 2 })
+    );
+    expect(new Set(rates).size).toBe(5);
+    expect(
+      generateInflationRates({ ...stochastic, inflationVolatility: 0 })
+    ).toEqual([2.5, 2.5, 2.5, 2.5, 2.5]);
+  });
+
+  it("adds an inflation spike to rising-rate crises", () => {
+    const calm = { ...stochastic, inflationVolatility: 0 };
+    const rates = generateInflationRates({
+      ...calm,
+      enableRisk: true,
+      crisisEvents: [
+        { year: 2, crisisType: "RISING_RATES", drawdown: 20, recoveryType: "V_SHAPED", recoveryYears: 2 },
+      ],
+    });
+    expect(rates[0]).toBe(2.5);
+    expect(rates[1]).toBeCloseTo(6.5, 10);
+    expect(rates[2]).toBeCloseTo(4.5, 10);
+    expect(rates[3]).toBe(2.5);
+  });
+});
+
+describe("buildPriceIndex", () => {
+  it("compounds the yearly rates from 1", () => {
+    const index = buildPriceIndex({ ...input, years: 2 });
+    expect(index).toHaveLength(3);
+    expect(index[0]).toBe(1);
+    expect(index[2]).toBeCloseTo(1.025 ** 2, 10);
+    expect(priceLevelAt(index, 1.5)).toBeCloseTo(1.025 ** 1.5, 10);
+  });
+});
+
+describe("value modes", () => {
+  it("re-inflates the real values by the price index", () => {
+    const real = runSimulation(stochastic);
+    const nominal = runSimulation({ ...stochastic, valueMode: "NOMINAL" });
+    const index = buildPriceIndex(stochastic);
+    expect(nominal.data[5][SPX]).toBeCloseTo(real.data[5][SPX] * index[5], 1);
+    expect(nominal.metrics[SPX].cagr).toBeGreaterThan(real.metrics[SPX].cagr);
+  });
+
+  it("charges fees as a percentage of assets", () => {
+    const { data } = runSimulation({
+      ...input,
+      annualFees: 1,
+      inflationRate: 0,
+      valueMode: "NOMINAL",
+      years: 1,
+    });
+    expect(data[1][SPX]).toBeCloseTo(107000 * 0.99, 2);
+  });
+});
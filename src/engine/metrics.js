@@ -0,0 +1,130 @@
+/**
+ * CAGR, population volatility of step returns (annualized) and max drawdown
+ * for every non-baseline asset in `data`, which spans `years` years in equal
+ * steps (one row per year or per month). Values are percentages rounded to 2
+ * places.
+ */
+export const computeSummaryMetrics = (data, assets, years) => {
+  const steps = data.length - 1;
+  const stepsPerYear = steps / years;
+  const summaryMetrics = {};
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) return;
+    const startValue = data[0][name];
+    const endValue = data[steps][name];
+    const cagr = (Math.pow(endValue / startValue, 1 / years) - 1) * 100;
+
+    const returns = [];
+    for (let y = 1; y <= steps; y++) {
+      const previous = data[y - 1][name];
+      const stepReturn = previous > 0 ? (data[y][name] - previous) / previous : 0;
+      returns.push(stepReturn);
+    }
+    const meanReturn = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((a, b) => a + Math.pow(b - meanReturn, 2), 0) / returns.length;
+    const volatility = Math.sqrt(variance * stepsPerYear) * 100;
+
+    let maxDrawdown = 0;
+    let peak = startValue;
+    for (let y = 1; y <= steps; y++) {
+      const currentValue = data[y][name];
+      if (currentValue > peak) {
+        peak = currentValue;
+      }
+      const drawdown = peak > 0 ? (peak - currentValue) / peak * 100 : 0;
+      maxDrawdown = Math.max(maxDrawdown, drawdown);
+    }
+
+    summaryMetrics[name] = {
+      cagr: parseFloat(cagr.toFixed(2)),
+      volatility: parseFloat(volatility.toFixed(2)),
+      maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+    };
+  });
+  return summaryMetrics;
+};
+
+/**
+ * Underwater series: for every row of `data`, how far (percent, 0 or
+ * negative) each non-baseline asset sits below its highest value so far.
+ * Rows keep their `year` label.
+ */
+export const computeDrawdownSeries = (data, assets) => {
+  const names = Object.keys(assets).filter((name) => !assets[name].isBaseline);
+  const peaks = {};
+  return data.map((row) => {
+    const point = { year: row.year };
+    names.forEach((name) => {
+      peaks[name] = Math.max(peaks[name] ?? row[name], row[name]);
+      point[name] = peaks[name] > 0
+        ? parseFloat((((row[name] - peaks[name]) / peaks[name]) * 100).toFixed(2))
+        : 0;
+    });
+    return point;
+  });
+};
+
+/**
+ * Return in percent of every non-baseline asset in each of the `years`
+ * years of `data` (from year-end row to year-end row, so monthly runs give
+ * one value per year), labelled "Year 1" and so on.
+ */
+export const computeAnnualReturns = (data, assets, years) => {
+  const stepsPerYear = (data.length - 1) / years;
+  const names = Object.keys(assets).filter((name) => !assets[name].isBaseline);
+  return Array.from({ length: years }, (_, index) => {
+    const start = data[index * stepsPerYear];
+    const end = data[(index + 1) * stepsPerYear];
+    const point = { year: `Year ${index + 1}` };
+    names.forEach((name) => {
+      point[name] = start[name] > 0
+        ? parseFloat(((end[name] / start[name] - 1) * 100).toFixed(2))
+        : 0;
+    });
+    return point;
+  });
+};
+
+/**
+ * Linearly interpolated percentile (0-100) of an ascending-sorted array.
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Money-weighted annual return (IRR) in percent for dated cash flows
+ * `{ time, amount }` (time in years, investor perspective: money put in is
+ * negative, money taken out and the ending value are positive). Solved by
+ * bisection; returns NaN when no rate between -99.99% and 1000% balances the
+ * flows.
+ */
+export const computeIrr = (cashFlows) => {
+  const npv = (rate) =>
+    cashFlows.reduce(
+      (sum, { time, amount }) => sum + amount / Math.pow(1 + rate, time),
+      0
+    );
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return NaN;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-9 || high - low < 1e-12) {
+      return mid * 100;
+    }
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return ((low + high) / 2) * 100;
+};
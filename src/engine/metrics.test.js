@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import {
+  computeAnnualReturns,
+  computeDrawdownSeries,
+  computeIrr,
+  computeSummaryMetrics,
+  percentile,
+} from "./metrics";
+
+describe("computeSummaryMetrics", () => {
+  it("computes CAGR, volatility and max drawdown in percent", () => {
+    const assets = { A: { isBaseline: false }, Base: { isBaseline: true } };
+    const data = [{ A: 100 }, { A: 120 }, { A: 90 }, { A: 133.1 }];
+    const { A } = computeSummaryMetrics(data, assets, 3);
+    expect(A.cagr).toBe(10);
+    expect(A.maxDrawdown).toBe(25);
+    expect(A.volatility).toBeGreaterThan(0);
+  });
+});
+
+describe("chart series", () => {
+  const assets = { A: { isBaseline: false }, Base: { isBaseline: true } };
+
+  it("measures the distance below the running peak", () => {
+    const data = [100, 120, 90, 132, 99].map((A, i) => ({ year: `Year ${i}`, A, Base: 100 }));
+    expect(computeDrawdownSeries(data, assets)).toEqual([
+      { year: "Year 0", A: 0 },
+      { year: "Year 1", A: 0 },
+      { year: "Year 2", A: -25 },
+      { year: "Year 3", A: 0 },
+      { year: "Year 4", A: -25 },
+    ]);
+  });
+
+  it("compounds monthly rows into yearly returns", () => {
+    // Up 1% a month in the first year, down 1% a month in the second
+    const data = Array.from({ length: 25 }, (_, month) => ({
+      A: 100 * Math.pow(1.01, Math.min(month, 12)) * Math.pow(0.99, Math.max(month - 12, 0)),
+    }));
+    const returns = computeAnnualReturns(data, assets, 2);
+    expect(returns.map((row) => row.year)).toEqual(["Year 1", "Year 2"]);
+    expect(returns[0].A).toBeCloseTo((Math.pow(1.01, 12) - 1) * 100, 2);
+    expect(returns[1].A).toBeCloseTo((Math.pow(0.99, 12) - 1) * 100, 2);
+  });
+});
+
+describe("percentile", () => {
+  it("interpolates between sorted values", () => {
+    const sorted = [1, 2, 3, 4, 5];
+    expect(percentile(sorted, 0)).toBe(1);
+    expect(percentile(sorted, 50)).toBe(3);
+    expect(percentile(sorted, 100)).toBe(5);
+    expect(percentile(sorted, 25)).toBe(2);
+    expect(percentile([10, 20], 75)).toBe(17.5);
+  });
+
+  it("returns NaN for an empty sample", () => {
+    expect(percentile([], 50)).toBeNaN();
+  });
+});
+
+describe("computeIrr", () => {
+  it("matches the compound rate for a lump sum", () => {
+    const irr = computeIrr([
+      { time: 0, amount: -100 },
+      { time: 2, amount: 121 },
+    ]);
+    expect(irr).toBeCloseTo(10, 6);
+  });
+
+  it("weights intermediate flows by timing", () => {
+    const irr = computeIrr([
+      { time: 0, amount: -100 },
+      { time: 1, amount: -100 },
+      { time: 2, amount: 100 * 1.05 * 1.05 + 100 * 1.05 },
+    ]);
+    expect(irr).toBeCloseTo(5, 6);
+  });
+
+  it("returns NaN when no rate balances the flows", () => {
+    expect(computeIrr([{ time: 0, amount: 100 }, { time: 1, amount: 10 }])).toBeNaN();
+  });
+});
@@ -0,0 +1,171 @@
+import { createSeededRandom } from "./random";
+import { percentile } from "./metrics";
+import { hasCashFlows } from "./cashFlows";
+import { withPortfolioAssets } from "./portfolio";
+import { getStepCount } from "./timeline";
+import {
+  applyVolatility,
+  buildScenarioPath,
+  generateRandomFactors,
+  summarizePath,
+} from "./simulation";
+
+export const percentileLevels = [5, 25, 50, 75, 95];
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+const summarize = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  const summary = {};
+  percentileLevels.forEach((level) => {
+    summary[`p${level}`] = round2(percentile(sorted, level));
+  });
+  return summary;
+};
+
+/**
+ * Seeds for each Monte Carlo path, drawn from a generator seeded with
+ * `randomSeedBase`. Consecutive integers are not used directly because
+ * Park–Miller streams from neighbouring seeds are strongly correlated.
+ */
+export const derivePathSeeds = (randomSeedBase, count) => {
+  const random = createSeededRandom(randomSeedBase);
+  return Array.from({ length: count }, () =>
+    Math.floor(random() * 2147483646) + 1
+  );
+};
+
+/**
+ * The shocked asset path for one seed, and the input to summarize it with.
+ * `basePath` is the deterministic scenario of `input`; it is rebuilt when
+ * inflation is stochastic because the price path changes with the seed too.
+ */
+export const buildSeedPath = (input, basePath, seed) => {
+  const seeded = { ...input, randomSeedBase: seed };
+  const stochasticInflation = input.inflationModel === "STOCHASTIC";
+  const path = applyVolatility(
+    stochasticInflation ? buildScenarioPath(seeded) : basePath,
+    input.assets,
+    generateRandomFactors(seeded)
+  );
+  return { path, pathInput: stochasticInflation ? seeded : input };
+};
+
+/**
+ * The shocked path of every Monte Carlo seed (see `buildSeedPath`), each
+ * with the input to summarize it with. `runScenario` builds them once and
+ * shares them between the Monte Carlo summary and the risk, retirement and
+ * goal analyses. `onProgress` is called with the share of paths built (0-1)
+ * about every 5%.
+ *
+ * @param {import("./simulation").SimulationInput & { monteCarloPaths: number }} input
+ * @param {{ onProgress?: function(number): void }} [options]
+ */
+export const buildSeedPaths = (input, { onProgress } = {}) => {
+  const { monteCarloPaths, randomSeedBase } = input;
+  const path = buildScenarioPath(input);
+  const progressInterval = Math.max(1, Math.floor(monteCarloPaths / 20));
+  return derivePathSeeds(randomSeedBase, monteCarloPaths).map((seed, pathIndex) => {
+    const seedPath = buildSeedPath(input, path, seed);
+    const done = pathIndex + 1;
+    if (onProgress && (done % progressInterval === 0 || done === monteCarloPaths)) {
+      onProgress(done / monteCarloPaths);
+    }
+    return seedPath;
+  });
+};
+
+/**
+ * Runs `monteCarloPaths` seeded volatility paths on top of the same
+ * deterministic scenario and summarizes them.
+ *
+ * `data` has one row per step (year or month); each non-baseline asset and portfolio holds its
+ * `{ p5, p25, p50, p75, p95 }` values, baseline assets keep their plain value.
+ * `metrics` holds per-asset distributions: median CAGR and its percentiles,
+ * median volatility and max drawdown, median ending value, and the
+ * probability (in percent) of ending below `initialAmount`. With cash flows
+ * the return distribution is of the money-weighted return instead
+ * (`medianIrr` and `irr`). Taxable and tax-deferred accounts add
+ * `medianAfterTaxEndingValue`. Stochastic inflation is drawn again for
+ * every path, so the deterministic part is rebuilt per seed.
+ *
+ * `onProgress` is called with the share of paths done (0-1) about every 5%.
+ * `seedPaths` are the paths of `buildSeedPaths` when they are already built.
+ *
+ * @param {import("./simulation").SimulationInput & { monteCarloPaths: number }} input
+ * @param {{ onProgress?: function(number): void, seedPaths?: Array<Object> }} [options]
+ */
+export const runMonteCarlo = (input, { onProgress, seedPaths } = {}) => {
+  const { initialAmount, monteCarloPaths } = input;
+  const path = buildScenarioPath(input);
+  const series = withPortfolioAssets(input);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+  const returnKey = hasCashFlows(input.cashFlows) ? "irr" : "cagr";
+
+  const yearValues = {};
+  const pathMetrics = {};
+  names.forEach((name) => {
+    yearValues[name] = path.map(() => []);
+    pathMetrics[name] = {
+      returns: [],
+      volatility: [],
+      maxDrawdown: [],
+      afterTaxEndingValue: [],
+    };
+  });
+
+  const progressInterval = Math.max(1, Math.floor(monteCarloPaths / 20));
+  (seedPaths || buildSeedPaths(input)).forEach(({ path: seedPath, pathInput }, pathIndex) => {
+    const { data, metrics } = summarizePath(seedPath, pathInput);
+    names.forEach((name) => {
+      data.forEach((row, yearIndex) => {
+        yearValues[name][yearIndex].push(row[name]);
+      });
+      pathMetrics[name].returns.push(metrics[name][returnKey]);
+      pathMetrics[name].volatility.push(metrics[name].volatility);
+      pathMetrics[name].maxDrawdown.push(metrics[name].maxDrawdown);
+      if (metrics[name].afterTaxEndingValue !== undefined) {
+        pathMetrics[name].afterTaxEndingValue.push(metrics[name].afterTaxEndingValue);
+      }
+    });
+    const done = pathIndex + 1;
+    if (onProgress && (done % progressInterval === 0 || done === monteCarloPaths)) {
+      onProgress(done / monteCarloPaths);
+    }
+  });
+
+  // Baseline assets take no shocks, so their rows (cash flows included) are
+  // the same for every seed; with stochastic inflation they follow the price
+  // path of `randomSeedBase`.
+  const template = summarizePath(path, input).data;
+  const data = template.map((row, yearIndex) => {
+    const band = { ...row };
+    names.forEach((name) => {
+      band[name] = summarize(yearValues[name][yearIndex]);
+    });
+    return band;
+  });
+
+  const metrics = {};
+  names.forEach((name) => {
+    const endingValues = yearValues[name][getStepCount(input)];
+    const returns = summarize(pathMetrics[name].returns);
+    const belowInitial = endingValues.filter((value) => value < initialAmount).length;
+    metrics[name] = {
+      ...(returnKey === "irr"
+        ? { medianIrr: returns.p50, irr: returns }
+        : { medianCagr: returns.p50, cagr: returns }),
+      medianVolatility: summarize(pathMetrics[name].volatility).p50,
+      medianMaxDrawdown: summarize(pathMetrics[name].maxDrawdown).p50,
+      medianEndingValue: summarize(endingValues).p50,
+      probabilityBelowInitial: round2((belowInitial / endingValues.length) * 100),
+    };
+    if (pathMetrics[name].afterTaxEndingValue.length) {
+      metrics[name].medianAfterTaxEndingValue = summarize(
+        pathMetrics[name].afterTaxEndingValue
+      ).p50;
+    }
+  });
+
+  return { data, metrics, pathCount: monteCarloPaths };
+};
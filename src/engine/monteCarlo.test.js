@@ -0,0 +1,74 @@
+import { describe, it, expect } from "vitest";
+import { derivePathSeeds, runMonteCarlo } from "./monteCarlo";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+
+const baseInput = {
+  ...defaultParameters,
+  ...scenarioPresets["Severe Crisis"],
+  assets: defaultAssets,
+  monteCarloPaths: 200,
+};
+
+describe("derivePathSeeds", () => {
+  it("derives reproducible, valid seeds", () => {
+    const seeds = derivePathSeeds(1, 50);
+    expect(seeds).toEqual(derivePathSeeds(1, 50));
+    expect(new Set(seeds).size).toBe(50);
+    seeds.forEach((seed) => {
+      expect(seed).toBeGreaterThanOrEqual(1);
+      expect(seed).toBeLessThan(2147483647);
+    });
+  });
+});
+
+describe("runMonteCarlo", () => {
+  it("is reproducible for the same seed", () => {
+    expect(runMonteCarlo(baseInput)).toEqual(runMonteCarlo(baseInput));
+  });
+
+  it("returns ordered percentile bands for every year", () => {
+    const { data, pathCount } = runMonteCarlo(baseInput);
+    expect(pathCount).toBe(200);
+    expect(data).toHaveLength(baseInput.years + 1);
+    data.slice(1).forEach((row) => {
+      const band = row["SWPPX/SPX (S&P 500)"];
+      expect(band.p5).toBeLessThanOrEqual(band.p25);
+      expect(band.p25).toBeLessThanOrEqual(band.p50);
+      expect(band.p50).toBeLessThanOrEqual(band.p75);
+      expect(band.p75).toBeLessThanOrEqual(band.p95);
+    });
+    expect(data[0]["Baseline (No Scenario)"]).toBe(baseInput.initialAmount);
+  });
+
+  it("collapses to the deterministic path without volatility", () => {
+    const input = { ...baseInput, volatilityLevel: 0 };
+    const { data, metrics } = runMonteCarlo(input);
+    const single = runSimulation({ ...input, enableVolatility: false });
+    const band = data[3]["VUG (Large-Cap Growth)"];
+    const expected = parseFloat(single.data[3]["VUG (Large-Cap Growth)"].toFixed(2));
+    expect(band.p5).toBe(expected);
+    expect(band.p95).toBe(expected);
+    expect(metrics["VUG (Large-Cap Growth)"].medianCagr).toBe(
+      single.metrics["VUG (Large-Cap Growth)"].cagr
+    );
+  });
+
+  it("reports the probability of ending below the initial amount", () => {
+    const input = { ...baseInput, volatilityLevel: 0 };
+    const { metrics } = runMonteCarlo({
+      ...input,
+      enableRisk: false,
+      assets: {
+        ...defaultAssets,
+        Cash: { ...defaultAssets["BIL (Short-Term Treasuries)"], return: 0 },
+      },
+    });
+    expect(metrics.Cash.probabilityBelowInitial).toBe(100);
+    expect(metrics["SWPPX/SPX (S&P 500)"].probabilityBelowInitial).toBe(0);
+
+    const risky = runMonteCarlo(baseInput).metrics["VUG (Large-Cap Growth)"];
+    expect(risky.probabilityBelowInitial).toBeGreaterThan(0);
+    expect(risky.probabilityBelowInitial).toBeLessThanOrEqual(100);
+  });
+});
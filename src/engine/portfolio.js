@@ -0,0 +1,140 @@
+import { getStepsPerYear } from "./timeline";
+
+/**
+ * @typedef {Object} Portfolio
+ * @property {number} id         Stable key while the portfolio is edited.
+ * @property {string} name       Series name, unique among assets and portfolios.
+ * @property {Object<string, number>} weights Target weight in percent per asset name.
+ * @property {string} rebalancing "NONE" (buy and hold), "ANNUAL" or "THRESHOLD".
+ * @property {number} threshold   Drift band in percentage points for "THRESHOLD".
+ * @property {string} color       Chart color.
+ */
+
+export const defaultPortfolio = {
+  id: 1,
+  name: "Portfolio 1",
+  weights: {
+    "SWPPX/SPX (S&P 500)": 60,
+    "BIL (Short-Term Treasuries)": 30,
+    "KMLM (Managed Futures)": 10,
+  },
+  rebalancing: "ANNUAL",
+  threshold: 5,
+  color: "#d62728",
+};
+
+/**
+ * A copy of the default portfolio with an unused id and the first free
+ * "Portfolio N" name, so it never takes over another series.
+ */
+export const createPortfolio = (assets, portfolios) => {
+  const id = Math.max(0, ...portfolios.map((portfolio) => portfolio.id || 0)) + 1;
+  const taken = (name) =>
+    Object.hasOwn(assets, name) || portfolios.some((portfolio) => portfolio.name === name);
+  let index = portfolios.length + 1;
+  while (taken(`Portfolio ${index}`)) index += 1;
+  return { ...defaultPortfolio, id, name: `Portfolio ${index}` };
+};
+
+/**
+ * `portfolios` with an id on every entry: ids that are missing or repeated
+ * (older scenario files) are replaced by unused ones.
+ */
+export const withPortfolioIds = (portfolios) => {
+  const hasId = (portfolio) => Number.isInteger(portfolio.id);
+  let next = Math.max(0, ...portfolios.filter(hasId).map((portfolio) => portfolio.id)) + 1;
+  const seen = new Set();
+  return portfolios.map((portfolio) => {
+    if (hasId(portfolio) && !seen.has(portfolio.id)) {
+      seen.add(portfolio.id);
+      return portfolio;
+    }
+    seen.add(next);
+    return { ...portfolio, id: next++ };
+  });
+};
+
+/**
+ * Target weights as fractions summing to 1. Weights on assets that no longer
+ * exist (or on the baseline) are dropped and the rest are scaled up, so a
+ * portfolio whose weights do not add up to 100% still holds its full value.
+ */
+export const normalizeWeights = (weights, assets) => {
+  const held = Object.entries(weights || {}).filter(
+    ([name, weight]) => assets[name] && !assets[name].isBaseline && weight > 0
+  );
+  const total = held.reduce((sum, [, weight]) => sum + weight, 0);
+  const normalized = {};
+  held.forEach(([name, weight]) => {
+    normalized[name] = weight / total;
+  });
+  return normalized;
+};
+
+/**
+ * Value of a portfolio for every row of `path`. Each holding grows with its
+ * asset's simulated path; at each year end (every `stepsPerYear` rows) the
+ * holdings are reset to the target weights when the strategy calls for it
+ * ("ANNUAL" always, "THRESHOLD" when any weight has drifted more than
+ * `threshold` points).
+ */
+export const simulatePortfolio = (path, portfolio, assets, stepsPerYear = 1) => {
+  const weights = normalizeWeights(portfolio.weights, assets);
+  const names = Object.keys(weights);
+  const startValue = names.length ? path[0][names[0]] : 0;
+  let holdings = names.map((name) => startValue * weights[name]);
+  const values = [startValue];
+
+  for (let y = 1; y < path.length; y++) {
+    holdings = holdings.map((holding, i) => {
+      const previous = path[y - 1][names[i]];
+      return previous > 0 ? holding * (path[y][names[i]] / previous) : 0;
+    });
+    const total = holdings.reduce((sum, holding) => sum + holding, 0);
+    values.push(total);
+    if (y % stepsPerYear !== 0) continue;
+
+    const drifted =
+      portfolio.rebalancing === "THRESHOLD" &&
+      total > 0 &&
+      names.some(
+        (name, i) =>
+          Math.abs(holdings[i] / total - weights[name]) * 100 > portfolio.threshold
+      );
+    if (portfolio.rebalancing === "ANNUAL" || drifted) {
+      holdings = names.map((name) => total * weights[name]);
+    }
+  }
+  return values;
+};
+
+/**
+ * The assets map extended with one entry per portfolio, so portfolios can be
+ * charted and summarized like any other series.
+ */
+export const withPortfolioAssets = ({ assets, portfolios }) => {
+  const series = { ...assets };
+  (portfolios || []).forEach((portfolio) => {
+    series[portfolio.name] = {
+      color: portfolio.color,
+      isBaseline: false,
+      isPortfolio: true,
+    };
+  });
+  return series;
+};
+
+/**
+ * Adds a column per portfolio to every row of `path`.
+ */
+export const appendPortfolioSeries = (path, input) => {
+  const { assets, portfolios } = input;
+  if (!portfolios || portfolios.length === 0) return path;
+  const rows = path.map((row) => ({ ...row }));
+  portfolios.forEach((portfolio) => {
+    simulatePortfolio(path, portfolio, assets, getStepsPerYear(input)).forEach((value, y) => {
+      rows[y][portfolio.name] = parseFloat(value.toFixed(2));
+    });
+  });
+  return rows;
+};
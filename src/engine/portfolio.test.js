@@ -0,0 +1,124 @@
+import { describe, it, expect } from "vitest";
+import {
+  createPortfolio,
+  defaultPortfolio,
+  normalizeWeights,
+  simulatePortfolio,
+  withPortfolioAssets,
+} from "./portfolio";
+import { runSimulation } from "./simulation";
+import { runMonteCarlo } from "./monteCarlo";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+
+const assets = {
+  Base: { isBaseline: true },
+  Up: { isBaseline: false },
+  Flat: { isBaseline: false },
+};
+// "Up" doubles every year, "Flat" never moves
+const path = [
+  { Base: 100, Up: 100, Flat: 100 },
+  { Base: 100, Up: 200, Flat: 100 },
+  { Base: 100, Up: 400, Flat: 100 },
+];
+const half = { name: "Half", weights: { Up: 50, Flat: 50 }, threshold: 10 };
+
+describe("createPortfolio", () => {
+  it("picks an unused id and a name no other series has", () => {
+    const second = { ...defaultPortfolio, id: 2, name: "Portfolio 2" };
+    // "Portfolio 1" was removed, so there is one portfolio left
+    expect(createPortfolio(defaultAssets, [second])).toMatchObject({ id: 3, name: "Portfolio 3" });
+    expect(
+      createPortfolio({ ...defaultAssets, "Portfolio 2": {} }, [defaultPortfolio])
+    ).toMatchObject({ id: 2, name: "Portfolio 3" });
+  });
+});
+
+describe("normalizeWeights", () => {
+  it("drops missing and baseline assets and rescales the rest", () => {
+    expect(
+      normalizeWeights({ Up: 30, Flat: 10, Base: 20, Gone: 40 }, assets)
+    ).toEqual({ Up: 0.75, Flat: 0.25 });
+  });
+});
+
+describe("simulatePortfolio", () => {
+  it("lets weights drift without rebalancing", () => {
+    expect(simulatePortfolio(path, { ...half, rebalancing: "NONE" }, assets)).toEqual([
+      100, 150, 250,
+    ]);
+  });
+
+  it("resets to target weights every year with annual rebalancing", () => {
+    expect(
+      simulatePortfolio(path, { ...half, rebalancing: "ANNUAL" }, assets)
+    ).toEqual([100, 150, 225]);
+  });
+
+  it("rebalances only once drift exceeds the threshold band", () => {
+    const smallMoves = [
+      { Up: 100, Flat: 100 },
+      { Up: 110, Flat: 100 },
+      { Up: 121, Flat: 100 },
+    ];
+    const values = simulatePortfolio(
+      smallMoves,
+      { ...half, rebalancing: "THRESHOLD", threshold: 5 },
+      assets
+    );
+    // Year 1 drift is 2.4 points (no trade), year 2 is 4.8 (still none)
+    expect(values[2]).toBeCloseTo(110.5, 10);
+    const wide = simulatePortfolio(
+      path,
+      { ...half, rebalancing: "THRESHOLD", threshold: 5 },
+      assets
+    );
+    expect(wide).toEqual([100, 150, 225]);
+  });
+});
+
+describe("portfolios in the simulation", () => {
+  const input = {
+    ...defaultParameters,
+    ...scenarioPresets["Severe Crisis"],
+    assets: defaultAssets,
+    portfolios: [defaultPortfolio],
+  };
+
+  it("adds a series and metrics per portfolio", () => {
+    const { data, metrics } = runSimulation(input);
+    expect(data[0][defaultPortfolio.name]).toBe(input.initialAmount);
+    expect(metrics[defaultPortfolio.name]).toEqual({
+      cagr: expect.any(Number),
+      volatility: expect.any(Number),
+      maxDrawdown: expect.any(Number),
+    });
+    // Diversifying into BIL and KMLM softens the S&P 500 drawdown
+    expect(metrics[defaultPortfolio.name].maxDrawdown).toBeLessThan(
+      metrics["SWPPX/SPX (S&P 500)"].maxDrawdown
+    );
+  });
+
+  it("leaves the asset series unchanged", () => {
+    const { data } = runSimulation(input);
+    const withoutPortfolio = runSimulation({ ...input, portfolios: [] });
+    expect(data[3]["VUG (Large-Cap Growth)"]).toBe(
+      withoutPortfolio.data[3]["VUG (Large-Cap Growth)"]
+    );
+  });
+
+  it("includes portfolios in Monte Carlo bands", () => {
+    const { data, metrics } = runMonteCarlo({ ...input, monteCarloPaths: 50 });
+    expect(data[2][defaultPortfolio.name]).toHaveProperty("p50");
+    expect(metrics[defaultPortfolio.name]).toHaveProperty("medianCagr");
+  });
+
+  it("exposes portfolios as chartable series", () => {
+    const series = withPortfolioAssets(input);
+    expect(series[defaultPortfolio.name]).toEqual({
+      color: defaultPortfolio.color,
+      isBaseline: false,
+      isPortfolio: true,
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { defaultCashFlows } from "./cashFlows";
+import { defaultTaxes } from "./tax";
+
+export const defaultAssets = {
+  "Baseline (No Scenario)": {
+    return: 0,
+    volatility: 0,
+    drawdownImpact: 0,
+    color: "#000000",
+    isBaseline: true,
+    crisisSensitivity: 0,
+  },
+  "BIL (Short-Term Treasuries)": {
+    return: 3,
+    volatility: 0.02,
+    drawdownImpact: 0.1,
+    color: "#8884d8",
+    isBaseline: false,
+    crisisSensitivity: 0.1,
+    crisisResponses: { RISK_OFF: 0, RISING_RATES: 0 },
+    ticker: "BIL",
+    assetClass: "CASH",
+    yield: 3,
+    taxTreatment: "ORDINARY",
+  },
+  "KMLM (Managed Futures)": {
+    return: 4,
+    volatility: 0.08,
+    drawdownImpact: 0.3,
+    color: "#82ca9d",
+    isBaseline: false,
+    crisisSensitivity: 0.5,
+    crisisResponses: { RISK_OFF: -0.5, RISING_RATES: -1 },
+    gainRetention: 50,
+    ticker: "KMLM",
+    assetClass: "MANAGED_FUTURES",
+    yield: 1,
+    taxTreatment: "ORDINARY",
+  },
+  "SPHD (High-Dividend/Low-Vol)": {
+    return: 6,
+    volatility: 0.12,
+    drawdownImpact: 0.7,
+    color: "#ffc658",
+    isBaseline: false,
+    crisisSensitivity: 0.8,
+    ticker: "SPHD",
+    assetClass: "DIVIDEND_EQUITY",
+    yield: 4,
+    taxTreatment: "QUALIFIED",
+  },
+  "SWPPX/SPX (S&P 500)": {
+    return: 7,
+    volatility: 0.15,
+    drawdownImpact: 1.0,
+    color: "#ff7300",
+    isBaseline: false,
+    crisisSensitivity: 1.0,
+    ticker: "SWPPX",
+    assetClass: "EQUITY",
+    yield: 1.5,
+    taxTreatment: "QUALIFIED",
+  },
+  "PFF (Preferred Stocks)": {
+    return: 4,
+    volatility: 0.1,
+    drawdownImpact: 0.8,
+    color: "#00C49F",
+    isBaseline: false,
+    crisisSensitivity: 0.9,
+    ticker: "PFF",
+    assetClass: "CREDIT",
+    yield: 6,
+    taxTreatment: "QUALIFIED",
+  },
+  "VUG (Large-Cap Growth)": {
+    return: 7,
+    volatility: 0.18,
+    drawdownImpact: 1.2,
+    color: "#0088FE",
+    isBaseline: false,
+    crisisSensitivity: 1.2,
+    ticker: "VUG",
+    assetClass: "GROWTH_EQUITY",
+    yield: 0.6,
+    taxTreatment: "QUALIFIED",
+  },
+};
+
+// Approximate long-run correlations of annual returns between the default
+// assets. Pairs not listed are treated as uncorrelated.
+export const defaultCorrelations = {
+  "BIL (Short-Term Treasuries)": {
+    "KMLM (Managed Futures)": 0.1,
+    "PFF (Preferred Stocks)": 0.1,
+  },
+  "KMLM (Managed Futures)": {
+    "SPHD (High-Dividend/Low-Vol)": -0.2,
+    "SWPPX/SPX (S&P 500)": -0.3,
+    "PFF (Preferred Stocks)": -0.2,
+    "VUG (Large-Cap Growth)": -0.3,
+  },
+  "SPHD (High-Dividend/Low-Vol)": {
+    "SWPPX/SPX (S&P 500)": 0.8,
+    "PFF (Preferred Stocks)": 0.6,
+    "VUG (Large-Cap Growth)": 0.65,
+  },
+  "SWPPX/SPX (S&P 500)": {
+    "PFF (Preferred Stocks)": 0.6,
+    "VUG (Large-Cap Growth)": 0.9,
+  },
+  "PFF (Preferred Stocks)": {
+    "VUG (Large-Cap Growth)": 0.5,
+  },
+};
+
+export const scenarioPresets = {
+  "Nada": {
+    enableRisk: false,
+    crisisEvents: [],
+    enableVolatility: false,
+    volatilityLevel: 1,
+  },
+  "Mild Recession": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "RISK_OFF",
+        drawdown: 20,
+        recoveryType: "V_SHAPED",
+        recoveryYears: 2,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1,
+  },
+  "Severe Crisis": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "RISK_OFF",
+        drawdown: 40,
+        recoveryType: "U_SHAPED",
+        recoveryYears: 4,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.5,
+  },
+  "Rising Rates Shock": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "RISING_RATES",
+        drawdown: 25,
+        recoveryType: "L_SHAPED",
+        recoveryYears: 3,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.2,
+  },
+  "Double Dip": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "RISK_OFF",
+        drawdown: 25,
+        recoveryType: "U_SHAPED",
+        recoveryYears: 3,
+      },
+      {
+        year: 3,
+        crisisType: "RISING_RATES",
+        drawdown: 15,
+        recoveryType: "V_SHAPED",
+        recoveryYears: 2,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1,
+  },
+  "Stagflation": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "STAGFLATION",
+        drawdown: 30,
+        recoveryType: "L_SHAPED",
+        recoveryYears: 4,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.2,
+  },
+  "Deflationary Bust": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "DEFLATIONARY_BUST",
+        drawdown: 45,
+        recoveryType: "U_SHAPED",
+        recoveryYears: 4,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.5,
+  },
+  "Credit Crunch": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "CREDIT_CRUNCH",
+        drawdown: 35,
+        recoveryType: "V_SHAPED",
+        recoveryYears: 1,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.5,
+  },
+  "Currency Crisis": {
+    enableRisk: true,
+    crisisEvents: [
+      {
+        year: 1,
+        crisisType: "CURRENCY_CRISIS",
+        drawdown: 30,
+        recoveryType: "U_SHAPED",
+        recoveryYears: 3,
+      },
+    ],
+    enableVolatility: true,
+    volatilityLevel: 1.3,
+  },
+  "Steady Growth": {
+    enableRisk: false,
+    crisisEvents: [],
+    enableVolatility: false,
+    volatilityLevel: 1,
+  },
+};
+
+export const defaultParameters = {
+  initialAmount: 100000,
+  years: 5,
+  annualFees: 0,
+  inflationRate: 2.5,
+  inflationModel: "CONSTANT",
+  inflationVolatility: 1.5,
+  inflationCrisisLink: 0.2,
+  valueMode: "REAL",
+  enableRisk: false,
+  crisisEvents: [],
+  customCrisisTypes: [],
+  enableVolatility: false,
+  volatilityLevel: 1,
+  randomSeedBase: 1,
+  randomGenerator: "PARK_MILLER",
+  correlations: defaultCorrelations,
+  returnGenerator: "NORMAL",
+  bootstrapBlockLength: 3,
+  enableMonteCarlo: false,
+  monteCarloPaths: 500,
+  cashFlows: defaultCashFlows,
+  portfolios: [],
+  taxes: defaultTaxes,
+  enableBacktest: false,
+  backtestStartYear: 2000,
+  timeStep: "ANNUAL",
+  startDate: "",
+  enableRetirement: false,
+  retirementWithdrawalRate: 4,
+  retirementTargetSuccess: 90,
+  enableGoals: false,
+  goalAmount: 150000,
+  goalYear: 5,
+  goalSolveFor: "CONTRIBUTION",
+  enableSensitivity: false,
+  sensitivityMetric: "ENDING_VALUE",
+  sensitivitySeries: "",
+  sensitivityX: "drawdown",
+  sensitivityY: "recoveryYears",
+  riskFreeSource: "BIL",
+  riskFreeRate: 4,
+  varConfidence: 95,
+};
@@ -0,0 +1,155 @@
+/**
+ * Park–Miller minimal standard generator. Returns a function producing
+ * uniform numbers in [0, 1) that is fully determined by `seed`.
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+};
+
+/**
+ * Standard normal draws via the Box–Muller transform, consuming two uniforms
+ * from `random` per draw.
+ */
+export const createNormalRandom = (random) => () => {
+  const u1 = random();
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+export const randomGenerators = {
+  PARK_MILLER: "Park–Miller (classic)",
+  XOSHIRO128: "xoshiro128**",
+  PCG32: "PCG32",
+};
+
+const UINT32 = 4294967296;
+
+// Maps 32-bit integers to (0, 1), so Box–Muller never takes log(0).
+const toUnit = (value) => ((value >>> 0) + 0.5) / UINT32;
+
+/**
+ * 32-bit FNV-1a hash of a stream name, so every asset (or other consumer)
+ * gets its own stream whatever the order of the assets.
+ */
+export const hashStreamName = (name) => {
+  let hash = 2166136261;
+  for (let i = 0; i < name.length; i++) {
+    hash = Math.imul(hash ^ name.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+};
+
+const createSplitMix32 = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x9e3779b9) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+    return (z ^ (z >>> 16)) >>> 0;
+  };
+};
+
+const rotl = (value, shift) => (value << shift) | (value >>> (32 - shift));
+
+/**
+ * xoshiro128** (Blackman and Vigna) returning raw 32-bit outputs. The state
+ * is filled by SplitMix32 from `seed` and `stream`.
+ */
+export const createXoshiro128 = (seed, stream = 0) => {
+  const splitMix = createSplitMix32(seed ^ Math.imul(stream, 0x9e3779b9));
+  let s0 = splitMix();
+  let s1 = splitMix();
+  let s2 = splitMix();
+  let s3 = splitMix();
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+    const t = s1 << 9;
+    s2 ^= s0;
+    s3 ^= s1;
+    s1 ^= s2;
+    s0 ^= s3;
+    s2 ^= t;
+    s3 = rotl(s3, 11);
+    return result;
+  };
+};
+
+// 64-bit arithmetic on [high, low] pairs of unsigned 32-bit halves.
+const add64 = (aHigh, aLow, bHigh, bLow) => {
+  const low = aLow + bLow;
+  return [(aHigh + bHigh + (low > 0xffffffff ? 1 : 0)) >>> 0, low >>> 0];
+};
+
+const multiply64 = (aHigh, aLow, bHigh, bLow) => {
+  const a0 = aLow & 0xffff;
+  const a1 = aLow >>> 16;
+  const b0 = bLow & 0xffff;
+  const b1 = bLow >>> 16;
+  const low = a0 * b0;
+  const middle = (low >>> 16) + ((a1 * b0) & 0xffff) + ((a0 * b1) & 0xffff);
+  const carry =
+    a1 * b1 + ((a1 * b0) >>> 16) + ((a0 * b1) >>> 16) + (middle >>> 16);
+  return [
+    (carry + Math.imul(aHigh, bLow) + Math.imul(aLow, bHigh)) >>> 0,
+    (((middle & 0xffff) << 16) | (low & 0xffff)) >>> 0,
+  ];
+};
+
+const PCG_MULTIPLIER = [0x5851f42d, 0x4c957f2d];
+
+/**
+ * PCG32 (XSH-RR, O'Neill) returning raw 32-bit outputs. `stream` selects one
+ * of its 2^63 independent sequences, seeded as in the reference
+ * `pcg32_srandom(seed, stream)`.
+ */
+export const createPcg32 = (seed, stream = 0) => {
+  const increment = [
+    ((stream >>> 31) | 0) >>> 0,
+    ((stream << 1) | 1) >>> 0,
+  ];
+  let state = [0, 0];
+  const next = () => {
+    const [high, low] = state;
+    state = add64(...multiply64(high, low, ...PCG_MULTIPLIER), ...increment);
+    const shiftedHigh = high ^ (high >>> 18);
+    const shiftedLow = low ^ ((low >>> 18) | (high << 14));
+    const xorShifted = ((shiftedLow >>> 27) | (shiftedHigh << 5)) >>> 0;
+    const rotation = high >>> 27;
+    return ((xorShifted >>> rotation) | (xorShifted << (-rotation & 31))) >>> 0;
+  };
+  next();
+  state = add64(...state, 0, seed >>> 0);
+  next();
+  return next;
+};
+
+/**
+ * Uniform numbers in (0, 1) from `generator` for the stream called `name`.
+ * Park–Miller has a single stream per seed, so every name shares it and
+ * draws follow each other as they always have.
+ */
+export const createRandomStream = (generator, seed, name) => {
+  switch (generator) {
+    case "XOSHIRO128": {
+      const next = createXoshiro128(seed, hashStreamName(name));
+      return () => toUnit(next());
+    }
+    case "PCG32": {
+      const next = createPcg32(seed, hashStreamName(name));
+      return () => toUnit(next());
+    }
+    default:
+      return createSeededRandom(seed);
+  }
+};
+
+/**
+ * Whether `generator` gives every named stream its own sequence.
+ */
+export const hasSeedStreams = (generator) =>
+  generator === "XOSHIRO128" || generator === "PCG32";
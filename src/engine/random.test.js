@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import {
+  createPcg32,
+  createRandomStream,
+  createSeededRandom,
+  createXoshiro128,
+} from "./random";
+
+const take = (next, count) => Array.from({ length: count }, () => next());
+
+describe("createPcg32", () => {
+  it("matches the reference pcg32 output for seed 42, stream 54", () => {
+    expect(take(createPcg32(42, 54), 6)).toEqual([
+      0xa15c02b7, 0x7b47f409, 0xba1d3330, 0x83d2f293, 0xbfa4784b, 0xcbed606e,
+    ]);
+  });
+});
+
+describe("createXoshiro128", () => {
+  it("is reproducible and differs between streams", () => {
+    expect(take(createXoshiro128(7, 1), 5)).toEqual(take(createXoshiro128(7, 1), 5));
+    expect(take(createXoshiro128(7, 1), 5)).not.toEqual(take(createXoshiro128(7, 2), 5));
+  });
+});
+
+describe("createRandomStream", () => {
+  it("gives each name its own uniform stream with seed streams", () => {
+    ["XOSHIRO128", "PCG32"].forEach((generator) => {
+      const values = take(createRandomStream(generator, 3, "SPX"), 20000);
+      values.forEach((value) => {
+        expect(value).toBeGreaterThan(0);
+        expect(value).toBeLessThan(1);
+      });
+      expect(values.reduce((sum, v) => sum + v, 0) / values.length).toBeCloseTo(0.5, 2);
+      expect(take(createRandomStream(generator, 3, "BIL"), 5)).not.toEqual(values.slice(0, 5));
+    });
+  });
+
+  it("shares the Park–Miller stream between names", () => {
+    expect(take(createRandomStream("PARK_MILLER", 9, "SPX"), 5)).toEqual(
+      take(createSeededRandom(9), 5)
+    );
+  });
+});
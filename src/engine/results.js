@@ -0,0 +1,86 @@
+import { runSimulation } from "./simulation";
+import { runGoalAnalysis } from "./goals";
+import { runSensitivityAnalysis } from "./sensitivity";
+import { buildSeedPaths, runMonteCarlo } from "./monteCarlo";
+import { runRetirementAnalysis } from "./retirement";
+import { runRiskAnalysis } from "./riskMetrics";
+
+/**
+ * Whether the scenario is summarized over many seeded paths. Backtests
+ * replay a single history, so they never are.
+ */
+export const isMonteCarloScenario = ({ enableVolatility, enableMonteCarlo, enableBacktest }) =>
+  Boolean(enableVolatility && enableMonteCarlo && !enableBacktest);
+
+/**
+ * Everything the calculator shows for one scenario: the single run, the
+ * parametric model alongside a backtest (null otherwise), the Monte Carlo
+ * summary, the risk metrics (over the Monte Carlo paths when there are any)
+ * and the retirement, goal and sensitivity analyses when enabled (null
+ * otherwise). The Monte Carlo paths are built once and shared by every
+ * analysis that uses them.
+ * `onProgress` follows the whole run: each step that runs (building the
+ * paths, the Monte Carlo summary, the risk metrics and each enabled
+ * analysis) gets an equal share and reports its own progress within it.
+ *
+ * @param {import("./simulation").SimulationInput} scenario
+ * @param {{ onProgress?: function(number): void }} [options]
+ */
+export const runScenario = (scenario, { onProgress } = {}) => {
+  const monteCarlo = isMonteCarloScenario(scenario);
+  const needsSeedPaths =
+    scenario.enableVolatility &&
+    !scenario.enableBacktest &&
+    (monteCarlo || scenario.enableRetirement || scenario.enableGoals);
+  const stepCount = [
+    needsSeedPaths,
+    monteCarlo,
+    true,
+    scenario.enableRetirement,
+    scenario.enableGoals,
+    scenario.enableSensitivity,
+  ].filter(Boolean).length;
+  let stepsDone = 0;
+  // Runs one step, mapping its progress (0-1) onto its share of the run.
+  const runStep = (run) => {
+    const before = stepsDone;
+    const result = run(onProgress && ((share) => onProgress((before + share) / stepCount)));
+    stepsDone += 1;
+    if (onProgress) onProgress(stepsDone / stepCount);
+    return result;
+  };
+
+  const seedPaths = needsSeedPaths
+    ? runStep((progress) => buildSeedPaths(scenario, { onProgress: progress }))
+    : undefined;
+  const scenarioData = runSimulation(scenario);
+  const modelData = scenario.enableBacktest
+    ? runSimulation({ ...scenario, enableBacktest: false })
+    : null;
+  const monteCarloData = monteCarlo
+    ? runStep((progress) => runMonteCarlo(scenario, { seedPaths, onProgress: progress }))
+    : null;
+  const riskData = runStep((progress) =>
+    runRiskAnalysis(scenario, { seedPaths, onProgress: progress })
+  );
+  const retirementData = scenario.enableRetirement
+    ? runStep((progress) =>
+        runRetirementAnalysis(scenario, { seedPaths, onProgress: progress })
+      )
+    : null;
+  const goalData = scenario.enableGoals
+    ? runStep((progress) => runGoalAnalysis(scenario, { seedPaths, onProgress: progress }))
+    : null;
+  const sensitivityData = scenario.enableSensitivity
+    ? runStep((progress) => runSensitivityAnalysis(scenario, { onProgress: progress }))
+    : null;
+  return {
+    scenarioData,
+    modelData,
+    monteCarloData,
+    riskData,
+    retirementData,
+    goalData,
+    sensitivityData,
+  };
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from "vitest";
+import { isMonteCarloScenario, runScenario } from "./results";
+import { generateRandomFactors, runSimulation } from "./simulation";
+import { runGoalAnalysis } from "./goals";
+import { runRetirementAnalysis } from "./retirement";
+import { runRiskAnalysis } from "./riskMetrics";
+import { renameInCorrelations } from "./correlation";
+import { defaultAssets, defaultCorrelations, defaultParameters } from "./presets";
+
+// Counts the shocked paths built
+vi.mock("./simulation", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, generateRandomFactors: vi.fn(actual.generateRandomFactors) };
+});
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const input = { ...defaultParameters, assets: defaultAssets };
+
+describe("runScenario", () => {
+  it("runs only what the scenario shows", () => {
+    const { scenarioData, modelData, monteCarloData } = runScenario(input);
+    expect(scenarioData).toEqual(runSimulation(input));
+    expect(modelData).toBeNull();
+    expect(monteCarloData).toBeNull();
+
+    const backtest = runScenario({ ...input, enableBacktest: true });
+    expect(backtest.modelData).toEqual(runSimulation(input));
+  });
+
+  it("runs assets named like object properties", () => {
+    const { [SPX]: spx, ...others } = defaultAssets;
+    const scenario = {
+      ...input,
+      assets: { ...others, constructor: spx },
+      correlations: renameInCorrelations(defaultCorrelations, SPX, "constructor"),
+      enableVolatility: true,
+    };
+    const { scenarioData } = runScenario(scenario);
+    expect(scenarioData.data[scenarioData.data.length - 1].constructor).toBeGreaterThan(0);
+  });
+
+  it("reports progress over every step up to completion", () => {
+    const scenario = {
+      ...input,
+      enableVolatility: true,
+      enableMonteCarlo: true,
+      monteCarloPaths: 40,
+    };
+    expect(isMonteCarloScenario(scenario)).toBe(true);
+    expect(isMonteCarloScenario({ ...scenario, enableBacktest: true })).toBe(false);
+
+    const progress = [];
+    const { monteCarloData } = runScenario(scenario, {
+      onProgress: (value) => progress.push(value),
+    });
+    expect(monteCarloData.pathCount).toBe(40);
+    // Building the paths, the summary and the risk metrics take a third each
+    expect(progress).toContain(1 / 3);
+    expect(progress).toContain(2 / 3);
+    expect(progress[progress.length - 1]).toBe(1);
+    expect([...progress].sort((a, b) => a - b)).toEqual(progress);
+
+    // Retirement, goals and sensitivity get their shares too
+    const analyses = [];
+    runScenario(
+      { ...scenario, enableRetirement: true, enableGoals: true, enableSensitivity: true },
+      { onProgress: (value) => analyses.push(value) }
+    );
+    [1, 2, 3, 4, 5, 6].forEach((step) => expect(analyses).toContain(step / 6));
+    const sensitivityShare = analyses.filter((value) => value > 5 / 6 && value < 1);
+    expect(sensitivityShare.length).toBeGreaterThan(5);
+    expect([...analyses].sort((a, b) => a - b)).toEqual(analyses);
+  });
+
+  it("builds every Monte Carlo path once for all the analyses", () => {
+    const scenario = {
+      ...input,
+      enableVolatility: true,
+      enableMonteCarlo: true,
+      monteCarloPaths: 30,
+      enableRetirement: true,
+      enableGoals: true,
+    };
+    generateRandomFactors.mockClear();
+    const results = runScenario(scenario);
+    expect(generateRandomFactors).toHaveBeenCalledTimes(30);
+    expect(results.riskData).toEqual(runRiskAnalysis(scenario));
+    expect(results.retirementData).toEqual(runRetirementAnalysis(scenario));
+    expect(results.goalData).toEqual(runGoalAnalysis(scenario));
+  });
+});
@@ -0,0 +1,135 @@
+import { buildBacktestPath } from "./backtest";
+import { HISTORY_FIRST_YEAR, HISTORY_LAST_YEAR } from "./historicalReturns";
+import { buildSeedPaths } from "./monteCarlo";
+import { percentile } from "./metrics";
+import { appendPortfolioSeries, withPortfolioAssets } from "./portfolio";
+import { buildScenarioPath } from "./simulation";
+import { applyIncomeTaxes } from "./tax";
+import { getStepsPerYear } from "./timeline";
+
+// Withdrawal rates (percent) on the x axis of the success-rate chart.
+export const withdrawalRateGrid = Array.from({ length: 41 }, (_, i) => i * 0.25);
+
+const round2 = (value) => parseFloat(value.toFixed(2));
+
+/**
+ * Highest withdrawal rate a path sustains to its end: the percentage of the
+ * starting value taken out every year (spread over the steps, at the end of
+ * each step) and kept constant in today's dollars, like the "4% rule".
+ *
+ * With growth G(s) = values[s] / values[0] the balance after step t is
+ * I·G(t) − w·Σ G(t)/G(s) for s ≤ t, which stays non-negative as long as
+ * w ≤ I / Σ 1/G(s). The sum only grows with t, so the last step decides.
+ */
+export const sustainableWithdrawalRate = (values, stepsPerYear = 1) => {
+  if (!(values[0] > 0)) return 0;
+  let sum = 0;
+  for (let step = 1; step < values.length; step++) {
+    if (!(values[step] > 0)) return 0;
+    sum += values[0] / values[step];
+  }
+  return (100 * stepsPerYear) / sum;
+};
+
+/**
+ * Real asset paths to test withdrawals on. Backtests use every historical
+ * window of `years` years (rolling start years); with volatility on, the
+ * Monte Carlo seeds (`seedPaths` when they are already built); otherwise the
+ * single deterministic scenario.
+ */
+const buildRetirementPaths = (input, seedPaths) => {
+  if (input.enableBacktest) {
+    const paths = [];
+    for (let start = HISTORY_FIRST_YEAR; start <= HISTORY_LAST_YEAR - input.years + 1; start++) {
+      paths.push(buildBacktestPath({ ...input, backtestStartYear: start }));
+    }
+    return { source: "HISTORY", paths };
+  }
+  if (!input.enableVolatility) {
+    return { source: "SCENARIO", paths: [buildScenarioPath(input)] };
+  }
+  return {
+    source: "MONTE_CARLO",
+    paths: (seedPaths || buildSeedPaths(input)).map(({ path }) => path),
+  };
+};
+
+// Share of paths (percent) whose sustainable rate covers `rate`.
+const successAt = (sustainable, rate) =>
+  (sustainable.filter((value) => value >= rate).length / sustainable.length) * 100;
+
+/**
+ * Retirement planner: the chance that each asset and portfolio lasts the
+ * whole horizon (`years`) when `retirementWithdrawalRate` percent of the
+ * initial amount is withdrawn every year, adjusted for inflation, on top of
+ * the crisis and volatility model (or history in backtests). Yearly tax on
+ * distributions is included; tax on the withdrawals themselves and the
+ * contribution/withdrawal schedule are not.
+ *
+ * Per series: `successRate` at the chosen rate, `safeWithdrawalRate` (the
+ * highest rate that still succeeds in at least `retirementTargetSuccess`
+ * percent of paths) and `medianSustainableRate`. `curve` has the success
+ * rate of every series at each rate of `withdrawalRateGrid`. `source` says
+ * where the paths came from ("MONTE_CARLO", "HISTORY" or "SCENARIO").
+ * `seedPaths` are the paths of `buildSeedPaths` when they are already built.
+ * `onProgress` is called with the share of paths done (0-1) about every 5%.
+ *
+ * @param {import("./simulation").SimulationInput & {
+ *   retirementWithdrawalRate: number, retirementTargetSuccess: number }} input
+ * @param {{ onProgress?: function(number): void, seedPaths?: Array<Object> }} [options]
+ */
+export const runRetirementAnalysis = (input, { onProgress, seedPaths } = {}) => {
+  const { retirementWithdrawalRate, retirementTargetSuccess } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const series = withPortfolioAssets(input);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+  const { source, paths } = buildRetirementPaths(input, seedPaths);
+
+  const sustainable = {};
+  names.forEach((name) => {
+    sustainable[name] = [];
+  });
+  const progressInterval = Math.max(1, Math.floor(paths.length / 20));
+  paths.forEach((path, pathIndex) => {
+    const rows = appendPortfolioSeries(applyIncomeTaxes(path, input), input);
+    names.forEach((name) => {
+      sustainable[name].push(
+        sustainableWithdrawalRate(rows.map((row) => row[name]), stepsPerYear)
+      );
+    });
+    const done = pathIndex + 1;
+    if (onProgress && (done % progressInterval === 0 || done === paths.length)) {
+      onProgress(done / paths.length);
+    }
+  });
+
+  const assets = {};
+  names.forEach((name) => {
+    const sorted = [...sustainable[name]].sort((a, b) => a - b);
+    // The k-th highest rate is covered by exactly the k best paths.
+    const needed = Math.max(1, Math.ceil((retirementTargetSuccess / 100) * sorted.length));
+    assets[name] = {
+      successRate: round2(successAt(sorted, retirementWithdrawalRate)),
+      // Rounded down so the reported rate still meets the target.
+      safeWithdrawalRate: Math.floor(sorted[sorted.length - needed] * 100) / 100,
+      medianSustainableRate: round2(percentile(sorted, 50)),
+    };
+  });
+
+  const curve = withdrawalRateGrid.map((rate) => {
+    const row = { rate };
+    names.forEach((name) => {
+      row[name] = round2(successAt(sustainable[name], rate));
+    });
+    return row;
+  });
+
+  return {
+    source,
+    pathCount: paths.length,
+    withdrawalRate: retirementWithdrawalRate,
+    targetSuccess: retirementTargetSuccess,
+    assets,
+    curve,
+  };
+};
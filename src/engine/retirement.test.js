@@ -0,0 +1,85 @@
+import { describe, it, expect } from "vitest";
+import {
+  runRetirementAnalysis,
+  sustainableWithdrawalRate,
+  withdrawalRateGrid,
+} from "./retirement";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const input = {
+  ...defaultParameters,
+  assets: defaultAssets,
+  years: 30,
+  enableRetirement: true,
+  enableRisk: true,
+  crisisEvents: [
+    { year: 2, crisisType: "RISK_OFF", drawdown: 40, recoveryType: "U_SHAPED", recoveryYears: 4 },
+  ],
+};
+
+const withdrawing = (rate) =>
+  runSimulation({
+    ...input,
+    cashFlows: {
+      ...defaultParameters.cashFlows,
+      withdrawalRule: "INFLATION_INDEXED",
+      withdrawalAmount: (input.initialAmount * rate) / 100,
+    },
+  }).metrics[SPX].depletedYear;
+
+describe("sustainableWithdrawalRate", () => {
+  it("equals the rate a flat path can pay out over its length", () => {
+    expect(sustainableWithdrawalRate([100, 100, 100, 100, 100])).toBe(25);
+    expect(sustainableWithdrawalRate([100, 100, 0, 100])).toBe(0);
+    expect(sustainableWithdrawalRate([100, 110, 121], 12)).toBeGreaterThan(
+      sustainableWithdrawalRate([100, 110, 121])
+    );
+  });
+
+  it("matches the point where replayed withdrawals run dry", () => {
+    const { assets } = runRetirementAnalysis(input);
+    const rate = assets[SPX].safeWithdrawalRate;
+    expect(withdrawing(rate - 0.05)).toBeNull();
+    expect(withdrawing(rate + 0.05)).not.toBeNull();
+  });
+});
+
+describe("runRetirementAnalysis", () => {
+  it("is all or nothing for the single deterministic path", () => {
+    const { source, pathCount, assets, curve } = runRetirementAnalysis(input);
+    expect(source).toBe("SCENARIO");
+    expect(pathCount).toBe(1);
+    expect([0, 100]).toContain(assets[SPX].successRate);
+    expect(curve).toHaveLength(withdrawalRateGrid.length);
+  });
+
+  it("solves for the safe rate at the target success level", () => {
+    const { source, pathCount, assets, curve } = runRetirementAnalysis({
+      ...input,
+      enableVolatility: true,
+      monteCarloPaths: 200,
+      retirementTargetSuccess: 90,
+    });
+    expect(source).toBe("MONTE_CARLO");
+    expect(pathCount).toBe(200);
+    const { safeWithdrawalRate, medianSustainableRate } = assets[SPX];
+    expect(safeWithdrawalRate).toBeGreaterThan(0);
+    expect(safeWithdrawalRate).toBeLessThan(medianSustainableRate);
+    const rows = curve.map((row) => row[SPX]);
+    expect([...rows].sort((a, b) => b - a)).toEqual(rows);
+    const atSafeRate = curve.find((row) => row.rate >= safeWithdrawalRate);
+    expect(curve[curve.indexOf(atSafeRate) - 1][SPX]).toBeGreaterThanOrEqual(90);
+  });
+
+  it("uses every historical window in backtests", () => {
+    const { source, pathCount } = runRetirementAnalysis({
+      ...input,
+      enableBacktest: true,
+      years: 20,
+    });
+    expect(source).toBe("HISTORY");
+    expect(pathCount).toBe(11);
+  });
+});
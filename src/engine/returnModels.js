@@ -0,0 +1,129 @@
+/**
+ * Return models that compound their shocks from step to step, as opposed to
+ * the classic "NORMAL" generator whose shock only scales the value of its
+ * own step. Each produces a multiplier path around the deterministic
+ * scenario (mean 1, starting at 1) from correlated standard normals.
+ */
+export const returnModels = {
+  GBM: "Geometric Brownian motion",
+  STUDENT_T: "Student-t (fat tails)",
+  REGIME_SWITCHING: "Regime switching (bull/bear)",
+};
+
+export const isReturnModel = (returnGenerator) => returnGenerator in returnModels;
+
+/**
+ * Editable parameters per model: label, unit and input range.
+ */
+export const returnModelParameters = {
+  STUDENT_T: {
+    degreesOfFreedom: { label: "Degrees of Freedom", min: 3, max: 30, step: 1 },
+  },
+  REGIME_SWITCHING: {
+    bearReturn: { label: "Bear Return (%)", min: -60, max: 20, step: 1 },
+    bearVolatility: { label: "Bear Volatility", min: 0, max: 1, step: 0.01 },
+    bullToBear: { label: "Bull → Bear (% per year)", min: 0, max: 100, step: 1 },
+    bearToBull: { label: "Bear → Bull (% per year)", min: 0, max: 100, step: 1 },
+  },
+};
+
+/**
+ * @typedef {Object} ModelParameters
+ * @property {number} degreesOfFreedom Student-t degrees of freedom (3-30, lower is fatter).
+ * @property {number} bearReturn       Expected annual return in the bear regime, in percent.
+ * @property {number} bearVolatility   Annual standard deviation in the bear regime (decimal).
+ * @property {number} bullToBear       Chance per year of switching from bull to bear, in percent.
+ * @property {number} bearToBull       Chance per year of switching from bear to bull, in percent.
+ */
+
+/**
+ * An asset's model parameters: its `modelParameters` over defaults derived
+ * from its return and volatility (bear markets return two standard
+ * deviations less with 1.5x the volatility).
+ *
+ * @returns {ModelParameters}
+ */
+export const getModelParameters = (asset) => ({
+  degreesOfFreedom: 5,
+  bearReturn: Math.round(asset.return - 200 * asset.volatility),
+  bearVolatility: parseFloat((asset.volatility * 1.5).toFixed(3)),
+  bullToBear: 15,
+  bearToBull: 40,
+  ...asset.modelParameters,
+});
+
+// Chi-square draw with a whole number of degrees of freedom.
+const chiSquare = (normalRandom, degreesOfFreedom) => {
+  let sum = 0;
+  for (let i = 0; i < degreesOfFreedom; i++) {
+    sum += Math.pow(normalRandom(), 2);
+  }
+  return sum;
+};
+
+// Per-step chance of a switch that happens with `annualChance` percent a year.
+const stepChance = (annualChance, stepsPerYear) =>
+  1 - Math.pow(1 - Math.min(100, Math.max(0, annualChance)) / 100, 1 / stepsPerYear);
+
+// A step's return may not wipe out more than this share of the value.
+const MAX_STEP_LOSS = 0.99;
+
+/**
+ * Random factors (multiplier - 1, as `applyVolatility` expects) of one asset
+ * under `model`, from its correlated standard normals (`normals[0]` is
+ * unused). `random` and `normalRandom` are the asset's stream for extra
+ * draws.
+ *
+ * - "GBM" compounds lognormal steps with the -σ²/2 drift, so the mean path
+ *   is the deterministic one.
+ * - "STUDENT_T" compounds simple returns whose shocks are Student-t
+ *   (rescaled to unit variance), so large moves are more likely.
+ * - "REGIME_SWITCHING" runs a bull/bear Markov chain starting in bull: in
+ *   the bear regime the asset grows at `bearReturn` instead of its return,
+ *   with `bearVolatility`.
+ */
+export const generateModelFactors = (
+  model,
+  asset,
+  normals,
+  { random, normalRandom, volatilityLevel, stepsPerYear }
+) => {
+  const parameters = getModelParameters(asset);
+  const dt = 1 / stepsPerYear;
+  const volatility = asset.volatility * volatilityLevel;
+  const degreesOfFreedom = Math.max(3, Math.round(parameters.degreesOfFreedom));
+  const toBear = stepChance(parameters.bullToBear, stepsPerYear);
+  const toBull = stepChance(parameters.bearToBull, stepsPerYear);
+  const bearDrift =
+    Math.log((1 + parameters.bearReturn / 100) / (1 + asset.return / 100)) * dt;
+
+  let multiplier = 1;
+  let bear = false;
+  return normals.map((normal, step) => {
+    if (step === 0) return 0;
+    switch (model) {
+      case "STUDENT_T": {
+        const shock =
+          (normal / Math.sqrt(chiSquare(normalRandom, degreesOfFreedom) / degreesOfFreedom)) *
+          Math.sqrt((degreesOfFreedom - 2) / degreesOfFreedom);
+        multiplier *= Math.max(1 - MAX_STEP_LOSS, 1 + volatility * Math.sqrt(dt) * shock);
+        break;
+      }
+      case "REGIME_SWITCHING": {
+        bear = random() < (bear ? 1 - toBull : toBear);
+        const stepVolatility = bear ? parameters.bearVolatility * volatilityLevel : volatility;
+        multiplier *= Math.exp(
+          (bear ? bearDrift : 0) -
+            (stepVolatility * stepVolatility * dt) / 2 +
+            stepVolatility * Math.sqrt(dt) * normal
+        );
+        break;
+      }
+      default:
+        multiplier *= Math.exp(
+          -(volatility * volatility * dt) / 2 + volatility * Math.sqrt(dt) * normal
+        );
+    }
+    return multiplier - 1;
+  });
+};
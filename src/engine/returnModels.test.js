@@ -0,0 +1,99 @@
+import { describe, it, expect } from "vitest";
+import { generateModelFactors, getModelParameters } from "./returnModels";
+import { createNormalRandom, createRandomStream } from "./random";
+import { generateRandomFactors, runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const BIL = "BIL (Short-Term Treasuries)";
+const asset = defaultAssets[SPX];
+
+// Ending multipliers of `paths` independent 10-year paths of SPX.
+const endings = (model, overrides = {}, paths = 4000) => {
+  const random = createRandomStream("XOSHIRO128", 5, "test");
+  const normalRandom = createNormalRandom(random);
+  return Array.from({ length: paths }, () => {
+    const normals = Array.from({ length: 11 }, () => normalRandom());
+    const factors = generateModelFactors(model, { ...asset, ...overrides }, normals, {
+      random,
+      normalRandom,
+      volatilityLevel: 1,
+      stepsPerYear: 1,
+    });
+    return 1 + factors[10];
+  });
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+describe("getModelParameters", () => {
+  it("derives bear markets from the asset and keeps edited values", () => {
+    expect(getModelParameters(asset)).toMatchObject({ bearReturn: -23, bearVolatility: 0.225 });
+    expect(getModelParameters({ ...asset, modelParameters: { bearReturn: -10 } }).bearReturn).toBe(-10);
+  });
+});
+
+describe("generateModelFactors", () => {
+  it("compounds GBM shocks around the deterministic path", () => {
+    const values = endings("GBM");
+    expect(mean(values)).toBeCloseTo(1, 1);
+    const logs = values.map(Math.log);
+    const variance = mean(logs.map((v) => Math.pow(v - mean(logs), 2)));
+    // Ten years of compounded shocks, not one year's
+    expect(variance).toBeCloseTo(10 * 0.15 * 0.15, 1);
+  });
+
+  it("gives Student-t returns fatter tails than GBM", () => {
+    const kurtosis = (values) => {
+      const returns = values.map(Math.log);
+      const average = mean(returns);
+      const variance = mean(returns.map((v) => Math.pow(v - average, 2)));
+      return mean(returns.map((v) => Math.pow(v - average, 4))) / (variance * variance);
+    };
+    const heavy = endings("STUDENT_T", { modelParameters: { degreesOfFreedom: 3 } });
+    expect(mean(heavy)).toBeCloseTo(1, 1);
+    expect(kurtosis(heavy)).toBeGreaterThan(kurtosis(endings("GBM")) + 1);
+  });
+
+  it("switches between bull and bear regimes", () => {
+    // Only the first path shares its normals: the chain also draws uniforms
+    const neverBear = endings("REGIME_SWITCHING", { modelParameters: { bullToBear: 0 } }, 1);
+    expect(neverBear).toEqual(endings("GBM", {}, 1));
+    const alwaysBear = endings("REGIME_SWITCHING", {
+      modelParameters: { bullToBear: 100, bearToBull: 0, bearReturn: -10, bearVolatility: 0.15 },
+    });
+    expect(mean(alwaysBear)).toBeCloseTo(Math.pow(0.9 / 1.07, 10), 1);
+  });
+});
+
+describe("generateRandomFactors", () => {
+  const input = {
+    ...defaultParameters,
+    assets: defaultAssets,
+    years: 10,
+    enableVolatility: true,
+    correlations: {},
+  };
+
+  it("keeps an asset's draws when others are removed with seed streams", () => {
+    const { [BIL]: removed, ...fewer } = defaultAssets;
+    ["PARK_MILLER", "PCG32"].forEach((randomGenerator) => {
+      const all = generateRandomFactors({ ...input, randomGenerator });
+      const some = generateRandomFactors({ ...input, randomGenerator, assets: fewer });
+      if (randomGenerator === "PCG32") {
+        expect(some[SPX]).toEqual(all[SPX]);
+      } else {
+        expect(some[SPX]).not.toEqual(all[SPX]);
+      }
+    });
+    expect(removed).toBeDefined();
+  });
+
+  it("runs every return model through the simulation", () => {
+    ["GBM", "STUDENT_T", "REGIME_SWITCHING"].forEach((returnGenerator) => {
+      const { metrics } = runSimulation({ ...input, returnGenerator, randomGenerator: "PCG32" });
+      expect(Number.isFinite(metrics[SPX].cagr)).toBe(true);
+      expect(metrics[SPX].volatility).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,300 @@
+import { buildBacktestPath } from "./backtest";
+import { buildPriceIndex, priceLevelAt, toNominalPath } from "./inflation";
+import { percentile } from "./metrics";
+import { buildSeedPaths } from "./monteCarlo";
+import { appendPortfolioSeries, withPortfolioAssets } from "./portfolio";
+import {
+  applyVolatility,
+  buildScenarioPath,
+  generateRandomFactors,
+} from "./simulation";
+import { applyIncomeTaxes } from "./tax";
+import { getStepsPerYear } from "./timeline";
+
+export const riskFreeSources = {
+  BIL: "BIL row",
+  CUSTOM: "Custom rate",
+};
+
+// Confidence levels (percent) offered for VaR/CVaR and their normal quantiles.
+export const varConfidenceLevels = {
+  90: 1.2815515655,
+  95: 1.6448536270,
+  99: 2.3263478740,
+};
+
+/**
+ * The offered confidence level closest to `confidence`, so a level from an
+ * older or edited scenario is measured (and labelled) as one the panel
+ * offers.
+ */
+export const getVarConfidence = (confidence) =>
+  Object.keys(varConfidenceLevels)
+    .map(Number)
+    .reduce((closest, level) =>
+      Math.abs(level - confidence) < Math.abs(closest - confidence) ? level : closest
+    );
+
+const round2 = (value) =>
+  value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(2));
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map((value) => Math.pow(value - average, 2))));
+};
+
+const normalDensity = (z) => Math.exp(-(z * z) / 2) / Math.sqrt(2 * Math.PI);
+
+const stepReturns = (values) =>
+  values.slice(1).map((value, step) => (values[step] > 0 ? value / values[step] - 1 : 0));
+
+// Deviations below this are rounding noise of the cent-rounded paths.
+const MIN_DEVIATION = 1e-6;
+
+/**
+ * Annualized Sharpe and Sortino ratios of `returns` over the risk-free
+ * returns of the same steps. Null when the denominator is (about) 0.
+ */
+export const computeRiskAdjustedReturns = (returns, riskFreeReturns, stepsPerYear = 1) => {
+  const excess = returns.map((value, step) => value - riskFreeReturns[step]);
+  const averageExcess = mean(excess);
+  const deviation = standardDeviation(excess);
+  const downside = Math.sqrt(mean(excess.map((value) => Math.pow(Math.min(value, 0), 2))));
+  const annualize = Math.sqrt(stepsPerYear);
+  return {
+    sharpe: deviation > MIN_DEVIATION ? (averageExcess / deviation) * annualize : null,
+    sortino: downside > MIN_DEVIATION ? (averageExcess / downside) * annualize : null,
+  };
+};
+
+/**
+ * Drawdown statistics of a value series: the Ulcer index (root mean square
+ * of the percentage drawdowns), the longest time spent below a previous peak
+ * (an unfinished drawdown counts up to the last step) and how long the
+ * deepest drawdown took from its trough back to its peak (0 without a
+ * drawdown, null when it never got back). Times are in years.
+ */
+export const computeDrawdownStats = (values, stepsPerYear = 1) => {
+  let peak = values[0];
+  let peakStep = 0;
+  let squares = 0;
+  let longest = 0;
+  let maxDrawdown = 0;
+  let trough = null;
+  let recoverySteps = null;
+  values.forEach((value, step) => {
+    if (value >= peak) {
+      if (trough && recoverySteps === null && trough.peak === peakStep) {
+        recoverySteps = step - trough.step;
+      }
+      peak = value;
+      peakStep = step;
+      return;
+    }
+    const drawdown = peak > 0 ? (peak - value) / peak : 0;
+    squares += Math.pow(drawdown * 100, 2);
+    longest = Math.max(longest, step - peakStep);
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      trough = { step, peak: peakStep };
+      recoverySteps = null;
+    }
+  });
+  return {
+    ulcerIndex: Math.sqrt(squares / values.length),
+    longestDrawdownYears: longest / stepsPerYear,
+    recoveryYears: trough === null ? 0 : recoverySteps === null ? null : recoverySteps / stepsPerYear,
+    maxDrawdown: maxDrawdown * 100,
+  };
+};
+
+/**
+ * One-year value at risk and conditional value at risk, as positive
+ * percentage losses, at `confidence` percent. Historical figures come from
+ * the sample of yearly `returns` (decimals), parametric ones from a normal
+ * distribution with the sample's mean and standard deviation. Levels that
+ * are not offered use the closest one that is (see `getVarConfidence`).
+ */
+export const computeValueAtRisk = (returns, requestedConfidence = 95) => {
+  const confidence = getVarConfidence(requestedConfidence);
+  const sorted = [...returns].sort((a, b) => a - b);
+  const tail = 100 - confidence;
+  const cutoff = percentile(sorted, tail);
+  const tailReturns = sorted.filter((value) => value <= cutoff);
+  const average = mean(returns);
+  const deviation = standardDeviation(returns);
+  const z = varConfidenceLevels[confidence];
+  return {
+    historicalVar: -cutoff * 100,
+    historicalCvar: -mean(tailReturns) * 100,
+    parametricVar: -(average - z * deviation) * 100,
+    parametricCvar: -(average - (deviation * normalDensity(z)) / (tail / 100)) * 100,
+  };
+};
+
+/**
+ * Asset paths to measure, each with the input it was built for: every Monte
+ * Carlo path in Monte Carlo mode (`seedPaths` when they are already built),
+ * the history in a backtest, otherwise the single (possibly shocked)
+ * scenario.
+ */
+const buildRiskPaths = (input, seedPaths) => {
+  if (input.enableBacktest) {
+    return {
+      source: "BACKTEST",
+      paths: [{ path: buildBacktestPath(input), pathInput: input }],
+    };
+  }
+  if (input.enableVolatility && input.enableMonteCarlo) {
+    return { source: "MONTE_CARLO", paths: seedPaths || buildSeedPaths(input) };
+  }
+  const path = buildScenarioPath(input);
+  return {
+    source: "SCENARIO",
+    paths: [
+      {
+        path: input.enableVolatility
+          ? applyVolatility(path, input.assets, generateRandomFactors(input))
+          : path,
+        pathInput: input,
+      },
+    ],
+  };
+};
+
+// The series of one path in the unit of `valueMode`, before contributions
+// and withdrawals, with the risk-free return of every step.
+const measurePath = ({ path, pathInput }, riskFreeName, stepsPerYear) => {
+  const realRows = appendPortfolioSeries(applyIncomeTaxes(path, pathInput), pathInput);
+  const priceIndex = buildPriceIndex(pathInput);
+  const nominal = pathInput.valueMode === "NOMINAL";
+  const rows = nominal ? toNominalPath(realRows, priceIndex, stepsPerYear) : realRows;
+  const customGrowth = Math.pow(1 + pathInput.riskFreeRate / 100, 1 / stepsPerYear);
+  const riskFreeReturns = riskFreeName
+    ? stepReturns(rows.map((row) => row[riskFreeName]))
+    : rows.slice(1).map((_, step) =>
+        nominal
+          ? customGrowth - 1
+          : (customGrowth * priceLevelAt(priceIndex, step / stepsPerYear)) /
+              priceLevelAt(priceIndex, (step + 1) / stepsPerYear) -
+            1
+      );
+  return { rows, riskFreeReturns };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const value = percentile(sorted, 50);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Risk metrics per asset and portfolio: Sharpe and Sortino ratios (over the
+ * BIL row, or `riskFreeRate` percent a year, deflated in real mode), the
+ * Calmar ratio (CAGR over max drawdown), one-year historical and parametric
+ * VaR/CVaR at `varConfidence` percent, the Ulcer index, the longest drawdown
+ * and the recovery time of the deepest drawdown (years, null if it never
+ * recovered). Measured on the investment itself, without contributions and
+ * withdrawals.
+ *
+ * With Monte Carlo paths the ratios and times are medians across paths
+ * (unrecovered paths count as never) and VaR/CVaR come from the yearly
+ * returns of all paths together. `source` says where the paths came from
+ * ("MONTE_CARLO", "BACKTEST" or "SCENARIO").
+ *
+ * `onProgress` is called with the share of Monte Carlo paths done (0-1)
+ * about every 5%. `seedPaths` are the paths of `buildSeedPaths` when they
+ * are already built.
+ *
+ * @param {import("./simulation").SimulationInput & {
+ *   riskFreeSource: string, riskFreeRate: number, varConfidence: number }} input
+ * @param {{ onProgress?: function(number): void, seedPaths?: Array<Object> }} [options]
+ */
+export const runRiskAnalysis = (input, { onProgress, seedPaths } = {}) => {
+  const { years, riskFreeSource, varConfidence } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const series = withPortfolioAssets(input);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+  const riskFreeName =
+    riskFreeSource === "BIL"
+      ? Object.keys(input.assets).find((name) => input.assets[name].ticker === "BIL") || null
+      : null;
+  const { source, paths } = buildRiskPaths(input, seedPaths);
+
+  const samples = {};
+  names.forEach((name) => {
+    samples[name] = {
+      sharpe: [],
+      sortino: [],
+      calmar: [],
+      ulcerIndex: [],
+      longestDrawdownYears: [],
+      recoveryYears: [],
+      yearlyReturns: [],
+    };
+  });
+
+  const progressInterval = Math.max(1, Math.floor(paths.length / 20));
+  paths.forEach((path, pathIndex) => {
+    const { rows, riskFreeReturns } = measurePath(path, riskFreeName, stepsPerYear);
+    names.forEach((name) => {
+      const values = rows.map((row) => row[name]);
+      const sample = samples[name];
+      const { sharpe, sortino } = computeRiskAdjustedReturns(
+        stepReturns(values),
+        riskFreeReturns,
+        stepsPerYear
+      );
+      const drawdowns = computeDrawdownStats(values, stepsPerYear);
+      const cagr = (Math.pow(values[values.length - 1] / values[0], 1 / years) - 1) * 100;
+      sample.sharpe.push(sharpe ?? NaN);
+      sample.sortino.push(sortino ?? NaN);
+      sample.calmar.push(drawdowns.maxDrawdown > 0 ? cagr / drawdowns.maxDrawdown : NaN);
+      sample.ulcerIndex.push(drawdowns.ulcerIndex);
+      sample.longestDrawdownYears.push(drawdowns.longestDrawdownYears);
+      sample.recoveryYears.push(drawdowns.recoveryYears ?? Infinity);
+      for (let year = 1; year <= years; year++) {
+        const start = values[(year - 1) * stepsPerYear];
+        sample.yearlyReturns.push(start > 0 ? values[year * stepsPerYear] / start - 1 : 0);
+      }
+    });
+    const done = pathIndex + 1;
+    if (
+      source === "MONTE_CARLO" &&
+      onProgress &&
+      (done % progressInterval === 0 || done === paths.length)
+    ) {
+      onProgress(done / paths.length);
+    }
+  });
+
+  const assets = {};
+  names.forEach((name) => {
+    const sample = samples[name];
+    // Ratios without a defined value on some paths use the others.
+    const defined = (values) => values.filter((value) => !Number.isNaN(value));
+    const valueAtRisk = computeValueAtRisk(sample.yearlyReturns, varConfidence);
+    assets[name] = {
+      sharpe: round2(median(defined(sample.sharpe))),
+      sortino: round2(median(defined(sample.sortino))),
+      calmar: round2(median(defined(sample.calmar))),
+      historicalVar: round2(valueAtRisk.historicalVar),
+      historicalCvar: round2(valueAtRisk.historicalCvar),
+      parametricVar: round2(valueAtRisk.parametricVar),
+      parametricCvar: round2(valueAtRisk.parametricCvar),
+      ulcerIndex: round2(median(sample.ulcerIndex)),
+      longestDrawdownYears: round2(median(sample.longestDrawdownYears)),
+      recoveryYears: round2(median(sample.recoveryYears)),
+    };
+  });
+
+  return {
+    source,
+    pathCount: paths.length,
+    riskFreeSource: riskFreeName ? "BIL" : "CUSTOM",
+    confidence: getVarConfidence(varConfidence),
+    assets,
+  };
+};
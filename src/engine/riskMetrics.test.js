@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import {
+  computeDrawdownStats,
+  computeRiskAdjustedReturns,
+  computeValueAtRisk,
+  getVarConfidence,
+  runRiskAnalysis,
+  varConfidenceLevels,
+} from "./riskMetrics";
+import { defaultAssets, defaultParameters } from "./presets";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const BIL = "BIL (Short-Term Treasuries)";
+const input = { ...defaultParameters, assets: defaultAssets, years: 10 };
+
+describe("computeRiskAdjustedReturns", () => {
+  it("annualizes the Sharpe and Sortino ratios", () => {
+    const returns = [0.1, -0.05, 0.1, -0.05];
+    const { sharpe, sortino } = computeRiskAdjustedReturns(returns, [0, 0, 0, 0]);
+    expect(sharpe).toBeCloseTo(0.025 / 0.075, 10);
+    expect(sortino).toBeCloseTo(0.025 / Math.sqrt(0.00125), 10);
+    expect(computeRiskAdjustedReturns(returns, [0, 0, 0, 0], 12).sharpe).toBeCloseTo(
+      sharpe * Math.sqrt(12),
+      10
+    );
+  });
+
+  it("has no ratio without variation or downside", () => {
+    expect(computeRiskAdjustedReturns([0.05, 0.05], [0.01, 0.01])).toEqual({
+      sharpe: null,
+      sortino: null,
+    });
+  });
+});
+
+describe("computeDrawdownStats", () => {
+  it("measures the Ulcer index, the longest drawdown and the recovery", () => {
+    const stats = computeDrawdownStats([100, 80, 90, 100, 95, 110]);
+    expect(stats.ulcerIndex).toBeCloseTo(Math.sqrt((400 + 100 + 25) / 6), 10);
+    expect(stats.longestDrawdownYears).toBe(2);
+    expect(stats.recoveryYears).toBe(2);
+    expect(stats.maxDrawdown).toBeCloseTo(20, 10);
+  });
+
+  it("reports unrecovered drawdowns and monthly steps in years", () => {
+    const stats = computeDrawdownStats([100, 90, 95], 12);
+    expect(stats.recoveryYears).toBeNull();
+    expect(stats.longestDrawdownYears).toBeCloseTo(2 / 12, 10);
+    expect(computeDrawdownStats([100, 110, 120]).recoveryYears).toBe(0);
+  });
+});
+
+describe("computeValueAtRisk", () => {
+  it("reads historical VaR/CVaR from the tail and parametric ones from a normal fit", () => {
+    const returns = Array.from({ length: 21 }, (_, i) => (i - 10) / 100);
+    const risk = computeValueAtRisk(returns, 95);
+    expect(risk.historicalVar).toBeCloseTo(9, 10);
+    expect(risk.historicalCvar).toBeCloseTo(9.5, 10);
+    const deviation = Math.sqrt(returns.reduce((sum, r) => sum + r * r, 0) / 21);
+    expect(risk.parametricVar).toBeCloseTo(varConfidenceLevels[95] * deviation * 100, 10);
+    expect(risk.parametricCvar).toBeGreaterThan(risk.parametricVar);
+  });
+
+  it("measures levels that are not offered at the closest offered one", () => {
+    expect(getVarConfidence(97.5)).toBe(99);
+    expect(getVarConfidence(80)).toBe(90);
+    expect(getVarConfidence(95)).toBe(95);
+    const returns = Array.from({ length: 101 }, (_, i) => (i - 50) / 100);
+    expect(computeValueAtRisk(returns, 98)).toEqual(computeValueAtRisk(returns, 99));
+  });
+});
+
+describe("runRiskAnalysis", () => {
+  it("measures the single scenario against BIL", () => {
+    const result = runRiskAnalysis({
+      ...input,
+      enableVolatility: true,
+      enableRisk: true,
+      crisisEvents: [
+        { year: 3, crisisType: "RISK_OFF", drawdown: 30, recoveryType: "L_SHAPED", recoveryYears: 3 },
+      ],
+    });
+    expect(result.source).toBe("SCENARIO");
+    expect(result.riskFreeSource).toBe("BIL");
+    expect(result.assets[BIL].sharpe).toBeNull();
+    expect(result.assets[SPX].historicalVar).toBeGreaterThan(0);
+    expect(result.assets[SPX].ulcerIndex).toBeGreaterThan(0);
+    expect(result.assets[SPX].longestDrawdownYears).toBeGreaterThan(0);
+  });
+
+  it("deflates a custom risk-free rate in real mode", () => {
+    // SPX grows at exactly the risk-free rate, so there is no excess return
+    const custom = { ...input, riskFreeSource: "CUSTOM", riskFreeRate: 7, inflationModel: "STOCHASTIC" };
+    expect(runRiskAnalysis(custom).assets[SPX].sharpe).toBeNull();
+    expect(runRiskAnalysis({ ...custom, valueMode: "NOMINAL" }).assets[SPX].sharpe).toBeNull();
+    expect(runRiskAnalysis({ ...custom, riskFreeRate: 3 }).riskFreeSource).toBe("CUSTOM");
+  });
+
+  it("pools the Monte Carlo paths and reports progress", () => {
+    const progress = [];
+    const result = runRiskAnalysis(
+      { ...input, enableVolatility: true, enableMonteCarlo: true, monteCarloPaths: 40 },
+      { onProgress: (value) => progress.push(value) }
+    );
+    expect(result.source).toBe("MONTE_CARLO");
+    expect(result.pathCount).toBe(40);
+    expect(progress[progress.length - 1]).toBe(1);
+    const spx = result.assets[SPX];
+    expect(spx.historicalCvar).toBeGreaterThanOrEqual(spx.historicalVar);
+    expect(spx.sharpe).toBeGreaterThan(0);
+    expect(spx.calmar).toBeGreaterThan(0);
+  });
+});
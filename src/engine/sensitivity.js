@@ -0,0 +1,257 @@
+import { getActiveCrisisEvents } from "./crisis";
+import { getAssetTicker } from "./historicalReturns";
+import { normalizeWeights, withPortfolioAssets } from "./portfolio";
+import { runSimulation } from "./simulation";
+import { assetFieldLimits } from "./validation";
+
+/**
+ * Outcomes a sensitivity run can record for the chosen series.
+ */
+export const sensitivityMetrics = {
+  ENDING_VALUE: "Ending Value",
+  CAGR: "CAGR",
+};
+
+// Points per numeric parameter in the tornado sweeps and on each heatmap axis.
+export const TORNADO_POINTS = 5;
+export const HEATMAP_POINTS = 7;
+
+const recoveryTypeLabels = {
+  V_SHAPED: "V-Shaped",
+  U_SHAPED: "U-Shaped",
+  L_SHAPED: "L-Shaped",
+};
+
+// Sets `field` on every crisis event.
+const withEvents = (field) => (input, value) => ({
+  ...input,
+  crisisEvents: input.crisisEvents.map((event) => ({ ...event, [field]: value })),
+});
+
+const withAsset = (name, field) => (input, value) => ({
+  ...input,
+  assets: { ...input.assets, [name]: { ...input.assets[name], [field]: value } },
+});
+
+// Sets the asset's own response to every crisis type in `crisisTypes`.
+const withCrisisResponse = (name, crisisTypes) => (input, value) => {
+  const asset = input.assets[name];
+  const crisisResponses = { ...asset.crisisResponses };
+  crisisTypes.forEach((type) => {
+    crisisResponses[type] = value;
+  });
+  return { ...input, assets: { ...input.assets, [name]: { ...asset, crisisResponses } } };
+};
+
+/**
+ * The series a sensitivity run records: `sensitivitySeries`, or the first
+ * asset when it is missing.
+ */
+export const getSensitivitySeries = (input) => {
+  const series = withPortfolioAssets(input);
+  const names = Object.keys(series).filter((name) => !series[name].isBaseline);
+  return names.includes(input.sensitivitySeries) ? input.sensitivitySeries : names[0];
+};
+
+/**
+ * Parameters a sensitivity run can sweep for `input`, in display order. Each
+ * has a `key`, a `label` and either a numeric `range` ([low, high], swept in
+ * multiples of `step`) or a list of `options` with their `labels`, and
+ * `apply(input, value)` returning the input with the parameter set.
+ *
+ * Only parameters that can move the chosen series are offered: per-asset
+ * parameters ("return:<asset>" and "crisisResponse:<asset>") for the series
+ * itself or the assets its portfolio holds, and crisis parameters only while
+ * a crisis is active. Crisis parameters are set on every crisis event; an
+ * asset's crisis response is set for every active crisis type. Backtests
+ * replay history, so they offer no crisis parameters, no inflation rate and
+ * only the returns of assets without bundled history.
+ */
+export const getSensitivityParameters = (input) => {
+  const { enableBacktest } = input;
+  const events = enableBacktest ? [] : getActiveCrisisEvents(input);
+  const crisisTypes = [...new Set(events.map((event) => event.crisisType))];
+  const seriesName = getSensitivitySeries(input);
+  const portfolio = (input.portfolios || []).find((item) => item.name === seriesName);
+  const heldAssets = portfolio
+    ? Object.keys(normalizeWeights(portfolio.weights, input.assets))
+    : [seriesName];
+
+  const parameters = [];
+  if (events.length) {
+    parameters.push(
+      {
+        key: "drawdown",
+        label: "Crisis Drawdown (%)",
+        range: [0, 50],
+        step: 1,
+        apply: withEvents("drawdown"),
+      },
+      {
+        key: "recoveryYears",
+        label: "Recovery Years",
+        range: [1, input.years],
+        step: 0.5,
+        apply: withEvents("recoveryYears"),
+      },
+      {
+        key: "recoveryType",
+        label: "Recovery Pattern",
+        options: Object.keys(recoveryTypeLabels),
+        labels: recoveryTypeLabels,
+        apply: withEvents("recoveryType"),
+      }
+    );
+  }
+  parameters.push({
+    key: "annualFees",
+    label: "Annual Fees (%)",
+    range: [0, 2],
+    step: 0.05,
+    apply: (trial, value) => ({ ...trial, annualFees: value }),
+  });
+  if (!enableBacktest) {
+    parameters.push({
+      key: "inflationRate",
+      label: "Inflation Rate (%)",
+      range: [0, 6],
+      step: 0.1,
+      apply: (trial, value) => ({ ...trial, inflationRate: value }),
+    });
+  }
+  const { min, max } = assetFieldLimits.crisisSensitivity;
+  heldAssets.forEach((name) => {
+    const asset = input.assets[name];
+    if (!asset || asset.isBaseline) return;
+    if (!enableBacktest || !getAssetTicker(asset)) {
+      parameters.push({
+        key: `return:${name}`,
+        label: `${name} Return (%)`,
+        range: [asset.return - 3, asset.return + 3],
+        step: 0.1,
+        apply: withAsset(name, "return"),
+      });
+    }
+    if (events.length) {
+      parameters.push({
+        key: `crisisResponse:${name}`,
+        label: `${name} Crisis Response`,
+        range: [min, max],
+        step: 0.1,
+        apply: withCrisisResponse(name, crisisTypes),
+      });
+    }
+  });
+  return parameters;
+};
+
+/**
+ * The values a parameter is swept over: its options, or up to `count`
+ * evenly spaced points across its range rounded to its step.
+ */
+export const sweepValues = (parameter, count) => {
+  if (parameter.options) return parameter.options;
+  const [low, high] = parameter.range;
+  const { step } = parameter;
+  const values = Array.from({ length: count }, (_, index) => {
+    const value = low + ((high - low) * index) / (count - 1);
+    return parseFloat((Math.round(value / step) * step).toFixed(6));
+  });
+  // Narrow ranges round several points onto the same step
+  return [...new Set(values)];
+};
+
+/**
+ * The heatmap axes for the keys `xKey` and `yKey`: each falls back to the
+ * first parameter that is not the other axis when it is not offered (for
+ * example a crisis parameter after the crises are turned off).
+ */
+export const getHeatmapAxes = (parameters, xKey, yKey) => {
+  const find = (key, other) =>
+    parameters.find((parameter) => parameter.key === key && key !== other) ||
+    parameters.find((parameter) => parameter.key !== other);
+  const x = find(xKey, yKey);
+  const y = find(yKey, x?.key);
+  return { x, y };
+};
+
+/**
+ * Sensitivity analysis of one series (`sensitivitySeries`, or the first
+ * asset when it is missing): the `sensitivityMetric` outcome ("ENDING_VALUE"
+ * or "CAGR", the money-weighted return with cash flows) of the run, of every
+ * parameter swept on its own and of a grid of two parameters.
+ *
+ * Everything else stays as set, including the random seed, so with
+ * volatility on each point is the same shocked path. `tornado` lists the
+ * parameters by how far the outcome moves across their sweep (`swing`),
+ * each with its sweep `points` ({ value, outcome }). `heatmap` has the two
+ * axes' keys, labels and values and `cells[y][x]` outcomes, or is null when
+ * fewer than two parameters are offered. `onProgress` is called with the
+ * share of runs done (0-1) about every 5%.
+ *
+ * @param {import("./simulation").SimulationInput & {
+ *   sensitivityMetric: string, sensitivitySeries: string,
+ *   sensitivityX: string, sensitivityY: string }} input
+ * @param {{ onProgress?: function(number): void }} [options]
+ */
+export const runSensitivityAnalysis = (input, { onProgress } = {}) => {
+  const { sensitivityMetric } = input;
+  const name = getSensitivitySeries(input);
+
+  const parameters = getSensitivityParameters(input);
+  const { x, y } = getHeatmapAxes(parameters, input.sensitivityX, input.sensitivityY);
+  const runCount =
+    1 +
+    parameters.reduce((sum, parameter) => sum + sweepValues(parameter, TORNADO_POINTS).length, 0) +
+    (x && y ? sweepValues(x, HEATMAP_POINTS).length * sweepValues(y, HEATMAP_POINTS).length : 0);
+  const progressInterval = Math.max(1, Math.floor(runCount / 20));
+  let runsDone = 0;
+
+  const outcomeOf = (trial) => {
+    const { data, metrics } = runSimulation(trial);
+    runsDone += 1;
+    if (onProgress && (runsDone % progressInterval === 0 || runsDone === runCount)) {
+      onProgress(runsDone / runCount);
+    }
+    if (sensitivityMetric === "CAGR") return metrics[name].cagr ?? metrics[name].irr;
+    return data[data.length - 1][name];
+  };
+
+  const tornado = parameters
+    .map((parameter) => {
+      const points = sweepValues(parameter, TORNADO_POINTS).map((value) => ({
+        value,
+        outcome: outcomeOf(parameter.apply(input, value)),
+      }));
+      const outcomes = points.map((point) => point.outcome);
+      return {
+        key: parameter.key,
+        label: parameter.label,
+        labels: parameter.labels,
+        points,
+        swing: Math.max(...outcomes) - Math.min(...outcomes),
+      };
+    })
+    .sort((a, b) => b.swing - a.swing);
+
+  let heatmap = null;
+  if (x && y) {
+    const xValues = sweepValues(x, HEATMAP_POINTS);
+    const yValues = sweepValues(y, HEATMAP_POINTS);
+    heatmap = {
+      x: { key: x.key, label: x.label, labels: x.labels, values: xValues },
+      y: { key: y.key, label: y.label, labels: y.labels, values: yValues },
+      cells: yValues.map((yValue) =>
+        xValues.map((xValue) => outcomeOf(y.apply(x.apply(input, xValue), yValue)))
+      ),
+    };
+  }
+
+  return {
+    series: name,
+    metric: sensitivityMetric,
+    base: outcomeOf(input),
+    tornado,
+    heatmap,
+  };
+};
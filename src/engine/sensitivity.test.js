@@ -0,0 +1,169 @@
+import { describe, it, expect } from "vitest";
+import {
+  getHeatmapAxes,
+  getSensitivityParameters,
+  runSensitivityAnalysis,
+  sweepValues,
+  HEATMAP_POINTS,
+  TORNADO_POINTS,
+} from "./sensitivity";
+import { runSimulation } from "./simulation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+import { defaultPortfolio } from "./portfolio";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const baseInput = {
+  ...defaultParameters,
+  ...scenarioPresets["Severe Crisis"],
+  assets: defaultAssets,
+  portfolios: [defaultPortfolio],
+  years: 10,
+  enableVolatility: false,
+  enableSensitivity: true,
+  sensitivitySeries: SPX,
+};
+
+const keysOf = (parameters) => parameters.map((parameter) => parameter.key);
+
+describe("getSensitivityParameters", () => {
+  it("offers crisis parameters only while a crisis is active", () => {
+    const withCrises = keysOf(getSensitivityParameters(baseInput));
+    expect(withCrises).toEqual([
+      "drawdown",
+      "recoveryYears",
+      "recoveryType",
+      "annualFees",
+      "inflationRate",
+      `return:${SPX}`,
+      `crisisResponse:${SPX}`,
+    ]);
+
+    const calm = keysOf(getSensitivityParameters({ ...baseInput, enableRisk: false }));
+    expect(calm).not.toContain("drawdown");
+    expect(calm).not.toContain(`crisisResponse:${SPX}`);
+    expect(calm).toContain(`return:${SPX}`);
+  });
+
+  it("offers the parameters of the assets a portfolio holds", () => {
+    const keys = keysOf(
+      getSensitivityParameters({ ...baseInput, sensitivitySeries: defaultPortfolio.name })
+    );
+    Object.keys(defaultPortfolio.weights).forEach((name) => {
+      expect(keys).toContain(`return:${name}`);
+      expect(keys).toContain(`crisisResponse:${name}`);
+    });
+    expect(keys).not.toContain("return:PFF (Preferred Stocks)");
+  });
+
+  it("hides the crisis parameters and the inflation rate in backtests", () => {
+    const keys = keysOf(getSensitivityParameters({ ...baseInput, enableBacktest: true }));
+    expect(keys).toEqual(["annualFees"]);
+  });
+
+  it("sweeps the crisis response from -2 to 2", () => {
+    const response = getSensitivityParameters(baseInput).find(
+      (parameter) => parameter.key === `crisisResponse:${SPX}`
+    );
+    expect(response.range).toEqual([-2, 2]);
+    const trial = response.apply(baseInput, -1);
+    expect(trial.assets[SPX].crisisResponses).toEqual({ RISK_OFF: -1 });
+    expect(baseInput.assets[SPX].crisisResponses).toBeUndefined();
+  });
+});
+
+describe("sweepValues", () => {
+  it("spreads points over the range on the parameter's step", () => {
+    const [drawdown, recoveryYears, recoveryType] = getSensitivityParameters(baseInput);
+    expect(sweepValues(drawdown, 5)).toEqual([0, 13, 25, 38, 50]);
+    expect(sweepValues(recoveryYears, 4)).toEqual([1, 4, 7, 10]);
+    expect(sweepValues(recoveryType, 5)).toEqual(["V_SHAPED", "U_SHAPED", "L_SHAPED"]);
+    expect(sweepValues({ range: [1, 2], step: 0.5 }, 7)).toEqual([1, 1.5, 2]);
+  });
+});
+
+describe("getHeatmapAxes", () => {
+  it("falls back to other parameters when a key is not offered or repeated", () => {
+    const parameters = getSensitivityParameters({ ...baseInput, enableRisk: false });
+    const { x, y } = getHeatmapAxes(parameters, "drawdown", "recoveryYears");
+    expect(x.key).toBe("annualFees");
+    expect(y.key).toBe("inflationRate");
+    const same = getHeatmapAxes(parameters, "inflationRate", "inflationRate");
+    expect(same.x.key).not.toBe(same.y.key);
+  });
+});
+
+describe("runSensitivityAnalysis", () => {
+  it("sorts the tornado by swing and records every sweep point", () => {
+    const analysis = runSensitivityAnalysis(baseInput);
+    expect(analysis.series).toBe(SPX);
+    expect(analysis.base).toBe(runSimulation(baseInput).data[10][SPX]);
+    const swings = analysis.tornado.map((row) => row.swing);
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+
+    const fees = analysis.tornado.find((row) => row.key === "annualFees");
+    expect(fees.points).toHaveLength(TORNADO_POINTS);
+    expect(fees.points[4].outcome).toBe(
+      runSimulation({ ...baseInput, annualFees: 2 }).data[10][SPX]
+    );
+    // Higher fees and deeper crises only lower the ending value
+    expect(fees.points[0].outcome).toBeGreaterThan(fees.points[4].outcome);
+    const drawdown = analysis.tornado.find((row) => row.key === "drawdown");
+    expect(drawdown.points[0].outcome).toBeGreaterThan(drawdown.points[4].outcome);
+
+    // Other assets' parameters are not offered
+    expect(analysis.tornado.every((row) => !row.key.includes("PFF"))).toBe(true);
+  });
+
+  it("moves assets that set their own response to the crisis type", () => {
+    const KMLM = "KMLM (Managed Futures)";
+    const analysis = runSensitivityAnalysis({ ...baseInput, sensitivitySeries: KMLM });
+    const response = analysis.tornado.find((row) => row.key === `crisisResponse:${KMLM}`);
+    expect(response.swing).toBeGreaterThan(0);
+    // Gains in the crisis at -2, losses at 2
+    expect(response.points[0].outcome).toBeGreaterThan(response.points[4].outcome);
+  });
+
+  it("fills the heatmap for the chosen pair of parameters", () => {
+    const { heatmap } = runSensitivityAnalysis({
+      ...baseInput,
+      sensitivityX: "drawdown",
+      sensitivityY: "recoveryType",
+    });
+    expect(heatmap.x.values).toHaveLength(HEATMAP_POINTS);
+    expect(heatmap.y.values).toEqual(["V_SHAPED", "U_SHAPED", "L_SHAPED"]);
+    expect(heatmap.cells).toHaveLength(3);
+    const input = {
+      ...baseInput,
+      crisisEvents: baseInput.crisisEvents.map((event) => ({
+        ...event,
+        drawdown: heatmap.x.values[6],
+        recoveryType: "L_SHAPED",
+      })),
+    };
+    expect(heatmap.cells[2][6]).toBe(runSimulation(input).data[10][SPX]);
+  });
+
+  it("records the CAGR of portfolios, or the IRR with cash flows", () => {
+    const cagr = runSensitivityAnalysis({
+      ...baseInput,
+      sensitivityMetric: "CAGR",
+      sensitivitySeries: defaultPortfolio.name,
+    });
+    expect(cagr.series).toBe(defaultPortfolio.name);
+    expect(cagr.base).toBe(runSimulation(baseInput).metrics[defaultPortfolio.name].cagr);
+
+    const withFlows = {
+      ...baseInput,
+      sensitivityMetric: "CAGR",
+      cashFlows: { ...baseInput.cashFlows, contributionAmount: 1000 },
+    };
+    expect(runSensitivityAnalysis(withFlows).base).toBe(
+      runSimulation(withFlows).metrics[SPX].irr
+    );
+  });
+
+  it("falls back to the first asset when the series is gone", () => {
+    const analysis = runSensitivityAnalysis({ ...baseInput, sensitivitySeries: "Renamed" });
+    expect(analysis.series).toBe(Object.keys(defaultAssets).find((name) => !defaultAssets[name].isBaseline));
+  });
+});
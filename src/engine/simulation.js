@@ -0,0 +1,307 @@
+import {
+  createNormalRandom,
+  createRandomStream,
+  createSeededRandom,
+  hasSeedStreams,
+} from "./random";
+import { computeSummaryMetrics } from "./metrics";
+import { applyCrisisEvents } from "./crisis";
+import { buildBacktestPath } from "./backtest";
+import { generateBootstrapFactors, isBootstrapGenerator } from "./bootstrap";
+import { generateModelFactors, isReturnModel } from "./returnModels";
+import { getCorrelationFactor } from "./correlation";
+import { appendPortfolioSeries, withPortfolioAssets } from "./portfolio";
+import { applyIncomeTaxes, hasTaxes, withTaxMetrics } from "./tax";
+import {
+  buildPriceIndex,
+  priceLevelAt,
+  toNominalLedger,
+  toNominalPath,
+} from "./inflation";
+import { buildPeriodLabels, getStepCount, getStepsPerYear } from "./timeline";
+import {
+  applyCashFlows,
+  computeCashFlowMetrics,
+  hasCashFlows,
+} from "./cashFlows";
+
+/**
+ * @typedef {Object} Asset
+ * @property {number} return            Expected annual return in percent (e.g. 7 for 7%).
+ * @property {number} volatility        Annual standard deviation as a decimal (e.g. 0.15).
+ * @property {number} drawdownImpact    Vulnerability to the market drawdown (0-2).
+ * @property {number} crisisSensitivity Share of the crisis that reaches this asset (-2 to 2; negative gains in a crisis).
+ * @property {string} color             Chart color.
+ * @property {boolean} isBaseline       Marks the flat "no scenario" reference line.
+ * @property {string} [ticker]          Bundled historical series the asset follows in backtests.
+ * @property {number} [yield]           Part of `return` paid out as income each year, in percent.
+ * @property {string} [taxTreatment]    "QUALIFIED" or "ORDINARY" tax on that income.
+ * @property {string} [assetClass]      Key of `assetClasses`; picks the asset's row in each crisis type's profile.
+ * @property {Object<string, number>} [crisisResponses] Crisis sensitivity per crisis type, replacing
+ *   `crisisSensitivity` × the type's class multiplier for that type.
+ * @property {number} [gainRetention]   Percent of a crisis gain kept after it reverts (0 by default).
+ * @property {Partial<import("./returnModels").ModelParameters>} [modelParameters] Parameters of the
+ *   Student-t and regime-switching return models (see `getModelParameters` for the defaults).
+ */
+
+/**
+ * @typedef {Object} SimulationInput
+ * @property {Object<string, Asset>} assets Assets keyed by display name.
+ * @property {number} initialAmount  Lump sum invested at year 0.
+ * @property {number} years          Horizon in whole years (>= 1).
+ * @property {number} annualFees     Annual fees in percent of assets.
+ * @property {number} inflationRate  Annual inflation in percent (the mean for stochastic inflation).
+ * @property {string} [inflationModel] "CONSTANT" (default) or "STOCHASTIC".
+ * @property {number} [inflationVolatility] Standard deviation of stochastic inflation in percentage points.
+ * @property {number} [inflationCrisisLink] Extra inflation points per 1% drawdown of a RISING_RATES crisis (scaled by other types' `inflationLink`).
+ * @property {string} [valueMode]    "REAL" (today's dollars, default) or "NOMINAL".
+ * @property {boolean} enableRisk    Whether the crisis events below apply.
+ * @property {Array<import("./crisis").CrisisEvent>} crisisEvents Crises, each at its own year.
+ * @property {Array<import("./crisis").CrisisType & {id: string}>} [customCrisisTypes] Crisis types defined by the user, referenced by id.
+ * @property {boolean} enableVolatility Whether seeded random shocks are applied.
+ * @property {number} volatilityLevel   Multiplier on every asset's volatility.
+ * @property {number} randomSeedBase    Seed for the random shocks.
+ * @property {Object<string, Object<string, number>>} [correlations] Pairwise correlations of the shocks (missing pairs are 0).
+ * @property {string} [returnGenerator] "NORMAL" (default), "IID_BOOTSTRAP", "BLOCK_BOOTSTRAP" or a
+ *   key of `returnModels` ("GBM", "STUDENT_T", "REGIME_SWITCHING").
+ * @property {string} [randomGenerator] Key of `randomGenerators`: "PARK_MILLER" (default, one stream
+ *   shared by all assets), "XOSHIRO128" or "PCG32" (a stream per asset).
+ * @property {number} [bootstrapBlockLength] Years per block for "BLOCK_BOOTSTRAP".
+ * @property {import("./cashFlows").CashFlows} [cashFlows] Optional contribution/withdrawal schedule.
+ * @property {Array<import("./portfolio").Portfolio>} [portfolios] Weighted mixes of the assets, reported as extra series.
+ * @property {import("./tax").Taxes} [taxes] Account type and tax rates (tax-free when omitted).
+ * @property {boolean} [enableBacktest]  Replay historical returns instead of the parametric model.
+ * @property {number} [backtestStartYear] First calendar year of the backtest.
+ * @property {string} [timeStep]     "ANNUAL" (default) or "MONTHLY" rows.
+ * @property {string} [startDate]    "YYYY-MM" of the first row; rows are labelled with dates when set.
+ */
+
+/**
+ * Level shocks carry over from step to step with this persistence, starting
+ * from no shock at the initial value. Monthly runs thereby keep the annual
+ * model's spread around the path (close to the full annual volatility after
+ * the first year) and roughly the same annualized volatility of returns.
+ * Yearly steps are independent.
+ */
+const persistShocks = (shocks, stepsPerYear) => {
+  const persistence = 1 - 1 / stepsPerYear;
+  const innovation = Math.sqrt(1 - persistence * persistence);
+  let previous = 0;
+  return shocks.map((shock, step) => {
+    previous = step === 0 ? 0 : persistence * previous + innovation * shock;
+    return previous;
+  });
+};
+
+/**
+ * One seeded random shock per asset and step (index 0 included so the arrays
+ * line up with the rows of the series). Baseline assets never move.
+ *
+ * Independent normals are drawn asset by asset, then mixed year by year
+ * through the Cholesky factor of the correlation matrix so the shocks carry
+ * the requested correlations. Throws on invalid correlations. Bootstrap
+ * generators resample history instead (see `generateBootstrapFactors`), and
+ * return models compound the correlated normals (see `generateModelFactors`).
+ * With `randomGenerator` "XOSHIRO128" or "PCG32" each asset draws from its
+ * own stream, so adding or removing an asset leaves the others' draws alone.
+ */
+export const generateRandomFactors = (input) => {
+  const { returnGenerator } = input;
+  if (isBootstrapGenerator(returnGenerator)) {
+    return generateBootstrapFactors(input);
+  }
+  const { assets, volatilityLevel, randomSeedBase, randomGenerator, correlations } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const steps = getStepCount(input);
+  const { names, lower } = getCorrelationFactor(assets, correlations);
+  // Park–Miller draws every asset from one stream, in order.
+  const shared = hasSeedStreams(randomGenerator)
+    ? null
+    : createSeededRandom(randomSeedBase);
+  const streams = names.map((name) => {
+    const random = shared || createRandomStream(randomGenerator, randomSeedBase, name);
+    return { random, normalRandom: createNormalRandom(random) };
+  });
+  const independent = streams.map(({ normalRandom }) =>
+    Array(steps + 1)
+      .fill(0)
+      .map(() => normalRandom())
+  );
+
+  const factors = {};
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) {
+      factors[name] = Array(steps + 1).fill(0);
+    }
+  });
+  names.forEach((name, i) => {
+    const asset = assets[name];
+    const correlated = independent[i].map((_, step) => {
+      let shock = 0;
+      for (let j = 0; j <= i; j++) {
+        shock += lower[i][j] * independent[j][step];
+      }
+      return shock;
+    });
+    factors[name] = isReturnModel(returnGenerator)
+      ? generateModelFactors(returnGenerator, asset, correlated, {
+          ...streams[i],
+          volatilityLevel,
+          stepsPerYear,
+        })
+      : persistShocks(correlated, stepsPerYear).map(
+          (shock) => shock * asset.volatility * volatilityLevel
+        );
+  });
+  return factors;
+};
+
+/**
+ * Nominal values compounding at each asset's expected return, one row per
+ * step labelled as in `buildPeriodLabels`. Monthly steps compound at the
+ * twelfth root of the annual return.
+ */
+export const buildBaselineData = (input) => {
+  const { assets, initialAmount } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  return buildPeriodLabels(input).map((label, step) => {
+    const dataPoint = { year: label };
+    dataPoint["Baseline (No Scenario)"] = parseFloat(
+      initialAmount.toFixed(2)
+    );
+
+    Object.entries(assets).forEach(([name, asset]) => {
+      if (asset.isBaseline) return;
+      const growth = Math.pow(1 + asset.return / 100, 1 / stepsPerYear);
+      let value = initialAmount;
+      for (let s = 1; s <= step; s++) {
+        value *= growth;
+      }
+      dataPoint[name] = parseFloat(value.toFixed(2));
+    });
+    return dataPoint;
+  });
+};
+
+/**
+ * The deterministic part of the model in today's dollars: baseline growth
+ * less fees (a percentage of assets each year), deflated by the price index,
+ * then the crisis and recovery path, before any volatility shocks. Baseline
+ * assets hold the initial amount, so in real terms they lose purchasing
+ * power with inflation.
+ */
+export const buildScenarioPath = (input) => {
+  const { assets, annualFees } = input;
+  const baselineData = buildBaselineData(input);
+  const scenario = JSON.parse(JSON.stringify(baselineData));
+  const priceIndex = buildPriceIndex(input);
+  const stepsPerYear = getStepsPerYear(input);
+  const feeFactor = Math.max(1 - annualFees / 100, 0);
+
+  for (let step = 1; step < scenario.length; step++) {
+    const time = step / stepsPerYear;
+    const priceLevel = priceLevelAt(priceIndex, time);
+    Object.entries(assets).forEach(([name, asset]) => {
+      if (asset.isBaseline) {
+        scenario[step][name] = parseFloat(
+          (scenario[step][name] / priceLevel).toFixed(2)
+        );
+        return;
+      }
+      scenario[step][name] =
+        (scenario[step][name] * Math.pow(feeFactor, time)) / priceLevel;
+    });
+  }
+
+  applyCrisisEvents(scenario, input);
+
+  return scenario;
+};
+
+/**
+ * Applies one set of random shocks to a deterministic path. Returns new rows
+ * so the same path can be reused across many draws.
+ */
+export const applyVolatility = (path, assets, randomFactors) =>
+  path.map((row, yearIndex) => {
+    const shocked = { ...row };
+    if (yearIndex === 0) return shocked;
+    Object.entries(assets).forEach(([name, asset]) => {
+      if (asset.isBaseline) return;
+      // A shock below -100% wipes the asset out rather than going negative
+      shocked[name] = parseFloat(
+        (row[name] * Math.max(1 + randomFactors[name][yearIndex], 0)).toFixed(2)
+      );
+    });
+    return shocked;
+  });
+
+/**
+ * Turns a (possibly shocked) path into the reported series and metrics:
+ * yearly taxes on distributions come out of the asset paths, portfolios are
+ * built from them, then contributions and withdrawals are replayed when the
+ * input has any. The model works in today's dollars; with `valueMode`
+ * "NOMINAL" every series is re-inflated before the metrics are computed, so
+ * lines and metrics always share one unit. Tax metrics are added unless the
+ * account is tax-free. With cash flows `investmentData` also holds the series
+ * before contributions and withdrawals, which is what the drawdown and
+ * return charts show.
+ */
+export const summarizePath = (assetPath, input) => {
+  const { years, cashFlows, taxes, valueMode } = input;
+  const realPath = appendPortfolioSeries(applyIncomeTaxes(assetPath, input), input);
+  const seriesInput = { ...input, assets: withPortfolioAssets(input) };
+  let realData = realPath;
+  let realLedger = null;
+  if (hasCashFlows(cashFlows)) {
+    ({ data: realData, ledger: realLedger } = applyCashFlows(realPath, seriesInput));
+  }
+
+  const priceIndex = buildPriceIndex(input);
+  const stepsPerYear = getStepsPerYear(input);
+  const nominal = valueMode === "NOMINAL";
+  const path = nominal ? toNominalPath(realPath, priceIndex, stepsPerYear) : realPath;
+  const data = nominal ? toNominalPath(realData, priceIndex, stepsPerYear) : realData;
+  let metrics = realLedger
+    ? computeCashFlowMetrics(
+        path,
+        data,
+        nominal ? toNominalLedger(realLedger, priceIndex) : realLedger,
+        seriesInput
+      )
+    : computeSummaryMetrics(path, seriesInput.assets, years);
+  if (hasTaxes(taxes)) {
+    metrics = withTaxMetrics(metrics, realData, realLedger, { ...input, priceIndex });
+  }
+  return realLedger ? { data, investmentData: path, metrics } : { data, metrics };
+};
+
+/**
+ * Runs the full model: baseline growth, fee/inflation drag, the crisis and
+ * recovery path, volatility shocks, portfolios, then contributions and
+ * withdrawals. With `enableBacktest` the asset paths are replayed from
+ * history instead (see `buildBacktestPath`). With `timeStep` "MONTHLY" every
+ * step is a month and the metrics come from the monthly series.
+ *
+ * Metrics hold `cagr`, `volatility` and `maxDrawdown` per asset. With cash
+ * flows `cagr` is replaced by the money-weighted `irr`, alongside
+ * `endingValue`, `totalContributions`, `totalWithdrawals` and `depletedYear`.
+ * Taxable and tax-deferred accounts add the fields of `withTaxMetrics`.
+ *
+ * @param {SimulationInput} input
+ * @returns {{ data: Array<Object>, investmentData?: Array<Object>, metrics: Object<string, Object> }}
+ */
+export const runSimulation = (input) => {
+  const { assets, enableVolatility, enableBacktest } = input;
+  if (enableBacktest) {
+    return summarizePath(buildBacktestPath(input), input);
+  }
+  let scenario = buildScenarioPath(input);
+
+  // Apply volatility after all other calculations
+  if (enableVolatility) {
+    scenario = applyVolatility(scenario, assets, generateRandomFactors(input));
+  }
+
+  return summarizePath(scenario, input);
+};
@@ -0,0 +1,161 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildBaselineData,
+  generateRandomFactors,
+  runSimulation,
+} from "./simulation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+
+const baseInput = { ...defaultParameters, assets: defaultAssets };
+
+describe("runSimulation", () => {
+  Object.entries(scenarioPresets).forEach(([presetName, preset]) => {
+    it(`pins the output of the "${presetName}" preset`, () => {
+      expect(runSimulation({ ...baseInput, ...preset })).toMatchSnapshot();
+    });
+  });
+
+  it("returns one row per year including year 0", () => {
+    const { data } = runSimulation({ ...baseInput, years: 8 });
+    expect(data).toHaveLength(9);
+    expect(data[0].year).toBe("Year 0");
+    expect(data[8].year).toBe("Year 8");
+  });
+
+  it("deflates the baseline in real terms and keeps it flat in nominal terms", () => {
+    const input = { ...baseInput, ...scenarioPresets["Severe Crisis"] };
+    const real = runSimulation(input);
+    real.data.forEach((row, yearIndex) => {
+      expect(row["Baseline (No Scenario)"]).toBeCloseTo(
+        baseInput.initialAmount / Math.pow(1.025, yearIndex),
+        2
+      );
+    });
+    expect(real.metrics).not.toHaveProperty("Baseline (No Scenario)");
+
+    const nominal = runSimulation({ ...input, valueMode: "NOMINAL" });
+    nominal.data.forEach((row) => {
+      expect(row["Baseline (No Scenario)"]).toBe(baseInput.initialAmount);
+    });
+  });
+
+  it("compounds returns net of fees and inflation without a scenario", () => {
+    const { data, metrics } = runSimulation({
+      ...baseInput,
+      annualFees: 0.5,
+      inflationRate: 2,
+    });
+    const expected =
+      (parseFloat((100000 * Math.pow(1.07, 5)).toFixed(2)) *
+        Math.pow(0.995, 5)) /
+      Math.pow(1.02, 5);
+    expect(data[5]["SWPPX/SPX (S&P 500)"]).toBeCloseTo(expected, 1);
+    expect(metrics["SWPPX/SPX (S&P 500)"].maxDrawdown).toBe(0);
+  });
+
+  it("is reproducible for the same seed and changes with the seed", () => {
+    const input = { ...baseInput, ...scenarioPresets["Mild Recession"] };
+    expect(runSimulation(input)).toEqual(runSimulation(input));
+    expect(runSimulation({ ...input, randomSeedBase: 2 }).data).not.toEqual(
+      runSimulation(input).data
+    );
+  });
+
+  it("never takes asset values below zero or metrics to NaN", () => {
+    const fragile = {
+      ...defaultAssets["SWPPX/SPX (S&P 500)"],
+      volatility: 2,
+      drawdownImpact: 2,
+      crisisSensitivity: 2,
+    };
+    [
+      { enableVolatility: true, volatilityLevel: 5 },
+      { enableRisk: true },
+      { annualFees: 150 },
+    ].forEach((overrides) => {
+      const { data, metrics } = runSimulation({
+        ...baseInput,
+        ...scenarioPresets["Severe Crisis"],
+        enableVolatility: false,
+        enableRisk: false,
+        years: 10,
+        assets: { ...defaultAssets, Fragile: fragile },
+        ...overrides,
+      });
+      data.forEach((row) => {
+        Object.keys(defaultAssets).concat("Fragile").forEach((name) => {
+          expect(row[name]).toBeGreaterThanOrEqual(0);
+        });
+      });
+      Object.values(metrics.Fragile).forEach((value) => {
+        expect(Number.isFinite(value)).toBe(true);
+      });
+    });
+  });
+});
+
+describe("runSimulation with monthly steps", () => {
+  const SPX = "SWPPX/SPX (S&P 500)";
+  const monthly = { ...baseInput, timeStep: "MONTHLY" };
+
+  it("returns one row per month that meets the yearly path at year ends", () => {
+    const annual = runSimulation({ ...baseInput, annualFees: 1 });
+    const { data } = runSimulation({ ...monthly, annualFees: 1 });
+    expect(data).toHaveLength(61);
+    expect(data[60].year).toBe("Month 60");
+    expect(data[60][SPX]).toBeCloseTo(annual.data[5][SPX], 1);
+    expect(data[6][SPX]).toBeGreaterThan(data[0][SPX]);
+    expect(data[6][SPX]).toBeLessThan(data[12][SPX]);
+  });
+
+  it("hits crises mid-year and measures drawdowns on the monthly series", () => {
+    const crisis = {
+      enableRisk: true,
+      crisisEvents: [
+        { year: 2, crisisType: "RISK_OFF", drawdown: 30, recoveryType: "V_SHAPED", recoveryYears: 1 },
+      ],
+    };
+    const { data, metrics } = runSimulation({ ...monthly, ...crisis });
+    expect(data[18][SPX]).toBeLessThan(data[17][SPX] * 0.8);
+    expect(metrics[SPX].maxDrawdown).toBeGreaterThan(25);
+    expect(runSimulation({ ...monthly, ...crisis, enableVolatility: true })).toEqual(
+      runSimulation({ ...monthly, ...crisis, enableVolatility: true })
+    );
+  });
+
+  it("books monthly contributions in the month they are made", () => {
+    const { data, metrics } = runSimulation({
+      ...monthly,
+      inflationRate: 0,
+      cashFlows: { ...baseInput.cashFlows, contributionAmount: 100, contributionFrequency: "MONTHLY" },
+    });
+    const plain = runSimulation({ ...monthly, inflationRate: 0 });
+    expect(data[1][SPX] - plain.data[1][SPX]).toBeCloseTo(100, 1);
+    expect(metrics[SPX].totalContributions).toBeCloseTo(6000, 2);
+  });
+});
+
+describe("buildBaselineData", () => {
+  it("compounds each asset at its expected return", () => {
+    const data = buildBaselineData(baseInput);
+    expect(data[1]["BIL (Short-Term Treasuries)"]).toBe(103000);
+    expect(data[2]["BIL (Short-Term Treasuries)"]).toBe(106090);
+  });
+});
+
+describe("generateRandomFactors", () => {
+  it("returns zero shocks for baseline assets", () => {
+    const factors = generateRandomFactors(baseInput);
+    expect(factors["Baseline (No Scenario)"]).toEqual([0, 0, 0, 0, 0, 0]);
+    expect(factors["VUG (Large-Cap Growth)"]).toHaveLength(6);
+  });
+
+  it("scales shocks with the volatility level", () => {
+    const single = generateRandomFactors(baseInput);
+    const double = generateRandomFactors({ ...baseInput, volatilityLevel: 2 });
+    expect(double["KMLM (Managed Futures)"][3]).toBeCloseTo(
+      single["KMLM (Managed Futures)"][3] * 2,
+      12
+    );
+  });
+});
@@ -0,0 +1,14 @@
+import { runScenario } from "./results";
+
+// Runs scenarios off the UI thread. Each message carries a job id that is
+// echoed back with progress, the results or the error message.
+self.onmessage = ({ data: { id, scenario } }) => {
+  try {
+    const results = runScenario(scenario, {
+      onProgress: (progress) => self.postMessage({ id, type: "progress", progress }),
+    });
+    self.postMessage({ id, type: "result", results });
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,165 @@
+import { normalizeWeights } from "./portfolio";
+import { priceLevelAt } from "./inflation";
+import { getStepsPerYear } from "./timeline";
+
+/**
+ * @typedef {Object} Taxes
+ * @property {string} accountType           "TAXABLE", "TAX_DEFERRED" or "TAX_FREE".
+ * @property {number} ordinaryIncomeRate    Percent, on ordinary income and tax-deferred withdrawals.
+ * @property {number} qualifiedDividendRate Percent, on qualified dividends.
+ * @property {number} capitalGainsRate      Percent, on gains realized when a taxable account is sold.
+ */
+
+/**
+ * Account types:
+ * - "TAXABLE": distributions are taxed every year (after-tax income is
+ *   reinvested) and gains over the cost basis are taxed when sold.
+ * - "TAX_DEFERRED": nothing is taxed while invested; withdrawals and the
+ *   final liquidation are taxed as ordinary income.
+ * - "TAX_FREE": never taxed, the same as ignoring taxes.
+ */
+export const defaultTaxes = {
+  accountType: "TAX_FREE",
+  ordinaryIncomeRate: 24,
+  qualifiedDividendRate: 15,
+  capitalGainsRate: 15,
+};
+
+export const accountTypes = {
+  TAXABLE: "Taxable",
+  TAX_DEFERRED: "Tax-Deferred (Traditional IRA/401k)",
+  TAX_FREE: "Tax-Free (Roth)",
+};
+
+export const hasTaxes = (taxes) =>
+  Boolean(taxes) && taxes.accountType !== "TAX_FREE";
+
+const assetProfile = (asset, taxes) => {
+  const distribution = (asset.yield || 0) / 100;
+  const rate =
+    asset.taxTreatment === "ORDINARY"
+      ? taxes.ordinaryIncomeRate
+      : taxes.qualifiedDividendRate;
+  return {
+    distribution,
+    drag: taxes.accountType === "TAXABLE" ? (distribution * rate) / 100 : 0,
+  };
+};
+
+/**
+ * Yearly distributions and the tax on them, both as a share of the value,
+ * for an asset or a portfolio (blended by its target weights). The drag is
+ * zero outside taxable accounts.
+ */
+export const getTaxProfile = (name, { assets, portfolios, taxes }) => {
+  const settings = { ...defaultTaxes, ...taxes };
+  if (assets[name]) {
+    return assets[name].isBaseline
+      ? { distribution: 0, drag: 0 }
+      : assetProfile(assets[name], settings);
+  }
+  const portfolio = (portfolios || []).find((p) => p.name === name);
+  const profile = { distribution: 0, drag: 0 };
+  if (!portfolio) return profile;
+  Object.entries(normalizeWeights(portfolio.weights, assets)).forEach(
+    ([assetName, weight]) => {
+      const { distribution, drag } = assetProfile(assets[assetName], settings);
+      profile.distribution += weight * distribution;
+      profile.drag += weight * drag;
+    }
+  );
+  return profile;
+};
+
+/**
+ * Takes the yearly tax on distributions out of each asset's path in a
+ * taxable account: every year's growth factor loses `drag` (spread evenly
+ * over monthly steps). Other accounts get the path back unchanged.
+ */
+export const applyIncomeTaxes = (path, input) => {
+  const { assets, taxes } = input;
+  if (!taxes || taxes.accountType !== "TAXABLE") return path;
+  const stepsPerYear = getStepsPerYear(input);
+  const data = path.map((row) => ({ ...row }));
+  Object.entries(assets).forEach(([name, asset]) => {
+    if (asset.isBaseline) return;
+    const stepDrag = getTaxProfile(name, input).drag / stepsPerYear;
+    for (let y = 1; y < path.length; y++) {
+      const growth = path[y - 1][name] > 0 ? path[y][name] / path[y - 1][name] : 0;
+      data[y][name] = parseFloat(
+        Math.max(0, data[y - 1][name] * (growth - stepDrag)).toFixed(2)
+      );
+    }
+  });
+  return data;
+};
+
+/**
+ * Adds `annualTaxDrag` (percentage points of return lost each year to tax
+ * on distributions), `taxesPaid` (taxes during the horizon: on
+ * distributions, or on withdrawals from a tax-deferred account),
+ * `liquidationTax` (due if everything is sold at the end) and
+ * `afterTaxEndingValue` to each series' metrics.
+ *
+ * `data` holds the values in today's dollars after yearly taxes (and cash
+ * flows, whose actual amounts are in `ledger`). Taxes are worked out in
+ * nominal dollars using `input.priceIndex`, so gains that only keep up with
+ * inflation are taxed too, and reported in the unit of `input.valueMode`.
+ * The cost basis starts at the initial amount, grows with contributions and
+ * reinvested after-tax distributions and shrinks in proportion to
+ * withdrawals. Losses are not credited.
+ */
+export const withTaxMetrics = (metrics, data, ledger, input) => {
+  const { years, initialAmount, valueMode } = input;
+  const stepsPerYear = getStepsPerYear(input);
+  const steps = data.length - 1;
+  const priceIndex = input.priceIndex || Array(years + 1).fill(1);
+  const taxes = { ...defaultTaxes, ...input.taxes };
+  const toView = (amount, time) =>
+    valueMode === "NOMINAL" ? amount : amount / priceLevelAt(priceIndex, time);
+  const withTaxes = {};
+
+  Object.entries(metrics).forEach(([name, values]) => {
+    const { distribution, drag } = getTaxProfile(name, input);
+    let basis = initialAmount;
+    let taxesPaid = 0;
+    for (let step = 1; step <= steps; step++) {
+      const start =
+        data[step - 1][name] * priceLevelAt(priceIndex, (step - 1) / stepsPerYear);
+      taxesPaid += toView((start * drag) / stepsPerYear, step / stepsPerYear);
+      basis += (start * (distribution - drag)) / stepsPerYear;
+      const entry = ledger?.[name][step - 1];
+      if (entry) {
+        basis += entry.contribution * priceLevelAt(priceIndex, entry.contributionTime);
+        if (entry.withdrawal > 0) {
+          const beforeWithdrawal = data[step][name] + entry.withdrawal;
+          basis *= beforeWithdrawal > 0 ? data[step][name] / beforeWithdrawal : 0;
+          if (taxes.accountType === "TAX_DEFERRED") {
+            const time = entry.withdrawalTime;
+            const withdrawal = entry.withdrawal * priceLevelAt(priceIndex, time);
+            taxesPaid += toView((withdrawal * taxes.ordinaryIncomeRate) / 100, time);
+          }
+        }
+      }
+    }
+
+    const endingValue = data[steps][name] * priceIndex[years];
+    let liquidationTax = 0;
+    if (taxes.accountType === "TAXABLE") {
+      liquidationTax = (Math.max(0, endingValue - basis) * taxes.capitalGainsRate) / 100;
+    } else if (taxes.accountType === "TAX_DEFERRED") {
+      liquidationTax = (endingValue * taxes.ordinaryIncomeRate) / 100;
+    }
+
+    withTaxes[name] = {
+      ...values,
+      annualTaxDrag: parseFloat((drag * 100).toFixed(2)),
+      taxesPaid: parseFloat(taxesPaid.toFixed(2)),
+      liquidationTax: parseFloat(toView(liquidationTax, years).toFixed(2)),
+      afterTaxEndingValue: parseFloat(
+        toView(endingValue - liquidationTax, years).toFixed(2)
+      ),
+    };
+  });
+  return withTaxes;
+};
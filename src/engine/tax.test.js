@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import { getTaxProfile, defaultTaxes } from "./tax";
+import { runSimulation } from "./simulation";
+import { runMonteCarlo } from "./monteCarlo";
+import { defaultAssets, defaultParameters } from "./presets";
+import { defaultPortfolio } from "./portfolio";
+
+const BIL = "BIL (Short-Term Treasuries)";
+const VUG = "VUG (Large-Cap Growth)";
+const input = { ...defaultParameters, assets: defaultAssets, years: 1 };
+const taxable = { ...defaultTaxes, accountType: "TAXABLE" };
+const deferred = { ...defaultTaxes, accountType: "TAX_DEFERRED" };
+
+describe("tax-free accounts", () => {
+  it("leave the results untouched", () => {
+    const { taxes, ...withoutTaxes } = input;
+    expect(taxes.accountType).toBe("TAX_FREE");
+    expect(runSimulation(input)).toEqual(runSimulation(withoutTaxes));
+    expect(runSimulation(input).metrics[BIL]).not.toHaveProperty("liquidationTax");
+  });
+});
+
+describe("taxable accounts", () => {
+  it("take the tax on distributions out of every year's growth", () => {
+    const pre = runSimulation(input);
+    const { data, metrics } = runSimulation({ ...input, taxes: taxable });
+    // BIL pays its 3% as ordinary income taxed at 24%.
+    expect(data[1][BIL]).toBeCloseTo(pre.data[1][BIL] - 100000 * 0.03 * 0.24, 1);
+    expect(metrics[BIL].annualTaxDrag).toBe(0.72);
+    // Paid at the end of the year, reported in today's dollars.
+    expect(metrics[BIL].taxesPaid).toBeCloseTo(720 / 1.025, 1);
+  });
+
+  it("tax nominal gains over the cost basis when sold", () => {
+    const { data, metrics } = runSimulation({
+      ...input,
+      taxes: taxable,
+      valueMode: "NOMINAL",
+    });
+    const reinvested = 100000 * 0.006 * (1 - 0.15);
+    const gain = data[1][VUG] - (100000 + reinvested);
+    expect(metrics[VUG].liquidationTax).toBeCloseTo(gain * 0.15, 1);
+    expect(metrics[VUG].afterTaxEndingValue).toBeCloseTo(
+      data[1][VUG] - gain * 0.15,
+      1
+    );
+
+    const real = runSimulation({ ...input, taxes: taxable });
+    expect(real.metrics[VUG].liquidationTax).toBeCloseTo(
+      (gain * 0.15) / 1.025,
+      1
+    );
+  });
+
+  it("do not tax losses", () => {
+    const { metrics } = runSimulation({
+      ...input,
+      taxes: taxable,
+      enableRisk: true,
+      crisisEvents: [
+        { year: 1, crisisType: "RISK_OFF", drawdown: 40, recoveryType: "L_SHAPED", recoveryYears: 1 },
+      ],
+    });
+    expect(metrics[VUG].liquidationTax).toBe(0);
+  });
+
+  it("blend the drag of a portfolio's holdings", () => {
+    const profile = getTaxProfile(defaultPortfolio.name, {
+      assets: defaultAssets,
+      portfolios: [defaultPortfolio],
+      taxes: taxable,
+    });
+    // 60% SWPPX (1.5% qualified), 30% BIL (3% ordinary), 10% KMLM (1% ordinary).
+    expect(profile.drag).toBeCloseTo(
+      0.6 * 0.015 * 0.15 + 0.3 * 0.03 * 0.24 + 0.1 * 0.01 * 0.24,
+      10
+    );
+  });
+});
+
+describe("tax-deferred accounts", () => {
+  it("tax the whole balance as ordinary income on liquidation", () => {
+    const pre = runSimulation(input);
+    const { data, metrics } = runSimulation({ ...input, taxes: deferred });
+    expect(data).toEqual(pre.data);
+    expect(metrics[VUG].annualTaxDrag).toBe(0);
+    expect(metrics[VUG].afterTaxEndingValue).toBeCloseTo(data[1][VUG] * 0.76, 1);
+  });
+
+  it("tax withdrawals as ordinary income", () => {
+    const { metrics } = runSimulation({
+      ...input,
+      years: 3,
+      taxes: deferred,
+      cashFlows: {
+        ...defaultParameters.cashFlows,
+        withdrawalRule: "INFLATION_INDEXED",
+        withdrawalAmount: 5000,
+      },
+    });
+    expect(metrics[BIL].totalWithdrawals).toBe(15000);
+    expect(metrics[BIL].taxesPaid).toBe(3600);
+  });
+});
+
+describe("taxes in Monte Carlo", () => {
+  it("report the median after-tax ending value", () => {
+    const { metrics } = runMonteCarlo({
+      ...input,
+      years: 5,
+      taxes: taxable,
+      enableVolatility: true,
+      monteCarloPaths: 50,
+    });
+    expect(metrics[VUG].medianAfterTaxEndingValue).toBeLessThan(
+      metrics[VUG].medianEndingValue
+    );
+  });
+});
@@ -0,0 +1,41 @@
+export const timeSteps = {
+  ANNUAL: "Annual",
+  MONTHLY: "Monthly",
+};
+
+/**
+ * Simulation steps per year: 12 for monthly runs, 1 otherwise. Backtests
+ * always run yearly because the bundled history is annual.
+ */
+export const getStepsPerYear = ({ timeStep, enableBacktest }) =>
+  timeStep === "MONTHLY" && !enableBacktest ? 12 : 1;
+
+/**
+ * Index of the last row of a run (the number of steps).
+ */
+export const getStepCount = (input) => input.years * getStepsPerYear(input);
+
+const parseStartDate = (startDate) => {
+  const match = /^(\d{4})-(\d{2})/.exec(startDate || "");
+  if (!match) return null;
+  const month = Number(match[2]);
+  return month >= 1 && month <= 12 ? { year: Number(match[1]), month } : null;
+};
+
+/**
+ * Row labels for steps 0..n. With a `startDate` ("YYYY-MM") each row is
+ * labelled with its calendar month ("2025-07"); otherwise rows are counted
+ * from the start ("Year 3", or "Month 30" for monthly runs).
+ */
+export const buildPeriodLabels = (input) => {
+  const stepsPerYear = getStepsPerYear(input);
+  const start = parseStartDate(input.startDate);
+  const monthsPerStep = 12 / stepsPerYear;
+  return Array.from({ length: getStepCount(input) + 1 }, (_, step) => {
+    if (!start) {
+      return stepsPerYear === 1 ? `Year ${step}` : `Month ${step}`;
+    }
+    const months = start.year * 12 + start.month - 1 + step * monthsPerStep;
+    return `${Math.floor(months / 12)}-${String((months % 12) + 1).padStart(2, "0")}`;
+  });
+};
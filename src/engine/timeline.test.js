@@ -0,0 +1,35 @@
+import { describe, it, expect } from "vitest";
+import { buildPeriodLabels, getStepCount, getStepsPerYear } from "./timeline";
+
+describe("getStepsPerYear", () => {
+  it("uses monthly steps except in backtests", () => {
+    expect(getStepsPerYear({ timeStep: "ANNUAL" })).toBe(1);
+    expect(getStepsPerYear({ timeStep: "MONTHLY" })).toBe(12);
+    expect(getStepsPerYear({ timeStep: "MONTHLY", enableBacktest: true })).toBe(1);
+    expect(getStepCount({ timeStep: "MONTHLY", years: 5 })).toBe(60);
+  });
+});
+
+describe("buildPeriodLabels", () => {
+  it("counts periods from the start without a start date", () => {
+    expect(buildPeriodLabels({ years: 2 })).toEqual(["Year 0", "Year 1", "Year 2"]);
+    const monthly = buildPeriodLabels({ years: 2, timeStep: "MONTHLY" });
+    expect(monthly).toHaveLength(25);
+    expect(monthly[24]).toBe("Month 24");
+  });
+
+  it("labels rows with calendar months from the start date", () => {
+    const monthly = buildPeriodLabels({ years: 1, timeStep: "MONTHLY", startDate: "2025-11" });
+    expect(monthly.slice(0, 3)).toEqual(["2025-11", "2025-12", "2026-01"]);
+    expect(monthly[12]).toBe("2026-11");
+    expect(buildPeriodLabels({ years: 2, startDate: "2025-11" })).toEqual([
+      "2025-11",
+      "2026-11",
+      "2027-11",
+    ]);
+  });
+
+  it("ignores malformed start dates", () => {
+    expect(buildPeriodLabels({ years: 1, startDate: "2025-13" })).toEqual(["Year 0", "Year 1"]);
+  });
+});
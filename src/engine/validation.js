@@ -0,0 +1,147 @@
+/**
+ * Allowed values of the numeric asset fields. Values outside these ranges
+ * either break the model (a negative volatility, a loss of more than 100%)
+ * or are almost certainly typos.
+ */
+export const assetFieldLimits = {
+  return: { label: "Return", min: -50, max: 50 },
+  yield: { label: "Yield", min: 0, max: 50 },
+  volatility: { label: "Volatility", min: 0, max: 2 },
+  drawdownImpact: { label: "Drawdown impact", min: 0, max: 2 },
+  crisisSensitivity: { label: "Crisis sensitivity", min: -2, max: 2 },
+  gainRetention: { label: "Gain kept", min: 0, max: 100 },
+};
+
+/**
+ * Allowed values of the numeric global parameters that are typed in rather
+ * than picked on a slider, and of those that break the math when out of
+ * range (fees of 100% or more, a zero seed, no years).
+ */
+export const parameterLimits = {
+  initialAmount: { label: "Initial investment", min: 1, max: 1e12 },
+  years: { label: "Years", min: 1, max: 30, integer: true },
+  annualFees: { label: "Annual fees", min: 0, max: 10 },
+  inflationRate: { label: "Inflation rate", min: -10, max: 50 },
+  volatilityLevel: { label: "Volatility level", min: 0, max: 5 },
+  randomSeedBase: { label: "Random seed", min: 1, max: 2147483646, integer: true },
+  monteCarloPaths: { label: "Monte Carlo paths", min: 1, max: 10000, integer: true },
+  bootstrapBlockLength: { label: "Block length", min: 1, max: 30, integer: true },
+  goalAmount: { label: "Goal amount", min: 1, max: 1e12 },
+  goalYear: { label: "Goal year", min: 1, max: 30, integer: true },
+};
+
+/**
+ * Error message for a number field with `limits`, or null when `value` is
+ * fine.
+ */
+export const validateNumber = (value, { label, min, max, integer }) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return `${label} must be a number.`;
+  }
+  if (integer && !Number.isInteger(value)) return `${label} must be a whole number.`;
+  if (value < min) return `${label} must be at least ${min}.`;
+  if (value > max) return `${label} must be at most ${max}.`;
+  return null;
+};
+
+/**
+ * Names no asset or portfolio may take: every row of the results keys its
+ * label under "year", and assigning "__proto__" as a key sets the object's
+ * prototype instead of adding a series.
+ */
+export const reservedSeriesNames = ["year", "__proto__"];
+
+const reservedNameError = (name) => {
+  if (name === "year") return `"${name}" is reserved for the row labels.`;
+  return reservedSeriesNames.includes(name) ? `"${name}" cannot be used as a name.` : null;
+};
+
+/**
+ * Error message for renaming the asset `currentName` (null for a new asset)
+ * to `name`, or null when the name is free. Names are shared with the
+ * portfolios, which are plotted as series next to the assets.
+ */
+export const validateAssetName = (name, assets, currentName = null, portfolios = []) => {
+  const trimmed = name.trim();
+  if (!trimmed) return "Name cannot be empty.";
+  if (reservedNameError(trimmed)) return reservedNameError(trimmed);
+  if (trimmed === currentName) return null;
+  if (Object.hasOwn(assets, trimmed)) return `"${trimmed}" is already used by another asset.`;
+  if (portfolios.some((portfolio) => portfolio.name === trimmed)) {
+    return `"${trimmed}" is already used by a portfolio.`;
+  }
+  return null;
+};
+
+/**
+ * Error message for renaming the portfolio `currentName` to `name`, or null
+ * when no asset or other portfolio uses it.
+ */
+export const validatePortfolioName = (name, assets, portfolios, currentName = null) => {
+  const trimmed = name.trim();
+  if (!trimmed) return "Name cannot be empty.";
+  if (reservedNameError(trimmed)) return reservedNameError(trimmed);
+  if (trimmed === currentName) return null;
+  if (Object.hasOwn(assets, trimmed)) return `"${trimmed}" is already used by an asset.`;
+  if (portfolios.some((portfolio) => portfolio.name === trimmed)) {
+    return `"${trimmed}" is already used by another portfolio.`;
+  }
+  return null;
+};
+
+/**
+ * Splits assets added from the catalog or an imported library (keyed by
+ * name) into the `accepted` ones and the `rejected` messages of those whose
+ * names are taken (see `validateAssetName`). Names in `replaceable` may
+ * replace the asset of the same name, as the catalog's Reset does.
+ */
+export const checkAddedAssets = (added, assets, portfolios = [], replaceable = []) => {
+  const accepted = {};
+  const rejected = [];
+  Object.entries(added).forEach(([name, asset]) => {
+    const error = validateAssetName(
+      name,
+      { ...assets, ...accepted },
+      replaceable.includes(name) ? name : null,
+      portfolios
+    );
+    if (error) {
+      rejected.push(error);
+    } else {
+      accepted[name] = asset;
+    }
+  });
+  return { accepted, rejected };
+};
+
+/**
+ * Per-field errors of a simulation input: `parameters` maps parameter keys
+ * and `assets` maps asset names to `{ field: message }`. `valid` is true
+ * when there are none. Baseline assets are not checked.
+ */
+export const validateInput = (input) => {
+  const parameters = {};
+  Object.entries(parameterLimits).forEach(([key, limits]) => {
+    if (input[key] === undefined) return;
+    const error = validateNumber(input[key], limits);
+    if (error) parameters[key] = error;
+  });
+  const assets = {};
+  Object.entries(input.assets || {}).forEach(([name, asset]) => {
+    if (asset.isBaseline) return;
+    const errors = {};
+    if (!name.trim()) errors.name = "Name cannot be empty.";
+    if (reservedNameError(name.trim())) errors.name = reservedNameError(name.trim());
+    Object.entries(assetFieldLimits).forEach(([field, limits]) => {
+      if (asset[field] === undefined) return;
+      const error = validateNumber(asset[field], limits);
+      if (error) errors[field] = error;
+    });
+    if (Object.keys(errors).length > 0) assets[name] = errors;
+  });
+  return {
+    valid: Object.keys(parameters).length === 0 && Object.keys(assets).length === 0,
+    parameters,
+    assets,
+  };
+};
@@ -0,0 +1,136 @@
+import { describe, it, expect } from "vitest";
+import {
+  assetFieldLimits,
+  checkAddedAssets,
+  parameterLimits,
+  validateAssetName,
+  validateInput,
+  validateNumber,
+  validatePortfolioName,
+} from "./validation";
+import { defaultAssets, defaultParameters, scenarioPresets } from "./presets";
+import { defaultPortfolio } from "./portfolio";
+
+const SPX = "SWPPX/SPX (S&P 500)";
+const baseInput = { ...defaultParameters, assets: defaultAssets };
+
+describe("validateNumber", () => {
+  it("names the field and the broken limit", () => {
+    expect(validateNumber(0.2, assetFieldLimits.volatility)).toBeNull();
+    expect(validateNumber(-0.1, assetFieldLimits.volatility)).toBe(
+      "Volatility must be at least 0."
+    );
+    expect(validateNumber(60, assetFieldLimits.return)).toBe("Return must be at most 50.");
+    expect(validateNumber(NaN, parameterLimits.initialAmount)).toBe(
+      "Initial investment must be a number."
+    );
+    expect(validateNumber("5", parameterLimits.years)).toBe("Years must be a number.");
+    expect(validateNumber(2.5, parameterLimits.years)).toBe("Years must be a whole number.");
+  });
+});
+
+describe("validateAssetName", () => {
+  it("rejects empty names and names taken by assets or portfolios", () => {
+    expect(validateAssetName("  ", defaultAssets, SPX)).toBe("Name cannot be empty.");
+    expect(validateAssetName("PFF (Preferred Stocks)", defaultAssets, SPX)).toBe(
+      '"PFF (Preferred Stocks)" is already used by another asset.'
+    );
+    expect(
+      validateAssetName(defaultPortfolio.name, defaultAssets, SPX, [defaultPortfolio])
+    ).toBe(`"${defaultPortfolio.name}" is already used by a portfolio.`);
+  });
+
+  it("accepts a free name and keeping the current one", () => {
+    expect(validateAssetName("S&P 500", defaultAssets, SPX)).toBeNull();
+    expect(validateAssetName(` ${SPX} `, defaultAssets, SPX)).toBeNull();
+    expect(validateAssetName(SPX, defaultAssets)).not.toBeNull();
+  });
+
+  it("accepts names of object properties and reserves the row key", () => {
+    expect(validateAssetName("constructor", defaultAssets)).toBeNull();
+    expect(validateAssetName("toString", defaultAssets)).toBeNull();
+    expect(validateAssetName("year", defaultAssets, SPX)).toBe(
+      '"year" is reserved for the row labels.'
+    );
+    expect(validateAssetName("__proto__", defaultAssets, SPX)).toBe(
+      '"__proto__" cannot be used as a name.'
+    );
+  });
+});
+
+describe("checkAddedAssets", () => {
+  it("keeps free names and reports the ones taken", () => {
+    const gold = { ...defaultAssets[SPX] };
+    const { accepted, rejected } = checkAddedAssets(
+      { Gold: gold, [SPX]: gold, [defaultPortfolio.name]: gold, year: gold },
+      defaultAssets,
+      [defaultPortfolio]
+    );
+    expect(accepted).toEqual({ Gold: gold });
+    expect(rejected).toEqual([
+      `"${SPX}" is already used by another asset.`,
+      `"${defaultPortfolio.name}" is already used by a portfolio.`,
+      '"year" is reserved for the row labels.',
+    ]);
+  });
+
+  it("lets the catalog reset an asset of the same name", () => {
+    const { accepted, rejected } = checkAddedAssets({ [SPX]: {} }, defaultAssets, [], [SPX]);
+    expect(accepted).toEqual({ [SPX]: {} });
+    expect(rejected).toEqual([]);
+  });
+});
+
+describe("validatePortfolioName", () => {
+  it("rejects empty names and names taken by assets or other portfolios", () => {
+    const other = { ...defaultPortfolio, id: 2, name: "Growth" };
+    const portfolios = [defaultPortfolio, other];
+    const current = defaultPortfolio.name;
+    expect(validatePortfolioName("", defaultAssets, portfolios, current)).toBe(
+      "Name cannot be empty."
+    );
+    expect(validatePortfolioName(SPX, defaultAssets, portfolios, current)).toBe(
+      `"${SPX}" is already used by an asset.`
+    );
+    expect(validatePortfolioName("Growth ", defaultAssets, portfolios, current)).toBe(
+      '"Growth" is already used by another portfolio.'
+    );
+    expect(validatePortfolioName(current, defaultAssets, portfolios, current)).toBeNull();
+    expect(validatePortfolioName("Income", defaultAssets, portfolios, current)).toBeNull();
+    expect(validatePortfolioName("year", defaultAssets, portfolios, current)).toBe(
+      '"year" is reserved for the row labels.'
+    );
+  });
+});
+
+describe("validateInput", () => {
+  it("accepts the defaults and every preset", () => {
+    expect(validateInput(baseInput).valid).toBe(true);
+    Object.values(scenarioPresets).forEach((preset) => {
+      expect(validateInput({ ...baseInput, ...preset }).valid).toBe(true);
+    });
+  });
+
+  it("reports errors per parameter and per asset field", () => {
+    const result = validateInput({
+      ...baseInput,
+      years: 0,
+      annualFees: 100,
+      assets: {
+        ...defaultAssets,
+        [SPX]: { ...defaultAssets[SPX], volatility: -1, drawdownImpact: 3 },
+      },
+    });
+    expect(result.valid).toBe(false);
+    expect(result.parameters).toEqual({
+      years: "Years must be at least 1.",
+      annualFees: "Annual fees must be at most 10.",
+    });
+    expect(result.assets).toEqual({
+      [SPX]: {
+        volatility: "Volatility must be at least 0.",
+        drawdownImpact: "Drawdown impact must be at most 2.",
+      },
+    });
+  });
+});
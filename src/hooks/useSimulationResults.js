@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { runScenario } from "../engine/results";
+
+const DEBOUNCE_MS = 250;
+
+const createWorker = () =>
+  new Worker(new URL("../engine/simulation.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+// Before the first run completes there are no results to show.
+const pendingResults = {
+  scenarioData: null,
+  modelData: null,
+  monteCarloData: null,
+  riskData: null,
+  retirementData: null,
+  goalData: null,
+  sensitivityData: null,
+};
+
+/**
+ * Results of `runScenario` for the current scenario, computed in a Web
+ * Worker (or, without Web Worker support, after a timeout on the UI
+ * thread). Changes are debounced; a change while a run is in flight
+ * terminates that run. The results of the last completed run (and the
+ * `resultScenario` they belong to) are kept until the new one arrives. The
+ * first scenario goes to the worker like any other, right away: until it
+ * completes every result is null and `resultScenario` is the scenario being
+ * computed.
+ */
+export const useSimulationResults = (scenario) => {
+  const [results, setResults] = useState(() => ({
+    ...pendingResults,
+    resultScenario: scenario,
+  }));
+  const [running, setRunning] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const workerRef = useRef(null);
+  const jobRef = useRef(0);
+  const completedRef = useRef(null);
+
+  const stopWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    jobRef.current += 1;
+    stopWorker();
+    setRunning(false);
+    setProgress(null);
+    setCancelled(true);
+  }, [stopWorker]);
+
+  useEffect(() => {
+    if (scenario === completedRef.current) return undefined;
+    const job = ++jobRef.current;
+    // Whatever is still computing belongs to an older scenario.
+    stopWorker();
+    setRunning(true);
+    setProgress(null);
+    setCancelled(false);
+
+    const finish = (next) => {
+      completedRef.current = scenario;
+      setResults({ ...next, resultScenario: scenario });
+      setError(null);
+      setRunning(false);
+    };
+    const fail = (message) => {
+      setError(message);
+      setRunning(false);
+    };
+
+    const isFirstRun = completedRef.current === null;
+    const timer = setTimeout(() => {
+      if (job !== jobRef.current) return;
+      if (typeof Worker === "undefined") {
+        try {
+          finish(runScenario(scenario));
+        } catch (e) {
+          fail(e.message);
+        }
+        return;
+      }
+      const worker = createWorker();
+      workerRef.current = worker;
+      worker.onmessage = ({ data }) => {
+        if (data.id !== job || job !== jobRef.current) return;
+        if (data.type === "progress") {
+          setProgress(data.progress);
+          return;
+        }
+        stopWorker();
+        if (data.type === "result") {
+          finish(data.results);
+        } else {
+          fail(data.message);
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        if (job !== jobRef.current) return;
+        stopWorker();
+        fail(event.message || "The simulation failed.");
+      };
+      worker.postMessage({ id: job, scenario });
+    }, isFirstRun ? 0 : DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [scenario, stopWorker]);
+
+  useEffect(() => stopWorker, [stopWorker]);
+
+  return { ...results, running, progress, error, cancelled, cancel };
+};
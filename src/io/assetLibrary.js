@@ -0,0 +1,253 @@
+import { assetClasses } from "../engine/crisis";
+import { returnModelParameters } from "../engine/returnModels";
+import { assetFieldLimits, reservedSeriesNames } from "../engine/validation";
+import { parseCsv, toCsv } from "./csv";
+
+/**
+ * Asset libraries are lists of asset definitions a team can share, as JSON
+ *
+ *   { format: "financial-sim-asset-library", version: 1, assets: [{ name, ...asset }] }
+ *
+ * (a bare array of assets is read too) or as CSV with one row per asset and
+ * a column per field. Nested fields get one column per key, e.g.
+ * "crisisResponses.RISK_OFF" or "modelParameters.bearReturn".
+ */
+export const ASSET_LIBRARY_FORMAT = "financial-sim-asset-library";
+export const ASSET_LIBRARY_FORMAT_VERSION = 1;
+
+const DEFAULT_COLOR = "#999999";
+
+const number = (min, max, required = false) => ({ type: "number", min, max, required });
+
+const limited = (field, required = false) =>
+  number(assetFieldLimits[field].min, assetFieldLimits[field].max, required);
+
+// Every field an imported asset may have, with its allowed range or values.
+const assetFields = {
+  return: limited("return", true),
+  volatility: limited("volatility", true),
+  drawdownImpact: limited("drawdownImpact", true),
+  crisisSensitivity: limited("crisisSensitivity", true),
+  yield: limited("yield"),
+  taxTreatment: { type: "string", values: ["QUALIFIED", "ORDINARY"] },
+  assetClass: { type: "string", values: Object.keys(assetClasses) },
+  ticker: { type: "string" },
+  gainRetention: limited("gainRetention"),
+  color: { type: "string", pattern: /^#[0-9a-f]{6}$/i, hint: "a hex color like #1f77b4" },
+  isBaseline: { type: "boolean" },
+};
+
+const modelFields = {};
+Object.values(returnModelParameters).forEach((parameters) =>
+  Object.entries(parameters).forEach(([field, { min, max }]) => {
+    modelFields[field] = number(min, max);
+  })
+);
+
+const nestedFields = {
+  crisisResponses: () => limited("crisisSensitivity"),
+  modelParameters: (key) => modelFields[key],
+};
+
+const csvColumns = [
+  "name",
+  ...Object.keys(assetFields).filter((field) => field !== "isBaseline"),
+];
+
+// Problem with `value` for `spec`, or null when it is fine.
+const checkValue = (value, spec) => {
+  if (spec.type === "number") {
+    if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+    if (value < spec.min || value > spec.max) {
+      return `must be from ${spec.min} to ${spec.max}`;
+    }
+    return null;
+  }
+  if (typeof value !== spec.type) return `must be a ${spec.type}`;
+  if (spec.values && !spec.values.includes(value)) {
+    return `must be one of ${spec.values.join(", ")}`;
+  }
+  if (spec.pattern && !spec.pattern.test(value)) return `must be ${spec.hint}`;
+  return null;
+};
+
+// Problems of one asset definition, as "field must ..." phrases.
+const checkAsset = (definition) => {
+  const problems = [];
+  Object.entries(assetFields).forEach(([field, spec]) => {
+    if (definition[field] === undefined) {
+      if (spec.required) problems.push(`${field} is missing`);
+      return;
+    }
+    const problem = checkValue(definition[field], spec);
+    if (problem) problems.push(`${field} ${problem}`);
+  });
+  if (definition.isBaseline === true) {
+    problems.push("baseline assets cannot be imported");
+  }
+  Object.entries(nestedFields).forEach(([field, specFor]) => {
+    const values = definition[field];
+    if (values === undefined) return;
+    if (!values || typeof values !== "object" || Array.isArray(values)) {
+      problems.push(`${field} must be an object`);
+      return;
+    }
+    Object.entries(values).forEach(([key, value]) => {
+      const spec = specFor(key);
+      const problem = spec ? checkValue(value, spec) : "is not a known parameter";
+      if (problem) problems.push(`${field}.${key} ${problem}`);
+    });
+  });
+  Object.keys(definition).forEach((field) => {
+    if (field !== "name" && !(field in assetFields) && !(field in nestedFields)) {
+      problems.push(`${field} is not a known field`);
+    }
+  });
+  return problems;
+};
+
+/**
+ * Validates asset definitions (objects with a `name` and the asset fields)
+ * and returns them keyed by name. Every bad entry is reported, labelled by
+ * `describe(index)` ("Row 3", "Asset 2"...); throws an Error listing them.
+ */
+const toAssets = (definitions, describe) => {
+  const errors = [];
+  const assets = {};
+  definitions.forEach((definition, index) => {
+    const label = describe(index);
+    if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+      errors.push(`${label}: must be an object with the asset's fields.`);
+      return;
+    }
+    const { name, ...asset } = definition;
+    const title = typeof name === "string" && name.trim() ? `${label} ("${name.trim()}")` : label;
+    const problems = checkAsset(asset);
+    if (typeof name !== "string" || !name.trim()) {
+      problems.unshift("name is missing");
+    } else if (reservedSeriesNames.includes(name.trim())) {
+      problems.unshift(`name "${name.trim()}" is reserved`);
+    } else if (Object.hasOwn(assets, name.trim())) {
+      problems.unshift("name is used by an earlier asset");
+    }
+    if (problems.length > 0) {
+      errors.push(`${title}: ${problems.join("; ")}.`);
+      return;
+    }
+    assets[name.trim()] = { color: DEFAULT_COLOR, ...asset, isBaseline: false };
+  });
+  if (errors.length > 0) {
+    throw new Error(["Invalid asset library:", ...errors].join("\n"));
+  }
+  if (Object.keys(assets).length === 0) {
+    throw new Error("Invalid asset library: it has no assets.");
+  }
+  return assets;
+};
+
+// Reads one CSV cell: numbers for number fields, booleans for isBaseline,
+// the text otherwise. Empty cells are left out.
+const readCell = (column, text) => {
+  const value = text.trim();
+  if (value === "") return undefined;
+  const [field, key] = column.split(".");
+  const spec = key ? nestedFields[field]?.(key) : assetFields[field];
+  if (spec?.type === "number") {
+    const parsed = Number(value);
+    return Number.isNaN(parsed) ? value : parsed;
+  }
+  if (spec?.type === "boolean") return value.toLowerCase() === "true";
+  return value;
+};
+
+const csvToDefinitions = (text) => {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header || !header.map((cell) => cell.trim()).includes("name")) {
+    throw new Error('Invalid asset library: the CSV needs a header row with a "name" column.');
+  }
+  const columns = header.map((cell) => cell.trim());
+  return rows.map((cells) => {
+    const definition = {};
+    columns.forEach((column, index) => {
+      const value = readCell(column, cells[index] ?? "");
+      if (value === undefined) return;
+      const [field, key] = column.split(".");
+      if (key && field in nestedFields) {
+        definition[field] = { ...definition[field], [key]: value };
+      } else {
+        definition[column] = value;
+      }
+    });
+    return definition;
+  });
+};
+
+/**
+ * Reads an asset library from the text of a JSON or CSV file (`fileName`
+ * picks the parser, otherwise text starting with `{` or `[` is JSON).
+ * Returns the assets keyed by name. Throws an Error with a user-facing
+ * message naming every bad row otherwise.
+ */
+export const parseAssetLibrary = (text, fileName = "") => {
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[[{]/.test(text));
+  if (!isJson) {
+    // Spreadsheet rows are numbered from the header (row 1).
+    return toAssets(csvToDefinitions(text), (index) => `Row ${index + 2}`);
+  }
+  let library;
+  try {
+    library = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Invalid asset library: the file is not valid JSON.");
+  }
+  if (!Array.isArray(library)) {
+    if (!library || library.format !== ASSET_LIBRARY_FORMAT || !Array.isArray(library.assets)) {
+      throw new Error("Invalid asset library: this is not an asset library file.");
+    }
+    if (library.version > ASSET_LIBRARY_FORMAT_VERSION) {
+      throw new Error(
+        `Invalid asset library: format version ${library.version} is newer than this app supports (${ASSET_LIBRARY_FORMAT_VERSION}).`
+      );
+    }
+    library = library.assets;
+  }
+  return toAssets(library, (index) => `Asset ${index + 1}`);
+};
+
+const exported = (assets) =>
+  Object.entries(assets)
+    .filter(([, asset]) => !asset.isBaseline)
+    .map(([name, { isBaseline, ...asset }]) => ({ name, ...asset }));
+
+/**
+ * The non-baseline `assets` as an asset library JSON document.
+ */
+export const serializeAssetLibrary = (assets) => ({
+  format: ASSET_LIBRARY_FORMAT,
+  version: ASSET_LIBRARY_FORMAT_VERSION,
+  assets: exported(assets),
+});
+
+/**
+ * The non-baseline `assets` as CSV, one row per asset.
+ */
+export const assetLibraryToCsv = (assets) => {
+  const definitions = exported(assets);
+  const columns = [...csvColumns];
+  definitions.forEach((definition) =>
+    Object.keys(nestedFields).forEach((field) =>
+      Object.keys(definition[field] || {}).forEach((key) => {
+        if (!columns.includes(`${field}.${key}`)) columns.push(`${field}.${key}`);
+      })
+    )
+  );
+  return toCsv([
+    columns,
+    ...definitions.map((definition) =>
+      columns.map((column) => {
+        const [field, key] = column.split(".");
+        return key ? definition[field]?.[key] : definition[column];
+      })
+    ),
+  ]);
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from "vitest";
+import {
+  assetLibraryToCsv,
+  parseAssetLibrary,
+  serializeAssetLibrary,
+} from "./assetLibrary";
+import { parseCsv } from "./csv";
+import { assetCatalog } from "../engine/assetCatalog";
+import { defaultAssets } from "../engine/presets";
+
+const { "Baseline (No Scenario)": baseline, ...assets } = defaultAssets;
+
+describe("parseCsv", () => {
+  it("reads quoted cells and skips blank lines", () => {
+    expect(parseCsv('name,return\r\n"Gold, bullion",4\n\n"say ""hi""",5')).toEqual([
+      ["name", "return"],
+      ["Gold, bullion", "4"],
+      ['say "hi"', "5"],
+    ]);
+  });
+});
+
+describe("asset libraries", () => {
+  it("round-trips the assets through JSON and CSV without the baseline", () => {
+    const json = JSON.stringify(serializeAssetLibrary(defaultAssets));
+    expect(parseAssetLibrary(json, "team.json")).toEqual(assets);
+    expect(parseAssetLibrary(assetLibraryToCsv(defaultAssets), "team.csv")).toEqual(assets);
+    expect(baseline.isBaseline).toBe(true);
+  });
+
+  it("reads bare arrays and fills in a color", () => {
+    const imported = parseAssetLibrary(
+      '[{ "name": "Gold", "return": 4, "volatility": 0.15, "drawdownImpact": 0.2, "crisisSensitivity": 0.2 }]'
+    );
+    expect(imported.Gold).toMatchObject({ color: "#999999", isBaseline: false });
+  });
+
+  it("names every bad row", () => {
+    const csv = [
+      "name,return,volatility,drawdownImpact,crisisSensitivity,assetClass,modelParameters.bearReturn",
+      "Good,5,0.1,0.5,1,EQUITY,-20",
+      "Bad,five,3,0.5,1,STOCKS,",
+      ",5,0.1,0.5,1,,",
+      "Good,5,0.1,0.5,1,,-90",
+    ].join("\n");
+    let message = "";
+    try {
+      parseAssetLibrary(csv, "bad.csv");
+    } catch (error) {
+      message = error.message;
+    }
+    expect(message.split("\n")).toEqual([
+      "Invalid asset library:",
+      'Row 3 ("Bad"): return must be a number; volatility must be from 0 to 2; assetClass must be one of ' +
+        "EQUITY, GROWTH_EQUITY, DIVIDEND_EQUITY, CREDIT, BONDS, CASH, MANAGED_FUTURES, REAL_ESTATE, COMMODITIES, OTHER.",
+      "Row 4: name is missing.",
+      'Row 5 ("Good"): name is used by an earlier asset; modelParameters.bearReturn must be from -60 to 20.',
+    ]);
+  });
+
+  it("accepts names of object properties and rejects the reserved row key", () => {
+    const gold = '"return": 4, "volatility": 0.15, "drawdownImpact": 0.2, "crisisSensitivity": 0.2';
+    expect(Object.keys(parseAssetLibrary(`[{ "name": "constructor", ${gold} }]`))).toEqual([
+      "constructor",
+    ]);
+    expect(() => parseAssetLibrary(`[{ "name": "year", ${gold} }]`)).toThrow(
+      'Asset 1 ("year"): name "year" is reserved.'
+    );
+  });
+
+  it("rejects files that are not asset libraries", () => {
+    expect(() => parseAssetLibrary("{oops", "a.json")).toThrow("not valid JSON");
+    expect(() => parseAssetLibrary('{"format":"other"}')).toThrow("not an asset library file");
+    expect(() => parseAssetLibrary("ticker,return\nVTI,7", "a.csv")).toThrow('"name" column');
+    expect(() => parseAssetLibrary('[{ "name": "X", "return": 1, "volatility": 0, "drawdownImpact": 0, "crisisSensitivity": 0, "leverage": 2 }]')).toThrow(
+      "leverage is not a known field"
+    );
+  });
+});
+
+describe("assetCatalog", () => {
+  it("only holds valid, uniquely named assets", () => {
+    const library = assetCatalog.map(({ description, ...entry }) => entry);
+    expect(Object.keys(parseAssetLibrary(JSON.stringify(library)))).toHaveLength(assetCatalog.length);
+    assetCatalog.forEach((entry) => expect(entry.description).toBeTruthy());
+  });
+});
@@ -0,0 +1,245 @@
+import { getActiveCrisisEvents, getCrisisType } from "../engine/crisis";
+import { hasCashFlows } from "../engine/cashFlows";
+import { isBootstrapGenerator, returnGenerators } from "../engine/bootstrap";
+import { hasSeedStreams, randomGenerators } from "../engine/random";
+import { isReturnModel } from "../engine/returnModels";
+import { accountTypes, hasTaxes } from "../engine/tax";
+import { formatCurrency } from "../utils/format";
+
+// The disclaimer from the README, stamped on every exported chart.
+export const disclaimer = [
+  "For educational and illustrative purposes only. This is NOT financial advice.",
+  "Past performance does not predict future results. All simulations are hypothetical and do not guarantee any specific returns.",
+  "Market behavior is complex and cannot be fully captured by any simulation. Real investment outcomes may differ significantly from simulated scenarios.",
+  "Always consult with qualified financial professionals for investment advice. Do not make investment decisions based solely on this tool.",
+];
+
+const recoveryLabels = {
+  V_SHAPED: "V",
+  U_SHAPED: "U",
+  L_SHAPED: "L",
+};
+
+const describeRisk = (scenario) => {
+  const events = getActiveCrisisEvents(scenario);
+  return [
+    events.length
+      ? `Crises: ${events
+          .map(
+            (event) =>
+              `${getCrisisType(event.crisisType, scenario.customCrisisTypes).label} in year ${event.year} ` +
+              `(-${event.drawdown}%, ${recoveryLabels[event.recoveryType] || event.recoveryType}-shaped ` +
+              `recovery over ${event.recoveryYears} years)`
+          )
+          .join("; ")}`
+      : "Crises: none",
+    scenario.enableVolatility
+      ? `Volatility ${scenario.volatilityLevel}x, seed ${scenario.randomSeedBase}` +
+        (isBootstrapGenerator(scenario.returnGenerator)
+          ? ` · ${returnGenerators[scenario.returnGenerator].toLowerCase()}` +
+            (scenario.returnGenerator === "BLOCK_BOOTSTRAP"
+              ? ` (${scenario.bootstrapBlockLength}-year blocks)`
+              : "")
+          : "") +
+        (isReturnModel(scenario.returnGenerator)
+          ? ` · ${returnGenerators[scenario.returnGenerator]} returns`
+          : "") +
+        (hasSeedStreams(scenario.randomGenerator)
+          ? ` · ${randomGenerators[scenario.randomGenerator]} streams`
+          : "") +
+        (scenario.enableMonteCarlo
+          ? ` · Monte Carlo with ${scenario.monteCarloPaths} paths (median and 5th–95th percentile bands)`
+          : "")
+      : "Volatility: off",
+  ];
+};
+
+/**
+ * Human-readable lines describing the scenario parameters.
+ */
+export const describeScenario = (scenario) => {
+  const inflation =
+    scenario.inflationModel === "STOCHASTIC" && !scenario.enableBacktest
+      ? `stochastic inflation ${scenario.inflationRate.toFixed(2)}% ± ${scenario.inflationVolatility}%`
+      : `inflation ${scenario.inflationRate.toFixed(2)}%`;
+  const schedule =
+    scenario.timeStep === "MONTHLY" && !scenario.enableBacktest ? " in monthly steps" : "";
+  const start = scenario.startDate && !scenario.enableBacktest ? ` from ${scenario.startDate}` : "";
+  const lines = [
+    `Initial investment ${formatCurrency(scenario.initialAmount)} over ${scenario.years} years${start}${schedule} · ` +
+      `fees ${scenario.annualFees.toFixed(2)}% of assets · ${inflation} · ` +
+      (scenario.valueMode === "NOMINAL" ? "nominal values" : "values in today's dollars"),
+  ];
+
+  if (scenario.enableBacktest) {
+    // History already contains crises and volatility.
+    lines.push(
+      `Historical backtest ${scenario.backtestStartYear}–${scenario.backtestStartYear + scenario.years - 1} ` +
+        "(bundled annual returns, net of actual inflation)"
+    );
+  } else {
+    lines.push(...describeRisk(scenario));
+  }
+
+  if (hasCashFlows(scenario.cashFlows)) {
+    const { cashFlows } = scenario;
+    const parts = [];
+    if (cashFlows.contributionAmount > 0) {
+      parts.push(
+        `contributions ${formatCurrency(cashFlows.contributionAmount)} ` +
+          `${cashFlows.contributionFrequency === "MONTHLY" ? "monthly" : "yearly"}`
+      );
+    }
+    if (cashFlows.withdrawalRule === "FIXED_PERCENT") {
+      parts.push(`withdrawals ${cashFlows.withdrawalPercent}% of the balance`);
+    } else if (cashFlows.withdrawalRule !== "NONE") {
+      parts.push(
+        `withdrawals ${formatCurrency(cashFlows.withdrawalAmount)} ` +
+          `${cashFlows.withdrawalFrequency === "MONTHLY" ? "monthly" : "yearly"}` +
+          (cashFlows.withdrawalRule === "INFLATION_INDEXED" ? ", inflation-indexed" : "")
+      );
+    }
+    lines.push(`Cash flows: ${parts.join(" · ")}`);
+  }
+
+  if (hasTaxes(scenario.taxes)) {
+    const { taxes } = scenario;
+    lines.push(
+      taxes.accountType === "TAXABLE"
+        ? `Taxable account: ordinary income ${taxes.ordinaryIncomeRate}%, qualified dividends ` +
+            `${taxes.qualifiedDividendRate}%, capital gains ${taxes.capitalGainsRate}%`
+        : `${accountTypes[taxes.accountType]} account: ordinary income ${taxes.ordinaryIncomeRate}%`
+    );
+  }
+  return lines;
+};
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Breaks `text` into lines of at most `maxChars` characters at word
+ * boundaries (SVG text does not wrap by itself).
+ */
+export const wrapText = (text, maxChars) => {
+  const lines = [];
+  let line = "";
+  text.split(/\s+/).forEach((word) => {
+    if (line && line.length + word.length + 1 > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+const PADDING = 16;
+const TITLE_SIZE = 20;
+const TEXT_SIZE = 12;
+const SMALL_SIZE = 10;
+const LINE_GAP = 1.4;
+const LEGEND_ROW = 18;
+
+/**
+ * Wraps the chart's SVG markup in a standalone SVG document with the title
+ * and scenario parameters above it, a legend below it (Recharts renders its
+ * legend as HTML, outside the SVG) and the disclaimer at the bottom.
+ *
+ * @param {Object} options
+ * @param {string} options.chartSvg   Outer markup of the chart's `<svg>` element.
+ * @param {number} options.width      Chart width in pixels.
+ * @param {number} options.height     Chart height in pixels.
+ * @param {string} options.title
+ * @param {string[]} options.parameters Lines from `describeScenario`.
+ * @param {{ name: string, color: string, dashed?: boolean }[]} options.legend
+ * @returns {{ svg: string, width: number, height: number }}
+ */
+export const buildStampedSvg = ({
+  chartSvg,
+  width,
+  height,
+  title,
+  parameters,
+  legend,
+}) => {
+  const maxChars = Math.floor((width - 2 * PADDING) / (TEXT_SIZE * 0.55));
+  const smallMaxChars = Math.floor((width - 2 * PADDING) / (SMALL_SIZE * 0.55));
+  const parts = [];
+  let y = PADDING + TITLE_SIZE;
+
+  parts.push(
+    `<text x="${PADDING}" y="${y}" font-size="${TITLE_SIZE}" font-weight="bold">${escapeXml(title)}</text>`
+  );
+  parameters
+    .flatMap((line) => wrapText(line, maxChars))
+    .forEach((line) => {
+      y += TEXT_SIZE * LINE_GAP;
+      parts.push(
+        `<text x="${PADDING}" y="${y}" font-size="${TEXT_SIZE}" fill="#4b5563">${escapeXml(line)}</text>`
+      );
+    });
+
+  y += PADDING;
+  parts.push(`<g transform="translate(0, ${y})">${chartSvg}</g>`);
+  y += height;
+
+  const columns = Math.max(1, Math.floor((width - 2 * PADDING) / 220));
+  legend.forEach((item, index) => {
+    const x = PADDING + (index % columns) * 220;
+    const rowY = y + PADDING + Math.floor(index / columns) * LEGEND_ROW;
+    parts.push(
+      `<line x1="${x}" y1="${rowY - 4}" x2="${x + 24}" y2="${rowY - 4}" stroke="${escapeXml(item.color)}" stroke-width="3"` +
+        `${item.dashed ? ' stroke-dasharray="5 5"' : ""}/>` +
+        `<text x="${x + 30}" y="${rowY}" font-size="${TEXT_SIZE}">${escapeXml(item.name)}</text>`
+    );
+  });
+  y += PADDING + Math.ceil(legend.length / columns) * LEGEND_ROW;
+
+  disclaimer
+    .flatMap((line) => wrapText(line, smallMaxChars))
+    .forEach((line) => {
+      y += SMALL_SIZE * LINE_GAP;
+      parts.push(
+        `<text x="${PADDING}" y="${y}" font-size="${SMALL_SIZE}" fill="#6b7280">${escapeXml(line)}</text>`
+      );
+    });
+  y += PADDING;
+
+  const totalHeight = Math.ceil(y);
+  return {
+    svg:
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" ` +
+      `viewBox="0 0 ${width} ${totalHeight}" font-family="Helvetica, Arial, sans-serif">` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>${parts.join("")}</svg>`,
+    width,
+    height: totalHeight,
+  };
+};
+
+/**
+ * Renders an SVG document to a PNG Blob at `scale` times its size.
+ */
+export const svgToPngBlob = (svg, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("Could not render the chart image."))
+      );
+    };
+    image.onerror = () => reject(new Error("Could not render the chart image."));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
@@ -0,0 +1,62 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildStampedSvg,
+  describeScenario,
+  disclaimer,
+  wrapText,
+} from "./chartImage";
+import { defaultScenario } from "./scenarioFile";
+import { scenarioPresets } from "../engine/presets";
+
+describe("chart image export", () => {
+  it("wraps text at word boundaries", () => {
+    expect(wrapText("one two three four", 9)).toEqual(["one two", "three", "four"]);
+  });
+
+  it("describes the scenario parameters", () => {
+    const lines = describeScenario({
+      ...defaultScenario,
+      ...scenarioPresets["Double Dip"],
+    });
+    expect(lines[0]).toContain("$100,000 over 5 years");
+    expect(lines[0]).toContain("today's dollars");
+    expect(
+      describeScenario({ ...defaultScenario, valueMode: "NOMINAL" })[0]
+    ).toContain("nominal values");
+    expect(
+      describeScenario({ ...defaultScenario, timeStep: "MONTHLY", startDate: "2025-01" })[0]
+    ).toContain("over 5 years from 2025-01 in monthly steps");
+    expect(lines[1]).toMatch(/^Crises: Risk-Off Crisis in year \d/);
+    const custom = describeScenario({
+      ...defaultScenario,
+      ...scenarioPresets["Double Dip"],
+      customCrisisTypes: [{ id: "CUSTOM_1", label: "Energy Shock" }],
+      crisisEvents: [{ ...scenarioPresets["Double Dip"].crisisEvents[0], crisisType: "CUSTOM_1" }],
+    });
+    expect(custom[1]).toMatch(/^Crises: Energy Shock in year \d/);
+    expect(lines[2]).toMatch(/^Volatility /);
+    expect(describeScenario(defaultScenario)).toContain("Crises: none");
+    expect(
+      describeScenario({ ...defaultScenario, enableBacktest: true, backtestStartYear: 2008 })[1]
+    ).toMatch(/^Historical backtest 2008–2012/);
+  });
+
+  it("stamps the title, parameters, legend and disclaimer around the chart", () => {
+    const { svg, width, height } = buildStampedSvg({
+      chartSvg: '<svg class="recharts-surface" width="600" height="300"></svg>',
+      width: 600,
+      height: 300,
+      title: "Growth <A & B>",
+      parameters: ["Initial investment $100,000"],
+      legend: [{ name: "SWPPX", color: "#ff0000", dashed: false }],
+    });
+    expect(width).toBe(600);
+    expect(height).toBeGreaterThan(300);
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+    expect(svg).toContain("Growth &lt;A &amp; B&gt;");
+    expect(svg).toContain("Initial investment $100,000");
+    expect(svg).toContain('class="recharts-surface"');
+    expect(svg).toContain(">SWPPX</text>");
+    expect(svg).toContain(disclaimer[0].split(" ").slice(0, 4).join(" "));
+  });
+});
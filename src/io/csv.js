@@ -0,0 +1,105 @@
+// Spreadsheets run cells starting with these as formulas. Such cells get a
+// leading "'" (as do cells that already start with quotes before one, so
+// `parseCsv` can take exactly one off again); numbers are left alone.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const isNumeric = (text) => text.trim() !== "" && Number.isFinite(Number(text));
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_START.test(text) && !isNumeric(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Joins rows of cells into RFC 4180 CSV, quoting cells that need it and
+ * guarding cells a spreadsheet would run as formulas.
+ */
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Splits RFC 4180 CSV into rows of cells, unquoting quoted cells (which may
+ * hold commas, quotes and line breaks) and taking off the "'" that guards a
+ * formula-like cell. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const pushCell = () => {
+    row.push(/^'/.test(cell) && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell);
+    cell = "";
+  };
+  const endRow = () => {
+    pushCell();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      pushCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+  return rows;
+};
+
+// Nested objects such as Monte Carlo percentiles become one column per leaf,
+// e.g. `{ SWPPX: { p5, p50 } }` -> "SWPPX p5", "SWPPX p50".
+const flatten = (value, label, out) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, inner]) =>
+      flatten(inner, label ? `${label} ${key}` : key, out)
+    );
+  } else {
+    out[label] = value;
+  }
+  return out;
+};
+
+const recordsToCsv = (records) => {
+  const headers = [];
+  records.forEach((record) =>
+    Object.keys(record).forEach((key) => {
+      if (!headers.includes(key)) headers.push(key);
+    })
+  );
+  return toCsv([headers, ...records.map((record) => headers.map((key) => record[key]))]);
+};
+
+/**
+ * One row per year with a column per series (`runSimulation(...).data` or
+ * the Monte Carlo percentile rows).
+ */
+export const dataToCsv = (data) =>
+  recordsToCsv(data.map((row) => flatten(row, "", {})));
+
+/**
+ * One row per asset with a column per metric.
+ */
+export const metricsToCsv = (metrics) =>
+  recordsToCsv(
+    Object.entries(metrics).map(([name, values]) =>
+      flatten(values, "", { asset: name })
+    )
+  );
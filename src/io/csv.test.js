@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import { dataToCsv, metricsToCsv, parseCsv, toCsv } from "./csv";
+import { runSimulation } from "../engine/simulation";
+import { defaultAssets, defaultParameters } from "../engine/presets";
+
+describe("CSV export", () => {
+  it("quotes cells containing commas, quotes and newlines", () => {
+    expect(toCsv([["a,b", 'say "hi"', "x\ny", 1, null]])).toBe(
+      '"a,b","say ""hi""","x\ny",1,\r\n'
+    );
+  });
+
+  it("guards cells a spreadsheet would run as formulas, but not numbers", () => {
+    const cells = ['=HYPERLINK("x")', "+cmd|' /C calc'!A0", "-", "@SUM(A1)", "\tx", "'=x", -5, "-1.5", "Gold"];
+    const csv = toCsv([cells]);
+    expect(csv).toBe(
+      `"'=HYPERLINK(""x"")",'+cmd|' /C calc'!A0,'-,'@SUM(A1),'\tx,''=x,-5,-1.5,Gold\r\n`
+    );
+    expect(parseCsv(csv)).toEqual([cells.map(String)]);
+  });
+
+  it("writes one row per year with a column per asset", () => {
+    const { data } = runSimulation({ ...defaultParameters, assets: defaultAssets });
+    const lines = dataToCsv(data).trim().split("\r\n");
+    expect(lines).toHaveLength(data.length + 1);
+    expect(lines[0]).toBe(
+      ["year", ...Object.keys(defaultAssets)]
+        .map((name) => (name.includes(",") ? `"${name}"` : name))
+        .join(",")
+    );
+    expect(lines[1].split(",")[0]).toBe("Year 0");
+  });
+
+  it("flattens percentile rows into one column per percentile", () => {
+    const csv = dataToCsv([{ year: 1, SWPPX: { p5: 90, p95: 120 }, Cash: 100 }]);
+    expect(csv).toBe("year,SWPPX p5,SWPPX p95,Cash\r\n1,90,120,100\r\n");
+  });
+
+  it("writes one row per asset with the union of metric columns", () => {
+    const csv = metricsToCsv({
+      A: { cagr: 5, volatility: 10 },
+      B: { irr: 4, volatility: 8, depletedYear: null },
+    });
+    expect(csv).toBe(
+      "asset,cagr,volatility,irr,depletedYear\r\nA,5,10,,\r\nB,,8,4,\r\n"
+    );
+  });
+});
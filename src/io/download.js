@@ -0,0 +1,15 @@
+/**
+ * Saves `content` (a string or Blob) as a file through a temporary link.
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,69 @@
+import { parseScenario, serializeScenario } from "./scenarioFile";
+
+export const SAVED_SCENARIOS_KEY = "financial-sim:saved-scenarios";
+
+// Reading window.localStorage itself throws when the browser blocks storage.
+const localStorageOrNull = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+const readAll = (storage) => {
+  try {
+    const stored = JSON.parse(storage.getItem(SAVED_SCENARIOS_KEY));
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Turns storage failures (full, blocked, private mode) into a user-facing
+// message.
+const writeAll = (storage, all) => {
+  try {
+    storage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(all));
+  } catch (error) {
+    throw new Error(
+      error?.name === "QuotaExceededError"
+        ? "Browser storage is full. Delete saved scenarios or export this one as JSON instead."
+        : "This browser does not allow saving scenarios. Export them as JSON instead."
+    );
+  }
+};
+
+/**
+ * Scenarios saved in `storage` (localStorage by default), oldest first, as
+ * `{ name, savedAt, scenario }`. Entries that no longer parse are skipped.
+ */
+export const loadSavedScenarios = (storage = localStorageOrNull()) =>
+  Object.values(readAll(storage))
+    .map((envelope) => {
+      try {
+        return { ...parseScenario(envelope), savedAt: envelope.savedAt };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.savedAt).localeCompare(String(b.savedAt)));
+
+/**
+ * Saves (or overwrites) a named scenario and returns the updated list.
+ * Throws an Error with a user-facing message when storage refuses it.
+ */
+export const saveScenario = (name, scenario, storage = localStorageOrNull()) => {
+  const all = readAll(storage);
+  all[name] = serializeScenario(scenario, name);
+  writeAll(storage, all);
+  return loadSavedScenarios(storage);
+};
+
+export const deleteSavedScenario = (name, storage = localStorageOrNull()) => {
+  const all = readAll(storage);
+  delete all[name];
+  writeAll(storage, all);
+  return loadSavedScenarios(storage);
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import {
+  deleteSavedScenario,
+  loadSavedScenarios,
+  saveScenario,
+  SAVED_SCENARIOS_KEY,
+} from "./savedScenarios";
+import { defaultScenario } from "./scenarioFile";
+
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+  };
+};
+
+describe("saved scenarios", () => {
+  it("saves, lists and deletes named scenarios", () => {
+    const storage = createStorage();
+    expect(loadSavedScenarios(storage)).toEqual([]);
+
+    saveScenario("Long horizon", { ...defaultScenario, years: 30 }, storage);
+    const saved = saveScenario("Short", { ...defaultScenario, years: 2 }, storage);
+    expect(saved.map((entry) => entry.name).sort()).toEqual(["Long horizon", "Short"]);
+    expect(saved.find((entry) => entry.name === "Short").scenario.years).toBe(2);
+
+    expect(deleteSavedScenario("Short", storage).map((entry) => entry.name)).toEqual([
+      "Long horizon",
+    ]);
+  });
+
+  it("overwrites a scenario saved under the same name", () => {
+    const storage = createStorage();
+    saveScenario("Mine", { ...defaultScenario, years: 3 }, storage);
+    const saved = saveScenario("Mine", { ...defaultScenario, years: 4 }, storage);
+    expect(saved).toHaveLength(1);
+    expect(saved[0].scenario.years).toBe(4);
+  });
+
+  it("reports storage that refuses to save with a readable message", () => {
+    const full = createStorage();
+    full.setItem = () => {
+      throw new DOMException("quota", "QuotaExceededError");
+    };
+    expect(() => saveScenario("Mine", defaultScenario, full)).toThrow("Browser storage is full.");
+
+    const blocked = createStorage();
+    blocked.setItem = () => {
+      throw new DOMException("denied", "SecurityError");
+    };
+    expect(() => deleteSavedScenario("Mine", blocked)).toThrow(
+      "This browser does not allow saving scenarios."
+    );
+  });
+
+  it("ignores corrupted storage", () => {
+    const storage = createStorage();
+    storage.setItem(SAVED_SCENARIOS_KEY, "{broken");
+    expect(loadSavedScenarios(storage)).toEqual([]);
+    storage.setItem(
+      SAVED_SCENARIOS_KEY,
+      JSON.stringify({ Bad: { format: "financial-sim-scenario", version: 1, scenario: { years: "x" } } })
+    );
+    expect(loadSavedScenarios(storage)).toEqual([]);
+  });
+});
@@ -0,0 +1,286 @@
+import { defaultAssets, defaultParameters } from "../engine/presets";
+import { defaultCashFlows } from "../engine/cashFlows";
+import { defaultTaxes } from "../engine/tax";
+import { validateCorrelations } from "../engine/correlation";
+import { crisisTypes } from "../engine/crisis";
+import { returnGenerators } from "../engine/bootstrap";
+import { inflationModels, valueModes } from "../engine/inflation";
+import { randomGenerators } from "../engine/random";
+import { timeSteps } from "../engine/timeline";
+import { withPortfolioIds } from "../engine/portfolio";
+import { validateInput, validatePortfolioName } from "../engine/validation";
+
+/**
+ * Scenario files wrap the full simulation input (every key of
+ * `defaultParameters` plus `assets`) in a versioned envelope:
+ *
+ *   { format: "financial-sim-scenario", version: 1, name, savedAt, scenario }
+ *
+ * The same envelope is used for JSON export, share links and scenarios saved
+ * in localStorage. Bump `SCENARIO_FORMAT_VERSION` when the shape changes and
+ * teach `parseScenario` to upgrade older files.
+ */
+export const SCENARIO_FORMAT = "financial-sim-scenario";
+export const SCENARIO_FORMAT_VERSION = 1;
+
+export const scenarioKeys = ["assets", ...Object.keys(defaultParameters)];
+
+export const defaultScenario = { ...defaultParameters, assets: defaultAssets };
+
+/**
+ * Picks the scenario keys out of `state`, dropping anything else.
+ */
+export const toScenario = (state) => {
+  const scenario = {};
+  scenarioKeys.forEach((key) => {
+    scenario[key] = state[key];
+  });
+  return scenario;
+};
+
+export const serializeScenario = (scenario, name) => ({
+  format: SCENARIO_FORMAT,
+  version: SCENARIO_FORMAT_VERSION,
+  ...(name ? { name } : {}),
+  savedAt: new Date().toISOString(),
+  scenario: toScenario(scenario),
+});
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+};
+
+const fail = (message) => {
+  throw new Error(`Invalid scenario: ${message}`);
+};
+
+const expectType = (value, type, label) => {
+  const actual = typeOf(value);
+  if (actual !== type || (type === "number" && !Number.isFinite(value))) {
+    fail(`${label} must be ${type === "array" ? "an array" : `a ${type}`}.`);
+  }
+};
+
+// Checks each field against the type of the same field in `defaults`.
+// Fields whose default is null accept a number as well.
+const expectShape = (value, defaults, label) => {
+  expectType(value, "object", label);
+  Object.entries(defaults).forEach(([field, fallback]) => {
+    if (!(field in value)) return;
+    if (fallback === null && (value[field] === null || typeOf(value[field]) === "number")) {
+      return;
+    }
+    expectType(value[field], typeOf(fallback), `${label}.${field}`);
+  });
+};
+
+const assetShape = {
+  return: 0,
+  volatility: 0,
+  drawdownImpact: 0,
+  crisisSensitivity: 0,
+  color: "",
+  isBaseline: false,
+  ticker: "",
+  yield: 0,
+  taxTreatment: "",
+  assetClass: "",
+  crisisResponses: {},
+  gainRetention: 0,
+  modelParameters: {},
+};
+
+const crisisEventShape = {
+  year: 0,
+  crisisType: "",
+  drawdown: 0,
+  recoveryType: "",
+  recoveryYears: 0,
+};
+
+const crisisTypeShape = {
+  id: "",
+  label: "",
+  recoveryPotential: 0,
+  permanentDamage: 0,
+  inflationLink: 0,
+  profile: {},
+};
+
+const portfolioShape = {
+  id: 0,
+  name: "",
+  weights: {},
+  rebalancing: "",
+  threshold: 0,
+  color: "",
+};
+
+// Parameters that pick one of a set of options, keyed by the option.
+const parameterOptions = {
+  timeStep: timeSteps,
+  returnGenerator: returnGenerators,
+  randomGenerator: randomGenerators,
+  valueMode: valueModes,
+  inflationModel: inflationModels,
+};
+
+const validateScenario = (scenario) => {
+  expectType(scenario, "object", '"scenario"');
+  Object.entries(defaultParameters).forEach(([key, fallback]) => {
+    if (key in scenario) {
+      expectType(scenario[key], typeOf(fallback), `"${key}"`);
+    }
+  });
+  Object.entries(parameterOptions).forEach(([key, options]) => {
+    if (key in scenario && !Object.hasOwn(options, scenario[key])) {
+      fail(`"${key}" must be one of ${Object.keys(options).join(", ")}.`);
+    }
+  });
+
+  if ("assets" in scenario) {
+    expectType(scenario.assets, "object", '"assets"');
+    Object.entries(scenario.assets).forEach(([name, asset]) => {
+      expectShape(asset, assetShape, `asset "${name}"`);
+      ["return", "volatility", "drawdownImpact", "crisisSensitivity"].forEach(
+        (field) => expectType(asset[field], "number", `asset "${name}".${field}`)
+      );
+      Object.entries(asset.crisisResponses || {}).forEach(([type, response]) =>
+        expectType(response, "number", `asset "${name}".crisisResponses.${type}`)
+      );
+      Object.entries(asset.modelParameters || {}).forEach(([field, value]) =>
+        expectType(value, "number", `asset "${name}".modelParameters.${field}`)
+      );
+    });
+  }
+  (scenario.customCrisisTypes || []).forEach((type, index) => {
+    expectShape(type, crisisTypeShape, `crisis type ${index + 1}`);
+    Object.entries(type.profile || {}).forEach(([assetClass, scale]) =>
+      expectType(scale, "number", `crisis type ${index + 1} profile for "${assetClass}"`)
+    );
+  });
+  (scenario.crisisEvents || []).forEach((event, index) => {
+    expectShape(event, crisisEventShape, `crisis event ${index + 1}`);
+    const known =
+      !("crisisType" in event) ||
+      event.crisisType === "NONE" ||
+      event.crisisType in crisisTypes ||
+      (scenario.customCrisisTypes || []).some((type) => type.id === event.crisisType);
+    if (!known) {
+      fail(`crisis event ${index + 1} has an unknown crisis type "${event.crisisType}".`);
+    }
+  });
+  (scenario.portfolios || []).forEach((portfolio, index) => {
+    expectShape(portfolio, portfolioShape, `portfolio ${index + 1}`);
+    Object.entries(portfolio.weights || {}).forEach(([name, weight]) =>
+      expectType(weight, "number", `portfolio ${index + 1} weight for "${name}"`)
+    );
+  });
+  if ("cashFlows" in scenario) {
+    expectShape(scenario.cashFlows, defaultCashFlows, '"cashFlows"');
+  }
+  if ("taxes" in scenario) {
+    expectShape(scenario.taxes, defaultTaxes, '"taxes"');
+  }
+};
+
+/**
+ * Reads a scenario envelope (a JSON string or an already parsed object),
+ * validates it and returns `{ name, scenario }` with any missing keys filled
+ * from the defaults. Throws an Error with a user-facing message otherwise.
+ */
+export const parseScenario = (input) => {
+  let envelope = input;
+  if (typeof input === "string") {
+    try {
+      envelope = JSON.parse(input);
+    } catch (error) {
+      fail("the file is not valid JSON.");
+    }
+  }
+  if (typeOf(envelope) !== "object" || envelope.format !== SCENARIO_FORMAT) {
+    fail("this is not a scenario file.");
+  }
+  if (typeOf(envelope.version) !== "number") {
+    fail("the format version is missing.");
+  }
+  if (envelope.version > SCENARIO_FORMAT_VERSION) {
+    fail(
+      `format version ${envelope.version} is newer than this app supports (${SCENARIO_FORMAT_VERSION}).`
+    );
+  }
+  validateScenario(envelope.scenario);
+
+  const scenario = toScenario({ ...defaultScenario, ...envelope.scenario });
+  scenario.cashFlows = { ...defaultCashFlows, ...scenario.cashFlows };
+  scenario.taxes = { ...defaultTaxes, ...scenario.taxes };
+  scenario.portfolios = withPortfolioIds(scenario.portfolios);
+  const correlationError = validateCorrelations(scenario.assets, scenario.correlations);
+  if (correlationError) {
+    fail(correlationError);
+  }
+  const { parameters, assets } = validateInput(scenario);
+  const [parameterError] = Object.values(parameters);
+  if (parameterError) {
+    fail(parameterError);
+  }
+  const [assetName] = Object.keys(assets);
+  if (assetName !== undefined) {
+    fail(`asset "${assetName}": ${Object.values(assets[assetName])[0]}`);
+  }
+  scenario.portfolios.forEach((portfolio, index) => {
+    const nameError = validatePortfolioName(
+      portfolio.name,
+      scenario.assets,
+      scenario.portfolios.slice(0, index)
+    );
+    if (nameError) fail(`portfolio ${index + 1}: ${nameError}`);
+  });
+  return { name: envelope.name, scenario };
+};
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const fromBase64Url = (encoded) => {
+  const base64 = encoded.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+export const SHARE_PARAM = "scenario";
+
+/**
+ * A link to `baseUrl` that opens this scenario. The scenario travels in the
+ * URL fragment, so it never reaches a server.
+ */
+export const buildShareUrl = (scenario, baseUrl) => {
+  const url = new URL(baseUrl);
+  url.hash = `${SHARE_PARAM}=${toBase64Url(JSON.stringify(serializeScenario(scenario)))}`;
+  return url.toString();
+};
+
+/**
+ * The scenario encoded in a URL fragment such as `#scenario=...`, or null
+ * when there is none. Throws like `parseScenario` for a damaged link.
+ */
+export const readScenarioFromHash = (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, "")).get(SHARE_PARAM);
+  if (!encoded) return null;
+  let text;
+  try {
+    text = fromBase64Url(encoded);
+  } catch (error) {
+    fail("the shared link is damaged.");
+  }
+  return parseScenario(text).scenario;
+};
@@ -0,0 +1,192 @@
+import { describe, it, expect } from "vitest";
+import {
+  buildShareUrl,
+  defaultScenario,
+  parseScenario,
+  readScenarioFromHash,
+  serializeScenario,
+  SCENARIO_FORMAT_VERSION,
+} from "./scenarioFile";
+import { scenarioPresets } from "../engine/presets";
+import { defaultPortfolio } from "../engine/portfolio";
+import { setCorrelation } from "../engine/correlation";
+
+const scenario = {
+  ...defaultScenario,
+  ...scenarioPresets["Double Dip"],
+  years: 12,
+  randomSeedBase: 4242,
+  portfolios: [defaultPortfolio],
+  cashFlows: { ...defaultScenario.cashFlows, contributionAmount: 500 },
+};
+
+describe("scenario files", () => {
+  it("round-trips the full scenario through JSON", () => {
+    const json = JSON.stringify(serializeScenario(scenario, "Mine"));
+    const parsed = parseScenario(json);
+    expect(parsed.name).toBe("Mine");
+    expect(parsed.scenario).toEqual(scenario);
+  });
+
+  it("stamps the format and version", () => {
+    const envelope = serializeScenario(scenario);
+    expect(envelope.format).toBe("financial-sim-scenario");
+    expect(envelope.version).toBe(SCENARIO_FORMAT_VERSION);
+    expect(envelope).not.toHaveProperty("name");
+  });
+
+  it("fills missing keys from the defaults and drops unknown ones", () => {
+    const { scenario: parsed } = parseScenario({
+      format: "financial-sim-scenario",
+      version: 1,
+      scenario: { years: 8, somethingElse: true },
+    });
+    expect(parsed).toEqual({ ...defaultScenario, years: 8 });
+  });
+
+  it("rejects files it cannot read with a clear message", () => {
+    expect(() => parseScenario("{not json")).toThrow("not valid JSON");
+    expect(() => parseScenario({ hello: "world" })).toThrow("not a scenario file");
+    expect(() =>
+      parseScenario({ ...serializeScenario(scenario), version: 99 })
+    ).toThrow("newer than this app supports");
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: { ...scenario, years: "ten" },
+      })
+    ).toThrow('"years" must be a number');
+    [
+      ["timeStep", "WEEKLY"],
+      ["returnGenerator", "BOGUS"],
+      ["randomGenerator", "BOGUS"],
+      ["valueMode", "BOGUS"],
+      ["inflationModel", "BOGUS"],
+    ].forEach(([key, value]) =>
+      expect(() =>
+        parseScenario({
+          ...serializeScenario(scenario),
+          scenario: { ...scenario, [key]: value },
+        })
+      ).toThrow(`Invalid scenario: "${key}" must be one of`)
+    );
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          assets: { Broken: { return: 5, volatility: "high" } },
+        },
+      })
+    ).toThrow('asset "Broken".volatility must be a number');
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          assets: {
+            Broken: { return: 5, volatility: 0.1, drawdownImpact: 1, crisisSensitivity: 1, modelParameters: { bearReturn: "low" } },
+          },
+        },
+      })
+    ).toThrow('asset "Broken".modelParameters.bearReturn must be a number');
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: { ...scenario, years: 0 },
+      })
+    ).toThrow("Years must be at least 1.");
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          assets: {
+            ...scenario.assets,
+            "SWPPX/SPX (S&P 500)": {
+              ...scenario.assets["SWPPX/SPX (S&P 500)"],
+              volatility: -0.2,
+            },
+          },
+        },
+      })
+    ).toThrow('asset "SWPPX/SPX (S&P 500)": Volatility must be at least 0.');
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          correlations: setCorrelation(
+            scenario.correlations,
+            "KMLM (Managed Futures)",
+            "SWPPX/SPX (S&P 500)",
+            0.95
+          ),
+        },
+      })
+    ).toThrow("not positive definite");
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          crisisEvents: [{ ...scenario.crisisEvents[0], crisisType: "CUSTOM_9" }],
+        },
+      })
+    ).toThrow('unknown crisis type "CUSTOM_9"');
+    expect(() =>
+      parseScenario({
+        ...serializeScenario(scenario),
+        scenario: {
+          ...scenario,
+          portfolios: [defaultPortfolio, { ...defaultPortfolio, id: 2 }],
+        },
+      })
+    ).toThrow(`portfolio 2: "${defaultPortfolio.name}" is already used by another portfolio.`);
+  });
+
+  it("gives portfolios from older files unique ids", () => {
+    const { id, ...withoutId } = defaultPortfolio;
+    const { scenario: parsed } = parseScenario(
+      serializeScenario({
+        ...scenario,
+        portfolios: [withoutId, { ...withoutId, name: "Second" }, { ...defaultPortfolio, name: "Third" }],
+      })
+    );
+    expect(parsed.portfolios.map((portfolio) => portfolio.id)).toEqual([2, 3, 1]);
+  });
+
+  it("keeps custom crisis types their events refer to", () => {
+    const custom = {
+      ...scenario,
+      customCrisisTypes: [
+        { id: "CUSTOM_1", label: "Energy Shock", recoveryPotential: 80, permanentDamage: 50, inflationLink: 2, profile: { MANAGED_FUTURES: -1 } },
+      ],
+      crisisEvents: [{ ...scenario.crisisEvents[0], crisisType: "CUSTOM_1" }],
+    };
+    expect(parseScenario(serializeScenario(custom)).scenario).toEqual(custom);
+  });
+});
+
+describe("share links", () => {
+  it("encodes the scenario in the URL fragment", () => {
+    const url = buildShareUrl(scenario, "https://example.com/app/?x=1#old");
+    expect(url.startsWith("https://example.com/app/?x=1#scenario=")).toBe(true);
+    expect(readScenarioFromHash(new URL(url).hash)).toEqual(scenario);
+  });
+
+  it("handles non-ASCII asset names", () => {
+    const withUnicode = {
+      ...scenario,
+      assets: { ...scenario.assets, "Épargne – €": scenario.assets["BIL (Short-Term Treasuries)"] },
+    };
+    const url = buildShareUrl(withUnicode, "https://example.com/");
+    expect(readScenarioFromHash(new URL(url).hash).assets).toHaveProperty("Épargne – €");
+  });
+
+  it("returns null without a scenario and rejects damaged links", () => {
+    expect(readScenarioFromHash("")).toBeNull();
+    expect(readScenarioFromHash("#other=1")).toBeNull();
+    expect(() => readScenarioFromHash("#scenario=abc")).toThrow("Invalid scenario");
+  });
+});
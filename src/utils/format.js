@@ -0,0 +1,10 @@
+export const formatCurrency = (value) => {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(value);
+};
+
+export const formatPercent = (value) =>
+  Number.isFinite(value) ? `${value.toFixed(2)}%` : "n/a";